@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Throughput benchmark for processBulkAssignments.
+ *
+ * Runs batches of 1, 50 and 500 fixture essays in-process and through the
+ * worker pool, and reports essays per second plus the longest event-loop
+ * stall, which is what other users of the server feel during a batch.
+ *
+ * Usage: npm run benchmark -- [--sizes 1,50,500] [--concurrency 3]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+import { FeedbackProcessor } from '../src/core/FeedbackProcessor.js';
+import { WorkerPool } from '../src/core/WorkerPool.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const sizes = readOption('sizes', '1,50,500').split(',').map(Number);
+const concurrency = parseInt(readOption('concurrency', Math.max(1, os.cpus().length - 1)), 10);
+
+// Cycle through the plain-text fixture essays to build batches of any size
+const fixtureDirs = [path.join(__dirname, '../tests/fixtures'), path.join(__dirname, '../examples')];
+const essays = fixtureDirs.flatMap(dir => fs.readdirSync(dir)
+  .filter(name => name.endsWith('.txt'))
+  .map(name => fs.readFileSync(path.join(dir, name))));
+
+const buildBatch = size => Array.from({ length: size }, (_, index) => ({
+  originalname: `student${index + 1}_essay.txt`,
+  mimetype: 'text/plain',
+  size: essays[index % essays.length].length,
+  buffer: essays[index % essays.length]
+}));
+
+/**
+ * Track the longest gap between timer ticks. A batch that never yields to the
+ * event loop produces no ticks at all, so the final gap is counted too.
+ */
+function watchEventLoop() {
+  let last = performance.now();
+  let longest = 0;
+  const tick = () => {
+    const now = performance.now();
+    longest = Math.max(longest, now - last);
+    last = now;
+  };
+  const timer = setInterval(tick, 5);
+
+  return () => {
+    clearInterval(timer);
+    tick();
+    return longest;
+  };
+}
+
+async function measure(processor, size) {
+  const batch = buildBatch(size);
+  const stopWatching = watchEventLoop();
+  const start = performance.now();
+
+  const results = await processor.processBulkAssignments(batch, { assignmentType: 'essay' });
+
+  const seconds = (performance.now() - start) / 1000;
+  const maxLoopStall = stopWatching();
+
+  return {
+    essays: size,
+    failed: results.filter(result => result.status !== 'success').length,
+    seconds: seconds.toFixed(2),
+    essaysPerSecond: (size / seconds).toFixed(1),
+    maxLoopStallMs: maxLoopStall.toFixed(0)
+  };
+}
+
+async function main() {
+  console.log(`📈 Benchmarking ${essays.length} fixture essays, worker concurrency ${concurrency}\n`);
+
+  // Per-file progress logging would dominate the timings
+  const log = console.log;
+  console.log = () => {};
+  console.error = () => {};
+
+  const pool = new WorkerPool(new URL('../src/core/workers/analysisWorker.js', import.meta.url), {
+    size: concurrency,
+    workerData: { quiet: true }
+  });
+  const modes = {
+    'in-process': new FeedbackProcessor(),
+    'worker pool': new FeedbackProcessor({ workerPool: pool })
+  };
+
+  // Warm up module loading and worker start-up so they don't count against the first batch
+  await modes['in-process'].processBulkAssignments(buildBatch(1), { assignmentType: 'essay' });
+  await modes['worker pool'].processBulkAssignments(buildBatch(concurrency), { assignmentType: 'essay' });
+
+  const rows = [];
+  for (const size of sizes) {
+    for (const [mode, processor] of Object.entries(modes)) {
+      rows.push({ mode, ...(await measure(processor, size)) });
+    }
+  }
+
+  await pool.destroy();
+  console.log = log;
+  console.table(rows);
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Builds the bundled English spelling dictionary used by SpellChecker.
+ *
+ * Words come from the WordNet lemma indexes (installed with `natural`), the
+ * compromise lexicon and a short list of words newer than WordNet, expanded
+ * with plurals, verb forms and comparatives.
+ * Each word is ranked by how often WordNet saw its lemma in tagged text, so
+ * suggestions can prefer common words. US/UK variant pairs (color/colour,
+ * organize/organise, traveled/travelled) are kept only where WordNet lists
+ * both spellings in the same synset, so look-alikes such as tor/tour are not
+ * mistaken for variants.
+ *
+ * Writes src/dictionaries/en.txt and src/dictionaries/en-variants.txt.
+ *
+ * Usage: npm run build:dictionary
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import nlp from 'compromise';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+const WORDNET_DIR = path.join(path.dirname(require.resolve('wordnet-db/package.json')), 'dict');
+const OUTPUT_DIR = path.join(__dirname, '../src/dictionaries');
+const WORD_PATTERN = /^[a-z]+(?:'[a-z]+)?$/;
+
+// Closed-class words outrank every content word
+const FUNCTION_WORD_RANK = 100000;
+const FUNCTION_TAGS = ['Determiner', 'Preposition', 'Pronoun', 'Conjunction', 'Copula', 'Modal', 'QuestionWord', 'Negative', 'Possessive'];
+
+const CONTRACTIONS = [
+  "aren't", "can't", "couldn't", "didn't", "doesn't", "don't", "hadn't", "hasn't", "haven't", "isn't", "mightn't",
+  "mustn't", "needn't", "shan't", "shouldn't", "wasn't", "weren't", "won't", "wouldn't", "ain't",
+  "i'm", "i've", "i'll", "i'd", "you're", "you've", "you'll", "you'd", "he's", "he'll", "he'd", "she's", "she'll",
+  "she'd", "it's", "it'll", "it'd", "we're", "we've", "we'll", "we'd", "they're", "they've", "they'll", "they'd",
+  "that's", "that'll", "that'd", "there's", "there'll", "there'd", "here's", "what's", "what'll", "what'd", "who's",
+  "who'll", "who'd", "where's", "when's", "why's", "how's", "let's", "y'all", "o'clock", "ma'am"
+];
+
+// Everyday words newer than WordNet 3.1, by the part of speech they are inflected as
+const RECENT_WORDS = {
+  noun: ['app', 'audiobook', 'blog', 'chatbot', 'ebook', 'emoji', 'hashtag', 'inbox', 'podcast', 'screenshot', 'selfie',
+    'smartphone', 'smartwatch', 'username', 'vlog', 'webinar', 'wiki'],
+  verb: ['blog', 'conference', 'gamify', 'homeschool', 'livestream', 'multitask', 'screenshot', 'text', 'vlog'],
+  other: ['blockchain', 'cyberbullying', 'esports', 'gamification', 'videoconferencing']
+};
+const RECENT_WORD_RANK = 2;
+
+// US spelling -> UK spelling, for changes the synset rules below can't see
+const EXPLICIT_VARIANTS = [
+  ['gray', 'grey'], ['mold', 'mould'], ['plow', 'plough'], ['aluminum', 'aluminium'], ['jewelry', 'jewellery'],
+  ['cozy', 'cosy'], ['mustache', 'moustache'], ['pajamas', 'pyjamas'], ['artifact', 'artefact'], ['airplane', 'aeroplane'],
+  ['enroll', 'enrol'], ['enrollment', 'enrolment'], ['fulfill', 'fulfil'], ['fulfillment', 'fulfilment'],
+  ['skillful', 'skilful'], ['willful', 'wilful'], ['distill', 'distil'], ['instill', 'instil'], ['sulfur', 'sulphur']
+];
+
+// Spelling changes from a US lemma to its UK form; each is tried at every match
+const VARIANT_RULES = [
+  { rule: 'our', pattern: /or/g, replacement: 'our' },
+  { rule: 'ise', pattern: /iz/g, replacement: 'is' },
+  { rule: 'yse', pattern: /yz/g, replacement: 'ys' },
+  { rule: 're', pattern: /er$/g, replacement: 're' },
+  { rule: 'ogue', pattern: /og$/g, replacement: 'ogue' },
+  { rule: 'ence', pattern: /ense$/g, replacement: 'ence' },
+  { rule: 'ae', pattern: /e/g, replacement: 'ae' },
+  { rule: 'oe', pattern: /e/g, replacement: 'oe' },
+  { rule: 'll', pattern: /(?<=[aeiou])l(?=(?:er|ers|or|ors)$)/g, replacement: 'll' }
+];
+
+// US words that the rules pair with an unrelated word sharing one rare sense
+const FALSE_VARIANTS = new Set(['advertizer', 'apprize', 'deodorant', 'deodorise', 'deodorize', 'gormandize', 'timber']);
+
+// Verbs ending in a stressed vowel + l double it in US spelling too
+const STRESSED_L_VERBS = new Set([
+  'annul', 'appal', 'compel', 'control', 'dispel', 'distil', 'enrol', 'enthral', 'excel', 'expel', 'extol', 'fulfil',
+  'impel', 'instil', 'patrol', 'propel', 'rebel', 'recall', 'repel'
+]);
+
+const methods = nlp.methods().two.transform;
+const model = nlp.model();
+
+const ranks = new Map();
+const addWord = (word, rank) => {
+  if (!WORD_PATTERN.test(word)) return;
+  ranks.set(word, Math.max(ranks.get(word) || 0, rank));
+};
+
+// lemma -> { rank, synsets: Map<pos, Set<offset>> } from the WordNet index files
+const readWordNet = () => {
+  const lemmas = new Map();
+  ['noun', 'verb', 'adj', 'adv'].forEach(pos => {
+    fs.readFileSync(path.join(WORDNET_DIR, `index.${pos}`), 'utf8').split('\n').forEach(line => {
+      if (!line || line.startsWith(' ')) return;
+      const fields = line.trim().split(' ');
+      const [lemma, , synsetCount, pointerCount] = fields;
+      if (!WORD_PATTERN.test(lemma)) return;
+      const afterPointers = 4 + Number(pointerCount);
+      const taggedSenses = Number(fields[afterPointers + 1]);
+      const offsets = fields.slice(afterPointers + 2, afterPointers + 2 + Number(synsetCount));
+
+      const entry = lemmas.get(lemma) || { rank: 0, synsets: new Map() };
+      entry.rank += taggedSenses + 1;
+      entry.synsets.set(pos, new Set(offsets));
+      lemmas.set(lemma, entry);
+    });
+  });
+  return lemmas;
+};
+
+const comparatives = (adjective) => {
+  // Only short adjectives take -er/-est; longer ones use more/most
+  const syllables = (adjective.match(/[aeiouy]+/g) || []).length;
+  if (syllables > 2 || (syllables === 2 && !adjective.endsWith('y'))) return [];
+  if (/[^aeiou]y$/.test(adjective)) return [`${adjective.slice(0, -1)}ier`, `${adjective.slice(0, -1)}iest`];
+  if (adjective.endsWith('e')) return [`${adjective}r`, `${adjective}st`];
+  const stem = /[^aeiou][aeiou][bdgmnpt]$/.test(adjective) ? adjective + adjective.slice(-1) : adjective;
+  return [`${stem}er`, `${stem}est`];
+};
+
+/**
+ * Verb forms by name. Verbs ending in an unstressed vowel + l get both the US
+ * single-l forms and the UK double-l forms, which compromise mixes up.
+ */
+const verbForms = (verb) => {
+  const forms = { ...methods.verb.conjugate(verb, model) };
+  delete forms.FutureTense;
+  // compromise leaves some gerunds unconjugated (text -> text)
+  if (forms.Gerund === verb) {
+    forms.Gerund = /[^e]e$/.test(verb) ? `${verb.slice(0, -1)}ing` : `${verb}ing`;
+  }
+  const syllables = (verb.match(/[aeiouy]+/g) || []).length;
+  if (STRESSED_L_VERBS.has(verb)) {
+    return { ...forms, PastTense: `${verb}led`, Gerund: `${verb}ling`, Participle: `${verb}led` };
+  }
+  if (/[^aeiou][aeiou]l$/.test(verb) && syllables > 1 && !STRESSED_L_VERBS.has(verb)) {
+    return { ...forms, PastTense: `${verb}ed`, Gerund: `${verb}ing`, Participle: `${verb}ed`, UkPastTense: `${verb}led`, UkGerund: `${verb}ling` };
+  }
+  return forms;
+};
+
+// compromise's Latin plural rules also apply to English words (aluminium -> aluminia)
+const irregularPlurals = new Set(Object.values(model.two.irregularPlurals));
+const plural = (noun) => {
+  const form = methods.noun.toPlural(noun, model);
+  return form.endsWith('s') || irregularPlurals.has(form) ? form : null;
+};
+
+const inflections = (lemma, pos) => {
+  if (pos === 'noun') return [plural(lemma)].filter(Boolean);
+  if (pos === 'verb') return Object.values(verbForms(lemma));
+  if (pos === 'adj') return comparatives(lemma);
+  return [];
+};
+
+/**
+ * The part of speech in which two lemmas are spellings of the same word:
+ * they share a synset, have the same parts of speech (so eager is not taken
+ * for eagre, which is only a noun) and the US form is at least as common
+ * (so advertise is not taken for the UK spelling of advertize)
+ */
+const variantPos = (lemmas, us, uk) => {
+  const a = lemmas.get(us);
+  const b = lemmas.get(uk);
+  if (!a || !b || a.rank < b.rank || [...a.synsets.keys()].join() !== [...b.synsets.keys()].join()) return null;
+  return [...a.synsets].find(([pos, offsets]) => [...b.synsets.get(pos)].some(offset => offsets.has(offset)))?.[0] || null;
+};
+
+/**
+ * Pair up the inflected forms of a US/UK lemma pair
+ */
+const inflectedPairs = (us, uk, pos) => {
+  if (pos === 'noun') return [[plural(us), plural(uk)]].filter(pair => pair.every(Boolean));
+  if (pos === 'verb') {
+    const usForms = verbForms(us);
+    const ukForms = verbForms(uk);
+    // Forms compromise could not conjugate come back as the lemma
+    return Object.keys(usForms)
+      .filter(form => ukForms[form] && usForms[form] !== us && ukForms[form] !== uk)
+      .map(form => [usForms[form], ukForms[form]]);
+  }
+  if (pos === 'adj') {
+    const ukForms = comparatives(uk);
+    return comparatives(us).map((form, index) => [form, ukForms[index]]);
+  }
+  return [];
+};
+
+const findVariants = (lemmas) => {
+  const variants = new Map();
+  const addPair = (us, uk, rule) => {
+    if (us !== uk && WORD_PATTERN.test(us) && WORD_PATTERN.test(uk) && !variants.has(us)) {
+      variants.set(us, { uk, rule });
+    }
+  };
+
+  lemmas.forEach((entry, us) => {
+    if (FALSE_VARIANTS.has(us)) return;
+    VARIANT_RULES.forEach(({ rule, pattern, replacement }) => {
+      [...us.matchAll(pattern)].forEach(match => {
+        const uk = us.slice(0, match.index) + replacement + us.slice(match.index + match[0].length);
+        const pos = variantPos(lemmas, us, uk);
+        if (!pos) return;
+        addPair(us, uk, rule);
+        inflectedPairs(us, uk, pos).forEach(([usForm, ukForm]) => addPair(usForm, ukForm, rule));
+      });
+    });
+  });
+
+  EXPLICIT_VARIANTS.forEach(([us, uk]) => {
+    addPair(us, uk, 'word');
+    [...(lemmas.get(us)?.synsets.keys() || [])].forEach(pos => {
+      inflectedPairs(us, uk, pos).forEach(([usForm, ukForm]) => addPair(usForm, ukForm, 'word'));
+    });
+  });
+
+  // Double-l verb forms of single-l verbs (travel: traveled/travelled)
+  lemmas.forEach((entry, lemma) => {
+    if (!entry.synsets.has('verb')) return;
+    const forms = verbForms(lemma);
+    if (forms.UkPastTense) {
+      addPair(forms.PastTense, forms.UkPastTense, 'll');
+      addPair(forms.Gerund, forms.UkGerund, 'll');
+    }
+  });
+
+  return variants;
+};
+
+const lemmas = readWordNet();
+lemmas.forEach((entry, lemma) => {
+  addWord(lemma, entry.rank);
+  entry.synsets.forEach((offsets, pos) => inflections(lemma, pos).forEach(form => addWord(form, entry.rank)));
+});
+
+Object.entries(RECENT_WORDS).forEach(([pos, words]) => words.forEach(word => {
+  [word, ...inflections(word, pos)].forEach(form => addWord(form, RECENT_WORD_RANK));
+}));
+
+Object.entries(model.one.lexicon).forEach(([word, tags]) => {
+  const isFunctionWord = [tags].flat().some(tag => FUNCTION_TAGS.includes(tag));
+  addWord(word, isFunctionWord ? FUNCTION_WORD_RANK : (lemmas.get(word)?.rank || 1));
+});
+CONTRACTIONS.forEach(word => addWord(word, FUNCTION_WORD_RANK));
+
+const variants = findVariants(lemmas);
+variants.forEach(({ uk }, us) => {
+  const rank = Math.max(ranks.get(us) || 1, ranks.get(uk) || 1);
+  addWord(us, rank);
+  addWord(uk, rank);
+});
+
+const header = [
+  '# Generated by scripts/build-dictionary.js; do not edit by hand.',
+  '# Word list derived from WordNet 3.1 (Princeton University, WordNet License) and the compromise lexicon (MIT).'
+];
+const words = [...ranks].sort(([a, rankA], [b, rankB]) => rankB - rankA || a.localeCompare(b)).map(([word]) => word);
+const variantLines = [...variants].sort(([a], [b]) => a.localeCompare(b)).map(([us, { uk, rule }]) => `${us} ${uk} ${rule}`);
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+fs.writeFileSync(path.join(OUTPUT_DIR, 'en.txt'), `${[...header, '# One word per line, most common first.', ...words].join('\n')}\n`);
+fs.writeFileSync(path.join(OUTPUT_DIR, 'en-variants.txt'), `${[...header, '# US spelling, UK spelling, rule.', ...variantLines].join('\n')}\n`);
+
+console.log(`📚 Wrote ${words.length} words and ${variantLines.length} US/UK variant pairs to ${path.relative(process.cwd(), OUTPUT_DIR)}`);
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { FeedbackProcessor } from './FeedbackProcessor.js';
+import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+import { AssignmentAnalyzer } from './analyzers/AssignmentAnalyzer.js';
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Analyses keyed on a hash of the extracted text, assignment type, criteria, rubric
+ * and analyzer versions, so re-uploading a class set only re-analyses changed files.
+ * Recent entries are kept in memory; with a FeedbackStore they also survive restarts.
+ */
+export class AnalysisCache {
+  /**
+   * @param {Object} [options]
+   * @param {FeedbackStore} [options.feedbackStore] - Persists entries
+   * @param {number} [options.maxEntries] - In-memory entries kept before the least recently used is dropped
+   */
+  constructor(options = {}) {
+    this.feedbackStore = options.feedbackStore || null;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.version = AnalysisCache.analyzerVersion();
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+
+    if (this.feedbackStore) {
+      const removed = this.feedbackStore.pruneAnalysisCache(this.version);
+      if (removed > 0) {
+        console.log(`🧹 Discarded ${removed} cached analyses from older analyzer versions`);
+      }
+    }
+  }
+
+  /**
+   * Combined version of everything that affects an analysis
+   */
+  static analyzerVersion() {
+    return [
+      `dimensions-${EvaluationDimensions.VERSION}`,
+      `assignment-${AssignmentAnalyzer.VERSION}`,
+      `processor-${FeedbackProcessor.ANALYSIS_VERSION}`
+    ].join('.');
+  }
+
+  /**
+   * Cache key for a submission's text under the given options
+   */
+  keyFor(text, options = {}) {
+    const criteria = Array.isArray(options.evaluationCriteria) ? [...options.evaluationCriteria].sort() : [];
+    // The whole rubric counts, so editing its levels or weights re-scores submissions
+    const rubric = options.rubric ? JSON.stringify(options.rubric) : null;
+    // Only the fitted weights and cut points of a calibration affect scores
+    const calibration = options.calibration ? JSON.stringify([options.calibration.weights, options.calibration.levels]) : null;
+    // Grammar rules chosen for the grade level (see GrammarChecker.rulesFor)
+    const grammarRules = Array.isArray(options.grammarRules) ? [...options.grammarRules].sort() : null;
+    // Spelling depends on the class's locale and the assignment's vocabulary (see SpellChecker)
+    const spelling = [options.spellingLocale || null, Array.isArray(options.vocabulary) ? [...options.vocabulary].sort() : []];
+    // Passages are matched against the assignment's source texts and attributed by their titles and authors
+    const sources = Array.isArray(options.sources)
+      ? options.sources.map(source => [source.title, source.author || null, source.text]).sort()
+      : [];
+    // Relevance is measured against the prompt and the required concepts
+    const relevance = [options.prompt || null, Array.isArray(options.requiredConcepts) ? options.requiredConcepts : []];
+    // Worksheets are graded against the answer key
+    const answerKey = options.answerKey ? JSON.stringify(options.answerKey.questions) : null;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.version, options.assignmentType || 'essay', criteria, rubric, calibration, grammarRules, spelling, sources, relevance, answerKey, text]))
+      .digest('hex');
+  }
+
+  get(key) {
+    let analysis = this.entries.get(key);
+
+    if (analysis) {
+      // Re-insert so the Map's order tracks recency
+      this.entries.delete(key);
+      this.entries.set(key, analysis);
+    } else if (this.feedbackStore) {
+      analysis = this.feedbackStore.getCachedAnalysis(key);
+      if (analysis) this.remember(key, analysis);
+    }
+
+    this.stats[analysis ? 'hits' : 'misses']++;
+    // Copies, so later changes to one batch's results can't leak into another's
+    return analysis ? structuredClone(analysis) : null;
+  }
+
+  set(key, analysis) {
+    this.remember(key, structuredClone(analysis));
+    if (this.feedbackStore) {
+      this.feedbackStore.saveCachedAnalysis(key, this.version, analysis);
+    }
+  }
+
+  remember(key, analysis) {
+    this.entries.delete(key);
+    this.entries.set(key, analysis);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    if (this.feedbackStore) {
+      this.feedbackStore.pruneAnalysisCache(null);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+// Least to most severe; praise marks something done well
+const SEVERITIES = ['praise', 'info', 'suggestion', 'warning', 'error'];
+
+/**
+ * A comment on a stretch of a student's text, located by character offsets
+ * into the extracted text (end is exclusive). Every analyzer reports what it
+ * finds as annotations, so feedback can highlight the exact words and
+ * exported documents can anchor comments to them.
+ */
+export class Annotation {
+  static SEVERITIES = SEVERITIES;
+
+  /**
+   * @param {Object} data
+   * @param {number} data.start - Offset of the first character
+   * @param {number} data.end - Offset just past the last character
+   * @param {string} data.category - What the annotation is about, e.g. "grammar", "clarity" or "essay.evidence"
+   * @param {string} [data.severity] - One of Annotation.SEVERITIES
+   * @param {string} data.message - What was found
+   * @param {string} [data.suggestion] - What the student could do about it
+   * @param {string} [data.source] - The analyzer that made it: "grammar", "spelling", "evaluation" or "assignment"
+   * @param {string} [data.text] - The annotated text
+   */
+  constructor({ start, end, category, severity = 'suggestion', message, suggestion = null, source = null, text = null }) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+      throw new Error(`Annotation offsets must be whole numbers with 0 <= start <= end (got ${start}–${end})`);
+    }
+    if (!category || !message) {
+      throw new Error('An annotation needs a category and a message');
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown annotation severity "${severity}"; use one of ${SEVERITIES.join(', ')}`);
+    }
+
+    this.start = start;
+    this.end = end;
+    this.category = category;
+    this.severity = severity;
+    this.message = message;
+    this.suggestion = suggestion;
+    this.source = source;
+    this.text = text;
+  }
+
+  /**
+   * An Annotation from stored JSON, or the annotation itself
+   */
+  static from(data) {
+    return data instanceof Annotation ? data : new Annotation(data);
+  }
+
+  /**
+   * One annotation per span, each quoting the span's text
+   * @param {Array<{start: number, end: number, text: string}>} spans
+   * @param {Object} fields - Everything but the offsets; message and suggestion may be functions of the span
+   * @returns {Array<Object>} Annotations as JSON
+   */
+  static fromSpans(spans, { message, suggestion = null, ...fields }) {
+    return spans.map(span => new Annotation({
+      ...fields,
+      start: span.start,
+      end: span.end,
+      text: span.text,
+      message: typeof message === 'function' ? message(span) : message,
+      suggestion: typeof suggestion === 'function' ? suggestion(span) : suggestion
+    }).toJSON());
+  }
+
+  /**
+   * Annotations from several analyzers in text order; earlier and longer spans first
+   * @returns {Array<Object>} Annotations as JSON
+   */
+  static collect(...lists) {
+    return lists.flat()
+      .filter(Boolean)
+      .map(annotation => Annotation.from(annotation).toJSON())
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+  }
+
+  /**
+   * Character ranges of every match of a pattern, optionally only within a range of the text
+   * @returns {Array<{start: number, end: number, text: string}>}
+   */
+  static findSpans(text, pattern, within = { start: 0, end: text.length }) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    return [...text.slice(within.start, within.end).matchAll(new RegExp(pattern.source, flags))]
+      .map(match => ({ start: within.start + match.index, end: within.start + match.index + match[0].length, text: match[0] }));
+  }
+
+  /**
+   * Whole-word, case-insensitive matches of any of the words, in text order
+   */
+  static wordSpans(text, words) {
+    return words
+      .flatMap(word => Annotation.findSpans(text, new RegExp(`\\b${word}\\b`, 'gi')))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Non-empty paragraphs, split on blank lines as the analyzers do, with their ranges
+   */
+  static paragraphSpans(text) {
+    let offset = 0;
+    return text.split('\n\n')
+      .map(paragraph => {
+        const span = { start: offset, end: offset + paragraph.length, text: paragraph };
+        offset += paragraph.length + 2;
+        return span;
+      })
+      .filter(span => span.text.trim().length > 0);
+  }
+
+  /**
+   * Non-empty sentences, split on . ! ? as the analyzers do, trimmed of
+   * surrounding whitespace. index counts every piece of the split, blank ones
+   * included, to match the sentence numbers analyzers report.
+   * @returns {Array<{start: number, end: number, text: string, index: number}>}
+   */
+  static sentenceSpans(text) {
+    const spans = [];
+    let offset = 0;
+    const boundaries = [...text.matchAll(/[.!?]+/g), { index: text.length, 0: '' }];
+    boundaries.forEach((boundary, index) => {
+      const piece = text.slice(offset, boundary.index);
+      const trimmed = piece.trim();
+      if (trimmed.length > 0) {
+        const start = offset + piece.length - piece.trimStart().length;
+        spans.push({ start, end: start + trimmed.length, text: trimmed, index });
+      }
+      offset = boundary.index + boundary[0].length;
+    });
+    return spans;
+  }
+
+  toJSON() {
+    return {
+      start: this.start,
+      end: this.end,
+      category: this.category,
+      severity: this.severity,
+      message: this.message,
+      suggestion: this.suggestion,
+      source: this.source,
+      text: this.text
+    };
+  }
+}
@@ -0,0 +1,452 @@
+import CSVParser from '../utils/csvParser.js';
+import { PromptRelevance } from './analyzers/PromptRelevance.js';
+
+const MAX_QUESTIONS = 200;
+const TYPES = ['text', 'numeric', 'keywords'];
+
+// Spreadsheet columns of an answer key; one row per question
+const QUESTION_COLUMNS = ['number', 'question_number', 'no', 'q', 'item', 'question'];
+const ANSWER_COLUMNS = ['answer', 'answers', 'accepted_answers', 'correct_answer', 'key'];
+const TYPE_COLUMNS = ['type', 'question_type'];
+const TOLERANCE_COLUMNS = ['tolerance', 'margin'];
+const KEYWORD_COLUMNS = ['keywords', 'key_words', 'key_terms'];
+const MIN_KEYWORD_COLUMNS = ['min_keywords', 'keywords_needed', 'required_keywords'];
+const POINTS_COLUMNS = ['points', 'point_value', 'marks', 'value'];
+
+// What a question is numbered with once "Q" and punctuation are dropped (see questionNumber)
+const QUESTION_NUMBER = /^\d{1,3}[a-z]?$/;
+// "1.", "1)", "(1)", "2a:", "Q3.", "Question 4:" at the start of a line; "1.5" on its own line is an answer
+const NUMBERED_LINE = /^[ \t]*(?:(?:q|question|problem)\s*\.?\s*)?\(?(\d{1,3}[a-z]?)\s*[.):](?!\d)/gim;
+// "Q3" or "Question 4" at the start of a line with nothing after the number
+const LABELLED_LINE = /^[ \t]*(?:q|question|problem)\s*\.?\s*(\d{1,3}[a-z]?)\b/gim;
+// "1. red 2. blue" on one line, for worksheets written without line breaks
+const NUMBERED_INLINE = /(?<=^|\s)\(?(\d{1,3}[a-z]?)[.)](?!\d)(?=\s)/gim;
+// "Answer: 42", "Ans - 42", "A: 42" on a line of its own
+const ANSWER_LABEL = /^[ \t]*(?:answer|ans|a)\s*[:\-–]\s*/gim;
+// "Answer: 42" after the question on the same line; a bare "a:" there is more likely a choice
+const INLINE_ANSWER_LABEL = /^\s*(?:answer|ans)\s*[:\-–]\s*/i;
+// 1,200 or -3.5 or .5 or 3/4
+const NUMBER_PATTERN = /[-−]?(?:\d[\d,]*(?:\.\d+)?|\.\d+)(?:\s*\/\s*\d+(?:\.\d+)?)?/g;
+// "b", "(b)", "b)" or "b. oxygen" as the answer to a multiple-choice question, but not "a lot of people"
+const CHOICE_PATTERN = /^\(?([a-z])(?:[.):]|$)/i;
+// Lead-ins stripped from a text answer before it is compared, as normalizeText leaves them ("It's Paris.")
+const LEAD_IN = /^(?:(?:my|the) answer is|answer is|it is|its|it was|this is|that is|they are|i think)(?: that)? /;
+// Questions fewer than this share of the class got fully right are listed as most missed
+const MISSED_SHARE = 0.5;
+// Wrong answers given by at least this many students are reported as common
+const COMMON_WRONG_ANSWER = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+const normalizeText = (value) => String(value).toLowerCase()
+  .replace(/[’']/g, '')
+  .replace(/[^\p{L}\p{N}.\-\s]|(?<!\d)[.\-]|[.\-](?!\d)/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^(?:the|an|a) /, '');
+
+/**
+ * A teacher's answer key for a worksheet: per question, the accepted answers,
+ * a tolerance for numeric answers or keyword sets for short answers, and its
+ * point value. Responses are found by their question numbers and graded
+ * question by question; short answers earn partial credit for the keywords
+ * they use.
+ */
+export class AnswerKey {
+  /**
+   * @param {Object} data
+   * @param {string} [data.title]
+   * @param {Array<Object>} data.questions - { question, type, answers, tolerance, keywords, minKeywords, points }.
+   *   type is 'text', 'numeric' or 'keywords', guessed from the rest when missing. Tolerance is
+   *   a number or a percentage ("5%"); keywords are PromptRelevance concepts, alternatives and all.
+   */
+  constructor({ title = '', questions }) {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      throw new Error('Answer key requires at least one question');
+    }
+    if (questions.length > MAX_QUESTIONS) {
+      throw new Error(`${questions.length} questions given; the limit is ${MAX_QUESTIONS}`);
+    }
+
+    this.title = title ? String(title).trim() : '';
+    const seen = new Set();
+    this.questions = questions.map((question, index) => {
+      const normalized = AnswerKey.normalizeQuestion(question, index);
+      if (seen.has(normalized.question)) {
+        throw new Error(`Answer key repeats question ${normalized.question}`);
+      }
+      seen.add(normalized.question);
+      return normalized;
+    });
+  }
+
+  /**
+   * Accepts an AnswerKey or its JSON (e.g. after crossing into a worker thread)
+   */
+  static from(data) {
+    return data instanceof AnswerKey ? data : new AnswerKey(data);
+  }
+
+  /**
+   * Build an answer key from a spreadsheet with one row per question. Columns:
+   * Question, Answer (alternatives separated by "|"), and optionally Type,
+   * Tolerance, Keywords ("evaporation | vapour, heat"), Min Keywords and Points.
+   * @param {string|Buffer} source - CSV contents
+   */
+  static fromCSV(source, { title = '' } = {}) {
+    const records = CSVParser.parseRecords(source);
+    const pick = (record, names) => record[names.find(name => record[name])] || '';
+
+    if (records.length === 0) {
+      throw new Error('Answer key CSV has no question rows');
+    }
+    return new AnswerKey({
+      title,
+      questions: records.map((record, index) => {
+        // A "Question" column may hold the question itself; rows are then numbered in order
+        const number = pick(record, QUESTION_COLUMNS);
+        return {
+          question: QUESTION_NUMBER.test(AnswerKey.questionNumber(number)) ? number : String(index + 1),
+          type: pick(record, TYPE_COLUMNS) || undefined,
+          answers: pick(record, ANSWER_COLUMNS).split('|'),
+          tolerance: pick(record, TOLERANCE_COLUMNS) || undefined,
+          keywords: pick(record, KEYWORD_COLUMNS),
+          minKeywords: pick(record, MIN_KEYWORD_COLUMNS) || undefined,
+          points: pick(record, POINTS_COLUMNS) || undefined
+        };
+      })
+    });
+  }
+
+  /**
+   * "Q3.", "Question 3" and " 3) " all name question "3"
+   */
+  static questionNumber(value) {
+    return String(value ?? '').trim().toLowerCase()
+      .replace(/^(?:q|question|problem)\s*\.?\s*/, '')
+      .replace(/^\(|[.):\s]+$/g, '');
+  }
+
+  static normalizeQuestion(data, index) {
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Answer key question ${index + 1} should be an object`);
+    }
+    const question = AnswerKey.questionNumber(data.question ?? index + 1);
+    const position = `Answer key question ${question || index + 1}`;
+    if (!QUESTION_NUMBER.test(question)) {
+      throw new Error(`Answer key question ${index + 1} should be numbered like "3" or "3a", not "${data.question}"`);
+    }
+
+    const answers = (Array.isArray(data.answers) ? data.answers : [data.answers ?? data.answer])
+      .filter(answer => answer !== null && answer !== undefined)
+      .map(answer => String(answer).trim())
+      .filter(Boolean);
+    let keywords;
+    try {
+      keywords = PromptRelevance.parseConcepts(data.keywords);
+    } catch (error) {
+      throw new Error(`${position}: ${error.message}`);
+    }
+
+    const numeric = answers.length > 0 && answers.every(answer => AnswerKey.parseNumber(answer) !== null);
+    const type = data.type ? String(data.type).trim().toLowerCase() : keywords.length > 0 ? 'keywords' : numeric ? 'numeric' : 'text';
+    if (!TYPES.includes(type)) {
+      throw new Error(`${position} has unknown type "${data.type}"; expected one of ${TYPES.join(', ')}`);
+    }
+    if (type === 'keywords' ? keywords.length === 0 : answers.length === 0) {
+      throw new Error(`${position} needs ${type === 'keywords' ? 'keywords' : 'an accepted answer'}`);
+    }
+    if (type === 'numeric' && !numeric) {
+      throw new Error(`${position} is numeric but its answers are not all numbers`);
+    }
+
+    const points = data.points === undefined || data.points === null ? 1 : Number(data.points);
+    if (!Number.isFinite(points) || points <= 0) {
+      throw new Error(`${position} needs a positive point value`);
+    }
+
+    const normalized = { question, type, answers, points };
+    if (type === 'numeric') {
+      normalized.tolerance = AnswerKey.parseTolerance(data.tolerance, position);
+    }
+    if (type === 'keywords') {
+      const minKeywords = data.minKeywords === undefined || data.minKeywords === null ? keywords.length : Number(data.minKeywords);
+      if (!Number.isInteger(minKeywords) || minKeywords < 1 || minKeywords > keywords.length) {
+        throw new Error(`${position} needs between 1 and ${keywords.length} keywords for full credit`);
+      }
+      Object.assign(normalized, { keywords, minKeywords });
+    }
+    return normalized;
+  }
+
+  /**
+   * Absolute tolerance as a number, or relative as "5%"
+   */
+  static parseTolerance(value, position) {
+    if (value === undefined || value === null || value === '') return 0;
+    const text = String(value).trim();
+    const amount = Number(text.replace(/%$/, ''));
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`${position} has an invalid tolerance "${value}"`);
+    }
+    return text.endsWith('%') ? `${amount}%` : amount;
+  }
+
+  /**
+   * The value of a number as written: "1,200", "-3.5", ".5" or "3/4"; null when it is not one
+   */
+  static parseNumber(value) {
+    const text = String(value).trim().replace(/−/g, '-').replace(/,/g, '');
+    const match = text.match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))(?:\s*\/\s*(\d+(?:\.\d+)?))?%?$/);
+    if (!match) return null;
+    const number = match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Split a worksheet into its responses by question number. Numbers at the
+   * start of a line ("1.", "2)", "Q3:", "Question 4") are preferred; numbers
+   * mid-line are used when no two lines are numbered. A repeated number is
+   * part of the response before it.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {Array<string>} [options.questions] - Only these numbers start a response
+   * @returns {Array<Object>} { question, start, end, text, answer } in text order. answer is the
+   *   span of the response that answers it (see answerSpan), or null when the question was left blank.
+   */
+  static responses(text, { questions = null } = {}) {
+    const known = questions ? new Set(questions) : null;
+    const markers = (patterns) => {
+      const seen = new Set();
+      return patterns
+        .flatMap(pattern => [...text.matchAll(pattern)].map(match => ({
+          question: match[1].toLowerCase(),
+          start: match.index,
+          end: match.index + match[0].length
+        })))
+        .sort((a, b) => a.start - b.start || b.end - a.end)
+        .filter(marker => {
+          if (seen.has(marker.question) || (known && !known.has(marker.question))) return false;
+          seen.add(marker.question);
+          return true;
+        });
+    };
+
+    const lines = markers([NUMBERED_LINE, LABELLED_LINE]);
+    const inline = lines.length < 2 ? markers([NUMBERED_INLINE]) : [];
+    const found = inline.length > lines.length ? inline : lines;
+
+    return found.map((marker, index) => {
+      const end = index + 1 < found.length ? found[index + 1].start : text.length;
+      const piece = text.slice(marker.end, end);
+      const start = marker.end + piece.length - piece.trimStart().length;
+      const response = { start, end: start + piece.trim().length, text: piece.trim() };
+      return { question: marker.question, ...response, answer: AnswerKey.answerSpan(text, response) };
+    });
+  }
+
+  /**
+   * The part of a response that answers the question: what follows an
+   * "Answer:" label, or else what follows a copied-out question ending in "?".
+   * A question with nothing after it, or only underscores, was left blank.
+   */
+  static answerSpan(text, response) {
+    let offset = 0;
+    const labels = [...response.text.matchAll(ANSWER_LABEL)];
+    if (labels.length > 0) {
+      const last = labels[labels.length - 1];
+      offset = last.index + last[0].length;
+    } else if (response.text.includes('?')) {
+      offset = response.text.lastIndexOf('?') + 1;
+      offset += response.text.slice(offset).match(INLINE_ANSWER_LABEL)?.[0].length || 0;
+    }
+
+    const piece = response.text.slice(offset);
+    const trimmed = piece.replace(/^[\s_]+|[\s_]+$/g, '');
+    if (!trimmed) return null;
+    const start = response.start + offset + piece.indexOf(trimmed);
+    return { start, end: start + trimmed.length, text: text.slice(start, start + trimmed.length) };
+  }
+
+  /**
+   * Grade a worksheet question by question
+   * @param {string} text - The submission
+   * @returns {Object} { items, earnedPoints, totalPoints, score, correctCount, answeredCount }.
+   *   Each item is { question, type, points, earned, status, answer, start, end, expected, matched, missing };
+   *   status is 'correct', 'partial', 'incorrect' or 'unanswered', and start/end locate the answer.
+   */
+  grade(text) {
+    const responses = new Map(AnswerKey.responses(text, { questions: this.questions.map(question => question.question) })
+      .map(response => [response.question, response]));
+
+    const items = this.questions.map(question => {
+      const answer = responses.get(question.question)?.answer || null;
+      const base = { question: question.question, type: question.type, points: question.points, expected: this.expected(question) };
+      if (!answer) {
+        return { ...base, earned: 0, status: 'unanswered', answer: null, start: null, end: null, matched: [], missing: [] };
+      }
+
+      const { credit, matched = [], missing = [] } = this.check(question, answer.text);
+      const earned = round(question.points * credit);
+      return {
+        ...base,
+        earned,
+        status: credit >= 1 ? 'correct' : credit > 0 ? 'partial' : 'incorrect',
+        answer: answer.text,
+        start: answer.start,
+        end: answer.end,
+        matched,
+        missing
+      };
+    });
+
+    const totalPoints = this.questions.reduce((sum, question) => sum + question.points, 0);
+    const earnedPoints = round(items.reduce((sum, item) => sum + item.earned, 0));
+    return {
+      items,
+      earnedPoints,
+      totalPoints,
+      score: round(earnedPoints / totalPoints),
+      correctCount: items.filter(item => item.status === 'correct').length,
+      answeredCount: items.filter(item => item.status !== 'unanswered').length
+    };
+  }
+
+  /**
+   * Share of a question's points an answer earns, with the keywords it used and missed
+   */
+  check(question, answer) {
+    if (question.type === 'numeric') {
+      // The value after the last "=", else the first number given ("9.8 m/s2" is 9.8)
+      const equals = answer.lastIndexOf('=');
+      const [written] = answer.slice(equals + 1).match(NUMBER_PATTERN) || [];
+      const value = written === undefined ? null : AnswerKey.parseNumber(written);
+      const close = value !== null && question.answers.some(accepted => {
+        const expected = AnswerKey.parseNumber(accepted);
+        const margin = typeof question.tolerance === 'string'
+          ? Math.abs(expected) * parseFloat(question.tolerance) / 100
+          : question.tolerance;
+        return Math.abs(value - expected) <= margin + 1e-9;
+      });
+      return { credit: close ? 1 : 0 };
+    }
+
+    if (question.type === 'keywords') {
+      const { concepts } = new PromptRelevance().measure(answer, { requiredConcepts: question.keywords });
+      const matched = concepts.filter(concept => concept.addressed).map(concept => concept.name);
+      return {
+        credit: Math.min(1, matched.length / question.minKeywords),
+        matched,
+        missing: concepts.filter(concept => !concept.addressed).map(concept => concept.name)
+      };
+    }
+
+    // Single letters are multiple-choice options; other answers must match one accepted answer
+    // as a whole, so listing every option or negating the answer earns nothing
+    const given = normalizeText(normalizeText(answer).replace(LEAD_IN, ''));
+    const choice = answer.trim().match(CHOICE_PATTERN)?.[1].toLowerCase();
+    const right = question.answers.some(accepted => {
+      const expected = normalizeText(accepted);
+      if (/^[a-z]$/.test(expected)) return choice === expected;
+      return given === expected;
+    });
+    return { credit: right ? 1 : 0 };
+  }
+
+  /**
+   * The expected answer as shown to teachers and students
+   */
+  expected(question) {
+    if (question.type === 'keywords') {
+      return question.minKeywords < question.keywords.length
+        ? `${question.minKeywords} of: ${question.keywords.map(keyword => keyword.name).join(', ')}`
+        : question.keywords.map(keyword => keyword.name).join(', ');
+    }
+    const answers = question.answers.join(' or ');
+    return question.type === 'numeric' && question.tolerance ? `${answers} (± ${question.tolerance})` : answers;
+  }
+
+  /**
+   * How the class did on each question of a graded worksheet batch
+   * @param {Array<Object>} results - Processed submissions; worksheets graded with a key are counted
+   * @returns {Object|null} { gradedCount, averageScore, questions, mostMissed }, or null when nothing
+   *   was graded. Each question is { question, type, points, expected, correctCount, partialCount,
+   *   incorrectCount, unansweredCount, correctShare, averagePoints, missedBy, commonWrongAnswers };
+   *   mostMissed lists the questions fewer than half the class got right, the most missed first.
+   */
+  static itemAnalysis(results) {
+    const graded = results
+      .map(result => ({ result, accuracy: result.analysis?.assignmentAnalysis?.accuracy }))
+      .filter(({ accuracy }) => accuracy?.graded);
+    if (graded.length === 0) return null;
+
+    const questions = new Map();
+    graded.forEach(({ result, accuracy }) => accuracy.items.forEach(item => {
+      if (!questions.has(item.question)) {
+        questions.set(item.question, {
+          question: item.question,
+          type: item.type,
+          points: item.points,
+          expected: item.expected,
+          items: [],
+          missedBy: []
+        });
+      }
+      const entry = questions.get(item.question);
+      entry.items.push(item);
+      if (item.status !== 'correct') entry.missedBy.push(result.studentName || result.fileName);
+    }));
+
+    const summaries = [...questions.values()].map(({ items, ...entry }) => {
+      const count = (status) => items.filter(item => item.status === status).length;
+      // Keyword answers are worded differently by everyone, so only short answers are compared
+      const wrong = items
+        .filter(item => item.status === 'incorrect' && item.type !== 'keywords')
+        .reduce((counts, item) => {
+          const answer = normalizeText(item.answer);
+          return counts.set(answer, (counts.get(answer) || 0) + 1);
+        }, new Map());
+
+      return {
+        ...entry,
+        correctCount: count('correct'),
+        partialCount: count('partial'),
+        incorrectCount: count('incorrect'),
+        unansweredCount: count('unanswered'),
+        correctShare: round(count('correct') / items.length),
+        averagePoints: round(items.reduce((sum, item) => sum + item.earned, 0) / items.length),
+        commonWrongAnswers: [...wrong.entries()]
+          .filter(([, times]) => times >= COMMON_WRONG_ANSWER)
+          .sort((a, b) => b[1] - a[1])
+          .map(([answer, times]) => ({ answer, count: times }))
+      };
+    });
+
+    return {
+      gradedCount: graded.length,
+      averageScore: round(graded.reduce((sum, { accuracy }) => sum + accuracy.score, 0) / graded.length),
+      questions: summaries,
+      mostMissed: summaries
+        .filter(summary => summary.correctShare < MISSED_SHARE)
+        .sort((a, b) => a.correctShare - b.correctShare)
+        .map(summary => summary.question)
+    };
+  }
+
+  /**
+   * Summary for API listings
+   */
+  describe() {
+    return {
+      title: this.title,
+      questionCount: this.questions.length,
+      totalPoints: this.questions.reduce((sum, question) => sum + question.points, 0)
+    };
+  }
+
+  toJSON() {
+    return {
+      title: this.title,
+      questions: this.questions
+    };
+  }
+}
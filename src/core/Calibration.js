@@ -0,0 +1,384 @@
+import path from 'path';
+import CSVParser from '../utils/csvParser.js';
+import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+
+// Fewer hand-graded samples than this can't say much about the weights
+const MIN_SAMPLES = 5;
+
+// The default weights count as this many samples, so small calibration sets stay close to them
+const PRIOR_SAMPLES = 2;
+
+// Held-out agreement refits once per fold rather than once per sample; sets this small are left out one at a time
+const CROSS_VALIDATION_FOLDS = 5;
+
+const FIT_ITERATIONS = 3000;
+const RIDGE = 0.001;
+
+// Grade spreadsheet columns
+const FILE_COLUMNS = ['file', 'file_name', 'filename', 'submission', 'name'];
+const GRADE_COLUMNS = ['grade', 'score', 'level', 'teacher_grade', 'mark'];
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+const percent = (count, total) => (total > 0 ? Math.round(count / total * 100) : 0);
+const fileKey = (name) => path.basename(String(name)).toLowerCase();
+const stem = (name) => fileKey(name).replace(/\.[^.]+$/, '');
+
+/**
+ * Dimension weights and score-to-level cut points learned from essays a
+ * teacher has graded by hand. fit() regresses the teacher's levels on the
+ * dimension scores (non-negative least squares, shrunk towards the default
+ * weights), then places cut points on the resulting overall scores so as
+ * many samples as possible land on the teacher's level. A calibration is
+ * stored per assignment and replaces the default weights for its batches.
+ */
+export class Calibration {
+  static MIN_SAMPLES = MIN_SAMPLES;
+  static CROSS_VALIDATION_FOLDS = CROSS_VALIDATION_FOLDS;
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.weights - Weight per dimension, e.g. { structure: 0.4, clarity: 0.6 }
+   * @param {Array<Object>} data.levels - { label, minScore }, highest first; the lowest starts at 0
+   * @param {Object} [data.agreement] - { baseline, calibrated, crossValidated } agreement with the teacher
+   * @param {Array<Object>} [data.samples] - { name, grade, score, level } for each graded sample
+   */
+  constructor({ weights, levels, agreement = null, samples = [], fittedAt = null }) {
+    const entries = Object.entries(weights || {});
+    entries.forEach(([dimension, weight]) => {
+      if (EvaluationDimensions.toDimension(dimension) !== dimension) {
+        throw new Error(`Calibration uses unknown dimension "${dimension}"`);
+      }
+      if (typeof weight !== 'number' || !(weight >= 0)) {
+        throw new Error(`Calibration weight for ${dimension} must be a number of at least 0`);
+      }
+    });
+    if (entries.reduce((sum, [, weight]) => sum + weight, 0) <= 0) {
+      throw new Error('Calibration needs at least one dimension with a positive weight');
+    }
+
+    if (!Array.isArray(levels) || levels.length < 2) {
+      throw new Error('Calibration needs at least two levels');
+    }
+    const sorted = [...levels]
+      .map(level => ({ label: String(level.label), minScore: Number(level.minScore) }))
+      .sort((a, b) => b.minScore - a.minScore);
+    if (sorted[sorted.length - 1].minScore !== 0) {
+      throw new Error('Calibration needs a level with minScore 0');
+    }
+
+    this.weights = Object.fromEntries(entries);
+    this.levels = sorted;
+    this.agreement = agreement;
+    this.samples = samples;
+    this.fittedAt = fittedAt;
+  }
+
+  /**
+   * Accepts a Calibration or its JSON (e.g. after crossing into a worker thread)
+   */
+  static from(data) {
+    return data instanceof Calibration ? data : new Calibration(data);
+  }
+
+  /**
+   * Learn weights and cut points from hand-graded samples
+   * @param {Array<Object>} samples - { name, grade, scores: { dimension: 0–1 }, wordCount }
+   * @param {Object} [options]
+   * @param {Array<string>} [options.levels] - The teacher's levels, lowest first; defaults to the
+   *   whole numbers from the lowest to the highest numeric grade
+   * @param {Array<string>} [options.dimensions] - Dimensions to weight; an empty list means all
+   * @returns {Calibration}
+   */
+  static fit(samples, { levels = null, dimensions = [] } = {}) {
+    if (!Array.isArray(samples) || samples.length < MIN_SAMPLES) {
+      throw new Error(`Calibration needs at least ${MIN_SAMPLES} graded samples (got ${samples?.length || 0})`);
+    }
+
+    const labels = Calibration.levelLabels(samples.map(sample => sample.grade), levels);
+    const targets = samples.map(sample => {
+      const index = labels.findIndex(label => label.toLowerCase() === String(sample.grade).trim().toLowerCase());
+      if (index === -1) {
+        throw new Error(`Sample "${sample.name}" has grade "${sample.grade}", which is not one of the levels ${labels.join(', ')}`);
+      }
+      return index;
+    });
+    if (new Set(targets).size < 2) {
+      throw new Error('Calibration samples need at least two different grades');
+    }
+
+    const defaults = new EvaluationDimensions().criteriaWeights(dimensions);
+    const names = Object.keys(defaults);
+    // Features are what evaluate() weights: each dimension score after the length penalty
+    const features = samples.map(sample => names.map(name =>
+      (sample.scores[name] ?? 0) * EvaluationDimensions.lengthPenalty(sample.wordCount)));
+
+    const model = Calibration.fitModel(features, targets, labels.length, Object.values(defaults));
+    const baselineWeights = Calibration.normalize(Object.values(defaults));
+    const baseline = features.map(row => Calibration.combine(row, baselineWeights));
+    const evenCuts = labels.slice(1).map((label, index) => (index + 1) / labels.length);
+
+    // Each sample is predicted by a model fitted without its fold, as a check on overfitting.
+    // Folds take every k-th sample, so a grades sheet sorted by grade still spreads each level across them.
+    const folds = Math.min(CROSS_VALIDATION_FOLDS, samples.length);
+    const heldOut = new Array(samples.length);
+    for (let fold = 0; fold < folds; fold++) {
+      const others = (list) => list.filter((item, index) => index % folds !== fold);
+      const { weights, cuts } = Calibration.fitModel(others(features), others(targets), labels.length, Object.values(defaults));
+      features.forEach((row, index) => {
+        if (index % folds === fold) {
+          heldOut[index] = Calibration.levelIndex(Calibration.combine(row, weights), cuts);
+        }
+      });
+    }
+
+    const scores = features.map(row => Calibration.combine(row, model.weights));
+    const predicted = scores.map(score => Calibration.levelIndex(score, model.cuts));
+
+    return new Calibration({
+      weights: Object.fromEntries(names.map((name, index) => [name, round(model.weights[index])])),
+      levels: labels
+        .map((label, index) => ({ label, minScore: index === 0 ? 0 : round(model.cuts[index - 1]) }))
+        .reverse(),
+      agreement: {
+        sampleCount: samples.length,
+        baseline: Calibration.agreementStats(targets, baseline.map(score => Calibration.levelIndex(score, evenCuts)), labels.length),
+        calibrated: Calibration.agreementStats(targets, predicted, labels.length),
+        crossValidated: Calibration.agreementStats(targets, heldOut, labels.length)
+      },
+      samples: samples.map((sample, index) => ({
+        name: sample.name,
+        grade: labels[targets[index]],
+        score: round(scores[index]),
+        level: labels[predicted[index]]
+      })),
+      fittedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Ordered level labels for a set of grades
+   */
+  static levelLabels(grades, levels) {
+    if (levels && levels.length > 0) {
+      const labels = levels.map(level => String(level).trim()).filter(Boolean);
+      if (labels.length < 2) {
+        throw new Error('Calibration needs at least two levels');
+      }
+      return labels;
+    }
+
+    if (grades.some(grade => String(grade).trim() === '' || !Number.isInteger(Number(grade)))) {
+      throw new Error('Grades are not all whole numbers; list the levels from lowest to highest');
+    }
+    const numbers = grades.map(grade => Number(grade));
+    const lowest = Math.min(...numbers);
+    const highest = Math.max(...numbers);
+    return Array.from({ length: highest - lowest + 1 }, (value, index) => String(lowest + index));
+  }
+
+  /**
+   * Weights (summing to 1) and ascending cut points for feature rows and level indexes
+   */
+  static fitModel(features, targets, levelCount, defaults) {
+    const fitted = Calibration.nonNegativeLeastSquares(features, targets.map(target => target / (levelCount - 1)));
+    const prior = Calibration.normalize(defaults);
+    const total = fitted.reduce((sum, weight) => sum + weight, 0);
+
+    // No dimension tracks the teacher's grades: keep the defaults
+    const weights = total > 0
+      ? fitted.map((weight, index) => (weight / total * features.length + prior[index] * PRIOR_SAMPLES) / (features.length + PRIOR_SAMPLES))
+      : prior;
+
+    const scores = features.map(row => Calibration.combine(row, weights));
+    return { weights, cuts: Calibration.fitCuts(scores, targets, levelCount) };
+  }
+
+  /**
+   * Coefficients >= 0 for y ≈ intercept + X·b, by projected gradient descent
+   * on centred data. Only their ratios matter, as the weights are normalised.
+   */
+  static nonNegativeLeastSquares(features, targets) {
+    const columns = features[0].length;
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const columnMeans = Array.from({ length: columns }, (value, column) => mean(features.map(row => row[column])));
+    const x = features.map(row => row.map((value, column) => value - columnMeans[column]));
+    const targetMean = mean(targets);
+    const y = targets.map(target => target - targetMean);
+
+    const scale = x.reduce((sum, row) => sum + row.reduce((rowSum, value) => rowSum + value * value, 0), 0) + RIDGE;
+    const step = 1 / (2 * scale);
+    let coefficients = new Array(columns).fill(0);
+
+    for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+      const residuals = x.map((row, index) => row.reduce((sum, value, column) => sum + value * coefficients[column], 0) - y[index]);
+      coefficients = coefficients.map((coefficient, column) => {
+        const gradient = 2 * x.reduce((sum, row, index) => sum + row[column] * residuals[index], 0) + 2 * RIDGE * coefficient;
+        return Math.max(0, coefficient - step * gradient);
+      });
+    }
+
+    return coefficients;
+  }
+
+  /**
+   * Ascending cut points that put the most samples on (or next to) the teacher's
+   * level: levels must rise with the score, and the total distance between
+   * predicted and teacher levels is minimised over every such assignment.
+   */
+  static fitCuts(scores, targets, levelCount) {
+    // Samples with the same score must share a level
+    const groups = [...new Set(scores)].sort((a, b) => a - b).map(score => ({
+      score,
+      targets: targets.filter((target, index) => scores[index] === score)
+    }));
+    const cost = (group, level) => group.targets.reduce((sum, target) => sum + Math.abs(level - target), 0);
+
+    // best[g][level]: least total distance for groups 0..g with group g on level
+    const best = [];
+    const from = [];
+    groups.forEach((group, g) => {
+      best[g] = [];
+      from[g] = [];
+      for (let level = 0; level < levelCount; level++) {
+        let previous = 0;
+        if (g > 0) {
+          previous = Infinity;
+          for (let lower = 0; lower <= level; lower++) {
+            if (best[g - 1][lower] < previous) {
+              previous = best[g - 1][lower];
+              from[g][level] = lower;
+            }
+          }
+        }
+        best[g][level] = previous + cost(group, level);
+      }
+    });
+
+    const assigned = new Array(groups.length);
+    let level = best[groups.length - 1].indexOf(Math.min(...best[groups.length - 1]));
+    for (let g = groups.length - 1; g >= 0; g--) {
+      assigned[g] = level;
+      level = from[g][level];
+    }
+
+    // Levels k..m with no sample between the same two scores share their gap evenly
+    const bounds = Array.from({ length: levelCount - 1 }, (value, index) => {
+      const below = groups.filter((group, g) => assigned[g] <= index);
+      const above = groups.filter((group, g) => assigned[g] > index);
+      return {
+        low: below.length > 0 ? below[below.length - 1].score : 0,
+        high: above.length > 0 ? above[0].score : 1
+      };
+    });
+
+    return bounds.map((bound, index) => {
+      const shared = bounds.filter(other => other.low === bound.low && other.high === bound.high);
+      const position = shared.indexOf(bound) + 1;
+      return bound.low + (bound.high - bound.low) * position / (shared.length + 1);
+    });
+  }
+
+  /**
+   * Exact and adjacent agreement (percent) and quadratic weighted kappa
+   * between the teacher's level indexes and predicted ones
+   */
+  static agreementStats(expected, predicted, levelCount) {
+    const total = expected.length;
+    const exact = expected.filter((level, index) => level === predicted[index]).length;
+    const adjacent = expected.filter((level, index) => Math.abs(level - predicted[index]) <= 1).length;
+
+    const histogram = (levels) => Array.from({ length: levelCount }, (value, level) => levels.filter(item => item === level).length);
+    const expectedCounts = histogram(expected);
+    const predictedCounts = histogram(predicted);
+    const penalty = (a, b) => ((a - b) / (levelCount - 1)) ** 2;
+
+    const observed = expected.reduce((sum, level, index) => sum + penalty(level, predicted[index]), 0);
+    let chance = 0;
+    expectedCounts.forEach((count, a) => predictedCounts.forEach((other, b) => {
+      chance += penalty(a, b) * count * other / total;
+    }));
+
+    return {
+      exactAgreement: percent(exact, total),
+      adjacentAgreement: percent(adjacent, total),
+      // Undefined when both sides put every sample on one level
+      qwk: chance > 0 ? round(1 - observed / chance, 3) : null
+    };
+  }
+
+  static normalize(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+  }
+
+  static combine(row, weights) {
+    return row.reduce((sum, value, index) => sum + value * weights[index], 0);
+  }
+
+  static levelIndex(score, cuts) {
+    return cuts.filter(cut => score >= cut).length;
+  }
+
+  /**
+   * Teacher grades keyed by lowercased file name, from a JSON object
+   * ({ "jane.docx": 3 }), a JSON list of { file, grade } or a CSV with
+   * file and grade columns
+   * @param {string|Object|Array} source
+   * @returns {Map<string, string>}
+   */
+  static parseGrades(source) {
+    let records = source;
+    if (typeof source === 'string' || Buffer.isBuffer(source)) {
+      const text = String(source).trim();
+      try {
+        records = JSON.parse(text);
+      } catch (error) {
+        records = CSVParser.parseRecords(text).map(record => ({
+          file: FILE_COLUMNS.map(column => record[column]).find(Boolean),
+          grade: GRADE_COLUMNS.map(column => record[column]).find(value => value !== undefined && value !== '')
+        }));
+      }
+    }
+    if (records && !Array.isArray(records) && typeof records === 'object') {
+      records = Object.entries(records).map(([file, grade]) => ({ file, grade }));
+    }
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error('Grades should be a CSV with file and grade columns, or a JSON object of file names to grades');
+    }
+
+    const grades = new Map();
+    records.forEach((record, index) => {
+      if (!record?.file || record.grade === undefined || record.grade === null || record.grade === '') {
+        throw new Error(`Grade row ${index + 1} needs a file name and a grade`);
+      }
+      grades.set(fileKey(record.file), String(record.grade).trim());
+    });
+    return grades;
+  }
+
+  /**
+   * The grade given to a file, matched by name with or without its extension
+   */
+  static gradeFor(grades, fileName) {
+    if (grades.has(fileKey(fileName))) return grades.get(fileKey(fileName));
+    const match = [...grades.keys()].find(key => stem(key) === stem(fileName));
+    return match ? grades.get(match) : null;
+  }
+
+  /**
+   * The teacher level an overall score falls on
+   */
+  levelFor(score) {
+    return (this.levels.find(level => score >= level.minScore) || this.levels[this.levels.length - 1]).label;
+  }
+
+  toJSON() {
+    return {
+      weights: this.weights,
+      levels: this.levels,
+      agreement: this.agreement,
+      samples: this.samples,
+      fittedAt: this.fittedAt
+    };
+  }
+}
@@ -0,0 +1,352 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+import { AssignmentAnalyzer } from './analyzers/AssignmentAnalyzer.js';
+import { GrammarChecker } from './analyzers/GrammarChecker.js';
+import { SpellChecker } from './analyzers/SpellChecker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT_DIR = path.join(path.dirname(__filename), '../..');
+
+const ASSIGNMENT_TYPES = Object.keys(AssignmentAnalyzer.SUB_ANALYSES);
+const DIMENSIONS = Object.keys(EvaluationDimensions.DEFAULT_WEIGHTS);
+const REPORT_FORMATS = ['html', 'json', 'csv', 'pdf'];
+const GRAMMAR_RULES = Object.keys(GrammarChecker.RULES);
+const [MIN_GRADE, MAX_GRADE] = GrammarChecker.GRADE_LEVELS;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+const SIZE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i;
+
+// Environment variables that override a single setting
+const ENV_OVERRIDES = {
+  PORT: 'server.port',
+  HOST: 'server.host',
+  MAX_FILE_SIZE: 'fileUpload.maxFileSize',
+  MAX_FILES: 'fileUpload.maxFiles',
+  ANALYSIS_CONCURRENCY: 'analysis.concurrency',
+  ANALYSIS_TIMEOUT_MS: 'analysis.taskTimeoutMs',
+  DEFAULT_EVALUATION_CRITERIA: 'analysis.defaultEvaluationCriteria',
+  DATABASE_PATH: 'database.path',
+  DEFAULT_GRADE_LEVEL: 'grammar.defaultGradeLevel',
+  SPELLING_LOCALE: 'spelling.locale',
+  SIMILARITY_THRESHOLD: 'similarity.threshold',
+  REPORTS_DIR: 'reports.outputDirectory'
+};
+
+/*
+ * Field rules: each returns the normalised value or throws a message
+ * describing what was expected. Lists given as env vars are comma-separated.
+ */
+const list = (value) => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value);
+
+const integer = ({ min = 1, max = Infinity, optional = false } = {}) => Object.assign((value) => {
+  if (optional && (value === null || value === '')) return null;
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(max === Infinity ? `must be an integer of at least ${min}` : `must be an integer from ${min} to ${max}`);
+  }
+  return number;
+}, { optional });
+
+const text = () => (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('must be a non-empty string');
+  }
+  return value;
+};
+
+const bool = () => (value) => {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  throw new Error('must be true or false');
+};
+
+const size = () => (value) => {
+  const match = typeof value === 'number' ? [null, String(value), 'B'] : SIZE_PATTERN.exec(String(value));
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error('must be a size such as "10MB" or a number of bytes');
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+const strings = ({ allowed = null, pattern = null, nonEmpty = true } = {}) => (value) => {
+  value = list(value);
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error('must be a list of strings');
+  }
+  if (nonEmpty && value.length === 0) {
+    throw new Error('must not be empty');
+  }
+  const invalid = value.filter(item => (allowed && !allowed.includes(item)) || (pattern && !pattern.test(item)));
+  if (invalid.length > 0) {
+    throw new Error(allowed
+      ? `has unknown value(s) ${invalid.map(item => `"${item}"`).join(', ')}; use ${allowed.join(', ')}`
+      : `has invalid value(s) ${invalid.map(item => `"${item}"`).join(', ')}`);
+  }
+  return value;
+};
+
+const oneOf = (allowed) => (value) => {
+  if (!allowed.includes(value)) {
+    throw new Error(`must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+};
+
+const fraction = () => (value) => {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !(number > 0 && number <= 1)) {
+    throw new Error('must be a number above 0 and at most 1');
+  }
+  return number;
+};
+
+// Per-rule grammar overrides: false to switch a rule off, or { enabled, grades: [from, to] }
+const grammarRules = () => (value) => {
+  if (!isObject(value)) {
+    throw new Error('must be an object of rule settings');
+  }
+  const grade = integer({ min: MIN_GRADE, max: MAX_GRADE });
+  return Object.fromEntries(Object.entries(value).map(([id, setting]) => {
+    if (!GRAMMAR_RULES.includes(id)) {
+      throw new Error(`has unknown rule "${id}"; use ${GRAMMAR_RULES.join(', ')}`);
+    }
+    if (typeof setting === 'boolean') return [id, setting];
+    const { enabled = true, grades = GrammarChecker.RULES[id].grades, ...unknown } = isObject(setting) ? setting : { invalid: true };
+    if (Object.keys(unknown).length > 0 || typeof enabled !== 'boolean' || !Array.isArray(grades) || grades.length !== 2) {
+      throw new Error(`rule "${id}" must be true, false or { "enabled": true, "grades": [from, to] }`);
+    }
+    try {
+      grades.forEach(grade);
+    } catch (error) {
+      throw new Error(`rule "${id}" grades ${error.message}`);
+    }
+    if (grades[0] > grades[1]) {
+      throw new Error(`rule "${id}" grades must run from the lower grade to the higher`);
+    }
+    return [id, { enabled, grades }];
+  }));
+};
+
+const SCHEMA = {
+  server: {
+    port: integer({ min: 0 }),
+    host: text()
+  },
+  fileUpload: {
+    maxFileSize: size(),
+    maxFiles: integer(),
+    allowedTypes: strings(),
+    allowedExtensions: strings({ pattern: /^\.[a-z0-9]+$/ })
+  },
+  analysis: {
+    defaultAssignmentType: oneOf(ASSIGNMENT_TYPES),
+    defaultEvaluationCriteria: strings({ allowed: DIMENSIONS }),
+    supportedAssignmentTypes: strings({ allowed: ASSIGNMENT_TYPES }),
+    supportedDimensions: strings({ allowed: DIMENSIONS }),
+    concurrency: integer({ optional: true }),
+    taskTimeoutMs: integer({ min: 1000 })
+  },
+  database: {
+    path: text()
+  },
+  reports: {
+    defaultFormat: oneOf(REPORT_FORMATS),
+    supportedFormats: strings({ allowed: REPORT_FORMATS }),
+    outputDirectory: text(),
+    templatesDirectory: text()
+  },
+  feedback: {
+    scoreThresholds: {
+      high: fraction(),
+      medium: fraction(),
+      low: fraction()
+    },
+    maxSuggestionsPerStudent: integer(),
+    includeDetailedAnalysis: bool(),
+    includeStrengths: bool(),
+    includeImprovements: bool()
+  },
+  grammar: {
+    defaultGradeLevel: integer({ min: MIN_GRADE, max: MAX_GRADE, optional: true }),
+    rules: grammarRules()
+  },
+  spelling: {
+    enabled: bool(),
+    locale: oneOf(SpellChecker.LOCALES)
+  },
+  similarity: {
+    enabled: bool(),
+    threshold: fraction(),
+    shingleWords: integer({ min: 2 }),
+    window: integer()
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return merged;
+};
+
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    node[key] = isObject(node[key]) ? node[key] : {};
+    return node[key];
+  }, target);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const deepFreeze = (value) => {
+  if (isObject(value) || Array.isArray(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+let defaults = null;
+
+/**
+ * Application settings from config.json, validated once at startup.
+ * Later sources override earlier ones: config.json, config.<NODE_ENV>.json,
+ * config.local.json, the file named by CONFIG_FILE, then the environment
+ * variables in ENV_OVERRIDES. Core classes take the loaded settings as
+ * options.config and fall back to Config.defaults() (config.json alone).
+ */
+export class Config {
+  static ROOT_DIR = ROOT_DIR;
+
+  static ENV_OVERRIDES = ENV_OVERRIDES;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory holding config.json
+   * @param {Object} [options.env] - Environment variables
+   * @returns {Object} Frozen, validated settings
+   * @throws {Error} Listing every invalid setting
+   */
+  static load({ dir = ROOT_DIR, env = process.env } = {}) {
+    const files = [
+      'config.json',
+      env.NODE_ENV ? `config.${env.NODE_ENV}.json` : null,
+      'config.local.json'
+    ].filter(Boolean).map(file => path.join(dir, file));
+    const deploymentFile = env.CONFIG_FILE ? path.resolve(dir, env.CONFIG_FILE) : null;
+    if (deploymentFile) {
+      files.push(deploymentFile);
+    }
+
+    let settings = {};
+    files.forEach((file, index) => {
+      // Only config.json and an explicit CONFIG_FILE have to exist
+      const required = index === 0 || file === deploymentFile;
+      if (!fs.existsSync(file)) {
+        if (required) throw new Error(`Configuration file ${file} not found`);
+        return;
+      }
+      try {
+        settings = merge(settings, JSON.parse(fs.readFileSync(file, 'utf8')));
+      } catch (error) {
+        throw new Error(`Configuration file ${file} is not valid JSON: ${error.message}`);
+      }
+    });
+
+    Object.entries(ENV_OVERRIDES)
+      .filter(([name]) => env[name] !== undefined && env[name] !== '')
+      .forEach(([name, keyPath]) => setPath(settings, keyPath, env[name]));
+
+    return deepFreeze(Config.validate(settings));
+  }
+
+  /**
+   * Settings from config.json without deployment overrides, loaded once
+   */
+  static defaults() {
+    if (!defaults) {
+      defaults = Config.load({ env: {} });
+    }
+    return defaults;
+  }
+
+  /**
+   * Check settings against the schema and normalise them (sizes to bytes,
+   * comma-separated lists to arrays)
+   * @throws {Error} Listing every invalid setting
+   */
+  static validate(settings) {
+    const errors = [];
+
+    const check = (schema, value, prefix) => {
+      const result = {};
+      Object.entries(schema).forEach(([key, rule]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const current = isObject(value) ? value[key] : undefined;
+
+        if (isObject(rule)) {
+          if (current !== undefined && !isObject(current)) {
+            errors.push(`${keyPath} must be an object`);
+            return;
+          }
+          result[key] = check(rule, current || {}, keyPath);
+        } else if (current === undefined && rule.optional) {
+          result[key] = null;
+        } else if (current === undefined) {
+          errors.push(`${keyPath} is missing`);
+        } else {
+          try {
+            result[key] = rule(current);
+          } catch (error) {
+            errors.push(`${keyPath} ${error.message} (got ${JSON.stringify(current)})`);
+          }
+        }
+      });
+      return result;
+    };
+
+    const config = check(SCHEMA, settings, '');
+
+    if (errors.length === 0) {
+      const { analysis, reports, feedback: { scoreThresholds } } = config;
+      if (!analysis.supportedAssignmentTypes.includes(analysis.defaultAssignmentType)) {
+        errors.push(`analysis.defaultAssignmentType "${analysis.defaultAssignmentType}" is not in analysis.supportedAssignmentTypes`);
+      }
+      const unsupported = analysis.defaultEvaluationCriteria.filter(dimension => !analysis.supportedDimensions.includes(dimension));
+      if (unsupported.length > 0) {
+        errors.push(`analysis.defaultEvaluationCriteria includes ${unsupported.join(', ')}, which analysis.supportedDimensions leaves out`);
+      }
+      if (!reports.supportedFormats.includes(reports.defaultFormat)) {
+        errors.push(`reports.defaultFormat "${reports.defaultFormat}" is not in reports.supportedFormats`);
+      }
+      if (!(scoreThresholds.high > scoreThresholds.medium && scoreThresholds.medium > scoreThresholds.low)) {
+        errors.push('feedback.scoreThresholds must satisfy high > medium > low');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+  }
+
+  /**
+   * Absolute path of a directory or file setting; relative paths are from the project root
+   */
+  static resolvePath(setting) {
+    return path.resolve(ROOT_DIR, setting);
+  }
+
+  /**
+   * "10MB" for a byte count, used in limit messages
+   */
+  static formatSize(bytes) {
+    const [unit, factor] = Object.entries(SIZE_UNITS).reverse().find(([, value]) => bytes >= value && bytes % value === 0) || ['B', 1];
+    return `${bytes / factor}${unit}`;
+  }
+}
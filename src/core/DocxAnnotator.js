@@ -0,0 +1,247 @@
+import JSZip from 'jszip';
+
+const DOCUMENT_PART = 'word/document.xml';
+const COMMENTS_PART = 'word/comments.xml';
+const RELATIONSHIPS_PART = 'word/_rels/document.xml.rels';
+const CONTENT_TYPES_PART = '[Content_Types].xml';
+const COMMENTS_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments';
+const COMMENTS_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml';
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const RUN_PATTERN = /<w:r(?:\s[^>]*)?>[\s\S]*?<\/w:r>/g;
+// Run children: text (an opening <w:t> is never self-closing), tabs, other empty elements, then any element with content
+const RUN_CHILD_PATTERN = /<w:t(?:\s[^>]*[^/>])?>([\s\S]*?)<\/w:t>|<w:t(?:\s[^>]*)?\/>|<w:tab\/>|<[^>]+\/>|<([\w:]+)(?:\s[^>]*)?>[\s\S]*?<\/\2>/g;
+
+// How far past the last placed run the next run's text may be found; a run
+// mammoth reads differently is skipped rather than throwing off the rest
+const RESYNC_WINDOW = 200;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const textElement = (text) => `<w:t xml:space="preserve">${escapeXml(text)}</w:t>`;
+
+/**
+ * A run's opening tag, properties and children. Text is read as mammoth reads
+ * it: w:t text and tabs count, breaks and other elements add nothing.
+ */
+const parseRun = (xml) => {
+  const open = xml.match(/^<w:r(?:\s[^>]*)?>/)[0];
+  const inner = xml.slice(open.length, -'</w:r>'.length);
+  // Lazy matching stops at the first </w:r>, so a run holding a text box is only partly matched
+  if (/<w:r[\s>]/.test(inner)) {
+    return { xml, opaque: true, text: '' };
+  }
+
+  const properties = (inner.match(/^\s*(<w:rPr>[\s\S]*?<\/w:rPr>|<w:rPr\/>)/) || [null, ''])[1];
+  const children = [...inner.slice(inner.indexOf(properties) + properties.length).matchAll(RUN_CHILD_PATTERN)]
+    .map(([childXml, text]) => {
+      // A self-closing <w:t/> holds no text
+      if (childXml.startsWith('<w:t>') || childXml.startsWith('<w:t ')) {
+        return { kind: 'text', xml: childXml, text: unescapeXml(text ?? '') };
+      }
+      return childXml === '<w:tab/>' ? { kind: 'tab', xml: childXml, text: '\t' } : { kind: 'other', xml: childXml, text: '' };
+    });
+
+  return { xml, open, properties, children, opaque: false, text: children.map(child => child.text).join('') };
+};
+
+/**
+ * Rewrite a run as several, cut at the given offsets into its text, with the
+ * markup for each cut placed between the pieces
+ * @param {Object} run - parseRun output
+ * @param {Map<number, string>} markers - Offset in the run's text to markup inserted there
+ */
+const splitRun = (run, markers) => {
+  const cuts = [...markers.keys()].sort((a, b) => a - b);
+  const segments = [[]];
+  let position = 0;
+  let next = 0;
+
+  run.children.forEach(child => {
+    while (next < cuts.length && cuts[next] <= position) {
+      segments.push([]);
+      next++;
+    }
+    if (child.kind !== 'text') {
+      segments[segments.length - 1].push(child.xml);
+      position += child.text.length;
+      return;
+    }
+
+    let remaining = child.text;
+    while (next < cuts.length && cuts[next] < position + remaining.length) {
+      const at = cuts[next] - position;
+      segments[segments.length - 1].push(textElement(remaining.slice(0, at)));
+      segments.push([]);
+      remaining = remaining.slice(at);
+      position += at;
+      next++;
+    }
+    segments[segments.length - 1].push(textElement(remaining));
+    position += remaining.length;
+  });
+  while (next < cuts.length) {
+    segments.push([]);
+    next++;
+  }
+
+  return segments
+    .map((children, index) => {
+      const segment = children.length > 0 ? `${run.open}${run.properties}${children.join('')}</w:r>` : '';
+      return index === 0 ? segment : `${markers.get(cuts[index - 1])}${segment}`;
+    })
+    .join('');
+};
+
+const commentXml = (id, { author, initials, date }, paragraphs) => {
+  const body = paragraphs.map((paragraph, index) => `<w:p><w:pPr><w:pStyle w:val="CommentText"/></w:pPr>${
+    index === 0 ? '<w:r><w:annotationRef/></w:r>' : ''
+  }<w:r>${textElement(paragraph)}</w:r></w:p>`).join('');
+  return `<w:comment w:id="${id}" w:author="${escapeXml(author)}" w:initials="${escapeXml(initials)}" w:date="${date}">${body}</w:comment>`;
+};
+
+/**
+ * Adds Word comments to a student's own DOCX. Comments are anchored by
+ * character offsets into the text mammoth extracted from the same file,
+ * which is what annotation offsets refer to (see Annotation).
+ */
+export class DocxAnnotator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.author] - Comment author shown in Word
+   * @param {string} [options.initials]
+   */
+  constructor({ author = 'Feedback Generator', initials = 'FG' } = {}) {
+    this.author = author;
+    this.initials = initials;
+  }
+
+  /**
+   * Copy of the document with a comment on each annotated span
+   * @param {Buffer} document - The original DOCX
+   * @param {string} text - Text extracted from it
+   * @param {Array<Object>} comments - { start, end, paragraphs }: offsets into text and the comment's paragraphs
+   * @returns {Promise<Object>} { buffer, placed, unplaced } where unplaced lists comments whose text could not be found
+   */
+  async annotate(document, text, comments) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(document);
+    } catch (error) {
+      throw new Error(`Not a readable DOCX file: ${error.message}`);
+    }
+    const documentPart = zip.file(DOCUMENT_PART);
+    if (!documentPart) {
+      throw new Error(`Not a Word document: ${DOCUMENT_PART} is missing`);
+    }
+
+    const documentXml = await documentPart.async('string');
+    const existingComments = zip.file(COMMENTS_PART) ? await zip.file(COMMENTS_PART).async('string') : null;
+    const firstId = Math.max(-1, ...[...`${documentXml}${existingComments || ''}`.matchAll(/<w:comment(?:RangeStart)?\s[^>]*w:id="(\d+)"/g)]
+      .map(match => Number(match[1]))) + 1;
+
+    const runs = [...documentXml.matchAll(RUN_PATTERN)].map(match => ({ ...parseRun(match[0]), index: match.index }));
+    this.alignRuns(runs, text);
+
+    // Each comment becomes range markers on the runs holding its first and last characters
+    const markers = new Map();
+    const addMarker = (run, offset, markup, atEnd) => {
+      if (!markers.has(run)) markers.set(run, new Map());
+      const current = markers.get(run).get(offset) || '';
+      // Ranges closing at an offset come before ranges opening there
+      markers.get(run).set(offset, atEnd ? `${markup}${current}` : `${current}${markup}`);
+    };
+    const placed = [];
+    const unplaced = [];
+    comments.forEach(comment => {
+      const first = runs.find(run => run.start !== null && run.end > comment.start);
+      const last = runs.filter(run => run.start !== null && run.start < comment.end).pop();
+      if (comment.end <= comment.start || !first || !last || last.index < first.index) {
+        unplaced.push(comment);
+        return;
+      }
+      const id = firstId + placed.length;
+      addMarker(first, Math.max(0, comment.start - first.start), `<w:commentRangeStart w:id="${id}"/>`, false);
+      addMarker(last, Math.min(comment.end, last.end) - last.start,
+        `<w:commentRangeEnd w:id="${id}"/><w:r><w:commentReference w:id="${id}"/></w:r>`, true);
+      placed.push({ ...comment, id });
+    });
+
+    let annotatedXml = '';
+    let offset = 0;
+    runs.filter(run => markers.has(run)).forEach(run => {
+      annotatedXml += documentXml.slice(offset, run.index) + splitRun(run, markers.get(run));
+      offset = run.index + run.xml.length;
+    });
+    annotatedXml += documentXml.slice(offset);
+    zip.file(DOCUMENT_PART, annotatedXml);
+
+    if (placed.length > 0) {
+      const date = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+      const added = placed.map(comment => commentXml(comment.id, { author: this.author, initials: this.initials, date }, comment.paragraphs)).join('');
+      zip.file(COMMENTS_PART, existingComments
+        ? existingComments.replace(/<\/w:comments>\s*$/, `${added}</w:comments>`)
+        : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:comments xmlns:w="${WORD_NAMESPACE}">${added}</w:comments>`);
+      await this.registerCommentsPart(zip);
+    }
+
+    return {
+      buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+      placed: placed.length,
+      unplaced
+    };
+  }
+
+  /**
+   * Give each run with text its start and end offsets in the extracted text;
+   * runs that cannot be found keep null offsets
+   */
+  alignRuns(runs, text) {
+    let cursor = 0;
+    runs.forEach(run => {
+      run.start = null;
+      run.end = null;
+      if (run.opaque || !run.text) return;
+
+      const found = text.indexOf(run.text, cursor);
+      if (found === -1 || found - cursor > RESYNC_WINDOW) return;
+      run.start = found;
+      run.end = found + run.text.length;
+      cursor = run.end;
+    });
+  }
+
+  /**
+   * Make sure the package lists a comments part, as documents without comments don't
+   */
+  async registerCommentsPart(zip) {
+    const relationships = await zip.file(RELATIONSHIPS_PART)?.async('string');
+    if (relationships === undefined) {
+      throw new Error(`Not a Word document: ${RELATIONSHIPS_PART} is missing`);
+    }
+    if (!relationships.includes(COMMENTS_RELATIONSHIP)) {
+      const nextId = Math.max(0, ...[...relationships.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]))) + 1;
+      zip.file(RELATIONSHIPS_PART, relationships.replace(/<\/Relationships>\s*$/,
+        `<Relationship Id="rId${nextId}" Type="${COMMENTS_RELATIONSHIP}" Target="comments.xml"/></Relationships>`));
+    }
+
+    const contentTypes = await zip.file(CONTENT_TYPES_PART).async('string');
+    if (!contentTypes.includes('PartName="/word/comments.xml"')) {
+      zip.file(CONTENT_TYPES_PART, contentTypes.replace(/<\/Types>\s*$/,
+        `<Override PartName="/word/comments.xml" ContentType="${COMMENTS_CONTENT_TYPE}"/></Types>`));
+    }
+  }
+}
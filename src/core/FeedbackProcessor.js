@@ -3,11 +3,43 @@ import compromise from 'compromise';
 import Sentiment from 'sentiment';
 import { AssignmentAnalyzer } from './analyzers/AssignmentAnalyzer.js';
 import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+import { GrammarChecker } from './analyzers/GrammarChecker.js';
+import { SpellChecker } from './analyzers/SpellChecker.js';
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { StudentIdentityResolver } from './StudentIdentityResolver.js';
+import { RosterMatcher } from './RosterMatcher.js';
+import { SimilarityDetector } from './SimilarityDetector.js';
+import { Rubric } from './Rubric.js';
+import { Calibration } from './Calibration.js';
+import { Annotation } from './Annotation.js';
+import { Config } from './Config.js';
+import PDFParser from '../utils/pdfParser.js';
 
 export class FeedbackProcessor {
-  constructor() {
+  // Bump whenever analyzeText, grammar or spelling checks or suggestion logic change; see AnalysisCache
+  static ANALYSIS_VERSION = 8;
+
+  /**
+   * @param {Object} options
+   * @param {FileUploadHandler} [options.fileUploadHandler] - Text extraction pipeline
+   * @param {StudentIdentityResolver} [options.identityResolver] - Maps LMS export file names to students
+   * @param {WorkerPool} [options.workerPool] - Runs extraction and analysis in worker threads (see workers/analysisWorker.js)
+   * @param {AnalysisCache} [options.analysisCache] - Reuses analyses of unchanged submissions
+   * @param {SimilarityDetector} [options.similarityDetector] - Compares the submissions of a batch with each other
+   * @param {Object} [options.config] - Loaded settings (see Config), used by the default FileUploadHandler, the grammar and spell checkers and the similarity detector
+   */
+  constructor(options = {}) {
+    this.fileUploadHandler = options.fileUploadHandler || new FileUploadHandler({ config: options.config });
+    this.identityResolver = options.identityResolver || new StudentIdentityResolver();
+    this.rosterMatcher = options.rosterMatcher || new RosterMatcher();
+    this.workerPool = options.workerPool || null;
+    this.analysisCache = options.analysisCache || null;
     this.analyzer = new AssignmentAnalyzer();
     this.evaluationDimensions = new EvaluationDimensions();
+    const config = options.config || Config.defaults();
+    this.similarityDetector = options.similarityDetector || new SimilarityDetector(config.similarity);
+    this.grammarChecker = new GrammarChecker(config.grammar);
+    this.spellChecker = new SpellChecker(config.spelling);
     this.sentiment = new Sentiment();
     
     // Initialize natural language processing
@@ -15,9 +47,12 @@ export class FeedbackProcessor {
   }
 
   /**
-   * Process multiple assignments in bulk
+   * Process multiple assignments in bulk. With a worker pool, files are analysed
+   * in parallel up to the pool size; results always follow the order of `files`.
    * @param {Array} files - Array of file objects with content and metadata
    * @param {Object} options - Processing options
+   * @param {Function} [options.onProgress] - Called with { type: 'file-start'|'file-complete', index, total, fileName, result }
+   * @param {AbortSignal} [options.signal] - Stops the batch before the next file; results so far are returned
    * @returns {Array} Array of analysis results
    */
   async processBulkAssignments(files, options = {}) {
@@ -25,51 +60,124 @@ export class FeedbackProcessor {
       throw new Error('No files provided for processing');
     }
 
-    console.log(`Processing ${files.length} files with options:`, options);
+    const { onProgress, signal, roster, ...analysisOptions } = options;
+    // Rubrics are logged by title, calibrations by date, source texts by title, the prompt by length and answer keys by size only
+    const { rubric, calibration, sources, prompt, answerKey, ...loggedOptions } = analysisOptions;
+    console.log(`Processing ${files.length} files with options:`, {
+      ...loggedOptions,
+      ...(rubric ? { rubric: rubric.title } : {}),
+      ...(calibration ? { calibration: calibration.fittedAt } : {}),
+      ...(sources?.length ? { sources: sources.map(source => source.title) } : {}),
+      ...(prompt ? { prompt: `${prompt.length} characters` } : {}),
+      ...(answerKey ? { answerKey: `${answerKey.questions.length} questions` } : {})
+    });
+    
+    const results = new Array(files.length);
+    const report = (event) => {
+      if (onProgress) onProgress({ ...event, total: files.length });
+    };
+
+    // Files are claimed in order, so a cancelled batch has results for a prefix of the files
+    let nextIndex = 0;
+    const runLane = async () => {
+      while (nextIndex < files.length && !signal?.aborted) {
+        const index = nextIndex++;
+        results[index] = await this.processBulkFile(files[index], index, files.length, analysisOptions, report);
+      }
+    };
+
+    const concurrency = this.workerPool ? Math.min(this.workerPool.size, files.length) : 1;
+    await Promise.all(Array.from({ length: concurrency }, runLane));
+
+    if (signal?.aborted) {
+      console.log(`⏹️ Batch cancelled after ${nextIndex}/${files.length} files`);
+    }
+
+    const completed = results.filter(Boolean);
+    const successCount = completed.filter(result => result.status === 'success').length;
+    console.log(`Processing complete. Success: ${successCount}, Failed: ${completed.length - successCount}`);
+
+    if (roster) {
+      this.rosterMatcher.matchResults(completed, roster);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Analyse one file of a batch, in a worker when a pool is configured, and
+   * wrap the outcome with the student's identity
+   */
+  async processBulkFile(file, index, total, options, report) {
+    const fileInfo = {
+      name: file.originalname || file.name || `file-${index + 1}`,
+      size: file.size || 0,
+      type: file.mimetype || 'unknown'
+    };
+    
+    console.log(`Processing file ${index + 1}/${total}:`, fileInfo.name);
+    report({ type: 'file-start', index, fileName: fileInfo.name });
     
-    const results = [];
-    let successCount = 0;
+    const identity = this.identityResolver.resolve(file, { dueDate: options.dueDate });
+    const student = {
+      studentName: identity.displayName,
+      studentId: identity.studentId,
+      submittedAt: identity.submittedAt,
+      late: identity.late,
+      identitySource: identity.source
+    };
     
-    for (const [index, file] of files.entries()) {
-      const fileInfo = {
-        name: file.originalname || file.name || `file-${index + 1}`,
-        size: file.size || 0,
-        type: file.mimetype || 'unknown'
+    let result;
+    try {
+      const analysis = await this.analyzeFile(file, options);
+      result = {
+        fileName: fileInfo.name,
+        ...student,
+        analysis: analysis,
+        status: 'success',
+        timestamp: new Date().toISOString()
       };
       
-      console.log(`Processing file ${index + 1}/${files.length}:`, fileInfo.name);
+      console.log(`✅ Successfully processed: ${fileInfo.name}`);
       
-      try {
-        const analysis = await this.processSingleAssignment(file, options);
-        const result = {
-          fileName: fileInfo.name,
-          studentName: this.extractStudentName(fileInfo.name),
-          analysis: analysis,
-          status: 'success',
-          timestamp: new Date().toISOString()
-        };
-        
-        results.push(result);
-        successCount++;
-        console.log(`✅ Successfully processed: ${fileInfo.name}`);
-        
-      } catch (error) {
-        console.error(`❌ Error processing ${fileInfo.name}:`, error);
-        
-        const errorResult = {
-          fileName: fileInfo.name,
-          studentName: this.extractStudentName(fileInfo.name),
-          error: error.message,
-          status: 'error',
-          timestamp: new Date().toISOString()
-        };
-        
-        results.push(errorResult);
-      }
+    } catch (error) {
+      const stage = error.stage || 'analysis';
+      console.error(`❌ ${stage === 'extraction' ? 'Extraction' : 'Analysis'} failed for ${fileInfo.name}:`, error);
+      
+      result = {
+        fileName: fileInfo.name,
+        ...student,
+        error: error.message,
+        errorStage: stage,
+        status: 'error',
+        timestamp: new Date().toISOString()
+      };
     }
-    
-    console.log(`Processing complete. Success: ${successCount}, Failed: ${files.length - successCount}`);
-    return results;
+
+    report({ type: 'file-complete', index, fileName: fileInfo.name, result });
+    return result;
+  }
+
+  /**
+   * Extract and analyse one file, in a worker when a pool is configured. In a
+   * worker, extraction and analysis are separate tasks so the cache is checked in between.
+   */
+  analyzeFile(file, options) {
+    return this.workerPool ? this.processInWorker(file, options) : this.processSingleAssignment(file, options);
+  }
+
+  async processInWorker(file, options) {
+    const document = await this.workerPool.run({ action: 'extract', file: FeedbackProcessor.toWorkerFile(file) });
+    return this.analyzeDocument(document, options, () => this.workerPool.run({ action: 'analyze', text: document.text, options }));
+  }
+
+  /**
+   * The parts of an upload a worker needs to extract its text; archive
+   * manifests and other batch-level data stay on the main thread
+   */
+  static toWorkerFile(file) {
+    const { originalname, name, mimetype, size, path, buffer, content } = file;
+    return { originalname, name, mimetype, size, path, buffer, content };
   }
 
   /**
@@ -79,8 +187,16 @@ export class FeedbackProcessor {
    * @returns {Object} Analysis result
    */
   async processSingleAssignment(file, options) {
-    const { assignmentType = 'essay', evaluationCriteria = [] } = options;
-    
+    const document = await this.extractSubmission(file);
+    return this.analyzeDocument(document, options, () => this.analyzeSubmission(document.text, options));
+  }
+
+  /**
+   * Extract a submission's text; failures are tagged with stage 'extraction'
+   * so they are reported separately from analysis failures
+   * @returns {Object} { text, layout, properties }
+   */
+  async extractSubmission(file) {
     if (!file) {
       throw new Error('No file provided for processing');
     }
@@ -92,27 +208,93 @@ export class FeedbackProcessor {
       type: file.mimetype || 'unknown'
     });
     
-    // Extract text content
-    let textContent;
     try {
-      textContent = await this.extractTextContent(file);
+      const document = await this.fileUploadHandler.extractDocument(file);
       
-      if (!textContent || textContent.trim().length === 0) {
-        throw new Error('File appears to be empty');
+      if (!document.text || document.text.trim().length === 0) {
+        throw new Error('File has no text content');
       }
+
+      return {
+        text: document.text,
+        layout: document.layout || null,
+        properties: document.properties || null
+      };
     } catch (error) {
       console.error('Error extracting text content:', error);
-      throw new Error(`Could not process file: ${error.message}`);
+      const extractionError = new Error(`Could not extract text: ${error.message}`);
+      extractionError.stage = 'extraction';
+      throw extractionError;
+    }
+  }
+
+  /**
+   * Score extracted text, reusing a cached analysis of the same text, assignment
+   * type, criteria, rubric, calibration and analyzer versions when there is one
+   * @param {Object} document - extractSubmission output
+   * @param {Object} options - Processing options
+   * @param {Function} analyze - Produces the analysis on a cache miss (in-process or in a worker)
+   * @returns {Object} Analysis result
+   */
+  async analyzeDocument(document, options, analyze) {
+    // The grammar rules that run depend on the grade level and config, and spelling on the locale, so they are part of the key
+    const key = this.analysisCache
+      ? this.analysisCache.keyFor(document.text, {
+        ...options,
+        grammarRules: this.grammarChecker.rulesFor(options.gradeLevel),
+        spellingLocale: this.spellingLocale()
+      })
+      : null;
+    const cached = key ? this.analysisCache.get(key) : null;
+    const analysis = cached || await analyze();
+
+    if (key && !cached) {
+      this.analysisCache.set(key, analysis);
     }
 
+    // Everything tied to the file rather than its text is added after the cache
+    return {
+      ...analysis,
+      documentLayout: document.layout,
+      documentProperties: document.properties,
+      // Opening lines, where students usually write their name, for roster matching
+      documentHeader: this.extractDocumentHeader(document.text),
+      extractedText: document.text,
+      metadata: { ...analysis.metadata, cached: Boolean(cached) }
+    };
+  }
+
+  /**
+   * Run every analyzer over a submission's text. The output depends only on
+   * the text and options, which is what makes it safe to cache.
+   * @returns {Object} Analysis result without document details
+   */
+  async analyzeSubmission(textContent, options) {
+    const { assignmentType = 'essay', evaluationCriteria = [], gradeLevel = this.grammarChecker.defaultGradeLevel, vocabulary = [], sources = [], prompt = null, requiredConcepts = [], answerKey = null } = options;
+    // Rubrics arrive as plain JSON from workers and the store
+    const rubric = options.rubric ? Rubric.from(options.rubric) : null;
+    const calibration = options.calibration ? Calibration.from(options.calibration) : null;
+
+    // Assignment-specific analysis
+    const assignmentAnalysis = await this.analyzer.analyzeByType(textContent, assignmentType, { sources, answerKey });
+
+    // Rubric criteria can also be scored by parts of an assignment analysis ("essay.thesis")
+    const rubricResults = rubric
+      ? await this.analyzer.subAnalysisResults(textContent, rubric.subAnalyses(), assignmentAnalysis, { sources, answerKey })
+      : {};
+
     // Perform comprehensive evaluation using EvaluationDimensions
-    const evaluation = await this.evaluationDimensions.evaluate(textContent, assignmentType);
+    const evaluation = await this.evaluationDimensions.evaluate(textContent, assignmentType, {
+      criteria: evaluationCriteria,
+      rubric,
+      rubricResults,
+      calibration,
+      prompt,
+      requiredConcepts
+    });
     
     // Basic text analysis
-    const textAnalysis = this.analyzeText(textContent);
-    
-    // Assignment-specific analysis
-    const assignmentAnalysis = await this.analyzer.analyzeByType(textContent, assignmentType);
+    const textAnalysis = this.analyzeText(textContent, { gradeLevel, vocabulary });
     
     // Generate feedback suggestions
     const feedbackSuggestions = this.generateFeedbackSuggestions(
@@ -123,7 +305,7 @@ export class FeedbackProcessor {
     );
     
     // Combine results
-    const result = {
+    return {
       textAnalysis: {
         ...textAnalysis,
         wordCount: evaluation.wordCount,
@@ -140,45 +322,109 @@ export class FeedbackProcessor {
       wordCount: evaluation.wordCount,
       readabilityScore: evaluation.readabilityScore,
       overallQuality: evaluation.overallScore,
+      rubricScore: evaluation.rubricScore || null,
+      calibratedLevel: evaluation.calibratedLevel || null,
+      // Everything the analyzers point out, as offsets into the extracted text
+      annotations: Annotation.collect(
+        textAnalysis.grammarIssues,
+        textAnalysis.spellingIssues,
+        evaluation.annotations || [],
+        assignmentAnalysis.annotations || []
+      ),
       metadata: {
         processedAt: new Date().toISOString(),
         assignmentType,
-        evaluationCriteria: evaluationCriteria.length > 0 ? evaluationCriteria : Object.keys(evaluation.dimensions)
+        evaluationCriteria: evaluation.criteria || Object.keys(evaluation.dimensions || {}),
+        gradeLevel,
+        grammarRules: this.grammarChecker.rulesFor(gradeLevel),
+        spellingLocale: this.spellingLocale()
       }
     };
-    
-    return result;
+  }
+
+  /**
+   * Fit a teacher calibration from hand-graded submissions. Each file is
+   * scored on every candidate dimension and paired with the teacher's grade.
+   * Files are analysed as in a batch, through the worker pool and cache, and
+   * the fit itself runs in a worker too.
+   * @param {Array} files - Uploaded files
+   * @param {Object} options
+   * @param {Map<string, string>} options.grades - Calibration.parseGrades output
+   * @param {Array<string>} [options.levels] - The teacher's levels, lowest first
+   * @param {string} [options.assignmentType]
+   * @param {Array<string>} [options.evaluationCriteria] - Dimensions to weight; empty means all
+   * @param {string} [options.prompt] - With required concepts, lets relevance be weighted
+   * @param {Array<Object>} [options.requiredConcepts]
+   * @returns {Calibration}
+   */
+  async calibrate(files, { grades, levels = null, assignmentType = 'essay', evaluationCriteria = [], prompt = null, requiredConcepts = [] } = {}) {
+    const ungraded = files.map(file => file.originalname).filter(name => Calibration.gradeFor(grades, name) === null);
+    if (ungraded.length > 0) {
+      throw new Error(`No grade given for ${ungraded.join(', ')}`);
+    }
+
+    const options = { assignmentType, evaluationCriteria, prompt, requiredConcepts };
+    const analyses = new Array(files.length);
+    let nextIndex = 0;
+    const runLane = async () => {
+      while (nextIndex < files.length) {
+        const index = nextIndex++;
+        analyses[index] = await this.analyzeFile(files[index], options);
+      }
+    };
+    const concurrency = this.workerPool ? Math.min(this.workerPool.size, files.length) : 1;
+    await Promise.all(Array.from({ length: concurrency }, runLane));
+
+    const samples = files.map((file, index) => ({
+      name: file.originalname,
+      grade: Calibration.gradeFor(grades, file.originalname),
+      scores: Object.fromEntries(Object.entries(analyses[index].dimensionScores || {}).map(([dimension, result]) => [dimension, result.score])),
+      wordCount: analyses[index].wordCount
+    }));
+    // Dimensions that cannot be evaluated for this assignment (relevance without a prompt) are not weighted
+    const dimensions = analyses[analyses.length - 1]?.metadata.evaluationCriteria || evaluationCriteria;
+
+    return this.workerPool
+      ? Calibration.from(await this.workerPool.run({ action: 'calibrate', samples, options: { levels, dimensions } }))
+      : Calibration.fit(samples, { levels, dimensions });
+  }
+
+  /**
+   * First few non-empty lines of a submission
+   */
+  extractDocumentHeader(text, maxLines = 5) {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .slice(0, maxLines)
+      .join('\n')
+      .slice(0, 400);
   }
 
   /**
    * Extract text content from various file types
    */
   async extractTextContent(file) {
-    try {
-      // If the file has a buffer, convert it to a string
-      if (file.buffer) {
-        return file.buffer.toString('utf8');
-      }
-      
-      // If the file has a path, read it from the file system
-      if (file.path) {
-        const fs = await import('fs/promises');
-        return await fs.readFile(file.path, 'utf8');
-      }
-      
-      // Fallback to any existing content or text
-      return file.content || file.text || '';
-      
-    } catch (error) {
-      console.error('Error reading file content:', error);
-      throw new Error(`Failed to read file content: ${error.message}`);
-    }
+    return await this.fileUploadHandler.extractText(file);
+  }
+
+  /**
+   * Describe where a character offset falls in the original document,
+   * e.g. "page 2, paragraph 3" for PDFs. Returns null for flat text.
+   */
+  describeLocation(documentLayout, offset) {
+    if (!documentLayout || !documentLayout.pages) return null;
+    return PDFParser.describeLocation(documentLayout.pages, offset);
   }
 
   /**
    * Perform basic text analysis
+   * @param {Object} [options]
+   * @param {number} [options.gradeLevel] - Chooses the grammar rules that run
+   * @param {Array<string>} [options.vocabulary] - Assignment words the spell checker accepts
    */
-  analyzeText(text) {
+  analyzeText(text, options = {}) {
     const words = text.split(/\s+/).filter(word => word.length > 0);
     const sentences = text.split(/[.!?]+/).filter(sentence => sentence.trim().length > 0);
     const paragraphs = text.split(/\n\s*\n/).filter(para => para.trim().length > 0);
@@ -192,7 +438,8 @@ export class FeedbackProcessor {
     const sentiment = this.sentiment.analyze(text);
     
     // Grammar and style analysis
-    const grammarIssues = this.identifyGrammarIssues(text);
+    const grammarIssues = this.identifyGrammarIssues(text, options);
+    const spellingIssues = this.identifySpellingIssues(text, options);
     
     return {
       wordCount: words.length,
@@ -208,6 +455,7 @@ export class FeedbackProcessor {
         negative: sentiment.negative
       },
       grammarIssues,
+      spellingIssues,
       vocabulary: this.analyzeVocabulary(words)
     };
   }
@@ -245,11 +493,16 @@ export class FeedbackProcessor {
         medium: 'Good presentation overall, but some areas need polishing.',
         specific: 'Review your work for consistent formatting and grammar.'
       },
-      criticalThinking: {
+      critical_thinking: {
         high: 'Develop stronger analytical skills by examining issues from multiple perspectives.',
         medium: 'Good analysis, but try to explore counterarguments more thoroughly.',
         specific: 'Consider alternative viewpoints and their implications.'
       },
+      originality: {
+        high: 'Put more of your own thinking into the work rather than relying on familiar phrases and ideas.',
+        medium: 'Some original ideas come through, but develop your own angle further.',
+        specific: 'Replace stock phrases with your own wording and examples.'
+      },
       clarity: {
         high: 'Work on making your writing clearer and more concise.',
         medium: 'Your writing is generally clear but could be more direct in places.',
@@ -259,6 +512,11 @@ export class FeedbackProcessor {
         high: 'Your analysis needs more depth and detail to fully develop your ideas.',
         medium: 'Good analysis, but some points could be explored more thoroughly.',
         specific: 'Provide more examples and evidence to support your arguments.'
+      },
+      relevance: {
+        high: 'Much of your work does not answer the prompt; reread it and address each part.',
+        medium: 'Mostly on topic, but some required ideas are missing or some paragraphs wander.',
+        specific: 'Check each paragraph against the prompt and cover every required concept.'
       }
     };
 
@@ -285,7 +543,7 @@ export class FeedbackProcessor {
       }
       
       suggestions.push({
-        category: dimension.charAt(0).toUpperCase() + dimension.slice(1),
+        category: EvaluationDimensions.label(dimension),
         priority,
         score: Math.round(score * 100) / 100,
         feedback: result.feedback || feedback,
@@ -312,6 +570,28 @@ export class FeedbackProcessor {
       });
     }
 
+    // Misspelled words, listed once each
+    if (textAnalysis.spellingIssues && textAnalysis.spellingIssues.length > 0) {
+      const misspelled = [...new Set(textAnalysis.spellingIssues
+        .filter(issue => issue.type === 'spelling')
+        .map(issue => issue.text.toLowerCase()))];
+      const spellingScore = Math.max(0, 1 - (misspelled.length / Math.max(1, textAnalysis.wordCount) * 20));
+      suggestions.push({
+        category: 'Spelling',
+        priority: spellingScore < 0.6 ? 'high' : 'medium',
+        score: Math.round(spellingScore * 100) / 100,
+        feedback: misspelled.length > 0
+          ? `${misspelled.length} word${misspelled.length === 1 ? '' : 's'} may be misspelled.`
+          : 'Some words use a different regional spelling from the one this class uses.',
+        specificSuggestions: 'Proofread for spelling, checking any word you are unsure of in a dictionary.',
+        details: {
+          words: misspelled.slice(0, 10),
+          issues: textAnalysis.spellingIssues.slice(0, 5),
+          totalIssues: textAnalysis.spellingIssues.length
+        }
+      });
+    }
+
     // Sort by priority (high to low) and then by score (low to high)
     return suggestions.sort((a, b) => {
       const priorityOrder = { high: 0, medium: 1, low: 2 };
@@ -336,7 +616,7 @@ export class FeedbackProcessor {
                         result.score < 0.6 ? 'medium' : 'low';
         
         areas.push({
-          dimension: dimension.charAt(0).toUpperCase() + dimension.slice(1),
+          dimension: EvaluationDimensions.label(dimension),
           currentScore: Math.round(result.score * 100) / 100,
           description: result.feedback || `Needs improvement in ${dimension}`,
           priority,
@@ -434,7 +714,7 @@ export class FeedbackProcessor {
         medium: 'Good presentation with minor areas for polish',
         details: 'Your work is well-formatted and professional in appearance.'
       },
-      criticalThinking: {
+      critical_thinking: {
         high: 'Exceptional analytical and critical thinking',
         medium: 'Good analysis with thoughtful insights',
         details: 'Your work demonstrates strong analytical skills and depth of thought.'
@@ -448,6 +728,11 @@ export class FeedbackProcessor {
         high: 'Extremely thorough and detailed analysis',
         medium: 'Good depth of analysis',
         details: 'Your work shows comprehensive understanding and thorough exploration of the topic.'
+      },
+      relevance: {
+        high: 'Answers exactly what the prompt asks',
+        medium: 'Stays on topic',
+        details: 'Your work keeps to the prompt and covers the ideas it asks for.'
       }
     };
 
@@ -464,7 +749,7 @@ export class FeedbackProcessor {
         const strengthLevel = result.score >= 0.85 ? 'high' : 'medium';
         
         strengths.push({
-          dimension: dimension.charAt(0).toUpperCase() + dimension.slice(1),
+          dimension: EvaluationDimensions.label(dimension),
           score: Math.round(result.score * 100) / 100,
           strengthLevel,
           description: result.feedback || category[strengthLevel],
@@ -548,16 +833,8 @@ export class FeedbackProcessor {
    * @returns {number} Overall quality score (0-1)
    */
   calculateOverallQuality(dimensionScores) {
-    // Define weights for each dimension (sum should be 1.0)
-    const weights = {
-      structure: 0.20,
-      criticalThinking: 0.20,
-      accuracy: 0.15,
-      creativity: 0.15,
-      clarity: 0.10,
-      depth: 0.10,
-      presentation: 0.10
-    };
+    // Same weights as EvaluationDimensions.evaluate uses without a rubric
+    const weights = EvaluationDimensions.DEFAULT_WEIGHTS;
     
     let weightedSum = 0;
     let totalWeight = 0;
@@ -588,9 +865,7 @@ export class FeedbackProcessor {
    * Extract student name from filename
    */
   extractStudentName(filename) {
-    // Simple extraction - could be enhanced with more sophisticated parsing
-    const nameMatch = filename.match(/([A-Za-z\s]+)/);
-    return nameMatch ? nameMatch[1].trim() : 'Unknown Student';
+    return StudentIdentityResolver.nameFromFileName(filename);
   }
 
   /**
@@ -617,40 +892,30 @@ export class FeedbackProcessor {
   }
 
   /**
-   * Identify grammar issues
+   * Identify grammar issues (see GrammarChecker). Each is an annotation (see
+   * Annotation) that also keeps its type, 1-based sentence number and issue text.
+   * @param {Object} [options]
+   * @param {number} [options.gradeLevel] - Only the rules for this grade level run
    */
-  identifyGrammarIssues(text) {
-    const issues = [];
-    
-    // Simple grammar checks
-    const sentences = text.split(/[.!?]+/);
-    sentences.forEach((sentence, index) => {
-      const trimmed = sentence.trim();
-      if (trimmed.length === 0) return;
-      
-      // Check for capitalization
-      if (trimmed[0] !== trimmed[0].toUpperCase()) {
-        issues.push({
-          type: 'capitalization',
-          sentence: index + 1,
-          issue: 'Sentence should start with a capital letter',
-          suggestion: 'Capitalize the first letter of the sentence'
-        });
-      }
-      
-      // Check for run-on sentences (simplified)
-      const words = trimmed.split(/\s+/);
-      if (words.length > 30) {
-        issues.push({
-          type: 'run-on',
-          sentence: index + 1,
-          issue: 'Sentence may be too long',
-          suggestion: 'Consider breaking into shorter sentences'
-        });
-      }
-    });
-    
-    return issues;
+  identifyGrammarIssues(text, { gradeLevel } = {}) {
+    return this.grammarChecker.check(text, { gradeLevel });
+  }
+
+  /**
+   * Identify misspelled words and spellings from the other locale (see
+   * SpellChecker). Each is an annotation with its type and suggestions.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.vocabulary] - Assignment words to accept, such as character names
+   */
+  identifySpellingIssues(text, { vocabulary = [] } = {}) {
+    return this.spellChecker.check(text, { vocabulary });
+  }
+
+  /**
+   * Locale spelling is checked against, or null when spell checking is off
+   */
+  spellingLocale() {
+    return this.spellChecker.enabled ? this.spellChecker.locale : null;
   }
 
   /**
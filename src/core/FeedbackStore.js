@@ -0,0 +1,761 @@
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Each entry upgrades the schema by one version; never edit a migration that has shipped
+const MIGRATIONS = [
+  `
+  CREATE TABLE classes (
+    id TEXT PRIMARY KEY,
+    roster TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE assignments (
+    id TEXT PRIMARY KEY,
+    class_id TEXT REFERENCES classes(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    assignment_type TEXT NOT NULL,
+    evaluation_criteria TEXT NOT NULL,
+    due_date TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE batches (
+    id TEXT PRIMARY KEY,
+    assignment_id TEXT NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    file_count INTEGER NOT NULL,
+    success_count INTEGER NOT NULL,
+    summary TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE submissions (
+    id TEXT PRIMARY KEY,
+    batch_id TEXT NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    file_name TEXT NOT NULL,
+    student_id TEXT,
+    student_name TEXT,
+    status TEXT NOT NULL,
+    extracted_text TEXT,
+    result TEXT NOT NULL
+  );
+  CREATE INDEX submissions_batch ON submissions(batch_id, position);
+
+  CREATE TABLE reports (
+    id TEXT PRIMARY KEY,
+    batch_id TEXT NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+    format TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX reports_batch ON reports(batch_id);
+  `,
+  `
+  CREATE TABLE analysis_cache (
+    key TEXT PRIMARY KEY,
+    analyzer_version TEXT NOT NULL,
+    result TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE rubrics (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    definition TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  ALTER TABLE assignments ADD COLUMN rubric_id TEXT REFERENCES rubrics(id) ON DELETE SET NULL;
+  `,
+  `
+  ALTER TABLE classes ADD COLUMN grade_scale TEXT;
+  `,
+  `
+  ALTER TABLE assignments ADD COLUMN calibration TEXT;
+  `,
+  `
+  ALTER TABLE submissions ADD COLUMN original_document BLOB;
+  `,
+  `
+  ALTER TABLE assignments ADD COLUMN vocabulary TEXT;
+  `,
+  `
+  ALTER TABLE assignments ADD COLUMN template_text TEXT;
+  `,
+  `
+  CREATE TABLE sources (
+    id TEXT PRIMARY KEY,
+    assignment_id TEXT NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    author TEXT,
+    file_name TEXT,
+    text TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX sources_assignment ON sources(assignment_id, created_at);
+  `,
+  `
+  ALTER TABLE assignments ADD COLUMN required_concepts TEXT;
+  `,
+  `
+  ALTER TABLE assignments ADD COLUMN answer_key TEXT;
+  `
+];
+
+// Cache writes come one per file, so they are flushed together shortly afterwards
+const CACHE_PERSIST_DELAY_MS = 1000;
+
+/**
+ * Embedded SQLite database of classes, assignments and their source texts, rubrics,
+ * batches, submissions and reports.
+ * The database lives in memory (sql.js) and is written to disk after every change,
+ * so a teacher can re-open a batch after a restart without re-uploading it.
+ */
+export class FeedbackStore {
+  /**
+   * @param {Object} db - sql.js Database
+   * @param {string|null} filePath - Where to persist; null keeps the store in memory only
+   */
+  constructor(db, filePath = null) {
+    this.db = db;
+    this.filePath = filePath;
+    this.persistTimer = null;
+    this.db.run('PRAGMA foreign_keys = ON');
+    this.migrate();
+  }
+
+  /**
+   * Open (or create) a database file
+   * @param {string|null} [filePath] - Omit for an in-memory store
+   * @returns {Promise<FeedbackStore>}
+   */
+  static async open(filePath = null) {
+    const SQL = await initSqlJs();
+    const existing = filePath && await fs.pathExists(filePath) ? await fs.readFile(filePath) : null;
+    return new FeedbackStore(new SQL.Database(existing), filePath);
+  }
+
+  migrate() {
+    const [{ user_version: version }] = this.all('PRAGMA user_version');
+    if (version >= MIGRATIONS.length) return;
+
+    MIGRATIONS.slice(version).forEach((migration, index) => {
+      this.transaction(() => {
+        this.db.exec(migration);
+        this.db.run(`PRAGMA user_version = ${version + index + 1}`);
+      });
+    });
+    this.persist();
+  }
+
+  /**
+   * Create a class if needed and, when a roster is given, replace its stored roster
+   * @param {string} classId
+   * @param {Object|null} [roster] - Roster.toJSON(); null removes the roster, undefined leaves it alone
+   */
+  saveClass(classId, roster) {
+    const now = new Date().toISOString();
+    this.db.run(
+      'INSERT INTO classes (id, roster, created_at, updated_at) VALUES (?, NULL, ?, ?) ON CONFLICT(id) DO NOTHING',
+      [String(classId), now, now]
+    );
+    if (roster !== undefined) {
+      this.db.run(
+        'UPDATE classes SET roster = ?, updated_at = ? WHERE id = ?',
+        [roster ? JSON.stringify(roster) : null, now, String(classId)]
+      );
+    }
+    this.persist();
+  }
+
+  /**
+   * Set the grade scale a class's reports use; null goes back to the default
+   * @param {string} classId
+   * @param {Object|null} gradeScale - GradeScale.toJSON()
+   * @returns {Object} The updated class
+   */
+  setClassGradeScale(classId, gradeScale) {
+    this.saveClass(classId);
+    this.db.run(
+      'UPDATE classes SET grade_scale = ?, updated_at = ? WHERE id = ?',
+      [gradeScale ? JSON.stringify(gradeScale) : null, new Date().toISOString(), String(classId)]
+    );
+    this.persist();
+    return this.getClass(classId);
+  }
+
+  getClass(classId) {
+    const [row] = this.all('SELECT * FROM classes WHERE id = ?', [String(classId)]);
+    return row ? FeedbackStore.toClass(row) : null;
+  }
+
+  listClasses() {
+    return this.all('SELECT * FROM classes ORDER BY id').map(FeedbackStore.toClass);
+  }
+
+  /**
+   * @param {Object} data - { classId, title, assignmentType, evaluationCriteria, dueDate, rubricId, vocabulary, templateText, requiredConcepts }
+   * @returns {Object} The stored assignment
+   */
+  createAssignment({ classId = null, title, assignmentType = 'general', evaluationCriteria = [], dueDate = null, rubricId = null, vocabulary = [], templateText = null, requiredConcepts = [] }) {
+    if (classId) {
+      this.saveClass(classId);
+    }
+
+    const assignment = {
+      id: uuidv4(),
+      classId: classId ? String(classId) : null,
+      title: title || `${assignmentType} assignment`,
+      assignmentType,
+      evaluationCriteria,
+      dueDate,
+      rubricId,
+      calibration: null,
+      vocabulary,
+      templateText: templateText || null,
+      requiredConcepts,
+      answerKey: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.db.run(
+      'INSERT INTO assignments (id, class_id, title, assignment_type, evaluation_criteria, due_date, rubric_id, vocabulary, template_text, required_concepts, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [assignment.id, assignment.classId, assignment.title, assignmentType, JSON.stringify(evaluationCriteria), dueDate, rubricId, JSON.stringify(vocabulary),
+        assignment.templateText, JSON.stringify(requiredConcepts), assignment.createdAt]
+    );
+    this.persist();
+    return assignment;
+  }
+
+  getAssignment(assignmentId) {
+    const [row] = this.all('SELECT * FROM assignments WHERE id = ?', [assignmentId]);
+    return row ? FeedbackStore.toAssignment(row) : null;
+  }
+
+  /**
+   * Attach a rubric to an assignment; null detaches it
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentRubric(assignmentId, rubricId) {
+    if (!this.getAssignment(assignmentId)) return null;
+    if (rubricId && !this.getRubric(rubricId)) {
+      throw new Error(`Rubric ${rubricId} not found`);
+    }
+
+    this.db.run('UPDATE assignments SET rubric_id = ? WHERE id = ?', [rubricId || null, assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  /**
+   * Store a teacher calibration for an assignment; null removes it
+   * @param {string} assignmentId
+   * @param {Object|null} calibration - Calibration.toJSON()
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentCalibration(assignmentId, calibration) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    this.db.run('UPDATE assignments SET calibration = ? WHERE id = ?', [calibration ? JSON.stringify(calibration) : null, assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  /**
+   * Replace the words the spell checker accepts for an assignment
+   * @param {string} assignmentId
+   * @param {Array<string>} vocabulary - SpellChecker.parseVocabulary output
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentVocabulary(assignmentId, vocabulary) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    this.db.run('UPDATE assignments SET vocabulary = ? WHERE id = ?', [JSON.stringify(vocabulary), assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  /**
+   * Replace the concepts students are expected to address
+   * @param {string} assignmentId
+   * @param {Array<Object>} requiredConcepts - PromptRelevance.parseConcepts output
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentRequiredConcepts(assignmentId, requiredConcepts) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    this.db.run('UPDATE assignments SET required_concepts = ? WHERE id = ?', [JSON.stringify(requiredConcepts), assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  /**
+   * Store the answer key worksheets are graded against; null removes it
+   * @param {string} assignmentId
+   * @param {Object|null} answerKey - AnswerKey.toJSON()
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentAnswerKey(assignmentId, answerKey) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    this.db.run('UPDATE assignments SET answer_key = ? WHERE id = ?', [answerKey ? JSON.stringify(answerKey) : null, assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  /**
+   * Replace the prompt or template text the students were given; similarity
+   * checks ignore passages from it. null removes it.
+   * @returns {Object|null} The updated assignment
+   */
+  setAssignmentTemplateText(assignmentId, templateText) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    this.db.run('UPDATE assignments SET template_text = ? WHERE id = ?', [templateText || null, assignmentId]);
+    this.persist();
+    return this.getAssignment(assignmentId);
+  }
+
+  listAssignments({ classId } = {}) {
+    const rows = classId
+      ? this.all('SELECT * FROM assignments WHERE class_id = ? ORDER BY created_at DESC', [String(classId)])
+      : this.all('SELECT * FROM assignments ORDER BY created_at DESC');
+    return rows.map(FeedbackStore.toAssignment);
+  }
+
+  /**
+   * Add a source text students were given to read for an assignment
+   * @param {string} assignmentId
+   * @param {Object} source - { title, author, fileName, text }
+   * @returns {Object|null} The stored source without its text, or null when the assignment is missing
+   */
+  addSource(assignmentId, { title, author = null, fileName = null, text }) {
+    if (!this.getAssignment(assignmentId)) return null;
+
+    const row = {
+      id: uuidv4(),
+      assignment_id: assignmentId,
+      title,
+      author,
+      file_name: fileName,
+      text,
+      created_at: new Date().toISOString()
+    };
+    this.db.run(
+      'INSERT INTO sources (id, assignment_id, title, author, file_name, text, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [row.id, row.assignment_id, row.title, row.author, row.file_name, row.text, row.created_at]
+    );
+    this.persist();
+    return FeedbackStore.toSource(row);
+  }
+
+  /**
+   * An assignment's source texts, oldest first
+   * @param {string} assignmentId
+   * @param {Object} [options]
+   * @param {boolean} [options.withText] - Include each source's full text (for matching)
+   */
+  listSources(assignmentId, { withText = false } = {}) {
+    return this.all('SELECT * FROM sources WHERE assignment_id = ? ORDER BY created_at, rowid', [assignmentId])
+      .map(row => FeedbackStore.toSource(row, { withText }));
+  }
+
+  deleteSource(assignmentId, sourceId) {
+    const [row] = this.all('SELECT id FROM sources WHERE id = ? AND assignment_id = ?', [sourceId, assignmentId]);
+    if (!row) return false;
+
+    this.db.run('DELETE FROM sources WHERE id = ?', [sourceId]);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Create or replace a rubric
+   * @param {Object} rubric - Rubric.toJSON(); a new ID is assigned when it has none
+   * @returns {Object} The stored rubric
+   */
+  saveRubric({ id, createdAt, updatedAt, ...definition }) {
+    const now = new Date().toISOString();
+    const existing = id ? this.getRubric(id) : null;
+    const stored = {
+      id: id || uuidv4(),
+      ...definition,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.db.run(
+      `INSERT INTO rubrics (id, title, definition, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET title = excluded.title, definition = excluded.definition, updated_at = excluded.updated_at`,
+      [stored.id, stored.title, JSON.stringify(definition), stored.createdAt, stored.updatedAt]
+    );
+    this.persist();
+    return stored;
+  }
+
+  getRubric(rubricId) {
+    const [row] = this.all('SELECT * FROM rubrics WHERE id = ?', [rubricId]);
+    return row ? FeedbackStore.toRubric(row) : null;
+  }
+
+  listRubrics() {
+    return this.all('SELECT * FROM rubrics ORDER BY title').map(FeedbackStore.toRubric);
+  }
+
+  /**
+   * Remove a rubric; assignments using it fall back to the default weights
+   */
+  deleteRubric(rubricId) {
+    if (!this.getRubric(rubricId)) return false;
+
+    this.db.run('DELETE FROM rubrics WHERE id = ?', [rubricId]);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Store a processed batch and every submission in it. Results that already
+   * carry a submissionId keep it; the rest are given one.
+   * @param {string} assignmentId
+   * @param {Object} batch - The batch response: { results, ...summary }
+   * @param {Object} [options]
+   * @param {string} [options.status='completed'] - 'completed' or 'cancelled'
+   * @param {Object} [options.documents] - Original uploads worth keeping (DOCX files), as Buffers keyed by submissionId
+   * @returns {string} Batch ID
+   */
+  saveBatch(assignmentId, { results, ...summary }, { status = 'completed', documents = {} } = {}) {
+    if (!this.getAssignment(assignmentId)) {
+      throw new Error(`Assignment ${assignmentId} not found`);
+    }
+
+    const batchId = uuidv4();
+    this.transaction(() => {
+      this.db.run(
+        'INSERT INTO batches (id, assignment_id, status, file_count, success_count, summary, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [batchId, assignmentId, status, results.length, results.filter(result => result.status === 'success').length,
+          JSON.stringify(summary), new Date().toISOString()]
+      );
+
+      results.forEach(({ submissionId = uuidv4(), hasDocument, ...result }, position) => {
+        // Extracted text gets its own column so listing a batch doesn't load every essay
+        const { extractedText = null, ...analysis } = result.analysis || {};
+        const stored = result.analysis ? { ...result, analysis } : result;
+
+        this.db.run(
+          'INSERT INTO submissions (id, batch_id, position, file_name, student_id, student_name, status, extracted_text, result, original_document) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [submissionId, batchId, position, result.fileName, result.studentId || null, result.studentName || null,
+            result.status, extractedText, JSON.stringify(stored), documents[submissionId] || null]
+        );
+      });
+    });
+    this.persist();
+
+    return batchId;
+  }
+
+  /**
+   * Batches, newest first
+   * @param {Object} [filter] - { classId, assignmentId }
+   */
+  listBatches({ classId, assignmentId } = {}) {
+    const conditions = [];
+    const params = [];
+    if (classId) {
+      conditions.push('a.class_id = ?');
+      params.push(String(classId));
+    }
+    if (assignmentId) {
+      conditions.push('b.assignment_id = ?');
+      params.push(assignmentId);
+    }
+
+    return this.all(
+      `SELECT b.*, a.title, a.class_id, a.assignment_type FROM batches b JOIN assignments a ON a.id = b.assignment_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY b.created_at DESC`,
+      params
+    ).map(row => ({
+      batchId: row.id,
+      assignmentId: row.assignment_id,
+      title: row.title,
+      classId: row.class_id,
+      assignmentType: row.assignment_type,
+      status: row.status,
+      fileCount: row.file_count,
+      successCount: row.success_count,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * A stored batch in the same shape as the upload response, plus batch and assignment details
+   * @returns {Object|null}
+   */
+  getBatch(batchId) {
+    const [row] = this.all('SELECT * FROM batches WHERE id = ?', [batchId]);
+    if (!row) return null;
+
+    const submissions = this.all(
+      'SELECT id, result, original_document IS NOT NULL AS has_document FROM submissions WHERE batch_id = ? ORDER BY position',
+      [batchId]
+    );
+
+    return {
+      ...JSON.parse(row.summary),
+      batchId: row.id,
+      status: row.status,
+      createdAt: row.created_at,
+      assignment: this.getAssignment(row.assignment_id),
+      results: submissions.map(submission => ({
+        submissionId: submission.id,
+        ...JSON.parse(submission.result),
+        hasDocument: Boolean(submission.has_document)
+      }))
+    };
+  }
+
+  /**
+   * One submission with its extracted text
+   * @returns {Object|null}
+   */
+  getSubmission(batchId, submissionId) {
+    const [row] = this.all('SELECT * FROM submissions WHERE batch_id = ? AND id = ?', [batchId, submissionId]);
+    if (!row) return null;
+
+    return {
+      submissionId: row.id,
+      ...JSON.parse(row.result),
+      extractedText: row.extracted_text
+    };
+  }
+
+  /**
+   * A submission by its ID alone, with its extracted text and the assignment it belongs to
+   * @returns {Object|null}
+   */
+  getSubmissionById(submissionId) {
+    const [row] = this.all(
+      'SELECT s.*, b.assignment_id FROM submissions s JOIN batches b ON b.id = s.batch_id WHERE s.id = ?',
+      [submissionId]
+    );
+    if (!row) return null;
+
+    return {
+      submissionId: row.id,
+      batchId: row.batch_id,
+      ...JSON.parse(row.result),
+      extractedText: row.extracted_text,
+      assignment: this.getAssignment(row.assignment_id)
+    };
+  }
+
+  /**
+   * The original upload kept for a submission (DOCX files only)
+   * @returns {Buffer|null}
+   */
+  getSubmissionDocument(submissionId) {
+    const [row] = this.all('SELECT original_document FROM submissions WHERE id = ?', [submissionId]);
+    return row?.original_document ? Buffer.from(row.original_document) : null;
+  }
+
+  deleteBatch(batchId) {
+    const [row] = this.all('SELECT id FROM batches WHERE id = ?', [batchId]);
+    if (!row) return false;
+
+    this.db.run('DELETE FROM batches WHERE id = ?', [batchId]);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Keep a generated report with the batch it was built from
+   * @param {string} batchId
+   * @param {Object} report - ReportGenerator output ({ format, fileName, content })
+   * @returns {Object} { reportId, format, fileName, createdAt }
+   */
+  saveReport(batchId, report) {
+    const stored = {
+      reportId: uuidv4(),
+      format: report.format,
+      fileName: report.fileName,
+      createdAt: new Date().toISOString()
+    };
+    const content = typeof report.content === 'string' ? report.content : JSON.stringify(report.content, null, 2);
+
+    this.db.run(
+      'INSERT INTO reports (id, batch_id, format, file_name, content, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [stored.reportId, batchId, stored.format, stored.fileName, content, stored.createdAt]
+    );
+    this.persist();
+    return stored;
+  }
+
+  listReports(batchId) {
+    return this.all('SELECT id, format, file_name, created_at FROM reports WHERE batch_id = ? ORDER BY created_at DESC', [batchId])
+      .map(row => ({ reportId: row.id, format: row.format, fileName: row.file_name, createdAt: row.created_at }));
+  }
+
+  getReport(reportId) {
+    const [row] = this.all('SELECT * FROM reports WHERE id = ?', [reportId]);
+    if (!row) return null;
+
+    return {
+      reportId: row.id,
+      batchId: row.batch_id,
+      format: row.format,
+      fileName: row.file_name,
+      content: row.content,
+      createdAt: row.created_at
+    };
+  }
+
+  getCachedAnalysis(key) {
+    const [row] = this.all('SELECT result FROM analysis_cache WHERE key = ?', [key]);
+    return row ? JSON.parse(row.result) : null;
+  }
+
+  saveCachedAnalysis(key, analyzerVersion, analysis) {
+    this.db.run(
+      'INSERT OR REPLACE INTO analysis_cache (key, analyzer_version, result, created_at) VALUES (?, ?, ?, ?)',
+      [key, analyzerVersion, JSON.stringify(analysis), new Date().toISOString()]
+    );
+    this.persistSoon();
+  }
+
+  /**
+   * Remove cached analyses made by any other analyzer version (all of them for null)
+   * @returns {number} Entries removed
+   */
+  pruneAnalysisCache(currentVersion) {
+    const [{ count }] = currentVersion
+      ? this.all('SELECT COUNT(*) AS count FROM analysis_cache WHERE analyzer_version != ?', [currentVersion])
+      : this.all('SELECT COUNT(*) AS count FROM analysis_cache');
+    if (count === 0) return 0;
+
+    if (currentVersion) {
+      this.db.run('DELETE FROM analysis_cache WHERE analyzer_version != ?', [currentVersion]);
+    } else {
+      this.db.run('DELETE FROM analysis_cache');
+    }
+    this.persist();
+    return count;
+  }
+
+  /**
+   * Run statements as one transaction, rolling back on error
+   */
+  transaction(work) {
+    this.db.run('BEGIN');
+    try {
+      const result = work();
+      this.db.run('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Rows of a query as plain objects
+   */
+  all(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Write the database file. The copy is written next to the target and renamed
+   * into place, so a crash mid-write never leaves a truncated database.
+   */
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.filePath) return;
+
+    fs.ensureDirSync(path.dirname(this.filePath));
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+    fs.renameSync(tempPath, this.filePath);
+    // sql.js reopens the connection on export, which resets per-connection pragmas
+    this.db.run('PRAGMA foreign_keys = ON');
+  }
+
+  persistSoon() {
+    if (!this.filePath || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), CACHE_PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  close() {
+    this.persist();
+    this.db.close();
+  }
+
+  static toClass(row) {
+    return {
+      classId: row.id,
+      roster: row.roster ? JSON.parse(row.roster) : null,
+      gradeScale: row.grade_scale ? JSON.parse(row.grade_scale) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static toAssignment(row) {
+    return {
+      id: row.id,
+      classId: row.class_id,
+      title: row.title,
+      assignmentType: row.assignment_type,
+      evaluationCriteria: JSON.parse(row.evaluation_criteria),
+      dueDate: row.due_date,
+      rubricId: row.rubric_id,
+      calibration: row.calibration ? JSON.parse(row.calibration) : null,
+      vocabulary: row.vocabulary ? JSON.parse(row.vocabulary) : [],
+      templateText: row.template_text,
+      requiredConcepts: row.required_concepts ? JSON.parse(row.required_concepts) : [],
+      answerKey: row.answer_key ? JSON.parse(row.answer_key) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  static toSource(row, { withText = false } = {}) {
+    return {
+      id: row.id,
+      assignmentId: row.assignment_id,
+      title: row.title,
+      author: row.author,
+      fileName: row.file_name,
+      wordCount: row.text.split(/\s+/).filter(Boolean).length,
+      ...(withText ? { text: row.text } : {}),
+      createdAt: row.created_at
+    };
+  }
+
+  static toRubric(row) {
+    return {
+      id: row.id,
+      ...JSON.parse(row.definition),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -1,20 +1,33 @@
 import multer from 'multer';
+import JSZip from 'jszip';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import mammoth from 'mammoth';
+import WordExtractor from 'word-extractor';
 import PDFParser from '../utils/pdfParser.js';
-
-// Workaround for pdf-parse test file issue
-process.env.PDF_PARSE_TEST_FILE = 'disabled';
+import RTFParser from '../utils/rtfParser.js';
+import ODTParser from '../utils/odtParser.js';
+import ArchiveReader from '../utils/archiveReader.js';
+import { ManifestExportParser } from './importers/ManifestExportParser.js';
+import { Config } from './Config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class FileUploadHandler {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Loaded settings (see Config); fileUpload sets the limits and accepted types
+   * @param {Object} [options.archiveLimits] - Overrides for ArchiveReader's limits
+   */
+  constructor(options = {}) {
+    const { fileUpload } = options.config || Config.defaults();
     this.uploadDir = path.join(__dirname, '../../uploads');
     this.tempDir = path.join(__dirname, '../../temp');
+    this.limits = fileUpload;
+    // Files inside a ZIP are held to the same per-file limit as direct uploads
+    this.archiveLimits = { maxEntrySize: fileUpload.maxFileSize, ...options.archiveLimits };
     
     // Ensure directories exist
     this.ensureDirectories();
@@ -33,18 +46,11 @@ export class FileUploadHandler {
     this.upload = multer({
       storage: this.storage,
       limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 50 // Maximum 50 files per upload
+        fileSize: this.limits.maxFileSize,
+        files: this.limits.maxFiles
       },
       fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-          'text/plain',
-          'application/pdf',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'application/msword'
-        ];
-        
-        if (allowedTypes.includes(file.mimetype)) {
+        if (this.isSupportedFile(file) || this.isArchive(file)) {
           cb(null, true);
         } else {
           cb(new Error(`File type ${file.mimetype} not supported`), false);
@@ -68,7 +74,7 @@ export class FileUploadHandler {
    * Get multer middleware for file uploads
    */
   getUploadMiddleware() {
-    return this.upload.array('files', 50);
+    return this.upload.array('files', this.limits.maxFiles);
   }
 
   /**
@@ -79,7 +85,7 @@ export class FileUploadHandler {
     
     for (const file of files) {
       try {
-        const textContent = await this.extractTextFromFile(file.path, file.mimetype);
+        const textContent = await this.extractText(file);
         const metadata = this.extractMetadata(file);
         
         processedFiles.push({
@@ -107,21 +113,257 @@ export class FileUploadHandler {
     return processedFiles;
   }
 
+  /**
+   * Extract text from an uploaded file object.
+   * Accepts multer disk uploads (path), in-memory uploads (buffer) and
+   * pre-extracted inline text (content/text).
+   */
+  async extractText(file) {
+    const document = await this.extractDocument(file);
+    return document.text;
+  }
+
+  /**
+   * Extract text plus any layout the format preserves.
+   * PDFs report pages and paragraphs with character offsets into the text
+   * so feedback can cite locations such as "page 2, paragraph 3".
+   * @returns {Object} { text, layout, properties } where layout is null for flat formats
+   *   and properties holds document author/title metadata when the format records it
+   */
+  async extractDocument(file) {
+    if (!file) {
+      throw new Error('No file provided for extraction');
+    }
+
+    const fileName = file.originalname || file.name || '';
+    const source = file.path || file.buffer;
+
+    if (!source) {
+      return { text: file.content || file.text || '', layout: null, properties: null };
+    }
+
+    const mimeType = this.resolveMimeType(fileName, file.mimetype);
+
+    if (mimeType === 'application/pdf') {
+      try {
+        const pdf = await this.parsePDF(source);
+        return {
+          text: pdf.text,
+          layout: {
+            format: 'pdf',
+            pageCount: pdf.numpages,
+            imageOnlyPages: pdf.imageOnlyPages,
+            pages: pdf.pages.map(({ text, ...page }) => ({
+              ...page,
+              paragraphs: page.paragraphs.map(({ text, ...paragraph }) => paragraph)
+            }))
+          },
+          properties: {
+            author: pdf.info?.Author || null,
+            lastModifiedBy: null,
+            title: pdf.info?.Title || null
+          }
+        };
+      } catch (error) {
+        throw new Error(`Failed to extract text from file: ${error.message}`);
+      }
+    }
+
+    return {
+      text: await this.extractTextFromFile(source, mimeType),
+      layout: null,
+      properties: await this.readDocumentProperties(source, mimeType)
+    };
+  }
+
+  /**
+   * Read author and title from DOCX (docProps/core.xml) or ODT (meta.xml) packages.
+   * Metadata is best effort: a damaged properties part never fails extraction.
+   * @returns {Object|null} { author, lastModifiedBy, title }
+   */
+  async readDocumentProperties(source, mimeType) {
+    const parts = {
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docProps/core.xml',
+      'application/vnd.oasis.opendocument.text': 'meta.xml'
+    };
+    if (!parts[mimeType]) {
+      return null;
+    }
+
+    try {
+      const zip = await JSZip.loadAsync(await this.readSource(source));
+      const part = zip.file(parts[mimeType]);
+      if (!part) {
+        return null;
+      }
+
+      const xml = await part.async('string');
+      const read = (...tags) => {
+        for (const tag of tags) {
+          const match = xml.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
+          if (match && match[1].trim()) return ODTParser.decodeEntities(match[1].trim());
+        }
+        return null;
+      };
+
+      // ODF records the original author as meta:initial-creator and the last editor as dc:creator
+      const isODF = mimeType === 'application/vnd.oasis.opendocument.text';
+      return {
+        author: isODF ? read('meta:initial-creator', 'dc:creator') : read('dc:creator'),
+        lastModifiedBy: isODF ? read('dc:creator') : read('cp:lastModifiedBy'),
+        title: read('dc:title')
+      };
+    } catch (error) {
+      console.warn(`Could not read document properties: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the MIME type used for extraction.
+   * The file extension wins over the reported type because browsers often
+   * send office documents as application/octet-stream.
+   */
+  resolveMimeType(fileName, mimeType) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const supportedTypes = this.getSupportedFileTypes();
+    const byExtension = supportedTypes.find(type => type.extensions.includes(extension));
+    if (byExtension) {
+      return byExtension.type;
+    }
+
+    const byAlias = supportedTypes.find(type => (type.aliases || []).includes(mimeType));
+    return byAlias ? byAlias.type : mimeType;
+  }
+
+  /**
+   * Check whether an upload can be handled by the extraction pipeline
+   */
+  isSupportedFile(file) {
+    const mimeType = this.resolveMimeType(file.originalname || file.name, file.mimetype);
+    return this.getSupportedFileTypes().some(type => type.type === mimeType);
+  }
+
+  /**
+   * Check whether an upload is a ZIP archive of submissions
+   */
+  isArchive(file) {
+    return ArchiveReader.isArchiveName(file.originalname || file.name, file.mimetype);
+  }
+
+  /**
+   * Expand a ZIP upload into in-memory submissions.
+   * Every entry is run through validateFile; nested folders are kept in the
+   * entry name (e.g. "alice-smith/essay.docx") so the student can be identified.
+   * A manifest.csv or manifest.json in the archive is attached to every entry
+   * for StudentIdentityResolver rather than processed as a submission.
+   * @returns {Object} { files, entries } where entries carries a status for every archive member
+   */
+  async expandArchive(file) {
+    const archiveName = file.originalname || file.name || 'archive.zip';
+    const buffer = await this.readSource(file.path || file.buffer);
+    const archiveEntries = await ArchiveReader.read(buffer, this.archiveLimits);
+    const files = [];
+    let manifest = null;
+
+    const manifestEntry = archiveEntries.find(entry => entry.status === 'ok' && ManifestExportParser.isManifestName(entry.name));
+    if (manifestEntry) {
+      try {
+        ManifestExportParser.fromFile(manifestEntry.name, manifestEntry.buffer);
+        manifest = { name: manifestEntry.name, contents: manifestEntry.buffer };
+      } catch (error) {
+        manifestEntry.reason = error.message;
+      }
+    }
+
+    const entries = archiveEntries.map(entry => {
+      if (entry === manifestEntry) {
+        return manifest
+          ? { archive: archiveName, name: entry.name, status: 'manifest' }
+          : { archive: archiveName, name: entry.name, status: 'rejected', reason: entry.reason };
+      }
+      if (entry.status !== 'ok') {
+        return { archive: archiveName, name: entry.name, status: entry.status, reason: entry.reason };
+      }
+
+      const entryFile = {
+        originalname: entry.name,
+        mimetype: this.resolveMimeType(entry.name, 'application/octet-stream'),
+        size: entry.buffer.length,
+        buffer: entry.buffer,
+        lastModified: entry.date,
+        archive: archiveName,
+        archiveManifest: manifest
+      };
+
+      const validation = this.validateFile(entryFile);
+      if (!validation.isValid) {
+        return { archive: archiveName, name: entry.name, status: 'rejected', reason: validation.errors.join('; ') };
+      }
+
+      files.push(entryFile);
+      return { archive: archiveName, name: entry.name, status: 'accepted' };
+    });
+
+    return { files, entries };
+  }
+
+  /**
+   * Replace any ZIP uploads with their contents so a class set becomes one batch
+   * @returns {Object} { files, archiveEntries }
+   */
+  async expandUploads(uploads = []) {
+    const files = [];
+    const archiveEntries = [];
+
+    for (const upload of uploads) {
+      if (!this.isArchive(upload)) {
+        files.push(upload);
+        continue;
+      }
+
+      try {
+        const expanded = await this.expandArchive(upload);
+        files.push(...expanded.files);
+        archiveEntries.push(...expanded.entries);
+      } catch (error) {
+        archiveEntries.push({
+          archive: upload.originalname || upload.name,
+          name: upload.originalname || upload.name,
+          status: 'rejected',
+          reason: error.message
+        });
+      }
+    }
+
+    return { files, archiveEntries };
+  }
+
   /**
    * Extract text content from various file types
+   * @param {string|Buffer} source - File path or file contents
+   * @param {string} mimeType - Resolved MIME type
    */
-  async extractTextFromFile(filePath, mimeType) {
+  async extractTextFromFile(source, mimeType) {
     try {
       switch (mimeType) {
         case 'text/plain':
-          return await this.extractFromTextFile(filePath);
+          return await this.extractFromTextFile(source);
           
         case 'application/pdf':
-          return await this.extractFromPDF(filePath);
+          return await this.extractFromPDF(source);
           
         case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+          return await this.extractFromWordDocument(source);
+          
         case 'application/msword':
-          return await this.extractFromWordDocument(filePath);
+          return await this.extractFromLegacyWordDocument(source);
+          
+        case 'application/vnd.oasis.opendocument.text':
+          return await this.extractFromODT(source);
+          
+        case 'application/rtf':
+          return await this.extractFromRTF(source);
           
         default:
           throw new Error(`Unsupported file type: ${mimeType}`);
@@ -131,13 +373,20 @@ export class FileUploadHandler {
     }
   }
 
+  /**
+   * Read a file path or pass a buffer through unchanged
+   */
+  async readSource(source) {
+    return Buffer.isBuffer(source) ? source : await fs.readFile(source);
+  }
+
   /**
    * Extract text from plain text files
    */
-  async extractFromTextFile(filePath) {
+  async extractFromTextFile(source) {
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      return content;
+      const content = await this.readSource(source);
+      return content.toString('utf8');
     } catch (error) {
       throw new Error(`Failed to read text file: ${error.message}`);
     }
@@ -146,29 +395,92 @@ export class FileUploadHandler {
   /**
    * Extract text from PDF files
    */
-  async extractFromPDF(filePath) {
+  async extractFromPDF(source) {
+    const data = await this.parsePDF(source);
+    return data.text;
+  }
+
+  /**
+   * Parse a PDF, refusing scanned or image-only documents rather than guessing at their text
+   */
+  async parsePDF(source) {
+    let data;
     try {
-      const dataBuffer = await fs.readFile(filePath);
-      const data = await PDFParser.parse(dataBuffer);
-      return data.text;
+      const dataBuffer = await this.readSource(source);
+      data = await PDFParser.parse(dataBuffer);
     } catch (error) {
-      console.error('PDF extraction error:', error);
-      return 'Error extracting text from PDF. Using mock data instead.';
+      throw new Error(`Failed to parse PDF: ${error.message}`);
+    }
+
+    if (data.isImageOnly) {
+      throw new Error('PDF has no extractable text; it appears to be a scanned or image-only document');
     }
+
+    return data;
   }
 
   /**
-   * Extract text from Word documents
+   * Extract text from Word documents (DOCX)
    */
-  async extractFromWordDocument(filePath) {
+  async extractFromWordDocument(source) {
     try {
-      const result = await mammoth.extractRawText({ path: filePath });
+      const input = Buffer.isBuffer(source) ? { buffer: source } : { path: source };
+      const result = await mammoth.extractRawText(input);
       return result.value;
     } catch (error) {
       throw new Error(`Failed to extract text from Word document: ${error.message}`);
     }
   }
 
+  /**
+   * Extract text from binary Word 97-2003 documents (DOC), which mammoth cannot read
+   */
+  async extractFromLegacyWordDocument(source) {
+    try {
+      const document = await new WordExtractor().extract(await this.readSource(source));
+      return document.getBody().trim();
+    } catch (error) {
+      throw new Error(`Failed to extract text from Word document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from OpenDocument text files (ODT)
+   */
+  async extractFromODT(source) {
+    try {
+      return await ODTParser.parse(await this.readSource(source));
+    } catch (error) {
+      throw new Error(`Failed to extract text from OpenDocument file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from Rich Text Format files (RTF)
+   */
+  async extractFromRTF(source) {
+    try {
+      return RTFParser.parse(await this.readSource(source));
+    } catch (error) {
+      throw new Error(`Failed to extract text from RTF file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove multer temp files once a batch has been processed
+   */
+  async removeUploadedFiles(files = []) {
+    await Promise.all(files
+      .filter(file => file && file.path)
+      .map(async (file) => {
+        try {
+          await fs.remove(file.path);
+        } catch (error) {
+          console.error(`Error removing temp file ${file.path}:`, error);
+        }
+      }));
+  }
+
   /**
    * Extract metadata from file
    */
@@ -189,24 +501,21 @@ export class FileUploadHandler {
     const errors = [];
     
     // Check file size
-    if (file.size > 10 * 1024 * 1024) {
-      errors.push('File size exceeds 10MB limit');
+    if (file.size > this.limits.maxFileSize) {
+      errors.push(`File size exceeds ${Config.formatSize(this.limits.maxFileSize)} limit`);
     }
     
+    const supportedTypes = this.getSupportedFileTypes();
+    
     // Check file type
-    const allowedTypes = [
-      'text/plain',
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
-    ];
+    const allowedTypes = supportedTypes.flatMap(type => [type.type, ...(type.aliases || [])]);
     
     if (!allowedTypes.includes(file.mimetype)) {
       errors.push(`File type ${file.mimetype} not supported`);
     }
     
     // Check file extension
-    const allowedExtensions = ['.txt', '.pdf', '.docx', '.doc'];
+    const allowedExtensions = supportedTypes.flatMap(type => type.extensions);
     const extension = path.extname(file.originalname).toLowerCase();
     
     if (!allowedExtensions.includes(extension)) {
@@ -220,9 +529,10 @@ export class FileUploadHandler {
   }
 
   /**
-   * Get supported file types
+   * File types the extraction pipeline handles, limited to the configured types and extensions
    */
   getSupportedFileTypes() {
+    const { allowedTypes, allowedExtensions } = this.limits;
     return [
       {
         type: 'text/plain',
@@ -243,8 +553,19 @@ export class FileUploadHandler {
         type: 'application/msword',
         extensions: ['.doc'],
         description: 'Word documents (DOC)'
+      },
+      {
+        type: 'application/vnd.oasis.opendocument.text',
+        extensions: ['.odt'],
+        description: 'OpenDocument text (ODT)'
+      },
+      {
+        type: 'application/rtf',
+        aliases: ['text/rtf'],
+        extensions: ['.rtf'],
+        description: 'Rich Text Format (RTF)'
       }
-    ];
+    ].filter(type => allowedTypes.includes(type.type) && type.extensions.some(extension => allowedExtensions.includes(extension)));
   }
 
   /**
@@ -0,0 +1,159 @@
+// Score bands used by the percent and points scales; overridden by config.json feedback.scoreThresholds
+const DEFAULT_THRESHOLDS = { high: 0.8, medium: 0.6, low: 0.4 };
+
+// Lowest score for each grade, highest first
+const LETTER_BANDS = [
+  ['A+', 0.97], ['A', 0.93], ['A-', 0.90],
+  ['B+', 0.87], ['B', 0.83], ['B-', 0.80],
+  ['C+', 0.77], ['C', 0.73], ['C-', 0.70],
+  ['D+', 0.67], ['D', 0.63], ['D-', 0.60],
+  ['F', 0]
+];
+const STANDARDS_BANDS = [
+  ['4', 0.85, 'Exceeding'],
+  ['3', 0.70, 'Meeting'],
+  ['2', 0.50, 'Approaching'],
+  ['1', 0, 'Beginning']
+];
+const IB_BANDS = [
+  ['7', 0.80, 'Excellent'],
+  ['6', 0.70, 'Very good'],
+  ['5', 0.60, 'Good'],
+  ['4', 0.50, 'Satisfactory'],
+  ['3', 0.40, 'Mediocre'],
+  ['2', 0.25, 'Poor'],
+  ['1', 0, 'Very poor']
+];
+
+const SCALES = {
+  percent: { name: 'Percentage', description: 'Scores as a percentage' },
+  letter: { name: 'Letter grades', description: 'A+ to F with plus and minus grades', bands: LETTER_BANDS },
+  standards: { name: 'Standards-based (1–4)', description: '4 Exceeding, 3 Meeting, 2 Approaching, 1 Beginning', bands: STANDARDS_BANDS },
+  ib: { name: 'IB (1–7)', description: 'International Baccalaureate grades 1 to 7', bands: IB_BANDS },
+  points: { name: 'Points', description: 'Points out of a total, e.g. 17/20' }
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * A named grade scale that turns 0–1 scores into the grades a class uses:
+ * a percentage, a letter grade, a standards-based or IB level, or points out
+ * of a total. Each scale also has bands that reports count students in; the
+ * percent and points scales use the configured high/medium/low thresholds.
+ */
+export class GradeScale {
+  static TYPES = Object.keys(SCALES);
+
+  static DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+  /**
+   * @param {Object} [data]
+   * @param {string} [data.type] - One of GradeScale.TYPES
+   * @param {number} [data.outOf] - Total for the points scale
+   * @param {Object} [thresholds] - { high, medium, low } for the percent and points scales
+   */
+  constructor({ type = 'percent', outOf = null } = {}, thresholds = DEFAULT_THRESHOLDS) {
+    if (!SCALES[type]) {
+      throw new Error(`Unknown grade scale "${type}"; use one of ${GradeScale.TYPES.join(', ')}`);
+    }
+    if (type === 'points') {
+      outOf = Number(outOf);
+      if (!Number.isFinite(outOf) || outOf <= 0) {
+        throw new Error('The points grade scale needs a positive "outOf" total');
+      }
+    }
+
+    this.type = type;
+    this.outOf = type === 'points' ? outOf : null;
+    this.name = type === 'points' ? `Points out of ${outOf}` : SCALES[type].name;
+    this.bands = SCALES[type].bands
+      ? SCALES[type].bands.map(([label, minScore, description = null]) => ({ label, minScore, description }))
+      : GradeScale.thresholdBands(thresholds);
+  }
+
+  /**
+   * Accepts a GradeScale, its JSON or just a type name; null gives the default percent scale
+   */
+  static from(data, thresholds) {
+    if (data instanceof GradeScale) return data;
+    if (typeof data === 'string') return new GradeScale({ type: data }, thresholds);
+    return new GradeScale(data || {}, thresholds);
+  }
+
+  /**
+   * Built-in scales for API listings
+   */
+  static list() {
+    return Object.entries(SCALES).map(([type, { name, description }]) => ({
+      type,
+      name,
+      description,
+      needsOutOf: type === 'points'
+    }));
+  }
+
+  static thresholdBands({ high, medium, low } = DEFAULT_THRESHOLDS) {
+    if (!(high > medium && medium > low && low > 0 && high <= 1)) {
+      throw new Error('Score thresholds must satisfy 1 >= high > medium > low > 0');
+    }
+    return [
+      { label: 'High', minScore: high, description: null },
+      { label: 'Medium', minScore: medium, description: null },
+      { label: 'Low', minScore: low, description: null },
+      { label: 'Needs support', minScore: 0, description: null }
+    ];
+  }
+
+  /**
+   * Band a 0–1 score falls in
+   */
+  bandFor(score) {
+    return this.bands.find(band => score >= band.minScore) || this.bands[this.bands.length - 1];
+  }
+
+  /**
+   * Grade for a 0–1 score: { label, band, description }. The label is what
+   * reports show, e.g. "87%", "B+", "3" or "17.5/20". Missing scores give null.
+   */
+  grade(score) {
+    if (typeof score !== 'number' || Number.isNaN(score)) return null;
+
+    const clamped = Math.max(0, Math.min(1, score));
+    const band = this.bandFor(clamped);
+    let label = band.label;
+    if (this.type === 'percent') label = `${Math.round(clamped * 100)}%`;
+    if (this.type === 'points') label = `${round(clamped * this.outOf)}/${this.outOf}`;
+
+    return { label, band: band.label, description: band.description };
+  }
+
+  /**
+   * Number of scores in each band, highest band first
+   * @returns {Array<{label: string, description: string|null, count: number}>}
+   */
+  distribution(scores) {
+    const counts = new Map(this.bands.map(band => [band.label, 0]));
+    scores
+      .filter(score => typeof score === 'number' && !Number.isNaN(score))
+      .forEach(score => {
+        const { label } = this.bandFor(Math.max(0, Math.min(1, score)));
+        counts.set(label, counts.get(label) + 1);
+      });
+    return this.bands.map(band => ({ label: band.label, description: band.description, count: counts.get(band.label) }));
+  }
+
+  /**
+   * Summary for API responses and report metadata
+   */
+  describe() {
+    return {
+      ...this.toJSON(),
+      name: this.name,
+      bands: this.bands
+    };
+  }
+
+  toJSON() {
+    return this.type === 'points' ? { type: this.type, outOf: this.outOf } : { type: this.type };
+  }
+}
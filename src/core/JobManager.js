@@ -0,0 +1,195 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// Finished jobs stay readable for an hour so the UI can fetch results after a reconnect
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Runs feedback batches in the background and tracks per-file progress.
+ * Every state change is emitted as an event named after the job ID, so an
+ * SSE connection can subscribe to exactly one job.
+ */
+export class JobManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=1] - Jobs processed at the same time; the rest wait in the queue
+   * @param {number} [options.retentionMs] - How long finished jobs are kept
+   */
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || 1;
+    this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    // Every open SSE connection adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a batch. The task receives { signal, onProgress } and resolves with the job result;
+   * onProgress takes the events FeedbackProcessor.processBulkAssignments reports.
+   * @param {Array<string>} fileNames - Files in batch order
+   * @param {Function} task - async ({ signal, onProgress }) => result
+   * @returns {Object} Job snapshot
+   */
+  submit(fileNames, task) {
+    if (typeof task !== 'function') {
+      throw new Error('Job task must be a function');
+    }
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      files: fileNames.map((fileName, index) => ({ index, fileName, status: 'pending', error: null })),
+      result: null,
+      task,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.publish(job, 'queued');
+    // Start on the next turn so the caller can subscribe before the first progress event
+    setImmediate(() => this.drain());
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Current state of a job, including its result once it has finished
+   * @returns {Object|null}
+   */
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...this.snapshot(job), result: job.result } : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => this.snapshot(job));
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops after the file it is on.
+   * @returns {Object|null} Job snapshot, or null for an unknown job
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (FINISHED_STATUSES.has(job.status)) return this.snapshot(job);
+
+    job.controller.abort();
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      job.status = 'cancelling';
+      this.publish(job, 'progress');
+    }
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Listen to one job's events. Returns a function that removes the listener.
+   */
+  subscribe(jobId, listener) {
+    this.on(jobId, listener);
+    return () => this.off(jobId, listener);
+  }
+
+  isFinished(jobId) {
+    const job = this.jobs.get(jobId);
+    return Boolean(job && FINISHED_STATUSES.has(job.status));
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.publish(job, 'progress');
+
+    try {
+      job.result = await job.task({
+        signal: job.controller.signal,
+        onProgress: event => this.recordProgress(job, event)
+      });
+      this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'completed');
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      job.error = error.message;
+      this.finish(job, 'failed');
+    }
+  }
+
+  recordProgress(job, event) {
+    const file = job.files[event.index];
+    if (!file) return;
+
+    if (event.type === 'file-start') {
+      file.status = 'processing';
+    } else if (event.type === 'file-complete') {
+      file.status = event.result?.status === 'success' ? 'success' : 'error';
+      file.error = event.result?.error || null;
+      file.studentName = event.result?.studentName || null;
+    }
+
+    this.publish(job, 'progress', { fileIndex: event.index });
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.files
+      .filter(file => file.status === 'pending' || file.status === 'processing')
+      .forEach(file => { file.status = 'cancelled'; });
+    // The task closure can hold uploaded file buffers; drop it once the job is done
+    job.task = null;
+
+    this.publish(job, status);
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+    timer.unref();
+  }
+
+  publish(job, type, extra = {}) {
+    this.emit(job.id, { type, ...extra, job: this.snapshot(job) });
+  }
+
+  snapshot(job) {
+    const completed = job.files.filter(file => file.status === 'success' || file.status === 'error').length;
+    const total = job.files.length;
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      progress: {
+        completed,
+        total,
+        percent: total === 0 ? 100 : Math.round((completed / total) * 100)
+      },
+      files: job.files.map(file => ({ ...file }))
+    };
+  }
+}
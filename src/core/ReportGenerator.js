@@ -1,15 +1,29 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import ejs from 'ejs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import JSZip from 'jszip';
+import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+import { GradeScale } from './GradeScale.js';
+import { Config } from './Config.js';
+import { Annotation } from './Annotation.js';
+import { DocxAnnotator } from './DocxAnnotator.js';
+import { SimilarityDetector } from './SimilarityDetector.js';
+import { AnswerKey } from './AnswerKey.js';
 
 export class ReportGenerator {
-  constructor() {
-    this.templatesDir = path.join(__dirname, '../templates');
-    this.outputDir = path.join(__dirname, '../../output');
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Loaded settings (see Config); reports, feedback.scoreThresholds and similarity apply here
+   */
+  constructor(options = {}) {
+    const { reports, feedback, similarity } = options.config || Config.defaults();
+    // { high, medium, low } bands for score colours and the percent/points scales
+    this.scoreThresholds = feedback.scoreThresholds;
+    this.defaultFormat = reports.defaultFormat;
+    this.supportedFormats = reports.supportedFormats;
+    this.templatesDir = Config.resolvePath(reports.templatesDirectory);
+    this.outputDir = Config.resolvePath(reports.outputDirectory);
+    this.similarityDetector = new SimilarityDetector(similarity);
     this.ensureDirectories();
   }
 
@@ -26,10 +40,15 @@ export class ReportGenerator {
 
   /**
    * Generate feedback report
+   * @param {Array} analysisResults - processBulkAssignments results
+   * @param {Object} [options]
+   * @param {Object|null} [options.similarity] - SimilarityDetector.compare output saved with the batch;
+   *   without it the results are compared here, which needs their extracted text
+   * @param {string} [options.templateText] - Prompt or template text left out of that comparison
    */
   async generateReport(analysisResults, options = {}) {
     const {
-      format = 'html',
+      format = this.defaultFormat,
       includeSuggestions = true,
       includeStrengths = true,
       includeImprovements = true,
@@ -38,6 +57,9 @@ export class ReportGenerator {
     } = options;
 
     try {
+      if (!this.supportedFormats.includes(format.toLowerCase())) {
+        throw new Error(`Unsupported report format: ${format}`);
+      }
       switch (format.toLowerCase()) {
         case 'html':
           return await this.generateHTMLReport(analysisResults, options);
@@ -64,6 +86,8 @@ export class ReportGenerator {
     
     const html = ejs.render(template, {
       ...reportData,
+      dimensionLabel: EvaluationDimensions.label,
+      scoreClass: score => this.scoreClass(score),
       options: options,
       generatedAt: new Date().toISOString(),
       version: '1.0.0'
@@ -89,16 +113,22 @@ export class ReportGenerator {
   async generateJSONReport(analysisResults, options) {
     const reportData = this.prepareReportData(analysisResults, options);
     
+    const { similarity, templateText, ...reportOptions } = options;
+    
     const jsonReport = {
       metadata: {
         generatedAt: new Date().toISOString(),
         version: '1.0.0',
         totalStudents: analysisResults.length,
-        options: options
+        evaluationCriteria: reportData.criteria,
+        gradeScale: reportData.gradeScale,
+        options: reportOptions
       },
       students: reportData.students,
       summary: reportData.summary,
-      statistics: reportData.statistics
+      statistics: reportData.statistics,
+      similarity: reportData.similarity,
+      itemAnalysis: reportData.itemAnalysis
     };
 
     const fileName = `feedback-report-${Date.now()}.json`;
@@ -136,7 +166,7 @@ export class ReportGenerator {
    * Generate CSV report
    */
   async generateCSVReport(analysisResults, options) {
-    const csvData = this.prepareCSVData(analysisResults);
+    const csvData = this.prepareCSVData(analysisResults, options);
     const csvContent = this.convertToCSV(csvData);
 
     const fileName = `feedback-report-${Date.now()}.csv`;
@@ -155,27 +185,80 @@ export class ReportGenerator {
   /**
    * Prepare report data
    */
-  prepareReportData(analysisResults, options) {
-    const students = analysisResults.map(result => this.prepareStudentData(result));
-    const summary = this.generateSummary(students);
+  prepareReportData(analysisResults, options = {}) {
+    const gradeScale = this.gradeScaleFor(options);
+    const students = analysisResults.map(result => this.prepareStudentData(result, gradeScale));
+    const summary = this.generateSummary(students, gradeScale);
     const statistics = this.generateStatistics(students);
 
     return {
       students,
+      criteria: this.reportCriteria(analysisResults),
+      gradeScale: gradeScale.describe(),
       summary,
       statistics,
+      similarity: this.similarityFor(analysisResults, options),
+      // Graded worksheets carry their per-question results, so stored batches need nothing extra
+      itemAnalysis: AnswerKey.itemAnalysis(analysisResults),
       options
     };
   }
 
+  /**
+   * Pairs of similar submissions in the batch: the comparison saved with it, or a new one
+   */
+  similarityFor(analysisResults, options = {}) {
+    if (options.similarity !== undefined) return options.similarity;
+    return this.similarityDetector.compare(analysisResults, { templateText: options.templateText });
+  }
+
+  /**
+   * Grade scale chosen in the report options (a GradeScale, its JSON or a type name); percent by default
+   */
+  gradeScaleFor(options = {}) {
+    return GradeScale.from(options.gradeScale, this.scoreThresholds);
+  }
+
+  /**
+   * "high", "medium" or "low" for colouring a 0–1 score
+   */
+  scoreClass(score) {
+    if (score >= this.scoreThresholds.high) return 'high';
+    if (score >= this.scoreThresholds.medium) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Dimensions evaluated across a batch, in evaluation order. Each submission
+   * records the criteria it was scored on, so reports only show those columns.
+   */
+  reportCriteria(analysisResults) {
+    return this.orderDimensions(analysisResults
+      .filter(result => !result.error && result.analysis)
+      .flatMap(result => result.analysis.metadata?.evaluationCriteria || Object.keys(result.analysis.dimensionScores || {})));
+  }
+
+  /**
+   * Distinct dimension keys in evaluation order; unfamiliar keys go last
+   */
+  orderDimensions(dimensions) {
+    const order = Object.keys(EvaluationDimensions.DEFAULT_WEIGHTS);
+    const position = dimension => (order.includes(dimension) ? order.indexOf(dimension) : order.length);
+
+    return [...new Set(dimensions)].sort((a, b) => position(a) - position(b));
+  }
+
   /**
    * Prepare individual student data
    */
-  prepareStudentData(result) {
+  prepareStudentData(result, gradeScale = this.gradeScaleFor()) {
     if (result.error) {
       return {
         name: result.studentName,
+        studentId: result.studentId,
         fileName: result.fileName,
+        submittedAt: result.submittedAt,
+        late: result.late,
         error: result.error,
         hasError: true
       };
@@ -184,9 +267,16 @@ export class ReportGenerator {
     const analysis = result.analysis;
     return {
       name: result.studentName,
+      studentId: result.studentId,
       fileName: result.fileName,
+      submittedAt: result.submittedAt,
+      late: result.late,
       hasError: false,
       overallScore: analysis.overallQuality,
+      grade: gradeScale.grade(analysis.overallQuality),
+      rubricScore: analysis.rubricScore || null,
+      calibratedLevel: analysis.calibratedLevel || null,
+      answerKey: analysis.assignmentAnalysis?.accuracy?.graded ? analysis.assignmentAnalysis.accuracy : null,
       wordCount: analysis.wordCount,
       readabilityScore: analysis.readabilityScore,
       dimensions: analysis.dimensionScores,
@@ -194,14 +284,15 @@ export class ReportGenerator {
       improvements: analysis.improvementAreas,
       suggestions: analysis.feedbackSuggestions,
       textAnalysis: analysis.textAnalysis,
-      assignmentAnalysis: analysis.assignmentAnalysis
+      assignmentAnalysis: analysis.assignmentAnalysis,
+      annotations: analysis.annotations || []
     };
   }
 
   /**
    * Generate summary
    */
-  generateSummary(students) {
+  generateSummary(students, gradeScale = this.gradeScaleFor()) {
     const validStudents = students.filter(s => !s.hasError);
     const totalStudents = students.length;
     const processedStudents = validStudents.length;
@@ -213,7 +304,8 @@ export class ReportGenerator {
         processedStudents: 0,
         errorCount,
         averageScore: 0,
-        scoreDistribution: { high: 0, medium: 0, low: 0 },
+        averageGrade: null,
+        scoreDistribution: gradeScale.distribution([]),
         commonStrengths: [],
         commonImprovements: []
       };
@@ -222,11 +314,8 @@ export class ReportGenerator {
     const scores = validStudents.map(s => s.overallScore);
     const averageScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
 
-    const scoreDistribution = {
-      high: scores.filter(s => s >= 0.8).length,
-      medium: scores.filter(s => s >= 0.6 && s < 0.8).length,
-      low: scores.filter(s => s < 0.6).length
-    };
+    // Students per band of the grade scale, highest first
+    const scoreDistribution = gradeScale.distribution(scores);
 
     const allStrengths = validStudents.flatMap(s => s.strengths || []);
     const allImprovements = validStudents.flatMap(s => s.improvements || []);
@@ -239,6 +328,7 @@ export class ReportGenerator {
       processedStudents,
       errorCount,
       averageScore: Math.round(averageScore * 100) / 100,
+      averageGrade: gradeScale.grade(averageScore),
       scoreDistribution,
       commonStrengths,
       commonImprovements
@@ -281,55 +371,80 @@ export class ReportGenerator {
   /**
    * Prepare CSV data
    */
-  prepareCSVData(analysisResults) {
+  prepareCSVData(analysisResults, options = {}) {
+    const gradeScale = this.gradeScaleFor(options);
+    const criteria = this.reportCriteria(analysisResults);
     const headers = [
       'Student Name',
+      'Student ID',
       'File Name',
+      'Submitted At',
+      'Late',
       'Overall Score',
+      `Grade (${gradeScale.name})`,
+      'Rubric Points',
+      'Rubric Max Points',
+      'Rubric Levels',
+      'Calibrated Level',
+      'Answer Key Points',
+      'Answer Key Max Points',
+      'Questions Missed',
       'Word Count',
       'Readability Score',
-      'Structure Score',
-      'Creativity Score',
-      'Accuracy Score',
-      'Presentation Score',
+      ...criteria.map(dimension => `${EvaluationDimensions.label(dimension)} Score`),
       'Strengths',
       'Improvements',
+      'Similar Submissions',
       'Error'
     ];
 
-    const rows = analysisResults.map(result => {
+    // "john.docx (72%)" for every submission reported as similar to each one
+    const similarTo = analysisResults.map(() => []);
+    (this.similarityFor(analysisResults, options)?.pairs || []).forEach(pair => {
+      const percent = Math.round(pair.similarity * 100);
+      similarTo[pair.a.index]?.push(`${pair.b.fileName} (${percent}%)`);
+      similarTo[pair.b.index]?.push(`${pair.a.fileName} (${percent}%)`);
+    });
+
+    const rows = analysisResults.map((result, index) => {
       if (result.error) {
         return [
           result.studentName,
+          result.studentId || '',
           result.fileName,
-          '',
-          '',
-          '',
-          '',
-          '',
-          '',
-          '',
-          '',
-          '',
+          result.submittedAt || '',
+          this.formatLate(result.late),
+          ...Array(headers.length - 6).fill(''),
           result.error
         ];
       }
 
       const analysis = result.analysis;
       const dimensions = analysis.dimensionScores || {};
+      const rubricScore = analysis.rubricScore;
+      const answerKey = analysis.assignmentAnalysis?.accuracy?.graded ? analysis.assignmentAnalysis.accuracy : null;
       
       return [
         result.studentName,
+        result.studentId || '',
         result.fileName,
+        result.submittedAt || '',
+        this.formatLate(result.late),
         analysis.overallQuality || '',
+        gradeScale.grade(analysis.overallQuality)?.label || '',
+        rubricScore ? rubricScore.totalPoints : '',
+        rubricScore ? rubricScore.maxPoints : '',
+        rubricScore ? this.formatRubricLevels(rubricScore) : '',
+        analysis.calibratedLevel || '',
+        answerKey ? answerKey.earnedPoints : '',
+        answerKey ? answerKey.totalPoints : '',
+        answerKey ? answerKey.items.filter(item => item.status !== 'correct').map(item => item.question).join('; ') : '',
         analysis.wordCount || '',
         analysis.readabilityScore || '',
-        dimensions.structure?.score || '',
-        dimensions.creativity?.score || '',
-        dimensions.accuracy?.score || '',
-        dimensions.presentation?.score || '',
+        ...criteria.map(dimension => dimensions[dimension]?.score ?? ''),
         (analysis.strengths || []).join('; '),
         (analysis.improvementAreas || []).map(area => area.dimension).join('; '),
+        similarTo[index].join('; '),
         ''
       ];
     });
@@ -337,6 +452,22 @@ export class ReportGenerator {
     return [headers, ...rows];
   }
 
+  /**
+   * "Thesis: Meets; Evidence: Exceeds" for CSV output; unscored criteria show a dash
+   */
+  formatRubricLevels(rubricScore) {
+    return rubricScore.criteria.map(criterion => `${criterion.name}: ${criterion.level || '-'}`).join('; ');
+  }
+
+  /**
+   * Late flag for CSV output; blank when the export did not say
+   */
+  formatLate(late) {
+    if (late === true) return 'Yes';
+    if (late === false) return 'No';
+    return '';
+  }
+
   /**
    * Convert data to CSV format
    */
@@ -404,6 +535,13 @@ export class ReportGenerator {
         .score-high { color: #4caf50; }
         .score-medium { color: #ff9800; }
         .score-low { color: #f44336; }
+        .late { background: #f44336; color: white; font-size: 0.7em; padding: 2px 6px; border-radius: 3px; }
+        .similarity { background: #fff8e1; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .passages { width: 100%; border-collapse: collapse; margin: 10px 0; }
+        .passages th, .passages td { border: 1px solid #ddd; padding: 8px; vertical-align: top; text-align: left; width: 50%; }
+        .item-analysis { background: #e8f5e9; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .items { width: 100%; border-collapse: collapse; margin: 10px 0; }
+        .items th, .items td { border: 1px solid #ddd; padding: 8px; vertical-align: top; text-align: left; }
     </style>
 </head>
 <body>
@@ -412,6 +550,9 @@ export class ReportGenerator {
         <p>Generated on: <%= generatedAt %></p>
         <p>Total Students: <%= summary.totalStudents %></p>
         <p>Successfully Processed: <%= summary.processedStudents %></p>
+        <% if (criteria.length > 0) { %>
+        <p>Evaluated on: <%= criteria.map(dimensionLabel).join(', ') %></p>
+        <% } %>
         <% if (summary.errorCount > 0) { %>
         <p style="color: #f44336;">Errors: <%= summary.errorCount %></p>
         <% } %>
@@ -420,12 +561,12 @@ export class ReportGenerator {
     <% if (summary.processedStudents > 0) { %>
     <div class="summary">
         <h2>📊 Summary</h2>
-        <p><strong>Average Score:</strong> <span class="score"><%= summary.averageScore %></span></p>
-        <p><strong>Score Distribution:</strong></p>
+        <p><strong>Average Grade:</strong> <span class="score"><%= summary.averageGrade.label %></span> (<%= gradeScale.name %>)</p>
+        <p><strong>Grade Distribution:</strong></p>
         <ul>
-            <li>High (≥0.8): <%= summary.scoreDistribution.high %> students</li>
-            <li>Medium (0.6-0.8): <%= summary.scoreDistribution.medium %> students</li>
-            <li>Low (<0.6): <%= summary.scoreDistribution.low %> students</li>
+            <% summary.scoreDistribution.forEach(band => { %>
+            <li><%= band.label %><% if (band.description) { %> (<%= band.description %>)<% } %>: <%= band.count %> students</li>
+            <% }); %>
         </ul>
         
         <% if (summary.commonStrengths.length > 0) { %>
@@ -455,29 +596,90 @@ export class ReportGenerator {
     </div>
     <% } %>
 
+    <% if (similarity && similarity.comparedCount > 1) { %>
+    <div class="similarity">
+        <h2>🔁 Similar Submissions</h2>
+        <% if (similarity.pairs.length === 0) { %>
+        <p>No two of the <%= similarity.comparedCount %> submissions are <%= Math.round(similarity.threshold * 100) %>% or more alike.</p>
+        <% } else { %>
+        <p><%= similarity.pairs.length %> pair(s) of the <%= similarity.comparedCount %> submissions are <%= Math.round(similarity.threshold * 100) %>% or more alike<% if (similarity.templateUsed) { %>, not counting the assignment's template text<% } %>. Review the shared passages before drawing conclusions.</p>
+        <% similarity.pairs.forEach(pair => { %>
+        <h3><%= pair.a.studentName %> and <%= pair.b.studentName %>: <%= Math.round(pair.similarity * 100) %>% similar</h3>
+        <table class="passages">
+            <tr><th><%= pair.a.fileName %> (<%= Math.round(pair.a.coverage * 100) %>% shared)</th><th><%= pair.b.fileName %> (<%= Math.round(pair.b.coverage * 100) %>% shared)</th></tr>
+            <% pair.passages.forEach(passage => { %>
+            <tr><td><%= passage.a.text %></td><td><%= passage.b.text %></td></tr>
+            <% }); %>
+        </table>
+        <% }); %>
+        <% } %>
+    </div>
+    <% } %>
+
+    <% if (itemAnalysis) { %>
+    <div class="item-analysis">
+        <h2>📋 Item Analysis</h2>
+        <p><%= itemAnalysis.gradedCount %> worksheet(s) graded against the answer key, averaging <%= Math.round(itemAnalysis.averageScore * 100) %>%.<% if (itemAnalysis.mostMissed.length > 0) { %> Most missed: question<%= itemAnalysis.mostMissed.length > 1 ? "s" : "" %> <%= itemAnalysis.mostMissed.join(', ') %>.<% } %></p>
+        <table class="items">
+            <tr><th>Question</th><th>Expected</th><th>Correct</th><th>Avg Points</th><th>Common Wrong Answers</th><th>Missed By</th></tr>
+            <% itemAnalysis.questions.forEach(item => { %>
+            <tr>
+                <td><%= item.question %></td>
+                <td><%= item.expected %></td>
+                <td><%= Math.round(item.correctShare * 100) %>%</td>
+                <td><%= item.averagePoints %> / <%= item.points %></td>
+                <td><%= item.commonWrongAnswers.map(wrong => wrong.answer + ' (' + wrong.count + ')').join(', ') %></td>
+                <td><%= item.missedBy.join(', ') %></td>
+            </tr>
+            <% }); %>
+        </table>
+    </div>
+    <% } %>
+
     <h2>👥 Individual Student Reports</h2>
     <% students.forEach(student => { %>
     <div class="student <%= student.hasError ? 'error' : '' %>">
-        <h3><%= student.name %></h3>
+        <h3><%= student.name %><% if (student.late) { %> <span class="late">LATE</span><% } %></h3>
         <p><strong>File:</strong> <%= student.fileName %></p>
+        <% if (student.studentId) { %><p><strong>Student ID:</strong> <%= student.studentId %></p><% } %>
+        <% if (student.submittedAt) { %><p><strong>Submitted:</strong> <%= new Date(student.submittedAt).toLocaleString() %></p><% } %>
         
         <% if (student.hasError) { %>
         <p style="color: #f44336;"><strong>Error:</strong> <%= student.error %></p>
         <% } else { %>
-        <p><strong>Overall Score:</strong> 
-            <span class="score score-<%= student.overallScore >= 0.8 ? 'high' : student.overallScore >= 0.6 ? 'medium' : 'low' %>">
-                <%= student.overallScore %>
+        <p><strong>Grade:</strong> 
+            <span class="score score-<%= scoreClass(student.overallScore) %>">
+                <%= student.grade ? student.grade.label : 'Not graded' %>
             </span>
         </p>
+        <% if (student.rubricScore) { %>
+        <p><strong>Rubric (<%= student.rubricScore.title %>):</strong> <%= student.rubricScore.totalPoints %>/<%= student.rubricScore.maxPoints %> points (<%= student.rubricScore.percentage %>%)</p>
+        <ul>
+            <% student.rubricScore.criteria.forEach(criterion => { %>
+            <li><strong><%= criterion.name %>:</strong> <%= criterion.level || (criterion.teacherScored ? 'Teacher to score' : 'Not scored') %><% if (criterion.points !== null) { %> (<%= criterion.points %>/<%= criterion.maxPoints %>)<% } %><% if (criterion.descriptor) { %> - <%= criterion.descriptor %><% } %></li>
+            <% }); %>
+        </ul>
+        <% } %>
+        <% if (student.calibratedLevel) { %>
+        <p><strong>Calibrated level:</strong> <%= student.calibratedLevel %></p>
+        <% } %>
+        <% if (student.answerKey) { %>
+        <p><strong>Answer key:</strong> <%= student.answerKey.earnedPoints %>/<%= student.answerKey.totalPoints %> points (<%= student.answerKey.correctCount %> of <%= student.answerKey.items.length %> correct)</p>
+        <ul>
+            <% student.answerKey.items.forEach(item => { %>
+            <li><strong>Question <%= item.question %>:</strong> <%= item.status %> (<%= item.earned %>/<%= item.points %>)<% if (item.status !== 'correct') { %> - expected <%= item.expected %><% } %></li>
+            <% }); %>
+        </ul>
+        <% } %>
         <p><strong>Word Count:</strong> <%= student.wordCount %></p>
         <p><strong>Readability Score:</strong> <%= student.readabilityScore %></p>
         
         <% if (student.dimensions && Object.keys(student.dimensions).length > 0) { %>
         <div class="dimensions">
-            <% Object.entries(student.dimensions).forEach(([dimension, data]) => { %>
+            <% criteria.filter(dimension => student.dimensions[dimension]).forEach(dimension => { const data = student.dimensions[dimension]; %>
             <div class="dimension">
-                <strong><%= dimension.charAt(0).toUpperCase() + dimension.slice(1) %>:</strong>
-                <span class="score score-<%= data.score >= 0.8 ? 'high' : data.score >= 0.6 ? 'medium' : 'low' %>">
+                <strong><%= dimensionLabel(dimension) %>:</strong>
+                <span class="score score-<%= scoreClass(data.score) %>">
                     <%= data.score %>
                 </span>
                 <p><%= data.feedback %></p>
@@ -543,8 +745,18 @@ export class ReportGenerator {
 
   /**
    * Generate individual student report
+   * @param {Object} studentData - prepareStudentData output
+   * @param {Object} [options]
+   * @param {string} [options.format='html'] - 'html', or 'docx' to comment on the student's own document
+   * @param {Buffer} [options.document] - The original DOCX (docx format)
+   * @param {string} [options.text] - Text extracted from it, which annotation offsets refer to (docx format)
+   * @param {string} [options.minSeverity='suggestion'] - Least severe annotation made into a comment (docx format)
    */
   async generateIndividualReport(studentData, options = {}) {
+    if (options.format === 'docx') {
+      return this.generateAnnotatedDocx(studentData, options);
+    }
+
     const reportData = {
       student: studentData,
       generatedAt: new Date().toISOString(),
@@ -567,6 +779,141 @@ export class ReportGenerator {
     };
   }
 
+  /**
+   * The student's DOCX with a Word comment on each annotated span and a
+   * summary comment on the first paragraph giving the grade and rubric scores
+   */
+  async generateAnnotatedDocx(studentData, { document, text, minSeverity = 'suggestion' } = {}) {
+    if (!document || typeof text !== 'string') {
+      throw new Error('An annotated DOCX needs the original document and its extracted text');
+    }
+    if (studentData.hasError) {
+      throw new Error(`${studentData.name} has no feedback to add: ${studentData.error}`);
+    }
+    const threshold = Annotation.SEVERITIES.indexOf(minSeverity);
+    if (threshold === -1) {
+      throw new Error(`Unknown annotation severity "${minSeverity}"; use one of ${Annotation.SEVERITIES.join(', ')}`);
+    }
+
+    const comments = (studentData.annotations || [])
+      .filter(annotation => Annotation.SEVERITIES.indexOf(annotation.severity) >= threshold)
+      .map(annotation => ({
+        start: annotation.start,
+        end: annotation.end,
+        paragraphs: [annotation.message, annotation.suggestion].filter(Boolean),
+        annotation
+      }));
+    const [firstParagraph] = Annotation.paragraphSpans(text);
+    const summaryFor = (unplaced) => ({
+      start: firstParagraph?.start ?? 0,
+      end: firstParagraph?.end ?? 0,
+      paragraphs: this.summaryCommentParagraphs(studentData, unplaced.map(comment => comment.annotation))
+    });
+
+    const annotator = new DocxAnnotator();
+    let annotated = await annotator.annotate(document, text, [summaryFor([]), ...comments]);
+    const unplaced = annotated.unplaced.filter(comment => comment.annotation);
+    // Comments that could not be anchored are listed in the summary instead
+    if (unplaced.length > 0) {
+      annotated = await annotator.annotate(document, text, [summaryFor(unplaced), ...comments.filter(comment => !unplaced.includes(comment))]);
+    }
+
+    const fileName = `student-${studentData.name.replace(/\s+/g, '-')}-${Date.now()}.docx`;
+    const filePath = path.join(this.outputDir, fileName);
+    await fs.writeFile(filePath, annotated.buffer);
+
+    return {
+      format: 'docx',
+      content: annotated.buffer,
+      filePath: filePath,
+      fileName: fileName,
+      downloadUrl: `/download/${fileName}`,
+      commentCount: annotated.placed,
+      unplacedCount: unplaced.length
+    };
+  }
+
+  /**
+   * Paragraphs of the summary comment: grade, rubric or dimension scores,
+   * strengths, improvements, then anything that could not be anchored
+   */
+  summaryCommentParagraphs(studentData, unplaced = []) {
+    const paragraphs = [`Overall: ${studentData.grade ? studentData.grade.label : 'Not graded'}`];
+
+    if (studentData.rubricScore) {
+      const { title, totalPoints, maxPoints, percentage, criteria } = studentData.rubricScore;
+      paragraphs.push(`Rubric (${title}): ${totalPoints}/${maxPoints} points (${percentage}%)`);
+      criteria.forEach(criterion => {
+        const level = criterion.level || (criterion.teacherScored ? 'Teacher to score' : 'Not scored');
+        paragraphs.push(`${criterion.name}: ${level}${criterion.points !== null ? ` (${criterion.points}/${criterion.maxPoints})` : ''}`);
+      });
+    } else {
+      this.orderDimensions(Object.keys(studentData.dimensions || {})).forEach(dimension => {
+        paragraphs.push(`${EvaluationDimensions.label(dimension)}: ${Math.round(studentData.dimensions[dimension].score * 100)}%`);
+      });
+    }
+    if (studentData.calibratedLevel) {
+      paragraphs.push(`Calibrated level: ${studentData.calibratedLevel}`);
+    }
+
+    // Evaluation strengths and improvements carry feedback; the processor's own carry a description
+    const describe = (item) => (typeof item === 'string'
+      ? item
+      : `${EvaluationDimensions.label(item.dimension)}: ${item.description || item.feedback}`);
+    (studentData.strengths || []).slice(0, 3).forEach(strength => {
+      paragraphs.push(`Strength - ${describe(strength)}`);
+    });
+    (studentData.improvements || []).slice(0, 3).forEach(area => {
+      paragraphs.push(`To improve - ${describe(area)}`);
+    });
+    unplaced.forEach(annotation => {
+      paragraphs.push(`Also: ${annotation.message}${annotation.text ? ` ("${annotation.text}")` : ''}`);
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Annotated DOCX files for a class, zipped
+   * @param {Array<Object>} entries - { studentData, document, text } per student
+   * @param {Object} [options] - Passed to generateIndividualReport
+   */
+  async generateAnnotatedArchive(entries, options = {}) {
+    const zip = new JSZip();
+    const used = new Set();
+    let commentCount = 0;
+
+    for (const { studentData, document, text } of entries) {
+      const report = await this.generateIndividualReport(studentData, { ...options, format: 'docx', document, text });
+      await fs.remove(report.filePath);
+      commentCount += report.commentCount;
+
+      // Students sharing a name get numbered copies rather than overwriting each other
+      const base = `${(studentData.name || 'student').replace(/[\\/:*?"<>|]+/g, '-')} - feedback`;
+      let entryName = `${base}.docx`;
+      for (let copy = 2; used.has(entryName.toLowerCase()); copy++) {
+        entryName = `${base} (${copy}).docx`;
+      }
+      used.add(entryName.toLowerCase());
+      zip.file(entryName, report.content);
+    }
+
+    const content = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    const fileName = `annotated-feedback-${Date.now()}.zip`;
+    const filePath = path.join(this.outputDir, fileName);
+    await fs.writeFile(filePath, content);
+
+    return {
+      format: 'zip',
+      content,
+      filePath: filePath,
+      fileName: fileName,
+      downloadUrl: `/download/${fileName}`,
+      fileCount: used.size,
+      commentCount
+    };
+  }
+
   /**
    * Generate comparison report
    */
@@ -605,7 +952,7 @@ export class ReportGenerator {
    * Generate comparison data
    */
   generateComparisonData(students) {
-    const dimensions = ['structure', 'creativity', 'accuracy', 'presentation'];
+    const dimensions = this.orderDimensions(students.flatMap(student => Object.keys(student.dimensions || {})));
     const comparison = {};
 
     dimensions.forEach(dimension => {
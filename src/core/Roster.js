@@ -0,0 +1,115 @@
+import CSVParser from '../utils/csvParser.js';
+
+const ID_COLUMNS = ['id', 'student_id', 'studentid', 'sis_id'];
+const NAME_COLUMNS = ['name', 'student_name', 'full_name', 'student'];
+const FIRST_NAME_COLUMNS = ['first_name', 'firstname', 'given_name'];
+const LAST_NAME_COLUMNS = ['last_name', 'lastname', 'surname', 'family_name'];
+const EMAIL_COLUMNS = ['email', 'email_address', 'student_email'];
+const SECTION_COLUMNS = ['section', 'class', 'period', 'group'];
+
+const pick = (record, columns) => {
+  const column = columns.find(key => record[key]);
+  return column ? record[column] : '';
+};
+
+/**
+ * The students enrolled in one class, plus any submissions a teacher assigned by hand
+ */
+export class Roster {
+  /**
+   * @param {Object} data
+   * @param {string} data.classId
+   * @param {Array<Object>} data.students - { id, name, email, section }
+   * @param {Object} [data.manualAssignments] - File name to student ID overrides
+   */
+  constructor({ classId, students = [], manualAssignments = {} }) {
+    if (!classId) {
+      throw new Error('Roster requires a classId');
+    }
+
+    this.classId = String(classId);
+    this.students = students;
+    this.manualAssignments = { ...manualAssignments };
+  }
+
+  /**
+   * Build a roster from a CSV with id, name, email and section columns.
+   * "first_name"/"last_name" columns are accepted in place of "name".
+   */
+  static fromCSV(classId, source) {
+    const records = CSVParser.parseRecords(source);
+    if (records.length === 0) {
+      throw new Error('Roster CSV has no student rows');
+    }
+
+    const seen = new Set();
+    const students = records.map((record, index) => {
+      const row = index + 2; // header is row 1
+      const name = pick(record, NAME_COLUMNS) ||
+        [pick(record, FIRST_NAME_COLUMNS), pick(record, LAST_NAME_COLUMNS)].filter(Boolean).join(' ');
+      const id = pick(record, ID_COLUMNS);
+
+      if (!id) {
+        throw new Error(`Roster row ${row} is missing a student id`);
+      }
+      if (!name) {
+        throw new Error(`Roster row ${row} is missing a student name`);
+      }
+      if (seen.has(id)) {
+        throw new Error(`Roster row ${row} repeats student id ${id}`);
+      }
+      seen.add(id);
+
+      return {
+        id,
+        name,
+        email: pick(record, EMAIL_COLUMNS) || null,
+        section: pick(record, SECTION_COLUMNS) || null
+      };
+    });
+
+    return new Roster({ classId, students });
+  }
+
+  /**
+   * Find a student by roster ID
+   */
+  findById(id) {
+    return this.students.find(student => student.id === String(id)) || null;
+  }
+
+  /**
+   * Record a teacher's manual match so later uploads of the same file name use it
+   */
+  assign(fileName, studentId) {
+    if (!fileName) {
+      throw new Error('fileName is required');
+    }
+    if (!this.findById(studentId)) {
+      throw new Error(`Student ${studentId} is not on the roster for ${this.classId}`);
+    }
+
+    this.manualAssignments[fileName] = String(studentId);
+    return this.findById(studentId);
+  }
+
+  /**
+   * Summary for API responses
+   */
+  describe() {
+    return {
+      classId: this.classId,
+      studentCount: this.students.length,
+      sections: [...new Set(this.students.map(student => student.section).filter(Boolean))],
+      manualAssignmentCount: Object.keys(this.manualAssignments).length
+    };
+  }
+
+  toJSON() {
+    return {
+      classId: this.classId,
+      students: this.students,
+      manualAssignments: this.manualAssignments
+    };
+  }
+}
@@ -0,0 +1,234 @@
+import natural from 'natural';
+
+// A single signal at or above this confidence, clear of the runner-up, is an automatic match
+const MATCH_THRESHOLD = 0.8;
+// Minimum lead over the next student before a match is trusted
+const AMBIGUITY_MARGIN = 0.1;
+// Students scoring below this are not offered as candidates
+const CANDIDATE_THRESHOLD = 0.5;
+// Token similarity needed for two spellings to count as the same name part
+const TOKEN_SIMILARITY = 0.88;
+
+// Words in file names and headers that are never part of a student's name
+const STOP_WORDS = new Set([
+  'essay', 'assignment', 'homework', 'worksheet', 'report', 'final', 'draft', 'copy', 'of',
+  'the', 'and', 'name', 'student', 'class', 'period', 'section', 'date', 'teacher', 'doc',
+  'docx', 'pdf', 'txt', 'odt', 'rtf', 'late', 'submission', 'assignsubmission', 'file'
+]);
+
+// Weight of each signal relative to an exact ID or email match
+const SIGNAL_WEIGHTS = {
+  filename: 1,
+  header: 0.95,
+  author: 0.9
+};
+
+/**
+ * Match submissions to roster students using the file name, the document's
+ * opening lines and its author metadata, each scored with fuzzy name matching.
+ */
+export class RosterMatcher {
+  /**
+   * Match every result of a batch and annotate it with rosterMatch.
+   * Matched results take the roster student's name and ID.
+   * @param {Array} results - processBulkAssignments results
+   * @param {Roster} roster
+   * @returns {Array} The same results
+   */
+  matchResults(results, roster) {
+    results.forEach(result => {
+      const match = this.match({
+        fileName: result.fileName,
+        studentId: result.studentId,
+        header: result.analysis?.documentHeader,
+        author: result.analysis?.documentProperties?.author
+      }, roster);
+
+      result.rosterMatch = match;
+      if (match.status === 'matched') {
+        result.studentName = match.studentName;
+        result.studentId = match.studentId;
+        result.section = match.section;
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Match one submission against a roster
+   * @param {Object} submission - { fileName, studentId, header, author }
+   * @param {Roster} roster
+   * @returns {Object} { status: 'matched'|'ambiguous'|'unmatched', studentId, studentName, confidence, signals, candidates }
+   */
+  match(submission, roster) {
+    const manualId = roster.manualAssignments[submission.fileName];
+    if (manualId && roster.findById(manualId)) {
+      const student = roster.findById(manualId);
+      return this.buildMatch('matched', student, 1, ['manual'], []);
+    }
+
+    const evidence = {
+      filename: RosterMatcher.tokenize(submission.fileName),
+      header: RosterMatcher.tokenize(RosterMatcher.headerName(submission.header)),
+      author: RosterMatcher.tokenize(submission.author)
+    };
+    const rawText = [submission.fileName, submission.studentId, submission.header].filter(Boolean).join(' ').toLowerCase();
+
+    const scored = roster.students
+      .map(student => ({ student, ...this.scoreStudent(student, evidence, rawText) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, runnerUp] = scored;
+    const candidates = scored
+      .filter(entry => entry.confidence >= CANDIDATE_THRESHOLD)
+      .slice(0, 3)
+      .map(entry => ({
+        studentId: entry.student.id,
+        studentName: entry.student.name,
+        confidence: entry.confidence,
+        signals: entry.signals
+      }));
+
+    if (!best || best.confidence < CANDIDATE_THRESHOLD) {
+      return this.buildMatch('unmatched', null, best ? best.confidence : 0, [], candidates);
+    }
+
+    const margin = best.confidence - (runnerUp ? runnerUp.confidence : 0);
+    const status = best.confidence >= MATCH_THRESHOLD && margin >= AMBIGUITY_MARGIN ? 'matched' : 'ambiguous';
+    return this.buildMatch(status, status === 'matched' ? best.student : null, best.confidence, best.signals, candidates);
+  }
+
+  /**
+   * Score one student against the evidence from a submission
+   * @returns {Object} { confidence, signals }
+   */
+  scoreStudent(student, evidence, rawText) {
+    const scores = {};
+
+    // Exact identifiers beat any amount of name similarity; very short IDs are too easy to hit by chance
+    if (student.id.length >= 3 && RosterMatcher.containsWord(rawText, student.id)) {
+      scores.id = 1;
+    }
+    if (student.email) {
+      const localPart = student.email.split('@')[0];
+      if (localPart.length >= 4 && RosterMatcher.containsWord(rawText, localPart)) {
+        scores.email = 1;
+      }
+    }
+
+    const nameTokens = RosterMatcher.tokenize(student.name);
+    Object.entries(SIGNAL_WEIGHTS).forEach(([signal, weight]) => {
+      const score = RosterMatcher.nameSimilarity(nameTokens, evidence[signal]) * weight;
+      if (score > 0) scores[signal] = Math.round(score * 100) / 100;
+    });
+
+    const values = Object.values(scores).sort((a, b) => b - a);
+    if (values.length === 0) {
+      return { confidence: 0, signals: [] };
+    }
+
+    // Independent signals that agree raise confidence a little
+    const agreeing = values.slice(1).filter(value => value >= MATCH_THRESHOLD).length;
+    const confidence = Math.min(1, values[0] + 0.05 * agreeing);
+
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      signals: Object.keys(scores).filter(signal => scores[signal] >= CANDIDATE_THRESHOLD)
+    };
+  }
+
+  /**
+   * Share of a student's name parts found in the evidence tokens.
+   * Also recognises run-together names such as Canvas's "smithjane".
+   */
+  static nameSimilarity(nameTokens, tokens) {
+    if (nameTokens.length === 0 || tokens.length === 0) {
+      return 0;
+    }
+
+    const joined = [nameTokens.join(''), [...nameTokens].reverse().join('')];
+    if (nameTokens.length > 1) {
+      joined.push(nameTokens[nameTokens.length - 1] + nameTokens[0], nameTokens[0] + nameTokens[nameTokens.length - 1]);
+    }
+    // Only compare tokens of similar length, or a lone first name would match its own prefix
+    const joinedScore = Math.max(0, ...tokens.flatMap(token => joined
+      .filter(name => token.length >= name.length * 0.8 && token.length <= name.length * 1.25)
+      .map(name => natural.JaroWinklerDistance(token, name))));
+    if (joinedScore >= TOKEN_SIMILARITY) {
+      return joinedScore;
+    }
+
+    const partScores = nameTokens.map(part => {
+      const best = Math.max(...tokens.map(token => natural.JaroWinklerDistance(part, token)));
+      return best >= TOKEN_SIMILARITY ? best : 0;
+    });
+
+    return partScores.reduce((sum, score) => sum + score, 0) / nameTokens.length;
+  }
+
+  /**
+   * The part of a document's opening lines most likely to hold the student's name
+   */
+  static headerName(header) {
+    if (!header) return '';
+    const labelled = header.match(/(?:^|\n)\s*(?:student\s+)?name\s*[:\-]\s*([^\n]+)/i);
+    return labelled ? labelled[1] : header;
+  }
+
+  /**
+   * Lowercase, accent-free name tokens with stop words and numbers removed
+   */
+  static tokenize(text) {
+    if (!text) return [];
+    return String(text)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z]+/)
+      .filter(token => token.length >= 2 && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Whole-word, case-insensitive containment
+   */
+  static containsWord(text, word) {
+    const escaped = word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+  }
+
+  buildMatch(status, student, confidence, signals, candidates) {
+    return {
+      status,
+      studentId: student ? student.id : null,
+      studentName: student ? student.name : null,
+      section: student ? student.section : null,
+      confidence,
+      signals,
+      candidates
+    };
+  }
+
+  /**
+   * Roll a matched batch up for the teacher: what needs manual assignment and who has not submitted
+   * @returns {Object} { classId, matchedCount, ambiguous, unmatched, missing }
+   */
+  summarize(results, roster) {
+    const matchedIds = new Set(results
+      .filter(result => result.rosterMatch?.status === 'matched')
+      .map(result => result.rosterMatch.studentId));
+
+    const needsReview = status => results
+      .filter(result => result.rosterMatch?.status === status)
+      .map(result => ({ fileName: result.fileName, candidates: result.rosterMatch.candidates }));
+
+    return {
+      classId: roster.classId,
+      matchedCount: results.filter(result => result.rosterMatch?.status === 'matched').length,
+      ambiguous: needsReview('ambiguous'),
+      unmatched: needsReview('unmatched'),
+      missing: roster.students.filter(student => !matchedIds.has(student.id))
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { Roster } from './Roster.js';
+
+/**
+ * Class rosters keyed by class ID. With a FeedbackStore, rosters are saved
+ * with their class and reloaded when the server restarts.
+ */
+export class RosterStore {
+  /**
+   * @param {Object} [options]
+   * @param {FeedbackStore} [options.feedbackStore] - Persists rosters
+   */
+  constructor(options = {}) {
+    this.feedbackStore = options.feedbackStore || null;
+    this.rosters = new Map();
+
+    if (this.feedbackStore) {
+      this.feedbackStore.listClasses()
+        .filter(stored => stored.roster)
+        .forEach(stored => this.rosters.set(stored.classId, new Roster(stored.roster)));
+    }
+  }
+
+  /**
+   * Replace the roster for a class with one parsed from CSV
+   */
+  importCSV(classId, source) {
+    const roster = Roster.fromCSV(classId, source);
+    const existing = this.rosters.get(roster.classId);
+
+    // Keep manual matches for students who are still enrolled
+    if (existing) {
+      Object.entries(existing.manualAssignments)
+        .filter(([, studentId]) => roster.findById(studentId))
+        .forEach(([fileName, studentId]) => roster.assign(fileName, studentId));
+    }
+
+    this.save(roster);
+    return roster;
+  }
+
+  /**
+   * Store a roster, e.g. after a manual assignment changed it
+   */
+  save(roster) {
+    this.rosters.set(roster.classId, roster);
+    if (this.feedbackStore) {
+      this.feedbackStore.saveClass(roster.classId, roster.toJSON());
+    }
+  }
+
+  get(classId) {
+    return this.rosters.get(String(classId)) || null;
+  }
+
+  list() {
+    return [...this.rosters.values()].map(roster => roster.describe());
+  }
+
+  delete(classId) {
+    if (this.feedbackStore && this.rosters.has(String(classId))) {
+      this.feedbackStore.saveClass(classId, null);
+    }
+    return this.rosters.delete(String(classId));
+  }
+}
@@ -0,0 +1,471 @@
+import CSVParser from '../utils/csvParser.js';
+import { EvaluationDimensions } from './analyzers/EvaluationDimensions.js';
+import { AssignmentAnalyzer } from './analyzers/AssignmentAnalyzer.js';
+
+const DIMENSIONS = Object.keys(new EvaluationDimensions().dimensionAnalyzers);
+const SUB_ANALYSES = AssignmentAnalyzer.subAnalysisKeys();
+
+// Spreadsheet columns that are not performance levels
+const CRITERION_COLUMNS = ['criterion', 'criteria', 'category', 'skill', 'standard', 'trait', 'element'];
+const WEIGHT_COLUMNS = ['weight', 'weighting', 'percent', 'percentage'];
+const DIMENSION_COLUMNS = ['dimension', 'maps_to', 'mapped_to', 'analyzer', 'scored_by'];
+const DESCRIPTION_COLUMNS = ['description', 'criterion_description'];
+const POINTS_ROWS = ['points', 'point_value', 'point_values'];
+const TEACHER_SCORED = ['teacher', 'teacher_scored', 'manual'];
+
+// Criterion names mapped to the analyzer that scores them when the sheet doesn't say; first match wins
+const NAME_HINTS = [
+  [/thesis|claim/, 'essay.thesis'],
+  [/evidence|support/, 'essay.evidence'],
+  [/argument/, 'essay.argumentation'],
+  [/conclusion/, 'essay.conclusion'],
+  [/citation|sources|referenc/, 'report.citations'],
+  [/research/, 'report.research'],
+  [/voice/, 'creative.voice'],
+  [/imagery|sensory/, 'creative.imagery'],
+  [/dialogue/, 'creative.dialogue'],
+  [/plot/, 'creative.plot'],
+  [/character/, 'creative.character'],
+  [/complete/, 'worksheet.completeness'],
+  [/correct answers|answer key/, 'worksheet.accuracy'],
+  [/organi[sz]ation|structure/, 'structure'],
+  [/clarity/, 'clarity'],
+  [/creativ/, 'creativity'],
+  [/original/, 'originality'],
+  [/accura|factual/, 'accuracy'],
+  [/presentation|grammar|conventions|mechanics|spelling|formatting/, 'presentation'],
+  [/critical|reasoning|analy/, 'critical_thinking'],
+  [/depth|development|elaboration/, 'depth'],
+  [/relevan|on[\s-]topic|prompt|required (?:content|concepts)/, 'relevance'],
+  [/style|word choice/, 'essay.style']
+];
+
+// "Exceeds (4)", "Exceeds - 4 pts", "4 - Exceeds"
+const POINTS_AFTER_LABEL = /^(.*?)[\s\-–:]*[([]\s*(\d+(?:\.\d+)?)\s*(?:pts?|points?)?\s*[)\]]$/i;
+const POINTS_SUFFIX = /^(.*?)[\s\-–:]+(\d+(?:\.\d+)?)\s*(?:pts?|points?)?$/i;
+const POINTS_BEFORE_LABEL = /^(\d+(?:\.\d+)?)\s*(?:pts?|points?)?[\s\-–:]+(.+)$/i;
+// A cell may override its column's points: "Thesis is vague (3 pts)"
+const CELL_POINTS = /^(.*?)\s*\(\s*(\d+(?:\.\d+)?)\s*(?:pts?|points?)\s*\)\s*$/i;
+
+const slugify = (value) => String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * A teacher's scoring rubric. Each criterion is scored by one analyzer: an
+ * EvaluationDimensions dimension ("structure") or an AssignmentAnalyzer
+ * sub-analysis ("essay.thesis"). The analyzer's 0–1 score places the submission
+ * on one of the criterion's performance levels, and the levels' points add up
+ * to the rubric total. Teacher-scored criteria are left for the teacher.
+ */
+export class Rubric {
+  // Analyzer dimensions a criterion can be scored by
+  static DIMENSIONS = DIMENSIONS;
+
+  // Assignment sub-analyses a criterion can be scored by
+  static SUB_ANALYSES = SUB_ANALYSES;
+
+  /**
+   * @param {Object} data
+   * @param {string} [data.id] - Set once the rubric has been stored
+   * @param {string} data.title
+   * @param {string} [data.description]
+   * @param {Array<Object>} data.criteria - { id, name, dimension, teacherScored, weight, levels: [{ label, descriptor, points, minScore }] }
+   */
+  constructor({ id = null, title, description = '', criteria, createdAt = null, updatedAt = null }) {
+    if (!title || !String(title).trim()) {
+      throw new Error('Rubric requires a title');
+    }
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+      throw new Error('Rubric requires at least one criterion');
+    }
+
+    this.id = id;
+    this.title = String(title).trim();
+    this.description = description || '';
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    const seen = new Set();
+    this.criteria = criteria.map((criterion, index) => {
+      const normalized = Rubric.normalizeCriterion(criterion, index);
+      if (seen.has(normalized.id)) {
+        throw new Error(`Rubric criterion ${index + 1} repeats id ${normalized.id}`);
+      }
+      seen.add(normalized.id);
+      return normalized;
+    });
+  }
+
+  /**
+   * Accepts a Rubric or its JSON (e.g. after crossing into a worker thread)
+   */
+  static from(data) {
+    return data instanceof Rubric ? data : new Rubric(data);
+  }
+
+  /**
+   * Build a rubric from a spreadsheet with one row per criterion and one column
+   * per performance level ("Exceeds / Meets / Approaching / Beginning").
+   * Level points come from the headers ("Exceeds (4)"), a "Points" row, or
+   * column order (highest first); a cell ending "(3 pts)" overrides its column.
+   * Optional "Weight" and "Dimension" columns set each criterion's weight and
+   * analyzer; unmapped criteria are matched by name or left teacher-scored.
+   * Levels split the score range evenly, as the layout has no thresholds.
+   * @param {string|Buffer} source - CSV contents
+   * @param {Object} options
+   * @param {string} options.title
+   */
+  static fromCSV(source, { title, description = '' } = {}) {
+    const [header = [], ...rows] = CSVParser.parse(source);
+    const keys = header.map(CSVParser.normalizeHeader);
+    const findColumn = (names) => keys.findIndex(key => names.includes(key));
+
+    const criterionColumn = Math.max(0, findColumn(CRITERION_COLUMNS));
+    const columns = {
+      weight: findColumn(WEIGHT_COLUMNS),
+      dimension: findColumn(DIMENSION_COLUMNS),
+      description: findColumn(DESCRIPTION_COLUMNS)
+    };
+    const levelColumns = header
+      .map((cell, index) => ({ index, ...Rubric.parseLevelHeader(cell) }))
+      .filter(column => column.label && column.index !== criterionColumn && !Object.values(columns).includes(column.index));
+
+    if (levelColumns.length === 0) {
+      throw new Error('Rubric CSV needs a column for each performance level');
+    }
+
+    // An optional "Points" row gives each level column its value
+    const pointsRow = rows.find(cells => POINTS_ROWS.includes(CSVParser.normalizeHeader(cells[criterionColumn] || '')));
+    levelColumns.forEach((column, position) => {
+      if (column.points === null && pointsRow) {
+        const points = parseFloat(pointsRow[column.index]);
+        column.points = Number.isFinite(points) ? points : null;
+      }
+      if (column.points === null) {
+        column.points = levelColumns.length - position;
+      }
+    });
+
+    const criterionRows = rows
+      .map((cells, index) => ({ cells, row: index + 2 })) // header is row 1
+      .filter(({ cells }) => cells !== pointsRow && (cells[criterionColumn] || '').trim());
+    if (criterionRows.length === 0) {
+      throw new Error('Rubric CSV has no criterion rows');
+    }
+
+    const criteria = criterionRows.map(({ cells, row }) => {
+      const name = cells[criterionColumn].trim();
+      const mapping = Rubric.mapCriterion(name, columns.dimension >= 0 ? cells[columns.dimension] : '', row);
+
+      return {
+        name,
+        ...mapping,
+        description: columns.description >= 0 ? (cells[columns.description] || '').trim() : '',
+        weight: columns.weight >= 0 ? (cells[columns.weight] || '').trim() : '',
+        levels: levelColumns.map(column => {
+          const cell = (cells[column.index] || '').trim();
+          const override = cell.match(CELL_POINTS);
+          return {
+            label: column.label,
+            descriptor: override ? override[1].trim() : cell,
+            points: override ? Number(override[2]) : column.points
+          };
+        })
+      };
+    });
+
+    Rubric.applyWeights(criteria, criterionRows.map(({ row }) => row));
+    return new Rubric({ title, description, criteria });
+  }
+
+  /**
+   * Level label and points from a column header; points are null when the header has none
+   */
+  static parseLevelHeader(cell) {
+    const text = String(cell || '').trim();
+    const after = text.match(POINTS_AFTER_LABEL) || text.match(POINTS_SUFFIX);
+    if (after && after[1]) {
+      return { label: after[1].trim(), points: Number(after[2]) };
+    }
+    const before = text.match(POINTS_BEFORE_LABEL);
+    if (before) {
+      return { label: before[2].trim(), points: Number(before[1]) };
+    }
+    return { label: text, points: null };
+  }
+
+  /**
+   * The analyzer for a spreadsheet criterion: the "Dimension" cell when there
+   * is one, otherwise a guess from the criterion's name
+   * @returns {Object} { dimension, teacherScored }
+   */
+  static mapCriterion(name, mapping, row) {
+    const value = String(mapping || '').trim();
+
+    if (value) {
+      const key = CSVParser.normalizeHeader(value);
+      if (TEACHER_SCORED.includes(key)) {
+        return { dimension: null, teacherScored: true };
+      }
+      const dimension = DIMENSIONS.find(candidate => candidate === key) ||
+        SUB_ANALYSES.find(candidate => candidate.toLowerCase() === value.toLowerCase());
+      if (!dimension) {
+        throw new Error(`Rubric row ${row} (${name}) maps to unknown dimension "${value}"`);
+      }
+      return { dimension, teacherScored: false };
+    }
+
+    const hint = NAME_HINTS.find(([pattern]) => pattern.test(name.toLowerCase()));
+    return hint ? { dimension: hint[1], teacherScored: false } : { dimension: null, teacherScored: true };
+  }
+
+  /**
+   * Turn spreadsheet weights into fractions that add up to 1. Percentages
+   * ("25%") must total 100 and fractions 1; whole numbers without a % are
+   * relative ("2, 1" weights the first criterion twice the second), so 25
+   * out of 100 is still a quarter. With no weights at all, criteria are
+   * weighted by their maximum points.
+   */
+  static applyWeights(criteria, rows) {
+    const given = criteria.filter(criterion => criterion.weight !== '');
+
+    if (given.length === 0) {
+      const total = criteria.reduce((sum, criterion) => sum + Rubric.maxPoints(criterion), 0);
+      criteria.forEach(criterion => {
+        criterion.weight = total > 0 ? round(Rubric.maxPoints(criterion) / total) : round(1 / criteria.length);
+      });
+      return;
+    }
+
+    if (given.length < criteria.length) {
+      const missing = criteria.findIndex(criterion => criterion.weight === '');
+      throw new Error(`Rubric row ${rows[missing]} (${criteria[missing].name}) has no weight; give a weight for every criterion or none`);
+    }
+
+    const values = criteria.map((criterion, index) => {
+      const value = parseFloat(criterion.weight.replace('%', ''));
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Rubric row ${rows[index]} (${criterion.name}) has an invalid weight "${criterion.weight}"`);
+      }
+      return value;
+    });
+
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const percentages = criteria.some(criterion => criterion.weight.includes('%'));
+    const relative = !percentages && values.every(value => Number.isInteger(value));
+    if (percentages && Math.abs(total - 100) > 0.5) {
+      throw new Error(`Rubric weights add up to ${round(total, 2)}%; they should add up to 100%`);
+    }
+    if (!percentages && !relative && Math.abs(total - 1) > 0.01) {
+      throw new Error(`Rubric weights add up to ${round(total, 2)}; use percentages totalling 100%, fractions totalling 1 or whole numbers`);
+    }
+
+    criteria.forEach((criterion, index) => {
+      criterion.weight = round(percentages ? values[index] / 100 : values[index] / (relative ? total : 1));
+    });
+  }
+
+  static normalizeCriterion(criterion, index) {
+    const position = `Rubric criterion ${index + 1}`;
+    const name = criterion?.name ? String(criterion.name).trim() : '';
+    if (!name) {
+      throw new Error(`${position} is missing a name`);
+    }
+
+    const teacherScored = Boolean(criterion.teacherScored) || !criterion.dimension;
+    if (!teacherScored && !DIMENSIONS.includes(criterion.dimension) && !SUB_ANALYSES.includes(criterion.dimension)) {
+      throw new Error(`${position} (${name}) uses unknown dimension "${criterion.dimension}"; expected one of ${DIMENSIONS.join(', ')} or an assignment analysis such as essay.thesis`);
+    }
+
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`${position} (${name}) needs a positive weight`);
+    }
+
+    return {
+      id: criterion.id ? String(criterion.id) : slugify(name) || `criterion-${index + 1}`,
+      name,
+      description: criterion.description || '',
+      dimension: teacherScored ? null : criterion.dimension,
+      teacherScored,
+      weight,
+      levels: Rubric.normalizeLevels(criterion.levels, `${position} (${name})`)
+    };
+  }
+
+  /**
+   * Levels are kept highest first. Levels without a minScore split the 0–1
+   * range evenly, so four levels start at 0.75, 0.5, 0.25 and 0.
+   */
+  static normalizeLevels(levels, position) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error(`${position} needs at least one performance level`);
+    }
+
+    const withThresholds = levels.filter(level => level?.minScore !== undefined && level?.minScore !== null);
+    if (withThresholds.length > 0 && withThresholds.length < levels.length) {
+      throw new Error(`${position} must give a minScore for every level or for none`);
+    }
+
+    const normalized = levels.map(level => {
+      const label = level?.label ? String(level.label).trim() : '';
+      const points = Number(level?.points);
+      if (!label) {
+        throw new Error(`${position} has a level without a label`);
+      }
+      if (!Number.isFinite(points) || points < 0) {
+        throw new Error(`${position} level "${label}" needs points of 0 or more`);
+      }
+      return { label, descriptor: level.descriptor || '', points, minScore: level.minScore ?? null };
+    });
+
+    if (withThresholds.length === 0) {
+      normalized.sort((a, b) => b.points - a.points);
+      normalized.forEach((level, index) => {
+        level.minScore = Math.round((normalized.length - 1 - index) / normalized.length * 100) / 100;
+      });
+      return normalized;
+    }
+
+    normalized.forEach(level => {
+      level.minScore = Number(level.minScore);
+      if (!Number.isFinite(level.minScore) || level.minScore < 0 || level.minScore > 1) {
+        throw new Error(`${position} level "${level.label}" needs a minScore between 0 and 1`);
+      }
+    });
+    normalized.sort((a, b) => b.minScore - a.minScore);
+    if (normalized[normalized.length - 1].minScore !== 0) {
+      throw new Error(`${position} needs a level with minScore 0 so every score has a level`);
+    }
+    return normalized;
+  }
+
+  /**
+   * EvaluationDimensions dimensions this rubric needs, without repeats
+   */
+  dimensions() {
+    return [...new Set(this.criteria.map(criterion => criterion.dimension).filter(dimension => DIMENSIONS.includes(dimension)))];
+  }
+
+  /**
+   * AssignmentAnalyzer sub-analyses ("essay.thesis") this rubric needs, without repeats
+   */
+  subAnalyses() {
+    return [...new Set(this.criteria.map(criterion => criterion.dimension).filter(dimension => SUB_ANALYSES.includes(dimension)))];
+  }
+
+  /**
+   * The level an analyzer score earns on a criterion
+   */
+  levelFor(criterion, score) {
+    return criterion.levels.find(level => score >= level.minScore) || criterion.levels[criterion.levels.length - 1];
+  }
+
+  static maxPoints(criterion) {
+    return Math.max(...criterion.levels.map(level => Number(level.points)));
+  }
+
+  /**
+   * Place each criterion's analyzer score on a level and total the points
+   * @param {Object} results - Analyzer results keyed by dimension or sub-analysis ({ score })
+   * @returns {Object} { rubricId, title, criteria, totalPoints, maxPoints, percentage, weightedScore }
+   */
+  score(results) {
+    const criteria = this.criteria.map(criterion => {
+      const result = criterion.teacherScored ? null : results[criterion.dimension];
+      const scored = {
+        id: criterion.id,
+        name: criterion.name,
+        dimension: criterion.dimension,
+        teacherScored: criterion.teacherScored,
+        weight: criterion.weight,
+        maxPoints: Rubric.maxPoints(criterion)
+      };
+
+      // Teacher-scored criteria, and any whose analyzer failed, are left for the teacher
+      if (!result || typeof result.score !== 'number') {
+        return { ...scored, score: null, level: null, descriptor: null, points: null };
+      }
+
+      const level = this.levelFor(criterion, result.score);
+      return { ...scored, score: result.score, level: level.label, descriptor: level.descriptor, points: level.points };
+    });
+
+    const totalPoints = criteria.reduce((sum, criterion) => sum + (criterion.points || 0), 0);
+    const maxPoints = criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+    const scored = criteria.filter(criterion => criterion.score !== null);
+    const scoredWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    return {
+      rubricId: this.id,
+      title: this.title,
+      criteria,
+      totalPoints,
+      maxPoints,
+      percentage: maxPoints > 0 ? Math.round(totalPoints / maxPoints * 100) : 0,
+      // 0–1 score over the criteria that could be scored automatically
+      weightedScore: scoredWeight > 0
+        ? scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / scoredWeight
+        : 0
+    };
+  }
+
+  /**
+   * The rubric in the spreadsheet layout fromCSV reads: a row per criterion,
+   * a column per level headed with its points. Cells whose points differ from
+   * their column's say so, e.g. "Vague thesis (3 pts)".
+   */
+  toCSV() {
+    // Columns are labelled by the criterion with the most levels and worth the most common points
+    const widest = this.criteria.reduce((levels, criterion) => criterion.levels.length > levels.length ? criterion.levels : levels, []);
+    const columns = widest.map((level, index) => {
+      const counts = new Map();
+      this.criteria
+        .filter(criterion => criterion.levels[index])
+        .forEach(criterion => counts.set(criterion.levels[index].points, (counts.get(criterion.levels[index].points) || 0) + 1));
+      const [points] = [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+      return { label: level.label, points };
+    });
+    const totalWeight = this.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    const header = ['Criterion', 'Dimension', 'Weight', 'Description', ...columns.map(level => `${level.label} (${level.points})`)];
+    const rows = this.criteria.map(criterion => [
+      criterion.name,
+      criterion.teacherScored ? 'teacher' : criterion.dimension,
+      `${round(criterion.weight / totalWeight * 100, 2)}%`,
+      criterion.description,
+      ...columns.map((column, index) => {
+        const level = criterion.levels[index];
+        if (!level) return '';
+        return level.points === column.points ? level.descriptor : `${level.descriptor} (${level.points} pts)`.trim();
+      })
+    ]);
+
+    return CSVParser.stringify([header, ...rows]);
+  }
+
+  /**
+   * Summary for API listings
+   */
+  describe() {
+    return {
+      id: this.id,
+      title: this.title,
+      criteriaCount: this.criteria.length,
+      teacherScoredCount: this.criteria.filter(criterion => criterion.teacherScored).length,
+      maxPoints: this.criteria.reduce((sum, criterion) => sum + Rubric.maxPoints(criterion), 0),
+      updatedAt: this.updatedAt
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      criteria: this.criteria,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
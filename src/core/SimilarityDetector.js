@@ -0,0 +1,223 @@
+// Words per shingle; shorter runs of shared words are never reported
+const SHINGLE_WORDS = 5;
+// Shingles per winnowing window. Any run of SHINGLE_WORDS + WINDOW - 1 shared
+// words is sure to share a fingerprint, while only about 2 / (WINDOW + 1) of
+// the shingles are kept as fingerprints.
+const WINDOW = 4;
+// Share of the shorter submission's fingerprints that must also be in the other one
+const DEFAULT_THRESHOLD = 0.3;
+// Shared passages this many words apart or closer are shown as one edited passage
+const MAX_PASSAGE_GAP = 3;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * 32-bit FNV-1a hash of a shingle
+ */
+const hash = (value) => {
+  let result = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);
+    result = Math.imul(result, 0x01000193) >>> 0;
+  }
+  return result;
+};
+
+/**
+ * Compares the submissions of a batch with each other. Each text is cut into
+ * overlapping word shingles and fingerprinted by winnowing (Schleimer, Wilkerson
+ * and Aiken, 2003); pairs sharing enough fingerprints are reported with their
+ * shared passages aligned. Shingles that also occur in the teacher's prompt or
+ * template text are ignored, so answers built on the same worksheet do not match.
+ */
+export class SimilarityDetector {
+  /**
+   * @param {Object} [options] - The similarity section of the config
+   * @param {boolean} [options.enabled] - false turns comparison off
+   * @param {number} [options.threshold] - Similarity (0–1) at which a pair is reported
+   * @param {number} [options.shingleWords] - Words per shingle, the shortest passage that can match
+   * @param {number} [options.window] - Shingles per winnowing window
+   */
+  constructor({ enabled = true, threshold = DEFAULT_THRESHOLD, shingleWords = SHINGLE_WORDS, window = WINDOW } = {}) {
+    this.enabled = enabled;
+    this.threshold = threshold;
+    this.shingleWords = shingleWords;
+    this.window = window;
+  }
+
+  /**
+   * Lower-case words with their character offsets
+   * @returns {Array<Object>} { word, start, end }
+   */
+  static tokenize(text) {
+    return [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+      word: match[0].toLowerCase().replace(/’/g, "'"),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * Hash of the shingle starting at each word
+   */
+  shingles(tokens) {
+    return Array.from({ length: Math.max(0, tokens.length - this.shingleWords + 1) }, (_, index) => (
+      hash(tokens.slice(index, index + this.shingleWords).map(token => token.word).join(' '))
+    ));
+  }
+
+  /**
+   * Tokens, shingle hashes and winnowed fingerprints of a text
+   * @param {string} text
+   * @param {Set<number>} [ignored] - Shingle hashes never used as fingerprints (the template's)
+   * @returns {Object} { text, tokens, hashes, fingerprints: Set<number> }
+   */
+  fingerprint(text, ignored = new Set()) {
+    const tokens = SimilarityDetector.tokenize(text);
+    const hashes = this.shingles(tokens);
+    const fingerprints = new Set();
+
+    // The smallest hash in each window of consecutive shingles
+    const windows = Math.max(hashes.length - this.window + 1, hashes.length > 0 ? 1 : 0);
+    for (let start = 0; start < windows; start++) {
+      fingerprints.add(hashes.slice(start, start + this.window).reduce((min, value) => Math.min(min, value)));
+    }
+    ignored.forEach(value => fingerprints.delete(value));
+
+    return { text, tokens, hashes, fingerprints };
+  }
+
+  /**
+   * Compare every successful result of a batch with every other
+   * @param {Array} results - processBulkAssignments results, with analysis.extractedText
+   * @param {Object} [options]
+   * @param {string} [options.templateText] - Prompt or template text the students were given
+   * @returns {Object|null} { threshold, comparedCount, templateUsed, pairs }, or null when comparison is off.
+   *   Each pair is { a, b, similarity, sharedFingerprints, passages }, where a and b are
+   *   { index, fileName, studentName, coverage } and index is the result's position in the batch.
+   */
+  compare(results, { templateText = null } = {}) {
+    if (!this.enabled) return null;
+
+    const ignored = new Set(this.shingles(SimilarityDetector.tokenize(templateText)));
+    const documents = results
+      .map((result, index) => ({ result, index }))
+      .filter(({ result }) => result.status === 'success' && result.analysis?.extractedText)
+      .map(({ result, index }) => ({ result, index, ...this.fingerprint(result.analysis.extractedText, ignored) }))
+      .filter(document => document.fingerprints.size > 0);
+
+    // Shared fingerprints per pair, counted through an index so unrelated pairs cost nothing
+    const holders = new Map();
+    documents.forEach((document, position) => {
+      document.fingerprints.forEach(value => {
+        if (!holders.has(value)) holders.set(value, []);
+        holders.get(value).push(position);
+      });
+    });
+    const shared = new Map();
+    holders.forEach(positions => {
+      positions.forEach((first, offset) => {
+        positions.slice(offset + 1).forEach(second => {
+          const key = `${first}:${second}`;
+          shared.set(key, (shared.get(key) || 0) + 1);
+        });
+      });
+    });
+
+    const pairs = [...shared.entries()]
+      .map(([key, count]) => {
+        const [a, b] = key.split(':').map(position => documents[position]);
+        return { a, b, count, similarity: count / Math.min(a.fingerprints.size, b.fingerprints.size) };
+      })
+      .filter(pair => pair.similarity >= this.threshold)
+      .sort((x, y) => y.similarity - x.similarity || x.a.index - y.a.index || x.b.index - y.b.index)
+      .map(({ a, b, count, similarity }) => {
+        const passages = this.alignPassages(a, b, ignored);
+        const coverage = (document, side) => Math.round(
+          passages.reduce((sum, passage) => sum + passage[side].words, 0) / document.tokens.length * 100
+        ) / 100;
+        return {
+          a: this.describe(a, coverage(a, 'a')),
+          b: this.describe(b, coverage(b, 'b')),
+          similarity: Math.round(similarity * 100) / 100,
+          sharedFingerprints: count,
+          passages
+        };
+      });
+
+    if (pairs.length > 0) {
+      console.log(`🔁 ${pairs.length} pair(s) of submissions at or above ${Math.round(this.threshold * 100)}% similarity`);
+    }
+
+    return {
+      threshold: this.threshold,
+      comparedCount: documents.length,
+      templateUsed: ignored.size > 0,
+      pairs
+    };
+  }
+
+  describe({ result, index }, coverage) {
+    return { index, fileName: result.fileName, studentName: result.studentName, coverage };
+  }
+
+  /**
+   * Passages two fingerprinted texts (see fingerprint) share, in the order
+   * they appear in the first. Runs of identical words start at a shared
+   * shingle outside the template and are extended as far as the words agree;
+   * runs close together in both texts are joined, so a lightly edited passage
+   * is shown whole.
+   * @returns {Array<Object>} { a: { start, end, text, words }, b: { ... } } with character offsets
+   */
+  alignPassages(a, b, ignored = new Set()) {
+    const positions = new Map();
+    b.hashes.forEach((value, index) => {
+      if (ignored.has(value)) return;
+      if (!positions.has(value)) positions.set(value, []);
+      positions.get(value).push(index);
+    });
+
+    const runs = [];
+    let i = 0;
+    while (i < a.hashes.length) {
+      let best = null;
+      (ignored.has(a.hashes[i]) ? [] : positions.get(a.hashes[i]) || []).forEach(j => {
+        let length = 0;
+        while (i + length < a.tokens.length && j + length < b.tokens.length && a.tokens[i + length].word === b.tokens[j + length].word) {
+          length++;
+        }
+        // Equal hashes with different words are collisions
+        if (length >= this.shingleWords && (!best || length > best.length)) best = { i, j, length };
+      });
+      if (best) {
+        runs.push(best);
+        i += best.length;
+      } else {
+        i++;
+      }
+    }
+
+    const merged = [];
+    runs.forEach(run => {
+      const last = merged[merged.length - 1];
+      const gapA = last ? run.i - (last.i + last.length) : Infinity;
+      const gapB = last ? run.j - (last.j + last.lengthB) : Infinity;
+      if (gapA <= MAX_PASSAGE_GAP && gapB >= 0 && gapB <= MAX_PASSAGE_GAP) {
+        last.length = run.i + run.length - last.i;
+        last.lengthB = run.j + run.length - last.j;
+      } else {
+        merged.push({ ...run, lengthB: run.length });
+      }
+    });
+
+    const side = (document, from, length) => {
+      const start = document.tokens[from].start;
+      const end = document.tokens[from + length - 1].end;
+      return { start, end, text: document.text.slice(start, end), words: length };
+    };
+    return merged.map(run => ({
+      a: side(a, run.i, run.length),
+      b: side(b, run.j, run.lengthB)
+    }));
+  }
+}
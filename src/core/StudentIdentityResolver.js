@@ -0,0 +1,124 @@
+import { CanvasExportParser } from './importers/CanvasExportParser.js';
+import { MoodleExportParser } from './importers/MoodleExportParser.js';
+import { GoogleClassroomExportParser } from './importers/GoogleClassroomExportParser.js';
+import { ManifestExportParser } from './importers/ManifestExportParser.js';
+
+/**
+ * Work out who submitted a file from LMS export naming conventions.
+ * Parsers are tried in order (an archive manifest first, then registered
+ * parsers, then the built-in Canvas, Moodle and Google Classroom layouts);
+ * the first one that recognises the path wins.
+ */
+export class StudentIdentityResolver {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} [options.parsers] - Replace the built-in parsers; each has a name and parse(filePath)
+   */
+  constructor(options = {}) {
+    this.parsers = options.parsers || [
+      new CanvasExportParser(),
+      new MoodleExportParser(),
+      new GoogleClassroomExportParser()
+    ];
+    this.manifestParsers = new WeakMap();
+  }
+
+  /**
+   * Add a parser for another export layout; custom parsers run before the built-in ones
+   */
+  registerParser(parser) {
+    if (!parser || typeof parser.parse !== 'function') {
+      throw new Error('Identity parsers must implement parse(filePath)');
+    }
+    this.parsers.unshift(parser);
+    return this;
+  }
+
+  /**
+   * Resolve the identity for an uploaded or archive-expanded file
+   * @param {Object} file - Upload with originalname/name, plus lastModified and archiveManifest for ZIP entries
+   * @param {Object} options
+   * @param {string|Date} [options.dueDate] - Used to flag late work when the export does not say
+   * @returns {Object} { studentId, displayName, submittedAt, late, source }
+   */
+  resolve(file, options = {}) {
+    const filePath = file.originalname || file.name || '';
+    let identity = null;
+    let source = 'filename';
+
+    for (const parser of this.getParsers(file)) {
+      identity = parser.parse(filePath);
+      if (identity) {
+        source = parser.name;
+        break;
+      }
+    }
+
+    const displayName = identity?.displayName || StudentIdentityResolver.nameFromFileName(filePath);
+    const submittedAt = StudentIdentityResolver.toISOString(identity?.submittedAt || file.lastModified);
+    const dueDate = options.dueDate ? new Date(options.dueDate) : null;
+
+    let late = identity?.late ?? null;
+    if (late === null && submittedAt && dueDate && !isNaN(dueDate)) {
+      late = new Date(submittedAt) > dueDate;
+    }
+
+    return {
+      studentId: identity?.studentId || StudentIdentityResolver.nameToId(displayName),
+      displayName,
+      submittedAt,
+      late,
+      source
+    };
+  }
+
+  /**
+   * Parsers to try for a file, led by its archive manifest when there is one
+   */
+  getParsers(file) {
+    const manifest = file.archiveManifest;
+    if (!manifest) {
+      return this.parsers;
+    }
+
+    if (!this.manifestParsers.has(manifest)) {
+      this.manifestParsers.set(manifest, ManifestExportParser.fromFile(manifest.name, manifest.contents));
+    }
+    return [this.manifestParsers.get(manifest), ...this.parsers];
+  }
+
+  /**
+   * Fallback display name: a student folder if there is one, otherwise the first run of letters
+   */
+  static nameFromFileName(filename) {
+    // ZIP uploads usually hold one folder per student, e.g. "alice_smith/essay.docx"
+    const segments = filename.split(/[\\/]/).filter(Boolean);
+    if (segments.length > 1) {
+      filename = segments[segments.length - 2].replace(/[_-]+/g, ' ');
+    }
+
+    // Simple extraction - could be enhanced with more sophisticated parsing
+    const nameMatch = filename.match(/([A-Za-z\s]+)/);
+    return nameMatch ? nameMatch[1].trim() : 'Unknown Student';
+  }
+
+  /**
+   * Stable ID for exports that only carry a name, e.g. "name:jane-smith"
+   */
+  static nameToId(name) {
+    const slug = String(name || '').toLowerCase().normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    return `name:${slug || 'unknown'}`;
+  }
+
+  /**
+   * Normalise a timestamp to ISO 8601, or null when it cannot be parsed
+   */
+  static toISOString(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+  }
+}
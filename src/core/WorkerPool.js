@@ -0,0 +1,145 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+
+// Long enough for a large scanned PDF, short enough that one bad file cannot stall a batch
+const DEFAULT_TASK_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * A bounded pool of worker_threads running one script. Each worker handles one
+ * task at a time; extra tasks wait in a FIFO queue. A task that runs past its
+ * timeout has its worker terminated and replaced.
+ *
+ * Worker scripts receive { id, payload } messages and reply with
+ * { id, result } or { id, error: { message, stage } }.
+ */
+export class WorkerPool {
+  /**
+   * @param {string|URL} workerPath - Worker script
+   * @param {Object} [options]
+   * @param {number} [options.size] - Maximum number of workers (defaults to CPU count - 1, at least 1)
+   * @param {number} [options.taskTimeoutMs] - Per-task timeout
+   * @param {*} [options.workerData] - Passed to every worker as worker_threads' workerData
+   */
+  constructor(workerPath, options = {}) {
+    this.workerPath = workerPath;
+    this.size = Math.max(1, options.size || os.cpus().length - 1);
+    this.taskTimeoutMs = options.taskTimeoutMs || DEFAULT_TASK_TIMEOUT_MS;
+    this.workerData = options.workerData;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.destroyed = false;
+  }
+
+  /**
+   * Run one task on the next free worker
+   * @param {*} payload - Must be structured-cloneable
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Overrides the pool's per-task timeout
+   * @returns {Promise<*>} The worker's result
+   */
+  run(payload, options = {}) {
+    if (this.destroyed) {
+      return Promise.reject(new Error('Worker pool has been shut down'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextTaskId++,
+        payload,
+        timeoutMs: options.timeoutMs || this.taskTimeoutMs,
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Terminate every worker and reject queued tasks
+   */
+  async destroy() {
+    this.destroyed = true;
+    this.queue.splice(0).forEach(task => task.reject(new Error('Worker pool has been shut down')));
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.ref();
+      task.timer = setTimeout(() => this.timeout(worker), task.timeoutMs);
+      worker.postMessage({ id: task.id, payload: task.payload });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.workerPath, { workerData: this.workerData });
+    worker.task = null;
+
+    worker.on('message', ({ id, result, error }) => {
+      const task = worker.task;
+      if (!task || task.id !== id) return;
+
+      this.settle(worker);
+      if (error) {
+        const taskError = new Error(error.message);
+        if (error.stage) taskError.stage = error.stage;
+        task.reject(taskError);
+      } else {
+        task.resolve(result);
+      }
+      this.release(worker);
+    });
+
+    worker.on('error', (error) => {
+      const task = worker.task;
+      this.remove(worker);
+      if (task) task.reject(error);
+      this.dispatch();
+    });
+
+    worker.on('exit', () => {
+      const task = worker.task;
+      this.remove(worker);
+      if (task) task.reject(new Error('Worker exited before finishing its task'));
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  timeout(worker) {
+    const task = worker.task;
+    this.remove(worker);
+    worker.terminate();
+    task.reject(new Error(`Timed out after ${task.timeoutMs / 1000}s`));
+    this.dispatch();
+  }
+
+  settle(worker) {
+    clearTimeout(worker.task.timer);
+    worker.task = null;
+  }
+
+  release(worker) {
+    // Idle workers must not keep the process alive
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  remove(worker) {
+    if (worker.task) this.settle(worker);
+    this.workers = this.workers.filter(entry => entry !== worker);
+    this.idle = this.idle.filter(entry => entry !== worker);
+  }
+}
@@ -1,8 +1,122 @@
 import natural from 'natural';
 import compromise from 'compromise';
+import { Annotation } from '../Annotation.js';
+import { SourceMatcher } from './SourceMatcher.js';
+import { AnswerKey } from '../AnswerKey.js';
+
+const EVIDENCE_PATTERNS = [
+  /according to/gi,
+  /research shows/gi,
+  /studies indicate/gi,
+  /data suggests/gi,
+  /findings show/gi
+];
+const COUNTER_WORDS = ['however', 'although', 'despite', 'nevertheless'];
+const CITATION_PATTERN = /\[[\d]+\]|\(\w+\s+\d{4}\)|et al\./gi;
+const SUBJECTIVE_PHRASES = ['i think', 'i believe', 'i feel', 'in my opinion'];
+const SENSORY_WORDS = ['saw', 'heard', 'felt', 'smelled', 'tasted', 'bright', 'loud', 'soft', 'sweet'];
+const DIALOGUE_PATTERN = /"[^"]*"/g;
+const CRITICAL_WORDS = ['analyze', 'evaluate', 'critique', 'examine', 'assess', 'compare'];
+
+// Answers this short or shorter count as unanswered (see analyzeCompleteness)
+const MIN_ANSWER_LENGTH = 10;
+// Taken off the citation score for each passage from a source with no attribution,
+// and for each one that is only half attributed (quoted but not cited, or copied
+// word for word and cited but not quoted)
+const UNATTRIBUTED_PENALTY = 0.25;
+const PARTLY_ATTRIBUTED_PENALTY = 0.1;
+
+// How each graded worksheet answer is annotated (see AnswerKey.grade)
+const ANSWER_ANNOTATIONS = {
+  correct: { severity: 'praise', message: 'Question {question}: correct' },
+  partial: {
+    severity: 'suggestion',
+    message: 'Question {question}: partly right',
+    suggestion: 'Also mention: {missing}'
+  },
+  incorrect: {
+    severity: 'warning',
+    message: 'Question {question}: not the expected answer',
+    suggestion: 'Expected: {expected}'
+  }
+};
+
+// How each way of using a source passage is annotated (see SourceMatcher)
+const SOURCE_ANNOTATIONS = {
+  'quoted-and-cited': { severity: 'praise', message: 'Quotes and cites {title}' },
+  'cited-paraphrase': { severity: 'praise', message: 'Puts {title} in your own words and cites it' },
+  'cited-verbatim': {
+    severity: 'suggestion',
+    message: 'Copied word for word from {title}',
+    suggestion: 'Put the source\'s exact words in quotation marks'
+  },
+  quoted: {
+    severity: 'suggestion',
+    message: 'Quotation from {title} without a citation',
+    suggestion: 'Say where the quotation comes from'
+  },
+  unattributed: {
+    severity: 'warning',
+    message: 'Matches {title} without quotation marks or a citation',
+    suggestion: 'Quote and cite the source, or put the idea in your own words'
+  }
+};
+
+/*
+ * What each assignment type points out in the text, as "type.key" sub-analysis
+ * categories. Each rule finds its spans by pattern or by whole words.
+ */
+const ANNOTATION_RULES = {
+  essay: [
+    { key: 'evidence', patterns: EVIDENCE_PATTERNS, severity: 'praise', message: 'Introduces evidence' },
+    { key: 'argumentation', words: COUNTER_WORDS, severity: 'praise', message: 'Weighs another side of the argument' }
+  ],
+  report: [
+    { key: 'citations', patterns: [CITATION_PATTERN], severity: 'praise', message: 'Cites a source' },
+    {
+      key: 'objectivity',
+      words: SUBJECTIVE_PHRASES,
+      severity: 'suggestion',
+      message: 'Personal opinion in a report',
+      suggestion: 'Let the evidence make the point instead'
+    }
+  ],
+  creative: [
+    { key: 'dialogue', patterns: [DIALOGUE_PATTERN], severity: 'praise', message: 'Dialogue brings the scene to life' },
+    { key: 'imagery', words: SENSORY_WORDS, severity: 'praise', message: 'Sensory detail' }
+  ],
+  analysis: [
+    { key: 'evidence', patterns: EVIDENCE_PATTERNS, severity: 'praise', message: 'Introduces evidence' },
+    { key: 'criticalThinking', words: CRITICAL_WORDS, severity: 'praise', message: 'Names the analysis being done' }
+  ],
+  worksheet: [],
+  general: []
+};
 
 export class AssignmentAnalyzer {
+  // Bump whenever scoring logic changes; cached analyses from other versions are discarded
+  static VERSION = 6;
+
+  // Scored parts of each assignment type's analysis; rubric criteria refer to them as "type.key"
+  static SUB_ANALYSES = {
+    essay: ['structure', 'argumentation', 'evidence', 'style', 'thesis', 'conclusion'],
+    worksheet: ['completeness', 'accuracy', 'understanding', 'effort', 'organization'],
+    report: ['structure', 'research', 'citations', 'objectivity', 'methodology', 'findings'],
+    creative: ['creativity', 'voice', 'imagery', 'dialogue', 'plot', 'character'],
+    analysis: ['criticalThinking', 'evidence', 'interpretation', 'evaluation', 'synthesis', 'argumentation'],
+    general: ['organization', 'clarity', 'depth']
+  };
+
+  /**
+   * Every sub-analysis as "type.key", e.g. "essay.thesis"
+   */
+  static subAnalysisKeys() {
+    return Object.entries(AssignmentAnalyzer.SUB_ANALYSES)
+      .flatMap(([type, keys]) => keys.map(key => `${type}.${key}`));
+  }
+
   constructor() {
+    this.sourceMatcher = new SourceMatcher();
     this.assignmentHandlers = {
       essay: this.analyzeEssay.bind(this),
       worksheet: this.analyzeWorksheet.bind(this),
@@ -14,11 +128,51 @@ export class AssignmentAnalyzer {
   }
 
   /**
-   * Analyze assignment based on type
+   * Analyze assignment based on type. With source texts, every type is checked
+   * for passages taken from them; only reports count that toward their score.
+   * @param {string} text
+   * @param {string} assignmentType
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.sources] - The assignment's source texts, { id, title, author, text }
+   * @param {Object} [options.answerKey] - The teacher's answer key for worksheets (see AnswerKey)
    */
-  async analyzeByType(text, assignmentType) {
+  async analyzeByType(text, assignmentType, { sources = [], answerKey = null } = {}) {
     const handler = this.assignmentHandlers[assignmentType] || this.assignmentHandlers.general;
-    return await handler(text);
+    const analysis = await handler(text, { sources, answerKey });
+    if (sources.length === 0 || analysis.citations?.sourcePassages) return analysis;
+
+    const citations = this.analyzeCitations(text, { sources });
+    return {
+      ...analysis,
+      citations,
+      improvements: [...analysis.improvements, ...this.identifySourceImprovements(citations)],
+      annotations: Annotation.collect(analysis.annotations, this.annotateSources(citations))
+    };
+  }
+
+  /**
+   * Results of the named sub-analyses ("essay.thesis"), as { score } objects.
+   * Types other than the submission's own are analysed once each on demand.
+   * @param {string} text
+   * @param {Array<string>} keys
+   * @param {Object} [existing] - analyzeByType output already made for this text
+   * @param {Object} [options] - analyzeByType options
+   */
+  async subAnalysisResults(text, keys, existing = null, options = {}) {
+    const analyses = existing?.type ? { [existing.type]: existing } : {};
+    const results = {};
+
+    for (const key of keys) {
+      const [type, name] = key.split('.');
+      if (!analyses[type]) {
+        analyses[type] = await this.analyzeByType(text, type, options);
+      }
+      const result = analyses[type][name];
+      // A few general analyses return a bare score
+      results[key] = typeof result === 'number' ? { score: result } : result;
+    }
+
+    return results;
   }
 
   /**
@@ -39,18 +193,21 @@ export class AssignmentAnalyzer {
       ...analysis,
       overallScore: this.calculateEssayScore(analysis),
       strengths: this.identifyEssayStrengths(analysis),
-      improvements: this.identifyEssayImprovements(analysis)
+      improvements: this.identifyEssayImprovements(analysis),
+      annotations: this.annotate(text, analysis)
     };
   }
 
   /**
-   * Analyze worksheet assignments
+   * Analyze worksheet assignments. Answers are only checked for accuracy
+   * against a teacher's answer key; without one, accuracy is left unscored.
    */
-  async analyzeWorksheet(text) {
+  async analyzeWorksheet(text, { answerKey = null } = {}) {
+    const graded = answerKey ? AnswerKey.from(answerKey).grade(text) : null;
     const analysis = {
       type: 'worksheet',
-      completeness: this.analyzeCompleteness(text),
-      accuracy: this.analyzeWorksheetAccuracy(text),
+      completeness: this.analyzeCompleteness(text, graded),
+      accuracy: this.analyzeWorksheetAccuracy(text, graded),
       understanding: this.analyzeUnderstanding(text),
       effort: this.analyzeEffort(text),
       organization: this.analyzeWorksheetOrganization(text)
@@ -60,19 +217,20 @@ export class AssignmentAnalyzer {
       ...analysis,
       overallScore: this.calculateWorksheetScore(analysis),
       strengths: this.identifyWorksheetStrengths(analysis),
-      improvements: this.identifyWorksheetImprovements(analysis)
+      improvements: this.identifyWorksheetImprovements(analysis),
+      annotations: this.annotate(text, analysis)
     };
   }
 
   /**
    * Analyze report assignments
    */
-  async analyzeReport(text) {
+  async analyzeReport(text, { sources = [] } = {}) {
     const analysis = {
       type: 'report',
       structure: this.analyzeReportStructure(text),
       research: this.analyzeResearch(text),
-      citations: this.analyzeCitations(text),
+      citations: this.analyzeCitations(text, { sources }),
       objectivity: this.analyzeObjectivity(text),
       methodology: this.analyzeMethodology(text),
       findings: this.analyzeFindings(text)
@@ -82,7 +240,8 @@ export class AssignmentAnalyzer {
       ...analysis,
       overallScore: this.calculateReportScore(analysis),
       strengths: this.identifyReportStrengths(analysis),
-      improvements: this.identifyReportImprovements(analysis)
+      improvements: this.identifyReportImprovements(analysis),
+      annotations: this.annotate(text, analysis)
     };
   }
 
@@ -104,7 +263,8 @@ export class AssignmentAnalyzer {
       ...analysis,
       overallScore: this.calculateCreativeScore(analysis),
       strengths: this.identifyCreativeStrengths(analysis),
-      improvements: this.identifyCreativeImprovements(analysis)
+      improvements: this.identifyCreativeImprovements(analysis),
+      annotations: this.annotate(text, analysis)
     };
   }
 
@@ -126,7 +286,8 @@ export class AssignmentAnalyzer {
       ...analysis,
       overallScore: this.calculateAnalysisScore(analysis),
       strengths: this.identifyAnalysisStrengths(analysis),
-      improvements: this.identifyAnalysisImprovements(analysis)
+      improvements: this.identifyAnalysisImprovements(analysis),
+      annotations: this.annotate(text, analysis)
     };
   }
 
@@ -142,7 +303,8 @@ export class AssignmentAnalyzer {
       depth: this.analyzeDepth(text),
       overallScore: 0.7,
       strengths: ['Good effort'],
-      improvements: ['Continue developing your ideas']
+      improvements: ['Continue developing your ideas'],
+      annotations: []
     };
   }
 
@@ -165,12 +327,11 @@ export class AssignmentAnalyzer {
   analyzeArgumentation(text) {
     const argumentWords = ['argue', 'claim', 'assert', 'maintain', 'contend', 'propose'];
     const evidenceWords = ['evidence', 'proof', 'data', 'research', 'study', 'findings'];
-    const counterWords = ['however', 'although', 'despite', 'nevertheless'];
     
     const lowerText = text.toLowerCase();
     const argumentCount = argumentWords.filter(word => lowerText.includes(word)).length;
     const evidenceCount = evidenceWords.filter(word => lowerText.includes(word)).length;
-    const counterCount = counterWords.filter(word => lowerText.includes(word)).length;
+    const counterCount = COUNTER_WORDS.filter(word => lowerText.includes(word)).length;
     
     return {
       score: Math.min(1, (argumentCount + evidenceCount + counterCount) / 5),
@@ -181,16 +342,8 @@ export class AssignmentAnalyzer {
   }
 
   analyzeEvidence(text) {
-    const evidencePatterns = [
-      /according to/gi,
-      /research shows/gi,
-      /studies indicate/gi,
-      /data suggests/gi,
-      /findings show/gi
-    ];
-    
     let evidenceCount = 0;
-    evidencePatterns.forEach(pattern => {
+    EVIDENCE_PATTERNS.forEach(pattern => {
       const matches = text.match(pattern);
       if (matches) evidenceCount += matches.length;
     });
@@ -281,22 +434,57 @@ export class AssignmentAnalyzer {
   }
 
   // Worksheet-specific analysis methods
-  analyzeCompleteness(text) {
-    const questions = text.split(/\d+\./).filter(q => q.trim().length > 0);
-    const answeredQuestions = questions.filter(q => q.trim().length > 10);
-    
+
+  /**
+   * Share of questions answered. With an answer key every question in it
+   * counts and any answer will do; without one, the numbered responses count
+   * and answers of MIN_ANSWER_LENGTH characters or fewer are treated as blank.
+   * @param {string} text
+   * @param {Object} [graded] - AnswerKey.grade output
+   */
+  analyzeCompleteness(text, graded = null) {
+    if (graded) {
+      return {
+        score: graded.answeredCount / graded.items.length,
+        totalQuestions: graded.items.length,
+        answeredQuestions: graded.answeredCount
+      };
+    }
+
+    // A worksheet without numbered questions is one long answer
+    const responses = AnswerKey.responses(text);
+    const answers = responses.length > 0 ? responses.map(response => response.answer) : [{ text: text.trim() }];
+    const answeredQuestions = answers.filter(answer => answer?.text.length > MIN_ANSWER_LENGTH);
     return {
-      score: answeredQuestions.length / Math.max(1, questions.length),
-      totalQuestions: questions.length,
+      score: answeredQuestions.length / answers.length,
+      totalQuestions: answers.length,
       answeredQuestions: answeredQuestions.length
     };
   }
 
-  analyzeWorksheetAccuracy(text) {
-    // This would need domain-specific knowledge
+  /**
+   * Points earned against the answer key, with each question's result;
+   * a null score without a key
+   * @param {string} text
+   * @param {Object} [graded] - AnswerKey.grade output
+   */
+  analyzeWorksheetAccuracy(text, graded = null) {
+    if (!graded) {
+      return {
+        score: null,
+        graded: false,
+        feedback: 'Add an answer key to check answers'
+      };
+    }
+
     return {
-      score: 0.8, // Placeholder
-      feedback: 'Accuracy assessment requires subject-specific knowledge'
+      score: graded.score,
+      graded: true,
+      earnedPoints: graded.earnedPoints,
+      totalPoints: graded.totalPoints,
+      correctCount: graded.correctCount,
+      items: graded.items,
+      feedback: `${graded.correctCount} of ${graded.items.length} questions correct (${graded.earnedPoints}/${graded.totalPoints} points)`
     };
   }
 
@@ -323,8 +511,9 @@ export class AssignmentAnalyzer {
   }
 
   analyzeWorksheetOrganization(text) {
-    const hasNumbering = /\d+\./.test(text);
-    const hasClearAnswers = text.split(/\d+\./).length > 1;
+    const responses = AnswerKey.responses(text);
+    const hasNumbering = responses.length > 0;
+    const hasClearAnswers = responses.some(response => response.answer);
     
     return {
       score: (hasNumbering ? 0.5 : 0) + (hasClearAnswers ? 0.5 : 0),
@@ -342,10 +531,10 @@ export class AssignmentAnalyzer {
       organization: 0.10
     };
     
-    let score = 0;
-    Object.keys(weights).forEach(key => {
-      score += analysis[key].score * weights[key];
-    });
+    // Accuracy is unscored without an answer key; the other weights are spread over its share
+    const scored = Object.keys(weights).filter(key => typeof analysis[key].score === 'number');
+    const total = scored.reduce((sum, key) => sum + weights[key], 0);
+    const score = scored.reduce((sum, key) => sum + analysis[key].score * weights[key], 0) / total;
     
     return Math.round(score * 100) / 100;
   }
@@ -353,6 +542,7 @@ export class AssignmentAnalyzer {
   identifyWorksheetStrengths(analysis) {
     const strengths = [];
     if (analysis.completeness.score > 0.8) strengths.push('Complete responses');
+    if (analysis.accuracy.graded && analysis.accuracy.score >= 0.9) strengths.push('Accurate answers');
     if (analysis.understanding.score > 0.6) strengths.push('Good understanding');
     if (analysis.effort.score > 0.7) strengths.push('Good effort');
     if (analysis.organization.score > 0.7) strengths.push('Well organized');
@@ -362,6 +552,7 @@ export class AssignmentAnalyzer {
   identifyWorksheetImprovements(analysis) {
     const improvements = [];
     if (analysis.completeness.score < 0.6) improvements.push('Answer all questions completely');
+    if (analysis.accuracy.graded && analysis.accuracy.score < 0.6) improvements.push('Review the questions marked incorrect');
     if (analysis.understanding.score < 0.5) improvements.push('Show more understanding');
     if (analysis.effort.score < 0.6) improvements.push('Provide more detailed answers');
     if (analysis.organization.score < 0.6) improvements.push('Improve organization');
@@ -392,22 +583,35 @@ export class AssignmentAnalyzer {
     };
   }
 
-  analyzeCitations(text) {
-    const citationPatterns = /\[[\d]+\]|\(\w+\s+\d{4}\)|et al\./gi;
-    const matches = text.match(citationPatterns);
-    
-    return {
+  /**
+   * Citations in the text and, given the assignment's source texts, how the
+   * passages taken from them are attributed (see SourceMatcher)
+   */
+  analyzeCitations(text, { sources = [] } = {}) {
+    const matches = text.match(CITATION_PATTERN);
+    const citations = {
       score: Math.min(1, (matches ? matches.length : 0) / 5),
       count: matches ? matches.length : 0
     };
+    if (sources.length === 0) return citations;
+
+    const { passages, attributedCount, unattributedCount, copiedShare } = this.sourceMatcher.match(text, sources);
+    const partlyAttributed = passages.length - attributedCount - unattributedCount;
+    return {
+      ...citations,
+      score: Math.max(0, citations.score - UNATTRIBUTED_PENALTY * unattributedCount - PARTLY_ATTRIBUTED_PENALTY * partlyAttributed),
+      sourcePassages: passages,
+      attributedCount,
+      unattributedCount,
+      copiedShare
+    };
   }
 
   analyzeObjectivity(text) {
-    const subjectiveWords = ['i think', 'i believe', 'i feel', 'in my opinion'];
     const objectiveWords = ['data shows', 'research indicates', 'studies suggest'];
     
     const lowerText = text.toLowerCase();
-    const subjectiveCount = subjectiveWords.filter(phrase => lowerText.includes(phrase)).length;
+    const subjectiveCount = SUBJECTIVE_PHRASES.filter(phrase => lowerText.includes(phrase)).length;
     const objectiveCount = objectiveWords.filter(phrase => lowerText.includes(phrase)).length;
     
     return {
@@ -472,6 +676,20 @@ export class AssignmentAnalyzer {
     if (analysis.research.score < 0.5) improvements.push('Strengthen research');
     if (analysis.citations.score < 0.5) improvements.push('Add more citations');
     if (analysis.objectivity.score < 0.6) improvements.push('Maintain objectivity');
+    return [...improvements, ...this.identifySourceImprovements(analysis.citations)];
+  }
+
+  /**
+   * Improvements for passages taken from the sources without full attribution
+   */
+  identifySourceImprovements(citations) {
+    const passages = citations.sourcePassages || [];
+    const improvements = [];
+    if (citations.unattributedCount > 0) improvements.push('Quote and cite passages taken from the sources');
+    if (passages.some(passage => passage.attribution === 'quoted')) improvements.push('Cite the source of each quotation');
+    if (passages.some(passage => passage.attribution === 'cited' && passage.match === 'verbatim')) {
+      improvements.push('Put words copied from a source in quotation marks');
+    }
     return improvements;
   }
 
@@ -502,9 +720,8 @@ export class AssignmentAnalyzer {
   }
 
   analyzeImagery(text) {
-    const sensoryWords = ['saw', 'heard', 'felt', 'smelled', 'tasted', 'bright', 'loud', 'soft', 'sweet'];
     const lowerText = text.toLowerCase();
-    const sensoryCount = sensoryWords.filter(word => lowerText.includes(word)).length;
+    const sensoryCount = SENSORY_WORDS.filter(word => lowerText.includes(word)).length;
     
     return {
       score: Math.min(1, sensoryCount / 5),
@@ -513,8 +730,7 @@ export class AssignmentAnalyzer {
   }
 
   analyzeDialogue(text) {
-    const dialoguePattern = /"[^"]*"/g;
-    const matches = text.match(dialoguePattern);
+    const matches = text.match(DIALOGUE_PATTERN);
     
     return {
       score: Math.min(1, (matches ? matches.length : 0) / 3),
@@ -582,9 +798,8 @@ export class AssignmentAnalyzer {
 
   // Analysis-specific methods
   analyzeCriticalThinking(text) {
-    const criticalWords = ['analyze', 'evaluate', 'critique', 'examine', 'assess', 'compare'];
     const lowerText = text.toLowerCase();
-    const criticalCount = criticalWords.filter(word => lowerText.includes(word)).length;
+    const criticalCount = CRITICAL_WORDS.filter(word => lowerText.includes(word)).length;
     
     return {
       score: Math.min(1, criticalCount / 3),
@@ -662,6 +877,98 @@ export class AssignmentAnalyzer {
   }
 
   // Helper methods
+
+  /**
+   * Annotations for what an assignment type's analysis found: the spans its
+   * ANNOTATION_RULES match, plus a missing essay thesis and unanswered
+   * worksheet questions, or with an answer key each graded answer
+   * @param {string} text
+   * @param {Object} analysis - The type's sub-analyses, including type
+   * @returns {Array<Object>} Annotations as JSON, in text order
+   */
+  annotate(text, analysis) {
+    const { type } = analysis;
+    const annotations = (ANNOTATION_RULES[type] || []).flatMap(({ key, patterns = [], words = [], ...fields }) => {
+      const spans = [
+        ...patterns.flatMap(pattern => Annotation.findSpans(text, pattern)),
+        ...Annotation.wordSpans(text, words)
+      ];
+      return Annotation.fromSpans(spans, { ...fields, category: `${type}.${key}`, source: 'assignment' });
+    });
+
+    const [introduction] = Annotation.paragraphSpans(text);
+    if (type === 'essay' && !analysis.thesis.hasThesis && introduction) {
+      annotations.push(...Annotation.fromSpans([introduction], {
+        category: 'essay.thesis',
+        severity: 'suggestion',
+        source: 'assignment',
+        message: 'No clear thesis in the introduction',
+        suggestion: 'State the main point you will argue in your opening paragraph'
+      }));
+    }
+
+    if (type === 'worksheet' && analysis.accuracy.graded) {
+      annotations.push(...this.annotateAnswers(analysis.accuracy.items));
+    } else if (type === 'worksheet') {
+      annotations.push(...Annotation.fromSpans(this.answerSpans(text).filter(answer => answer.text.length <= MIN_ANSWER_LENGTH), {
+        category: 'worksheet.completeness',
+        severity: 'warning',
+        source: 'assignment',
+        message: 'This answer looks incomplete',
+        suggestion: 'Answer the question in full'
+      }));
+    }
+
+    if (analysis.citations?.sourcePassages) {
+      annotations.push(...this.annotateSources(analysis.citations));
+    }
+
+    return Annotation.collect(annotations);
+  }
+
+  /**
+   * One annotation per passage taken from a source, by how it is attributed
+   */
+  annotateSources(citations) {
+    return (citations.sourcePassages || []).flatMap(passage => {
+      const kind = passage.attribution === 'cited' ? `cited-${passage.match}` : passage.attribution;
+      const { message, ...fields } = SOURCE_ANNOTATIONS[kind];
+      return Annotation.fromSpans([passage], {
+        ...fields,
+        message: message.replace('{title}', `"${passage.sourceTitle}"`),
+        category: 'sources',
+        source: 'assignment'
+      });
+    });
+  }
+
+  /**
+   * One annotation per answered question graded against the answer key
+   */
+  annotateAnswers(items) {
+    return items.filter(item => item.status !== 'unanswered').flatMap(item => {
+      const { message, suggestion = null, ...fields } = ANSWER_ANNOTATIONS[item.status];
+      const fill = (value) => value
+        .replace('{question}', item.question)
+        .replace('{expected}', item.expected)
+        .replace('{missing}', item.missing.join(', '));
+      return Annotation.fromSpans([{ start: item.start, end: item.end, text: item.answer }], {
+        ...fields,
+        message: fill(message),
+        suggestion: suggestion && fill(suggestion),
+        category: 'worksheet.accuracy',
+        source: 'assignment'
+      });
+    });
+  }
+
+  /**
+   * Worksheet answers: what each numbered question was answered with (see AnswerKey.responses)
+   */
+  answerSpans(text) {
+    return AnswerKey.responses(text).map(response => response.answer).filter(Boolean);
+  }
+
   hasIntroduction(paragraph) {
     if (!paragraph) return false;
     const introKeywords = ['introduction', 'overview', 'purpose', 'aim', 'goal'];
@@ -1,44 +1,175 @@
 import natural from 'natural';
 import compromise from 'compromise';
+import { Annotation } from '../Annotation.js';
+import { PromptRelevance } from './PromptRelevance.js';
+
+const TRANSITION_PATTERN = /(however|furthermore|moreover|therefore|consequently|in conclusion|in summary)/gi;
+const EVIDENCE_PATTERN = /(research shows|studies indicate|according to|\d{4})/gi;
+// Sweeping words that make a sentence a claim needing support
+const CLAIM_PATTERN = /\b(clearly|obviously|always|never|everyone|nobody|proves?|undeniabl[ey]|certainly)\b/i;
+
+// Characters either side of a matched span shown when explaining a score
+const CONTEXT_CHARS = 40;
+
+// Share of the prompt's key terms a submission needs to use for full credit
+const FULL_PROMPT_COVERAGE = 0.6;
+// Relevance points for each measure, shared out over the measures the
+// teacher's prompt and required concepts make possible
+const RELEVANCE_POINTS = { promptTerms: 0.4, onTopic: 0.2, concepts: 0.4 };
+
+const { findSpans, wordSpans, paragraphSpans, sentenceSpans } = Annotation;
+
+/**
+ * The scoring rules an analyzer applied, in order, so its score can be
+ * explained. Rules that did not fire are kept with the points they would
+ * have added; matched text is kept either way.
+ */
+class ScoreTrace {
+  constructor(base, description) {
+    this.score = base;
+    this.rules = [{ id: 'base', description, fired: true, points: base, value: null, spans: [] }];
+  }
+
+  /**
+   * Record a rule, adding its points to the score when it fires
+   * @returns {boolean} Whether the rule fired
+   */
+  apply(id, description, fired, points, { value = null, spans = [] } = {}) {
+    this.rules.push({ id, description, fired: Boolean(fired), points, value, spans });
+    if (fired) this.score += points;
+    return Boolean(fired);
+  }
+
+  /**
+   * Keep the score within 0–1, recording the adjustment when it was outside
+   */
+  clamp() {
+    const clamped = Math.min(1, Math.max(0, this.score));
+    if (clamped !== this.score) {
+      this.rules.push({ id: 'range', description: 'Score kept within 0–1', fired: true, points: clamped - this.score, value: this.score, spans: [] });
+      this.score = clamped;
+    }
+    return clamped;
+  }
+}
 
 export class EvaluationDimensions {
+  // Bump whenever scoring logic changes; cached analyses from other versions are discarded
+  static VERSION = 7;
+
+  // Relative dimension weights used when an assignment has no rubric; the
+  // overall score is normalised over the dimensions actually evaluated
+  static DEFAULT_WEIGHTS = {
+    structure: 0.20,
+    creativity: 0.15,
+    accuracy: 0.15,
+    presentation: 0.10,
+    critical_thinking: 0.20,
+    originality: 0.05,
+    clarity: 0.10,
+    depth: 0.10,
+    // Only evaluated when the assignment has a prompt or required concepts
+    relevance: 0.15
+  };
+
+  /**
+   * Dimension key for a criterion name: "criticalThinking" and "Critical Thinking"
+   * both become "critical_thinking". Null when no dimension has that name.
+   */
+  static toDimension(name) {
+    const key = String(name || '').trim()
+      .replace(/([a-z])([A-Z])/g, '$1_$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_');
+    return Object.prototype.hasOwnProperty.call(EvaluationDimensions.DEFAULT_WEIGHTS, key) ? key : null;
+  }
+
+  /**
+   * Display name of a dimension, e.g. "Critical Thinking"
+   */
+  static label(dimension) {
+    return String(dimension)
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Multiplier for short submissions: 150 words is the minimum expected
+   */
+  static lengthPenalty(wordCount) {
+    return Math.min(1, wordCount / 150);
+  }
+
   constructor() {
+    this.promptRelevance = new PromptRelevance();
+
     // Define methods as arrow functions to maintain 'this' binding
     this.analyzeStructure = async (text, assignmentType) => {
       const paragraphs = text.split('\n\n').filter(p => p.trim().length > 0);
       const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
       const words = text.split(/\s+/);
+      const paragraphRanges = paragraphSpans(text);
+      const transitions = findSpans(text, TRANSITION_PATTERN);
       
       // Calculate structure score based on various factors
-      let score = 0.5; // Base score
+      const trace = new ScoreTrace(0.5, 'Starting score');
       const feedback = [];
       const details = {
         paragraphCount: paragraphs.length,
         avgSentenceLength: sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / Math.max(1, sentences.length),
         hasIntroduction: paragraphs[0]?.toLowerCase().includes('introduction') || false,
         hasConclusion: paragraphs[paragraphs.length - 1]?.toLowerCase().includes('conclusion') || false,
-        transitionWords: (text.match(/(however|furthermore|moreover|therefore|consequently|in conclusion|in summary)/gi) || []).length
+        transitionWords: transitions.length
       };
       
       // Score adjustments
-      if (paragraphs.length >= 5) score += 0.2;
-      if (details.avgSentenceLength > 10 && details.avgSentenceLength < 25) score += 0.1;
-      if (details.hasIntroduction) score += 0.1;
-      if (details.hasConclusion) score += 0.1;
-      if (details.transitionWords >= 3) score += 0.1;
+      trace.apply('paragraphs', 'At least 5 paragraphs', paragraphs.length >= 5, 0.2, { value: paragraphs.length });
+      trace.apply('sentence_length', 'Average sentence length between 10 and 25 words',
+        details.avgSentenceLength > 10 && details.avgSentenceLength < 25, 0.1, { value: details.avgSentenceLength });
+      trace.apply('introduction', 'First paragraph mentions an introduction', details.hasIntroduction, 0.1, {
+        spans: paragraphRanges.length > 0 ? findSpans(text, /introduction/gi, paragraphRanges[0]) : []
+      });
+      trace.apply('conclusion', 'Last paragraph mentions a conclusion', details.hasConclusion, 0.1, {
+        spans: paragraphRanges.length > 0 ? findSpans(text, /conclusion/gi, paragraphRanges[paragraphRanges.length - 1]) : []
+      });
+      trace.apply('transitions', 'At least 3 transition words (however, furthermore, therefore, ...)',
+        details.transitionWords >= 3, 0.1, { value: details.transitionWords, spans: transitions });
       
       // Cap the score
-      score = Math.min(1, Math.max(0, score));
+      const score = trace.clamp();
       
       // Generate feedback
       if (score > 0.8) feedback.push("Excellent structure with clear organization and flow.");
       else if (score > 0.6) feedback.push("Good structure, but could benefit from better organization.");
       else feedback.push("Needs improvement in organization and structure.");
       
+      // With few transitions, point to the body paragraphs that open without one
+      const unlinkedOpenings = details.transitionWords >= 3 ? [] : paragraphRanges.slice(1)
+        .map(paragraph => sentenceSpans(paragraph.text)
+          .map(sentence => ({ ...sentence, start: paragraph.start + sentence.start, end: paragraph.start + sentence.end }))[0])
+        .filter(opening => opening && !new RegExp(TRANSITION_PATTERN.source, 'i').test(opening.text));
+      
       return { 
         score, 
         feedback: feedback.join(' '), 
-        details 
+        details,
+        rules: trace.rules,
+        annotations: [
+          ...Annotation.fromSpans(transitions, {
+            category: 'structure',
+            severity: 'praise',
+            source: 'evaluation',
+            message: 'Transition links this point to the last'
+          }),
+          ...Annotation.fromSpans(unlinkedOpenings, {
+            category: 'structure',
+            severity: 'suggestion',
+            source: 'evaluation',
+            message: 'No transition into this paragraph',
+            suggestion: 'Link it to the paragraph before with a word such as however, furthermore or therefore'
+          })
+        ]
       };
     };
     
@@ -54,11 +185,19 @@ export class EvaluationDimensions {
       });
       
       // Calculate creativity score
-      let score = 0.3; // Base score
+      const trace = new ScoreTrace(0.3, 'Starting score');
       const wordDiversity = uniqueWords.size / words.length;
       
-      score += Math.min(0.3, creativityCount * 0.05); // Up to 0.3 for creativity words
-      score += Math.min(0.4, wordDiversity * 2); // Up to 0.4 for word diversity
+      // Up to 0.3 for creativity words
+      trace.apply('creative_language', `Creative language (${creativityWords.join(', ')}): 0.05 each, up to 0.3`,
+        creativityCount > 0, Math.min(0.3, creativityCount * 0.05), {
+          value: creativityCount,
+          spans: wordSpans(text, creativityWords)
+        });
+      // Up to 0.4 for word diversity
+      trace.apply('word_variety', 'Word variety: twice the share of distinct words, up to 0.4',
+        wordDiversity > 0, Math.min(0.4, wordDiversity * 2), { value: wordDiversity });
+      const score = trace.score;
       
       // Generate feedback
       const feedback = [];
@@ -72,7 +211,14 @@ export class EvaluationDimensions {
         details: {
           uniqueWordRatio: wordDiversity,
           creativityWordCount: creativityCount
-        }
+        },
+        rules: trace.rules,
+        annotations: Annotation.fromSpans(wordSpans(text, creativityWords), {
+          category: 'creativity',
+          severity: 'praise',
+          source: 'evaluation',
+          message: 'Speculative language explores possibilities'
+        })
       };
     };
     
@@ -91,19 +237,31 @@ export class EvaluationDimensions {
       
       let accurateClaims = 0;
       let totalClaims = 0;
+      const checked = [];
       
       factualClaims.forEach(({ claim, isTrue, isFalse }) => {
         const matches = text.match(claim);
         if (matches) {
           totalClaims++;
-          if ((isTrue && !isFalse) || (!isTrue && isFalse)) {
+          const accurate = (isTrue && !isFalse) || (!isTrue && isFalse);
+          if (accurate) {
             accurateClaims++;
           }
+          checked.push({ claim, accurate, spans: findSpans(text, claim) });
         }
       });
       
       // Calculate accuracy score (default to 0.8 if no claims to check)
       const score = totalClaims > 0 ? (accurateClaims / totalClaims) : 0.8;
+
+      // Each checked claim is worth an equal share of the score
+      const trace = totalClaims > 0
+        ? new ScoreTrace(0, 'Share of checked claims counted as accurate')
+        : new ScoreTrace(0.8, 'No checkable claims found; default score');
+      checked.forEach(({ claim, accurate, spans }, index) => {
+        trace.apply(`claim_${index + 1}`, `Claim "${claim.source}" counted as ${accurate ? 'accurate' : 'inaccurate'}`,
+          accurate, 1 / totalClaims, { spans });
+      });
       
       // Generate feedback
       const feedback = [];
@@ -117,7 +275,17 @@ export class EvaluationDimensions {
         details: {
           claimsChecked: totalClaims,
           accurateClaims
-        }
+        },
+        rules: trace.rules,
+        annotations: checked.flatMap(({ accurate, spans }) => Annotation.fromSpans(spans, accurate
+          ? { category: 'accuracy', severity: 'praise', source: 'evaluation', message: 'Accurate claim' }
+          : {
+            category: 'accuracy',
+            severity: 'warning',
+            source: 'evaluation',
+            message: 'This claim is not accurate',
+            suggestion: 'Check the claim against a reliable source'
+          }))
       };
     };
     
@@ -133,19 +301,22 @@ export class EvaluationDimensions {
       const avgSentenceLength = sentenceLengths.reduce((a, b) => a + b, 0) / sentenceLengths.length;
       
       // Calculate presentation score
-      let score = 0.5; // Base score
+      const trace = new ScoreTrace(0.5, 'Starting score');
       
-      if (hasHeadings) score += 0.1;
-      if (hasBulletPoints) score += 0.1;
-      if (avgSentenceLength > 8 && avgSentenceLength < 25) score += 0.2;
-      if (paragraphs.length >= 3) score += 0.1;
+      trace.apply('headings', 'Uses headings', hasHeadings, 0.1, { spans: findSpans(text, /^#+\s+.+/gm) });
+      trace.apply('bullet_points', 'Uses bullet points', hasBulletPoints, 0.1, { spans: findSpans(text, /^\s*[-*•]\s+/gm) });
+      trace.apply('sentence_length', 'Average sentence length between 8 and 25 words',
+        avgSentenceLength > 8 && avgSentenceLength < 25, 0.2, { value: avgSentenceLength });
+      trace.apply('paragraphs', 'At least 3 paragraphs', paragraphs.length >= 3, 0.1, { value: paragraphs.length });
       
       // Check for very short paragraphs (could indicate poor structure)
-      const shortParagraphs = paragraphs.filter(p => p.split(/\s+/).length < 15).length;
-      if (shortParagraphs > 1) score -= 0.1 * shortParagraphs;
+      const shortParagraphRanges = paragraphSpans(text).filter(p => p.text.split(/\s+/).length < 15);
+      const shortParagraphs = shortParagraphRanges.length;
+      trace.apply('short_paragraphs', 'More than one paragraph under 15 words: 0.1 off for each',
+        shortParagraphs > 1, -0.1 * shortParagraphs, { value: shortParagraphs, spans: shortParagraphRanges });
       
       // Cap the score
-      score = Math.min(1, Math.max(0, score));
+      const score = trace.clamp();
       
       // Generate feedback
       const feedback = [];
@@ -162,7 +333,15 @@ export class EvaluationDimensions {
           avgSentenceLength,
           paragraphCount: paragraphs.length,
           shortParagraphs
-        }
+        },
+        rules: trace.rules,
+        annotations: shortParagraphs > 1 ? Annotation.fromSpans(shortParagraphRanges, {
+          category: 'presentation',
+          severity: 'suggestion',
+          source: 'evaluation',
+          message: span => `Short paragraph (${span.text.trim().split(/\s+/).length} words)`,
+          suggestion: 'Develop this paragraph further or join it to the one next to it'
+        }) : []
       };
     };
     
@@ -186,18 +365,26 @@ export class EvaluationDimensions {
       
       // Calculate score based on indicator density
       const indicatorDensity = indicatorCount / sentences.length;
-      let score = 0.3; // Base score
+      const trace = new ScoreTrace(0.3, 'Starting score');
       
-      if (indicatorDensity > 0.8) score += 0.5;
-      else if (indicatorDensity > 0.5) score += 0.3;
-      else if (indicatorDensity > 0.2) score += 0.1;
+      const tiers = [[0.8, 0.5], [0.5, 0.3], [0.2, 0.1]];
+      const tier = tiers.find(([minimum]) => indicatorDensity > minimum);
+      const [minimum, points] = tier || tiers[tiers.length - 1];
+      trace.apply('reasoning_words', `Reasoning words (because, therefore, however, ...) average more than ${minimum} per sentence`,
+        Boolean(tier), points, {
+          value: indicatorDensity,
+          spans: wordSpans(text, criticalThinkingIndicators)
+        });
       
       // Check for evidence and reasoning
       const hasEvidence = /(research shows|studies indicate|according to|\d{4})/i.test(text);
-      if (hasEvidence) score += 0.2;
+      const evidenceSpans = findSpans(text, EVIDENCE_PATTERN);
+      trace.apply('evidence', 'Cites evidence (research shows, studies indicate, according to, or a year)', hasEvidence, 0.2, {
+        spans: evidenceSpans
+      });
       
       // Cap the score
-      score = Math.min(1, Math.max(0, score));
+      const score = trace.clamp();
       
       // Generate feedback
       const feedback = [];
@@ -212,7 +399,25 @@ export class EvaluationDimensions {
           indicatorCount,
           indicatorDensity,
           hasEvidence
-        }
+        },
+        rules: trace.rules,
+        annotations: [
+          ...Annotation.fromSpans(evidenceSpans, {
+            category: 'critical_thinking',
+            severity: 'praise',
+            source: 'evaluation',
+            message: 'Supports the point with evidence'
+          }),
+          // Sweeping claims with no evidence in the same sentence
+          ...Annotation.fromSpans(sentenceSpans(text)
+            .filter(sentence => CLAIM_PATTERN.test(sentence.text) && !new RegExp(EVIDENCE_PATTERN.source, 'i').test(sentence.text)), {
+            category: 'critical_thinking',
+            severity: 'suggestion',
+            source: 'evaluation',
+            message: 'Claim without support',
+            suggestion: 'Back it up with evidence such as a source, an example or a figure'
+          })
+        ]
       };
     };
     
@@ -225,18 +430,23 @@ export class EvaluationDimensions {
       const avgSentenceLength = sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / Math.max(1, sentences.length);
       
       // Check for evidence of deep analysis (e.g., because, therefore, suggests, indicates)
-      const analysisIndicators = (text.match(/(because|therefore|suggests|indicates|demonstrates|implies)/gi) || []).length;
+      const indicatorSpans = findSpans(text, /(because|therefore|suggests|indicates|demonstrates|implies)/gi);
+      const analysisIndicators = indicatorSpans.length;
       
       // Calculate depth score (0-1)
-      let score = 0.5; // Base score
+      const trace = new ScoreTrace(0.5, 'Starting score');
       
       // Adjust based on sentence length (longer sentences may indicate more complex thought)
-      if (avgSentenceLength > 15) score += 0.2;
+      trace.apply('sentence_length', 'Average sentence length over 15 words', avgSentenceLength > 15, 0.2, { value: avgSentenceLength });
       
       // Adjust based on analysis indicators
       const indicatorDensity = analysisIndicators / (sentences.length || 1);
-      if (indicatorDensity > 0.3) score += 0.3;
-      else if (indicatorDensity > 0.1) score += 0.15;
+      const tiers = [[0.3, 0.3], [0.1, 0.15]];
+      const tier = tiers.find(([minimum]) => indicatorDensity > minimum);
+      const [minimum, points] = tier || tiers[tiers.length - 1];
+      trace.apply('analysis_words', `Analysis words (because, therefore, suggests, ...) average more than ${minimum} per sentence`,
+        Boolean(tier), points, { value: indicatorDensity, spans: indicatorSpans });
+      const score = trace.score;
       
       // Generate feedback
       const feedback = [];
@@ -249,19 +459,27 @@ export class EvaluationDimensions {
       }
       
       return {
-        score: Math.min(1, Math.max(0, score)),
+        score: trace.clamp(),
         feedback: feedback.join(' '),
         details: {
           avgSentenceLength,
           analysisIndicators,
           indicatorDensity
-        }
+        },
+        rules: trace.rules,
+        annotations: Annotation.fromSpans(indicatorSpans, {
+          category: 'depth',
+          severity: 'praise',
+          source: 'evaluation',
+          message: 'Explains why, not just what'
+        })
       };
     };
     
     // Bind other methods
     this.analyzeOriginality = this.analyzeOriginality.bind(this);
     this.analyzeClarity = this.analyzeClarity.bind(this);
+    this.analyzeRelevance = this.analyzeRelevance.bind(this);
     
     this.dimensionAnalyzers = {
       structure: this.analyzeStructure,
@@ -271,14 +489,32 @@ export class EvaluationDimensions {
       critical_thinking: this.analyzeCriticalThinking,
       originality: this.analyzeOriginality,
       clarity: this.analyzeClarity,
-      depth: this.analyzeDepth
+      depth: this.analyzeDepth,
+      relevance: this.analyzeRelevance
     };
   }
 
   /**
-   * Evaluate all dimensions and calculate an overall score
+   * Evaluate the selected dimensions (all of them when none are selected) and
+   * calculate an overall score from their default weights. With a rubric, only
+   * the rubric's dimensions are analysed, each criterion is placed on a
+   * performance level (see Rubric.score), and the overall score is weighted by
+   * the criteria that could be scored automatically. Without a rubric, a
+   * teacher calibration replaces the default weights and places the overall
+   * score on one of the teacher's levels. The dimensions' annotations are
+   * gathered in text order as results.annotations. Relevance is only
+   * evaluated when the assignment has a prompt or required concepts.
+   * @param {string} text
+   * @param {string} [assignmentType]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.criteria] - Dimensions to evaluate; ignored with a rubric or calibration
+   * @param {Rubric} [options.rubric]
+   * @param {Object} [options.rubricResults] - Results for criteria scored by other analyzers, keyed as the rubric names them
+   * @param {Calibration} [options.calibration]
+   * @param {string} [options.prompt] - The prompt students answered
+   * @param {Array<Object>} [options.requiredConcepts] - PromptRelevance.parseConcepts output
    */
-  async evaluate(text, assignmentType = 'essay') {
+  async evaluate(text, assignmentType = 'essay', { criteria = [], rubric = null, rubricResults = {}, calibration = null, prompt = null, requiredConcepts = [] } = {}) {
     try {
       const results = {
         dimensions: {},
@@ -289,30 +525,29 @@ export class EvaluationDimensions {
         sentenceCount: text.split(/[.!?]+/).filter(s => s.trim().length > 0).length,
         paragraphCount: text.split('\n\n').filter(p => p.trim().length > 0).length,
         readabilityScore: 0,
-        feedback: ''
+        feedback: '',
+        annotations: []
       };
 
-      // Define dimensions with weights (sum should be 1.0)
-      const dimensions = [
-        { name: 'structure', weight: 0.20 },
-        { name: 'creativity', weight: 0.15 },
-        { name: 'accuracy', weight: 0.15 },
-        { name: 'presentation', weight: 0.10 },
-        { name: 'criticalThinking', weight: 0.20 },
-        { name: 'clarity', weight: 0.10 },
-        { name: 'depth', weight: 0.10 }
-      ];
+      const useRubric = Boolean(rubric && Array.isArray(rubric.criteria));
+      const useCalibration = Boolean(!useRubric && calibration);
+      let weights = this.criteriaWeights(criteria);
+      if (useRubric) weights = this.rubricWeights(rubric);
+      if (useCalibration) weights = calibration.weights;
+      const context = { prompt, requiredConcepts };
+      weights = Object.fromEntries(Object.entries(weights).filter(([name]) => this.applies(name, context)));
+      results.criteria = Object.keys(weights);
 
       // Evaluate each dimension
       let weightedScoreSum = 0;
       let totalWeight = 0;
       
-      for (const { name, weight } of dimensions) {
+      for (const [name, weight] of Object.entries(weights)) {
         try {
           const analyzer = this.dimensionAnalyzers[name];
           if (!analyzer) continue;
           
-          const dimensionResult = await analyzer(text, assignmentType);
+          const dimensionResult = await analyzer(text, assignmentType, context);
           results.dimensions[name] = dimensionResult;
           
           // Apply weight to the score
@@ -338,15 +573,26 @@ export class EvaluationDimensions {
         }
       }
 
+      // Every dimension's annotations, in text order
+      results.annotations = Annotation.collect(...Object.values(results.dimensions).map(result => result.annotations || []));
+
       // Calculate overall score using weighted average
-      results.overallScore = totalWeight > 0 ? weightedScoreSum / totalWeight : 0;
+      if (useRubric) {
+        results.rubricScore = rubric.score({ ...rubricResults, ...results.dimensions });
+        results.overallScore = results.rubricScore.weightedScore;
+      } else {
+        results.overallScore = totalWeight > 0 ? weightedScoreSum / totalWeight : 0;
+      }
       
       // Adjust score based on length (penalize very short essays)
-      const lengthPenalty = Math.min(1, results.wordCount / 150); // 150 words is minimum expected
-      results.overallScore *= lengthPenalty;
+      results.overallScore *= EvaluationDimensions.lengthPenalty(results.wordCount);
       
       // Ensure score is between 0 and 1
       results.overallScore = Math.max(0, Math.min(1, results.overallScore));
+
+      if (useCalibration) {
+        results.calibratedLevel = calibration.levelFor(results.overallScore);
+      }
       
       // Generate overall feedback
       results.feedback = this.generateOverallFeedback(results);
@@ -365,6 +611,39 @@ export class EvaluationDimensions {
     }
   }
   
+  /**
+   * Whether a dimension can be evaluated: relevance needs a prompt or required concepts
+   */
+  applies(dimension, { prompt = null, requiredConcepts = [] } = {}) {
+    return dimension !== 'relevance' || Boolean(prompt?.trim()) || requiredConcepts.length > 0;
+  }
+
+  /**
+   * Default weights of the selected dimensions, in evaluation order. Unknown
+   * names are skipped; an empty selection means every dimension.
+   */
+  criteriaWeights(criteria = []) {
+    const selected = new Set((Array.isArray(criteria) ? criteria : [])
+      .map(EvaluationDimensions.toDimension)
+      .filter(Boolean));
+
+    return Object.fromEntries(Object.entries(EvaluationDimensions.DEFAULT_WEIGHTS)
+      .filter(([dimension]) => selected.size === 0 || selected.has(dimension)));
+  }
+
+  /**
+   * Weight of each dimension a rubric uses; criteria sharing a dimension add up.
+   * Teacher-scored criteria have no dimension and are left out.
+   */
+  rubricWeights(rubric) {
+    return rubric.criteria
+      .filter(criterion => criterion.dimension)
+      .reduce((weights, criterion) => {
+        weights[criterion.dimension] = (weights[criterion.dimension] || 0) + criterion.weight;
+        return weights;
+      }, {});
+  }
+
   /**
    * Generate overall feedback based on evaluation results
    */
@@ -443,13 +722,54 @@ export class EvaluationDimensions {
   
   /**
    * Evaluate a specific dimension (legacy method)
+   * @param {Object} [context] - { prompt, requiredConcepts }, for relevance
    */
-  async evaluateDimension(text, dimension, assignmentType) {
+  async evaluateDimension(text, dimension, assignmentType, context = {}) {
     const analyzer = this.dimensionAnalyzers[dimension];
     if (!analyzer) {
       throw new Error(`Unknown evaluation dimension: ${dimension}`);
     }
-    return await analyzer(text, assignmentType);
+    return await analyzer(text, assignmentType, context);
+  }
+
+  /**
+   * The rules behind a dimension's score, each with the points it added and
+   * the text it matched. A stored result is explained as it was scored; one
+   * from before rules were recorded is re-analysed from the text.
+   * @param {string} text
+   * @param {string} dimension - Dimension key or name, e.g. "critical_thinking"
+   * @param {string} [assignmentType]
+   * @param {Object} [result] - The dimension's stored result
+   * @param {Object} [context] - { prompt, requiredConcepts }, for re-analysing relevance
+   * @returns {Object} { dimension, label, score, feedback, details, recomputed, rules, notApplied }
+   */
+  async explain(text, dimension, assignmentType = 'essay', result = null, context = {}) {
+    const key = EvaluationDimensions.toDimension(dimension);
+    if (!key) {
+      throw new Error(`Unknown evaluation dimension: ${dimension}`);
+    }
+
+    const recomputed = !Array.isArray(result?.rules);
+    const scored = recomputed ? await this.evaluateDimension(text, key, assignmentType, context) : result;
+    const withContext = (rule) => ({
+      ...rule,
+      spans: rule.spans.map(span => ({
+        ...span,
+        before: text.slice(Math.max(0, span.start - CONTEXT_CHARS), span.start),
+        after: text.slice(span.end, span.end + CONTEXT_CHARS)
+      }))
+    });
+
+    return {
+      dimension: key,
+      label: EvaluationDimensions.label(key),
+      score: scored.score,
+      feedback: scored.feedback,
+      details: scored.details,
+      recomputed,
+      rules: scored.rules.filter(rule => rule.fired).map(withContext),
+      notApplied: scored.rules.filter(rule => !rule.fired).map(withContext)
+    };
   }
 
   // Add all the analysis methods here with proper implementations
@@ -466,36 +786,43 @@ export class EvaluationDimensions {
     const avgSentenceLength = sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / Math.max(1, sentences.length);
     
     // Calculate word complexity (using syllable count as a proxy)
-    const complexWords = words.filter(word => {
+    const isComplex = (word) => {
       const syllables = word.toLowerCase().split(/[aeiouy]+/).filter(s => s).length;
       return syllables >= 3;
-    });
+    };
+    const complexWords = words.filter(isComplex);
     const complexityRatio = complexWords.length / Math.max(1, words.length);
+    const complexSpans = findSpans(text, /\S+/g).filter(span => isComplex(span.text));
+    const longSentences = sentenceSpans(text).filter(sentence => sentence.text.split(/\s+/).length > 25);
     
     // Check for passive voice (simplified check)
-    const passiveVoice = (text.match(/(is|are|was|were|be|been|being)\s+[a-z]+ed\b/gi) || []).length;
+    const passiveSpans = findSpans(text, /(is|are|was|were|be|been|being)\s+[a-z]+ed\b/gi);
+    const passiveVoice = passiveSpans.length;
     
     // Calculate clarity score (lower is better for some metrics)
-    let score = 1;
+    const trace = new ScoreTrace(1, 'Starting score; points come off for unclear writing');
     const feedback = [];
     
-    if (avgSentenceLength > 25) {
-      score -= 0.2;
+    if (trace.apply('long_sentences', 'Average sentence length over 25 words', avgSentenceLength > 25, -0.2, {
+      value: avgSentenceLength,
+      spans: longSentences
+    })) {
       feedback.push('Consider breaking up long sentences for better clarity');
     }
     
-    if (complexityRatio > 0.15) {
-      score -= 0.2;
+    if (trace.apply('complex_words', 'More than 15% of words have three or more syllables', complexityRatio > 0.15, -0.2, {
+      value: complexityRatio,
+      spans: complexSpans
+    })) {
       feedback.push('Some complex words could be simplified for better understanding');
     }
     
-    if (passiveVoice > 3) {
-      score -= 0.1;
+    if (trace.apply('passive_voice', 'More than 3 passive constructions', passiveVoice > 3, -0.1, { value: passiveVoice, spans: passiveSpans })) {
       feedback.push('Try to use more active voice for clearer writing');
     }
     
     // Ensure score is between 0 and 1
-    score = Math.max(0, Math.min(1, score));
+    const score = trace.clamp();
     
     // Add positive feedback if clarity is good
     if (score > 0.8) {
@@ -513,7 +840,25 @@ export class EvaluationDimensions {
         avgSentenceLength,
         complexityRatio,
         passiveVoiceCount: passiveVoice
-      }
+      },
+      rules: trace.rules,
+      // Long words are left out: one on its own is rarely worth a comment
+      annotations: [
+        ...Annotation.fromSpans(longSentences, {
+          category: 'clarity',
+          severity: 'suggestion',
+          source: 'evaluation',
+          message: span => `Long sentence (${span.text.split(/\s+/).length} words)`,
+          suggestion: 'Break it into shorter sentences'
+        }),
+        ...Annotation.fromSpans(passiveSpans, {
+          category: 'clarity',
+          severity: 'suggestion',
+          source: 'evaluation',
+          message: 'Possible passive voice',
+          suggestion: 'Say who did it, in the active voice'
+        })
+      ]
     };
   }
 
@@ -521,12 +866,13 @@ export class EvaluationDimensions {
    * Analyze originality of ideas
    */
   async analyzeOriginality(text, assignmentType) {
-    let score = 0.5; // Base score
+    const trace = new ScoreTrace(0.5, 'Starting score');
     const feedback = [];
     
     // Check for original ideas
     const originalIdeas = this.analyzeOriginalIdeas(text);
-    score += originalIdeas * 0.5;
+    trace.apply('original_ideas', 'Original ideas: half the original-ideas estimate (currently a fixed value, not measured from the text)',
+      true, originalIdeas * 0.5, { value: originalIdeas });
     
     if (originalIdeas > 0.7) {
       feedback.push('Shows original thinking and ideas');
@@ -536,7 +882,8 @@ export class EvaluationDimensions {
     
     // Check for personal voice
     const personalVoice = this.analyzePersonalVoice(text);
-    score += personalVoice * 0.5;
+    trace.apply('personal_voice', 'Personal voice: half the personal-voice estimate (currently a fixed value, not measured from the text)',
+      true, personalVoice * 0.5, { value: personalVoice });
     
     if (personalVoice > 0.6) {
       feedback.push('Good personal voice and style');
@@ -545,12 +892,89 @@ export class EvaluationDimensions {
     }
     
     return {
-      score: Math.min(1, score),
+      score: trace.clamp(),
       feedback: feedback.join('; '),
       details: {
         originalIdeas,
         personalVoice
-      }
+      },
+      rules: trace.rules,
+      // Both estimates are fixed for now, so there is nothing in the text to point to
+      annotations: []
+    };
+  }
+
+  /**
+   * How closely the submission keeps to the prompt: the prompt's key terms it
+   * uses, its paragraphs that are on topic and the required concepts it
+   * addresses (see PromptRelevance)
+   * @param {string} text
+   * @param {string} assignmentType
+   * @param {Object} context - { prompt, requiredConcepts }
+   */
+  async analyzeRelevance(text, assignmentType, { prompt = null, requiredConcepts = [] } = {}) {
+    const measured = this.promptRelevance.measure(text, { prompt, requiredConcepts });
+    const { promptTerms, paragraphs, concepts } = measured;
+    const keyTermCount = promptTerms.used.length + promptTerms.missing.length;
+    const offTopic = paragraphs.filter(paragraph => paragraph.offTopic);
+    const missing = concepts.filter(concept => !concept.addressed).map(concept => concept.name);
+
+    // Points are shared out over the measures this assignment allows
+    const available = {
+      promptTerms: keyTermCount > 0,
+      onTopic: paragraphs.length > 0,
+      concepts: concepts.length > 0
+    };
+    const total = Object.keys(available).reduce((sum, measure) => sum + (available[measure] ? RELEVANCE_POINTS[measure] : 0), 0);
+    const points = (measure, share) => (available[measure] && total > 0 ? RELEVANCE_POINTS[measure] / total * share : 0);
+
+    const trace = new ScoreTrace(0, 'Starting score');
+    const termCoverage = keyTermCount > 0 ? promptTerms.used.length / keyTermCount : 0;
+    trace.apply('prompt_terms', `Uses the prompt's key terms: full credit at ${Math.round(FULL_PROMPT_COVERAGE * 100)}% of them`,
+      available.promptTerms && termCoverage > 0, points('promptTerms', Math.min(1, termCoverage / FULL_PROMPT_COVERAGE)), { value: termCoverage });
+    const onTopicShare = paragraphs.length > 0 ? 1 - offTopic.length / paragraphs.length : 0;
+    trace.apply('on_topic', 'Paragraphs on the topic of the prompt', onTopicShare > 0, points('onTopic', onTopicShare), { value: onTopicShare });
+    const conceptShare = concepts.length > 0 ? (concepts.length - missing.length) / concepts.length : 0;
+    trace.apply('required_concepts', 'Required concepts addressed', conceptShare > 0, points('concepts', conceptShare), {
+      value: conceptShare,
+      spans: concepts.flatMap(concept => concept.spans.slice(0, 1))
+    });
+    const score = trace.clamp();
+
+    const feedback = [];
+    if (score > 0.8 && offTopic.length === 0) feedback.push('Stays on topic and addresses what the prompt asks.');
+    else if (score > 0.6) feedback.push('Mostly on topic, but some of what the prompt asks is not yet covered.');
+    else feedback.push('Focus more closely on what the prompt asks.');
+    if (missing.length > 0) feedback.push(`Not yet addressed: ${missing.join(', ')}.`);
+    if (offTopic.length > 0) feedback.push(`${offTopic.length} paragraph(s) drift away from the prompt.`);
+
+    return {
+      score,
+      feedback: feedback.join(' '),
+      details: {
+        promptSimilarity: measured.promptSimilarity,
+        promptTermsUsed: promptTerms.used,
+        promptTermsMissing: promptTerms.missing,
+        conceptsAddressed: concepts.filter(concept => concept.addressed).map(concept => concept.name),
+        missingConcepts: missing,
+        offTopicParagraphs: offTopic.map(({ start, end, similarity }) => ({ start, end, similarity }))
+      },
+      rules: trace.rules,
+      annotations: [
+        ...concepts.flatMap(concept => Annotation.fromSpans(concept.spans.slice(0, 1), {
+          category: 'relevance',
+          severity: 'praise',
+          source: 'evaluation',
+          message: `Addresses "${concept.name}"`
+        })),
+        ...Annotation.fromSpans(offTopic, {
+          category: 'relevance',
+          severity: 'suggestion',
+          source: 'evaluation',
+          message: 'This paragraph drifts away from the prompt',
+          suggestion: 'Connect it to the question you were asked, or leave it out'
+        })
+      ]
     };
   }
 
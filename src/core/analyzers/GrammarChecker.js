@@ -0,0 +1,406 @@
+import compromise from 'compromise';
+import { Annotation } from '../Annotation.js';
+
+// Grade levels run from 0 (kindergarten) to 12
+const GRADE_LEVELS = [0, 12];
+
+const LONG_SENTENCE_WORDS = 30;
+// Shorter unpunctuated paragraphs are usually titles, headings or names
+const MIN_UNPUNCTUATED_WORDS = 8;
+const MIN_FRAGMENT_WORDS = 3;
+// A paragraph needs this many tensed sentences, mostly in one tense, before a shift is reported
+const MIN_TENSED_SENTENCES = 3;
+const DOMINANT_TENSE_SHARE = 2 / 3;
+
+const SINGULAR_SUBJECTS = ['he', 'she', 'it'];
+const PLURAL_SUBJECTS = ['i', 'you', 'we', 'they'];
+// Verb forms that only agree with a third-person singular subject, and their plural forms
+const SINGULAR_VERBS = { is: 'are', was: 'were', has: 'have', does: 'do', "isn't": "aren't", "wasn't": "weren't", "hasn't": "haven't", "doesn't": "don't" };
+const PLURAL_VERBS = Object.fromEntries(Object.entries(SINGULAR_VERBS).map(([singular, plural]) => [plural, singular]));
+// Plural-looking nouns usually used with singular verbs
+const SINGULAR_PLURALS = ['data', 'media', 'news', 'series', 'species', 'means', 'mathematics', 'physics', 'economics', 'politics', 'ethics'];
+
+const SUBORDINATORS = ['because', 'although', 'though', 'since', 'when', 'whenever', 'while', 'if', 'unless', 'whereas', 'after', 'before', 'until', 'once', 'as'];
+const COPULAS = ['am', 'is', 'are', 'was', 'were'];
+const MODALS = ['can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'to', 'did', 'does', 'do', "didn't", "doesn't", "don't"];
+
+// Words starting with a vowel letter but a consonant sound, and the reverse
+// "uni-" only when it means "one" ("a unit", "a uniform"), not the "un-" of "an unimportant detail"
+const CONSONANT_SOUND = /^(uni(?:que|t|on|vers|form|corn|fy|fi|lateral|cycle|sex|son)|use|usu|usa|uti|ure|uro|ubiq|eu|ewe|one\b|once\b)/i;
+const VOWEL_SOUND = /^(hour|honest|honou?r|heir)/i;
+
+const startsWithVowelSound = (word) => VOWEL_SOUND.test(word) || (/^[aeiou]/i.test(word) && !CONSONANT_SOUND.test(word));
+
+/**
+ * Context shared by the rules: the text, its sentences (each with the
+ * compromise terms inside it) and its paragraphs
+ */
+const buildContext = (text) => {
+  const terms = compromise(text).json({ offset: true })
+    .flatMap(sentence => sentence.terms)
+    .map(term => ({
+      text: term.text,
+      word: term.text.toLowerCase().replace(/’/g, "'"),
+      tags: new Set(term.tags),
+      start: term.offset.start,
+      end: term.offset.start + term.offset.length,
+      post: term.post
+    }));
+
+  const sentences = Annotation.sentenceSpans(text).map(sentence => ({
+    ...sentence,
+    terms: terms.filter(term => term.start >= sentence.start && term.end <= sentence.end && term.text),
+    question: /^\s*[.!]*\?/.test(text.slice(sentence.end))
+  }));
+
+  return { text, sentences, paragraphs: Annotation.paragraphSpans(text) };
+};
+
+const span = (text, start, end) => ({ start, end, text: text.slice(start, end) });
+
+const termSpan = (context, first, last = first) => span(context.text, first.start, last.end);
+
+const matchCase = (original, replacement) => (
+  original[0] === original[0].toUpperCase() ? replacement[0].toUpperCase() + replacement.slice(1) : replacement
+);
+
+/**
+ * Regex matches within the text, as { start, end, text, match }
+ */
+const findMatches = (text, pattern) => [...text.matchAll(pattern)]
+  .map(match => ({ ...span(text, match.index, match.index + match[0].length), match }));
+
+// The next term that isn't an adverb ("he never goes")
+const nextVerb = (terms, index) => terms.slice(index + 1).find(term => !term.tags.has('Adverb') && !term.tags.has('Negative'));
+
+const isBaseForm = (term) => term.tags.has('Infinitive') && term.tags.has('PresentTense')
+  && !['Copula', 'Modal', 'Auxiliary'].some(tag => term.tags.has(tag));
+
+const isThirdPersonForm = (term) => term.tags.has('Verb') && term.tags.has('PresentTense') && !term.tags.has('Infinitive')
+  && !['Copula', 'Modal', 'Auxiliary', 'Gerund'].some(tag => term.tags.has(tag)) && /s$/.test(term.word);
+
+const conjugate = (word) => compromise(word).verbs().conjugate()[0] || {};
+
+/**
+ * Whether a noun is the head of its subject rather than the object of a
+ * preposition ("the list of students is")
+ */
+const headsSubject = (terms, index) => {
+  for (let i = index - 1; i >= 0; i--) {
+    const term = terms[i];
+    if (term.tags.has('Preposition') || term.word === 'and' || term.word === 'or') return false;
+    if (!['Determiner', 'Adjective', 'Noun', 'Possessive'].some(tag => term.tags.has(tag))) return true;
+    if (term.post.trim()) return true;
+  }
+  return true;
+};
+
+/**
+ * The tense ("past" or "present") of a sentence's first finite verb, with
+ * that verb, or null when it has none or opens with a modal
+ */
+const sentenceTense = (terms) => {
+  for (let i = 0; i < terms.length; i++) {
+    const term = terms[i];
+    if (!term.tags.has('Verb') || term.tags.has('Gerund')) continue;
+    const previous = terms[i - 1];
+    if (previous && MODALS.includes(previous.word)) return null;
+    // "has walked" is present perfect, "had walked" past perfect
+    if (previous && ['has', 'have'].includes(previous.word)) return { tense: 'present', term };
+    if (previous && previous.word === 'had') return { tense: 'past', term };
+    if (term.tags.has('PastTense')) return { tense: 'past', term };
+    if (term.tags.has('PresentTense')) return { tense: 'present', term };
+  }
+  return null;
+};
+
+/*
+ * Each rule has a type (reported with every issue it finds), a label, the
+ * grade levels it applies to by default, a severity, the issue and suggestion
+ * shown to students, and a check returning { start, end, text } spans. A span
+ * may carry its own suggestion.
+ */
+const RULES = {
+  capitalization: {
+    label: 'Sentence capitalization',
+    grades: [0, 12],
+    severity: 'suggestion',
+    issue: 'Sentence should start with a capital letter',
+    suggestion: 'Capitalize the first letter of the sentence',
+    check: ({ text, sentences }) => sentences
+      .filter(sentence => sentence.text[0] !== sentence.text[0].toUpperCase())
+      .map(sentence => span(text, sentence.start, sentence.start + sentence.text.split(/\s/)[0].length))
+  },
+  'run-on': {
+    label: 'Long sentences',
+    grades: [3, 12],
+    severity: 'suggestion',
+    issue: 'Sentence may be too long',
+    suggestion: 'Consider breaking into shorter sentences',
+    check: ({ sentences }) => sentences.filter(sentence => sentence.text.split(/\s+/).length > LONG_SENTENCE_WORDS)
+  },
+  agreement: {
+    label: 'Subject–verb agreement',
+    grades: [1, 12],
+    severity: 'warning',
+    issue: 'The verb does not agree with its subject',
+    suggestion: 'Make the subject and verb agree in number',
+    check: (context) => context.sentences
+      .filter(sentence => !sentence.question)
+      .flatMap(({ terms }) => terms.flatMap((subject, index) => {
+        const verb = nextVerb(terms, index);
+        const previous = terms[index - 1];
+        if (!verb || subject.post.trim()) return [];
+        const fix = (replacement) => [{
+          ...termSpan(context, subject, verb),
+          suggestion: `Write "${subject.text} ${matchCase(verb.text, replacement)}"`
+        }];
+
+        // "it" and "you" can be objects: "let it go", "told you so"
+        const asObject = previous && (previous.tags.has('Verb') || previous.tags.has('Preposition'));
+        if (SINGULAR_SUBJECTS.includes(subject.word) && !(subject.word === 'it' && asObject)) {
+          if (PLURAL_VERBS[verb.word] && verb.word !== 'were') return fix(PLURAL_VERBS[verb.word]);
+          if (verb.word === 'are') return fix('is');
+          if (isBaseForm(verb) && !(previous && MODALS.includes(previous.word))) {
+            return fix(conjugate(verb.word).PresentTense || verb.word);
+          }
+          return [];
+        }
+        if (PLURAL_SUBJECTS.includes(subject.word) && !(subject.word === 'you' && asObject)) {
+          if (subject.word === 'i' && ['is', 'are'].includes(verb.word)) return fix('am');
+          if (subject.word === 'i' && ['was', "wasn't"].includes(verb.word)) return [];
+          if (SINGULAR_VERBS[verb.word]) return fix(SINGULAR_VERBS[verb.word]);
+          if (isThirdPersonForm(verb)) return fix(conjugate(verb.word).Infinitive || verb.word);
+          return [];
+        }
+        // A noun directly before its verb: "the students is", "the river are"
+        if (subject.tags.has('Noun') && !subject.tags.has('Pronoun') && !subject.tags.has('Possessive')
+          && verb === terms[index + 1] && headsSubject(terms, index) && !SINGULAR_PLURALS.includes(subject.word)) {
+          if (subject.tags.has('Plural') && SINGULAR_VERBS[verb.word]) return fix(SINGULAR_VERBS[verb.word]);
+          if (subject.tags.has('Singular') && !subject.tags.has('Uncountable') && ['are', "aren't"].includes(verb.word)) {
+            return fix(PLURAL_VERBS[verb.word]);
+          }
+        }
+        return [];
+      }))
+  },
+  'its-its': {
+    label: 'its / it\'s',
+    grades: [3, 12],
+    severity: 'warning',
+    issue: 'its and it\'s are mixed up',
+    suggestion: 'Use "it\'s" for "it is" or "it has" and "its" for belonging',
+    check: ({ text }) => [
+      // "it's own", "it's color is"
+      ...findMatches(text, /\bit['’]s(?=\s+(?:own\b|[a-z]+\s+(?:is|was|has|had)\b))/gi)
+        .filter(found => !/^\s+(?:what|who|not|been|a|an|the|this|that)\b/i.test(text.slice(found.end)))
+        .map(found => ({ ...found, suggestion: `Write "${matchCase(found.text, 'its')}" for belonging` })),
+      // "its a", "its not", "its been"
+      ...findMatches(text, /\bits(?=\s+(?:a|an|the|not|been|going|so|too|just|really|also|important|hard|easy|clear|true|obvious|possible)\b)/gi)
+        .map(found => ({ ...found, suggestion: `Write "${matchCase(found.text, 'it\'s')}" for "it is" or "it has"` }))
+    ]
+  },
+  'their-there': {
+    label: 'their / there / they\'re',
+    grades: [2, 12],
+    severity: 'warning',
+    issue: 'their, there and they\'re are mixed up',
+    suggestion: 'Use "their" for belonging, "there" for a place or "there is", and "they\'re" for "they are"',
+    check: (context) => [
+      ...findMatches(context.text, /\btheir(?=\s+(?:is|are|was|were|isn't|aren't|wasn't|weren't)\b)/gi)
+        .map(found => ({ ...found, suggestion: `Write "${matchCase(found.text, 'there')}"` })),
+      ...findMatches(context.text, /\b(?:their|there)(?=\s+(?:going|not|always|never)\b)/gi)
+        .map(found => ({ ...found, suggestion: `Write "${matchCase(found.text, 'they\'re')}" for "they are"` })),
+      ...findMatches(context.text, /\bthey['’]re(?=\s+own\b)/gi)
+        .map(found => ({ ...found, suggestion: `Write "${matchCase(found.text, 'their')}" for belonging` })),
+      // "there house": a noun straight after "there", when "there" isn't a place
+      ...context.sentences.flatMap(({ terms }) => terms
+        .filter((term, index) => {
+          const next = terms[index + 1];
+          const previous = terms[index - 1];
+          return term.word === 'there' && !term.post.trim() && next && next.tags.has('Noun')
+            && !['Pronoun', 'Determiner', 'Verb', 'Adjective', 'Adverb'].some(tag => next.tags.has(tag))
+            && !(previous && ['Verb', 'Preposition', 'Adverb'].some(tag => previous.tags.has(tag)));
+        })
+        .map(term => ({ ...termSpan(context, term), suggestion: `Write "${matchCase(term.text, 'their')}" for belonging` })))
+    ]
+  },
+  'a-an': {
+    label: 'a / an',
+    grades: [1, 12],
+    severity: 'warning',
+    issue: 'a and an are mixed up',
+    suggestion: 'Use "an" before a vowel sound and "a" before a consonant sound',
+    check: ({ text }) => findMatches(text, /\b(an?)\s+([a-z]+)/gi)
+      // All-caps words are abbreviations, which may be read either way ("an FBI agent")
+      .filter(({ match }) => match[2] !== match[2].toUpperCase())
+      .filter(({ match }) => (match[1].toLowerCase() === 'an') !== startsWithVowelSound(match[2]))
+      .map(({ match, ...found }) => ({
+        ...found,
+        suggestion: `Write "${matchCase(match[1], match[1].toLowerCase() === 'an' ? 'a' : 'an')} ${match[2]}"`
+      }))
+  },
+  'doubled-word': {
+    label: 'Repeated words',
+    grades: [0, 12],
+    severity: 'warning',
+    issue: 'The same word appears twice in a row',
+    suggestion: 'Remove the repeated word',
+    check: ({ text }) => findMatches(text, /\b([a-z]+)[ \t]+\1\b/gi)
+      .filter(({ match }) => !['had', 'that'].includes(match[1].toLowerCase()))
+      .map(({ match, ...found }) => ({ ...found, suggestion: `Remove the second "${match[1]}"` }))
+  },
+  'comma-splice': {
+    label: 'Comma splices',
+    grades: [5, 12],
+    severity: 'suggestion',
+    issue: 'Two sentences are joined with only a comma',
+    suggestion: 'Use a full stop or semicolon, or join the clauses with a word such as "and" or "because"',
+    check: (context) => context.sentences
+      // Sentences opening with "When…," or "If…," start with a dependent clause
+      .filter(({ terms }) => terms.length > 0 && !SUBORDINATORS.includes(terms[0].word))
+      .flatMap(({ terms }) => terms.flatMap((term, index) => {
+        const subject = terms[index + 1];
+        const verb = subject && nextVerb(terms, index + 1);
+        // The clause before the comma, back to the previous comma
+        const clause = terms.slice(terms.slice(0, index).map(t => t.post.includes(',')).lastIndexOf(true) + 1, index + 1);
+        if (!term.post.trim().startsWith(',') || !subject || !verb) return [];
+        if (![...SINGULAR_SUBJECTS, ...PLURAL_SUBJECTS].includes(subject.word) || !verb.tags.has('Verb')) return [];
+        if (!clause.some(t => t.tags.has('Verb')) || SUBORDINATORS.includes(clause[0].word)) return [];
+        return [span(context.text, term.end, subject.end)];
+      }))
+  },
+  fragment: {
+    label: 'Sentence fragments',
+    grades: [4, 12],
+    severity: 'suggestion',
+    issue: 'This may not be a complete sentence',
+    suggestion: 'Make sure the sentence has a subject and a main verb, or join it to the sentence next to it',
+    check: ({ sentences }) => sentences.filter(({ text, terms, question }) => {
+      // Line breaks mean a heading or list ran into the sentence
+      if (terms.length < MIN_FRAGMENT_WORDS || question || /^\d/.test(text) || text.includes('\n')) return false;
+      const verbs = terms.filter(term => (term.tags.has('Verb') && !term.tags.has('Auxiliary')) || COPULAS.includes(term.word));
+      // "Because I was tired." is a dependent clause standing alone
+      if (SUBORDINATORS.includes(terms[0].word)) return verbs.length === 1 && !text.includes(',');
+      // Tagged on its own, so instructions such as "Write the equation." read as verbs
+      return verbs.length === 0 && !compromise(text).has('#Verb');
+    })
+  },
+  'end-punctuation': {
+    label: 'Missing end punctuation',
+    grades: [0, 12],
+    severity: 'warning',
+    issue: 'The paragraph does not end with punctuation',
+    suggestion: 'End the sentence with a full stop, question mark or exclamation mark',
+    check: ({ text, paragraphs }) => paragraphs
+      .map(paragraph => ({ ...paragraph, text: paragraph.text.trimEnd() }))
+      // Paragraphs ending in a number or formula are left alone
+      .filter(paragraph => paragraph.text.split(/\s+/).length >= MIN_UNPUNCTUATED_WORDS && /[a-z]$/i.test(paragraph.text))
+      .map(paragraph => {
+        const end = paragraph.start + paragraph.text.length;
+        return span(text, end - paragraph.text.match(/\S+$/)[0].length, end);
+      })
+  },
+  tense: {
+    label: 'Tense shifts',
+    grades: [6, 12],
+    severity: 'info',
+    issue: 'The tense changes from the rest of the paragraph',
+    suggestion: 'Keep to one tense unless the time you are writing about changes',
+    check: (context) => context.paragraphs.flatMap(paragraph => {
+      const tensed = context.sentences
+        .filter(sentence => sentence.start >= paragraph.start && sentence.end <= paragraph.end)
+        // Dates and quotations often change tense on purpose
+        .filter(sentence => !sentence.terms.some(term => term.tags.has('Date') || term.tags.has('Quotation')))
+        .map(sentence => sentenceTense(sentence.terms))
+        .filter(Boolean);
+      if (tensed.length < MIN_TENSED_SENTENCES) return [];
+
+      const past = tensed.filter(found => found.tense === 'past').length;
+      const dominant = past >= tensed.length * DOMINANT_TENSE_SHARE ? 'past'
+        : tensed.length - past >= tensed.length * DOMINANT_TENSE_SHARE ? 'present' : null;
+      return dominant
+        ? tensed
+          .filter(found => found.tense !== dominant)
+          .map(found => ({ ...termSpan(context, found.term), suggestion: `The rest of the paragraph is in the ${dominant} tense` }))
+        : [];
+    })
+  }
+};
+
+/**
+ * Offline grammar and mechanics checks. Rules can be switched off or limited
+ * to a range of grade levels in config.json (grammar.rules); each issue is an
+ * annotation (see Annotation) that also keeps its type, 1-based sentence
+ * number and issue text.
+ */
+export class GrammarChecker {
+  static GRADE_LEVELS = GRADE_LEVELS;
+
+  static RULES = RULES;
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rules] - Per-rule overrides: false to switch a rule off, or { enabled, grades: [from, to] }
+   * @param {number} [options.defaultGradeLevel] - Grade level used when a check doesn't give one
+   */
+  constructor({ rules = {}, defaultGradeLevel = null } = {}) {
+    this.overrides = rules;
+    this.defaultGradeLevel = defaultGradeLevel;
+  }
+
+  /**
+   * A rule's settings after config overrides: { id, label, grades, enabled }
+   */
+  ruleSettings(id) {
+    const override = this.overrides[id];
+    const { enabled = true, grades = RULES[id].grades } = typeof override === 'boolean' ? { enabled: override } : override || {};
+    return { id, label: RULES[id].label, grades, enabled };
+  }
+
+  /**
+   * IDs of the rules that apply at a grade level; with no grade level, every enabled rule
+   */
+  rulesFor(gradeLevel = this.defaultGradeLevel) {
+    return Object.keys(RULES)
+      .map(id => this.ruleSettings(id))
+      .filter(({ enabled, grades }) => enabled && (gradeLevel === null || (gradeLevel >= grades[0] && gradeLevel <= grades[1])))
+      .map(({ id }) => id);
+  }
+
+  /**
+   * Grammar issues in text order
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.gradeLevel] - Only rules for this grade level run
+   * @returns {Array<Object>} Annotations with type, sentence and issue
+   */
+  check(text, { gradeLevel = this.defaultGradeLevel } = {}) {
+    const context = buildContext(text);
+    const sentenceAt = (offset) => context.sentences.filter(sentence => sentence.start <= offset).pop();
+
+    return this.rulesFor(gradeLevel ?? null)
+      .flatMap(type => {
+        const rule = RULES[type];
+        return rule.check(context).map(found => {
+          const sentence = sentenceAt(found.start);
+          return {
+            ...new Annotation({
+              start: found.start,
+              end: found.end,
+              category: 'grammar',
+              severity: rule.severity,
+              message: rule.issue,
+              suggestion: found.suggestion || rule.suggestion,
+              source: 'grammar',
+              text: found.text
+            }).toJSON(),
+            type,
+            sentence: sentence ? sentence.index + 1 : 1,
+            issue: rule.issue
+          };
+        });
+      })
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+  }
+}
@@ -0,0 +1,158 @@
+import natural from 'natural';
+import { SimilarityDetector } from '../SimilarityDetector.js';
+import { Annotation } from '../Annotation.js';
+
+const MAX_CONCEPTS = 50;
+// Paragraphs with fewer content words are too short to judge as off topic
+const MIN_PARAGRAPH_WORDS = 12;
+// TF-IDF cosine similarity to the prompt below which a paragraph with no required concept is off topic
+const OFF_TOPIC_SIMILARITY = 0.05;
+
+const STOP_WORDS = new Set(natural.stopwords);
+// Words that tell students what to do rather than what to write about
+const INSTRUCTION_WORDS = new Set(['answer', 'argue', 'compare', 'contrast', 'describe', 'discuss', 'essay', 'evaluate',
+  'example', 'examples', 'explain', 'identify', 'include', 'paragraph', 'paragraphs', 'question', 'response', 'sentence',
+  'sentences', 'support', 'use', 'word', 'words', 'write']);
+
+const stem = (word) => natural.PorterStemmer.stem(word);
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stemmed content words of a text, or of one span of it, with offsets into the whole text
+ */
+const contentWords = (text, span = { start: 0, end: text.length }) => SimilarityDetector.tokenize(text.slice(span.start, span.end))
+  .filter(token => !STOP_WORDS.has(token.word) && token.word.length > 1)
+  .map(token => ({ word: token.word, stem: stem(token.word), start: span.start + token.start, end: span.start + token.end }));
+
+const counts = (words) => words.reduce((result, word) => result.set(word.stem, (result.get(word.stem) || 0) + 1), new Map());
+
+/**
+ * Measures how closely a submission keeps to the assignment prompt and which
+ * of the teacher's required concepts it addresses. Words are compared by
+ * stem, so "evaporates" addresses "evaporation"; anything else a concept can
+ * be called is given by the teacher as an alternative ("evaporation | vapour").
+ * Paragraphs are compared with the prompt by TF-IDF cosine similarity, with
+ * idf taken over the prompt and the submission's paragraphs.
+ */
+export class PromptRelevance {
+  /**
+   * Normalise required concepts: a list, or a comma- or line-separated string,
+   * of concepts with alternatives separated by "|" ("photosynthesis | makes food")
+   * @returns {Array<Object>} { name, synonyms }, in the order given
+   */
+  static parseConcepts(value) {
+    if (value === null || value === undefined || value === '') return [];
+    const entries = typeof value === 'string' ? value.split(/[,\n]/) : value;
+    if (!Array.isArray(entries)) {
+      throw new Error('Required concepts should be a list or a comma-separated string');
+    }
+
+    const concepts = entries.map(entry => {
+      const variants = typeof entry === 'string'
+        ? entry.split('|')
+        : [entry?.name, ...(Array.isArray(entry?.synonyms) ? entry.synonyms : [])];
+      if (variants.some(variant => typeof variant !== 'string')) {
+        throw new Error('Each required concept should be text, or { name, synonyms }');
+      }
+      const [name, ...synonyms] = variants.map(variant => variant.trim().replace(/\s+/g, ' ')).filter(Boolean);
+      return name ? { name, synonyms: [...new Set(synonyms)] } : null;
+    }).filter(Boolean);
+
+    if (concepts.length > MAX_CONCEPTS) {
+      throw new Error(`${concepts.length} required concepts given; the limit is ${MAX_CONCEPTS}`);
+    }
+    return concepts;
+  }
+
+  /**
+   * @param {string} text - The submission
+   * @param {Object} options
+   * @param {string} [options.prompt] - The prompt students answered
+   * @param {Array<Object>} [options.requiredConcepts] - parseConcepts output
+   * @returns {Object} { promptSimilarity, promptTerms: { used, missing }, paragraphs, concepts }.
+   *   Paragraphs are { start, end, text, words, similarity, concepts, offTopic }; concepts are
+   *   { name, synonyms, addressed, spans } with every place the concept is named.
+   */
+  measure(text, { prompt = null, requiredConcepts = [] } = {}) {
+    const words = contentWords(text);
+    const concepts = requiredConcepts.map(concept => ({
+      name: concept.name,
+      synonyms: concept.synonyms || [],
+      spans: this.conceptSpans(text, words, [concept.name, ...(concept.synonyms || [])])
+    }));
+
+    // Prompt terms the student should use; instructions such as "explain" are not the topic
+    const promptWords = prompt ? contentWords(prompt) : [];
+    const keyTerms = [...new Map(promptWords
+      .filter(word => !INSTRUCTION_WORDS.has(word.word) && word.word.length > 2 && !/^\d+$/.test(word.word))
+      .map(word => [word.stem, word.word])).entries()];
+    const used = new Set(words.map(word => word.stem));
+
+    // The topic: the prompt's words and the concepts', each counted as often as it is given
+    const reference = [
+      ...promptWords.filter(word => !INSTRUCTION_WORDS.has(word.word)),
+      ...requiredConcepts.flatMap(concept => [concept.name, ...(concept.synonyms || [])].flatMap(variant => contentWords(variant)))
+    ];
+    const paragraphs = Annotation.paragraphSpans(text).map(span => ({
+      ...span,
+      words: words.filter(word => word.start >= span.start && word.end <= span.end)
+    }));
+    const tfidf = new natural.TfIdf();
+    [reference, ...paragraphs.map(paragraph => paragraph.words)].forEach(document => tfidf.addDocument(document.map(word => word.stem)));
+    const similarity = (document) => this.cosine(counts(reference), counts(document), term => tfidf.idf(term));
+
+    return {
+      promptSimilarity: reference.length > 0 ? round(similarity(words)) : null,
+      promptTerms: {
+        used: keyTerms.filter(([term]) => used.has(term)).map(([, word]) => word),
+        missing: keyTerms.filter(([term]) => !used.has(term)).map(([, word]) => word)
+      },
+      paragraphs: paragraphs.map(paragraph => {
+        const score = round(similarity(paragraph.words));
+        const named = concepts
+          .filter(concept => concept.spans.some(span => span.start >= paragraph.start && span.end <= paragraph.end))
+          .map(concept => concept.name);
+        return {
+          start: paragraph.start,
+          end: paragraph.end,
+          text: paragraph.text,
+          words: paragraph.words.length,
+          similarity: score,
+          concepts: named,
+          offTopic: reference.length > 0 && paragraph.words.length >= MIN_PARAGRAPH_WORDS && score < OFF_TOPIC_SIMILARITY && named.length === 0
+        };
+      }),
+      concepts: concepts.map(concept => ({ ...concept, addressed: concept.spans.length > 0 }))
+    };
+  }
+
+  /**
+   * Every place one of a concept's variants is named: its content words, by
+   * stem, in order and next to each other
+   */
+  conceptSpans(text, words, variants) {
+    return variants.flatMap(variant => {
+      const stems = contentWords(variant).map(word => word.stem);
+      if (stems.length === 0) return [];
+      return words
+        .map((word, index) => index)
+        .filter(index => stems.every((value, offset) => words[index + offset]?.stem === value))
+        .map(index => {
+          const start = words[index].start;
+          const end = words[index + stems.length - 1].end;
+          return { start, end, text: text.slice(start, end) };
+        });
+    }).sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Cosine similarity of two term-count vectors weighted by idf
+   */
+  cosine(first, second, idf) {
+    const weight = (terms) => new Map([...terms].map(([term, count]) => [term, count * idf(term)]));
+    const [a, b] = [weight(first), weight(second)];
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+    const dot = [...a].reduce((sum, [term, value]) => sum + value * (b.get(term) || 0), 0);
+    return norm(a) > 0 && norm(b) > 0 ? dot / (norm(a) * norm(b)) : 0;
+  }
+}
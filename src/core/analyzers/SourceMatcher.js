@@ -0,0 +1,137 @@
+import natural from 'natural';
+import { SimilarityDetector } from '../SimilarityDetector.js';
+import { Annotation } from '../Annotation.js';
+
+// Content words per shingle. Stop words are skipped and the rest stemmed, so a
+// passage with changed word endings or small words added still matches.
+const SHINGLE_WORDS = 4;
+// Shorter shared runs of content words in a sentence are too likely to be common phrasing
+const MIN_PASSAGE_WORDS = 6;
+// Share of a passage that must sit between quotation marks for it to count as quoted
+const MIN_QUOTED_SHARE = 0.8;
+// Characters after a passage searched for its citation, e.g. ' (Smith, 2019).'
+const CITATION_REACH = 80;
+// Characters before a passage searched for the start of its sentence
+const SENTENCE_REACH = 300;
+
+const STOP_WORDS = new Set(natural.stopwords);
+const QUOTE_PATTERN = /"[^"\n]+"|“[^”\n]+”/g;
+// [1], (Smith, 2019), (Smith 2019, p. 4), (Smith) or "et al."
+const CITATION_PATTERN = /\[\d+\]|\([^()\n]*\d{4}[^()\n]*\)|\([A-Z][\w'-]+(?:,?\s+pp?\.\s*\d+)?\)|et al\./;
+// Phrases that hand a sentence to a source: "According to the article, ..."
+const SIGNAL_PATTERN = /\b(?:according to|the (?:author|article|text|passage|reading|source)|writes|wrote|explains|argues|notes)\b/i;
+
+/**
+ * Finds passages of a submission taken from the assignment's source texts,
+ * word for word or lightly paraphrased, and whether each is quoted and cited.
+ * Passages are aligned with SimilarityDetector over stemmed content words, one
+ * sentence of the submission at a time, since quoting and citing are done
+ * sentence by sentence.
+ */
+export class SourceMatcher {
+  constructor() {
+    this.detector = new SimilarityDetector({ shingleWords: SHINGLE_WORDS });
+  }
+
+  /**
+   * Stemmed content words of a text, or of one span of it, with offsets into
+   * the whole text, ready for alignment
+   */
+  document(text, span = { start: 0, end: text.length }) {
+    const tokens = SimilarityDetector.tokenize(text.slice(span.start, span.end))
+      .filter(token => !STOP_WORDS.has(token.word))
+      .map(token => ({
+        word: natural.PorterStemmer.stem(token.word),
+        start: span.start + token.start,
+        end: span.start + token.end
+      }));
+    return { text, tokens, hashes: this.detector.shingles(tokens) };
+  }
+
+  /**
+   * @param {string} text - The submission
+   * @param {Array<Object>} sources - { id, title, author, text }
+   * @returns {Object} { passages, attributedCount, unattributedCount, copiedShare }.
+   *   Each passage is { sourceId, sourceTitle, start, end, text, words, source: { start, end, text },
+   *   match: 'verbatim'|'paraphrase', quoted, cited, attribution, attributed }, in text order.
+   *   attribution is 'quoted-and-cited', 'cited', 'quoted' or 'unattributed'; a passage is
+   *   attributed when it is quoted and cited, or paraphrased and cited. copiedShare is the share
+   *   of the submission's content words in unattributed passages.
+   */
+  match(text, sources = []) {
+    const sentences = Annotation.sentenceSpans(text).map(sentence => this.document(text, sentence));
+    const quotes = [...text.matchAll(QUOTE_PATTERN)].map(quote => ({ start: quote.index, end: quote.index + quote[0].length }));
+
+    const passages = sources.flatMap(source => {
+      const reference = this.document(source.text);
+      return sentences.flatMap(sentence => this.detector.alignPassages(sentence, reference))
+        .filter(passage => passage.a.words >= MIN_PASSAGE_WORDS)
+        .map(({ a, b }) => {
+          const quoted = this.quotedShare(a, quotes) >= MIN_QUOTED_SHARE;
+          const cited = this.isCited(text, a, source);
+          const match = this.isVerbatim(a.text, b.text) ? 'verbatim' : 'paraphrase';
+          const attribution = quoted && cited ? 'quoted-and-cited' : cited ? 'cited' : quoted ? 'quoted' : 'unattributed';
+          return {
+            sourceId: source.id,
+            sourceTitle: source.title,
+            start: a.start,
+            end: a.end,
+            text: a.text,
+            words: a.words,
+            source: { start: b.start, end: b.end, text: b.text },
+            match,
+            quoted,
+            cited,
+            attribution,
+            attributed: attribution === 'quoted-and-cited' || (attribution === 'cited' && match === 'paraphrase')
+          };
+        });
+    }).sort((x, y) => x.start - y.start);
+
+    const unattributed = passages.filter(passage => passage.attribution === 'unattributed');
+    const contentWords = sentences.reduce((sum, sentence) => sum + sentence.tokens.length, 0);
+    return {
+      passages,
+      attributedCount: passages.filter(passage => passage.attributed).length,
+      unattributedCount: unattributed.length,
+      copiedShare: contentWords > 0
+        ? Math.round(unattributed.reduce((sum, passage) => sum + passage.words, 0) / contentWords * 100) / 100
+        : 0
+    };
+  }
+
+  /**
+   * Share of a span's characters between quotation marks
+   */
+  quotedShare(span, quotes) {
+    const inside = quotes.reduce((sum, quote) => sum + Math.max(0, Math.min(span.end, quote.end) - Math.max(span.start, quote.start)), 0);
+    return inside / Math.max(1, span.end - span.start);
+  }
+
+  /**
+   * Whether the passage's sentence names the source or cites it, before the
+   * passage or just after it. The passage itself does not count, since the
+   * source's own words often name its author.
+   */
+  isCited(text, span, source) {
+    const preceding = text.slice(Math.max(0, span.start - SENTENCE_REACH), span.start);
+    const before = preceding.slice(preceding.search(/[^.!?\n]*$/));
+    const following = text.slice(span.end, span.end + CITATION_REACH).split('\n')[0];
+    const sentenceEnd = following.search(/[.!?]["”']?\s+(?=[A-Z])/);
+    const after = sentenceEnd === -1 ? following : following.slice(0, sentenceEnd + 1);
+
+    const names = [source.author?.trim().split(/\s+/).pop(), source.title]
+      .filter(name => name && name.length > 2)
+      .map(name => name.toLowerCase());
+    return [before, after].some(part => CITATION_PATTERN.test(part) || SIGNAL_PATTERN.test(part)
+      || names.some(name => part.toLowerCase().includes(name)));
+  }
+
+  /**
+   * Same words in the same order, ignoring case and punctuation
+   */
+  isVerbatim(first, second) {
+    const words = (value) => SimilarityDetector.tokenize(value).map(token => token.word).join(' ');
+    return words(first) === words(second);
+  }
+}
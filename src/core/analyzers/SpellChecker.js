@@ -0,0 +1,265 @@
+import fs from 'fs';
+import compromise from 'compromise';
+import { Annotation } from '../Annotation.js';
+
+// Built by scripts/build-dictionary.js
+const DICTIONARY_DIR = new URL('../../dictionaries/', import.meta.url);
+
+const LOCALES = ['en-US', 'en-GB'];
+const LOCALE_NAMES = { 'en-US': 'US', 'en-GB': 'UK' };
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+const MAX_SUGGESTIONS = 3;
+// Two-edit candidates grow with the square of a word's length, so longer words only get one-edit suggestions
+const MAX_TWO_EDIT_LENGTH = 10;
+// Words past this rank in the dictionary are rare; they are only suggested when nothing commoner is close
+const COMMON_WORDS = 30000;
+const MAX_VOCABULARY_WORDS = 1000;
+
+// Words the dictionary lacks are accepted when they are a known word of at
+// least MIN_COMPOUND_PART letters after one of these prefixes
+// ("intergenerational"), or two common words of that length ("whiteboards").
+// Compounds doubling a letter where they join are usually misspellings
+// ("writting"), as are a few common run-together errors.
+const PREFIXES = ['anti', 'co', 'counter', 'de', 'dis', 'extra', 'hyper', 'inter', 'micro', 'mid', 'mini', 'multi', 'non',
+  'over', 'post', 'pre', 're', 'semi', 'sub', 'super', 'trans', 'ultra', 'un', 'under'];
+const MIN_COMPOUND_PART = 5;
+const RUN_TOGETHER = ['eachother', 'eventhough', 'everytime', 'highschool'];
+
+// Terms compromise recognises as names, acronyms, numbers or links are not spell checked
+const SKIPPED_TAGS = ['ProperNoun', 'Acronym', 'Url', 'Email', 'Value', 'HashTag', 'AtMention', 'Emoticon', 'Emoji'];
+const WORD_PATTERN = /^[a-z]+(?:'[a-z]+)*$/i;
+const VOCABULARY_WORD = /[a-z]+(?:['’][a-z]+)*/gi;
+
+let dictionary = null;
+
+/**
+ * The bundled word list, as word -> rank (0 is the most common word), and
+ * for each locale the other locale's spellings mapped to its own. Read once
+ * per process and shared by every checker.
+ */
+const loadDictionary = () => {
+  if (!dictionary) {
+    const lines = (name) => fs.readFileSync(new URL(name, DICTIONARY_DIR), 'utf8')
+      .split('\n')
+      .filter(line => line && !line.startsWith('#'));
+
+    const ranks = new Map(lines('en.txt').map((word, index) => [word, index]));
+    const foreign = { 'en-US': new Map(), 'en-GB': new Map() };
+    lines('en-variants.txt').forEach(line => {
+      const [us, uk, rule] = line.split(' ');
+      foreign['en-US'].set(uk, us);
+      // -ize is also British (Oxford) spelling, so UK classes accept it
+      if (rule !== 'ise') foreign['en-GB'].set(us, uk);
+    });
+    dictionary = { ranks, foreign };
+  }
+  return dictionary;
+};
+
+const normalize = (word) => word.toLowerCase().replace(/’/g, "'");
+
+const matchCase = (original, replacement) => (
+  original[0] === original[0].toUpperCase() ? replacement[0].toUpperCase() + replacement.slice(1) : replacement
+);
+
+/**
+ * Every string one deletion, transposition, replacement or insertion away
+ */
+const edits = (word) => {
+  const results = [];
+  for (let i = 0; i <= word.length; i++) {
+    const [head, tail] = [word.slice(0, i), word.slice(i)];
+    if (tail) results.push(head + tail.slice(1));
+    if (tail.length > 1) results.push(head + tail[1] + tail[0] + tail.slice(2));
+    for (const letter of ALPHABET) {
+      if (tail) results.push(head + letter + tail.slice(1));
+      results.push(head + letter + tail);
+    }
+  }
+  return results;
+};
+
+// Two words run together ("alot"); single letters other than a and i are too easy to match
+const splits = (word) => Array.from({ length: word.length - 1 }, (_, index) => [word.slice(0, index + 1), word.slice(index + 1)])
+  .filter(parts => parts.every(part => part.length > 1 || part === 'a' || part === 'i'))
+  .map(parts => parts.join(' '));
+
+/**
+ * Offline spell checker over a bundled English dictionary (see
+ * scripts/build-dictionary.js). Names compromise recognises are skipped, as
+ * are capitalised words the student also capitalises mid-sentence; anything
+ * else specific to an assignment (characters, technical terms) belongs in
+ * the assignment's vocabulary.
+ */
+export class SpellChecker {
+  static LOCALES = LOCALES;
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - false turns spell checking off
+   * @param {string} [options.locale] - One of SpellChecker.LOCALES; the other locale's spellings are pointed out
+   * @param {number} [options.maxSuggestions] - Corrections offered per word
+   */
+  constructor({ enabled = true, locale = 'en-US', maxSuggestions = MAX_SUGGESTIONS } = {}) {
+    if (!LOCALES.includes(locale)) {
+      throw new Error(`Unknown spelling locale "${locale}"; use one of ${LOCALES.join(', ')}`);
+    }
+    this.enabled = enabled;
+    this.locale = locale;
+    this.maxSuggestions = maxSuggestions;
+  }
+
+  /**
+   * Normalise an assignment vocabulary: a list or a comma- or line-separated
+   * string of words and names, split into lower-case words
+   * @returns {Array<string>} Sorted unique words
+   */
+  static parseVocabulary(value) {
+    if (value === null || value === undefined || value === '') return [];
+    const entries = typeof value === 'string' ? value.split(/[,\n]/) : value;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      throw new Error('Vocabulary should be a list of words or a comma-separated string');
+    }
+
+    const words = [...new Set(entries.flatMap(entry => (entry.match(VOCABULARY_WORD) || []).map(normalize)))].sort();
+    if (words.length > MAX_VOCABULARY_WORDS) {
+      throw new Error(`Vocabulary has ${words.length} words; the limit is ${MAX_VOCABULARY_WORDS}`);
+    }
+    return words;
+  }
+
+  /**
+   * Whether a word is in the dictionary or the vocabulary, or built from known
+   * words, ignoring case and possessive endings
+   * @param {string} word
+   * @param {Set<string>} [vocabulary] - Lower-case words
+   */
+  isKnown(word, vocabulary = new Set()) {
+    const { ranks } = loadDictionary();
+    const known = (candidate) => vocabulary.has(candidate) || ranks.has(candidate);
+    const lower = normalize(word);
+    const bare = lower.replace(/'s?$/, '');
+    if (known(lower) || known(bare)) return true;
+    // Vocabulary is usually given in the singular
+    if ([bare.replace(/s$/, ''), bare.replace(/es$/, '')].some(singular => vocabulary.has(singular))) return true;
+    if (RUN_TOGETHER.includes(bare)) return false;
+
+    const common = (part) => vocabulary.has(part) || ranks.get(part) < COMMON_WORDS;
+    return PREFIXES.some(prefix => bare.startsWith(prefix) && bare.length - prefix.length >= MIN_COMPOUND_PART && known(bare.slice(prefix.length)))
+      || Array.from({ length: bare.length - 2 * MIN_COMPOUND_PART + 1 }, (_, index) => index + MIN_COMPOUND_PART)
+        .some(split => bare[split - 1] !== bare[split] && common(bare.slice(0, split)) && common(bare.slice(split)));
+  }
+
+  /**
+   * Likely corrections in this checker's locale: words one edit away, most
+   * common first, or two edits away when nothing is one edit away
+   */
+  suggest(word) {
+    const { ranks, foreign } = loadDictionary();
+    const lower = normalize(word);
+    const rankOf = (candidate) => Math.max(...candidate.split(' ').map(part => ranks.get(part)));
+    const known = (candidates) => {
+      const found = [...new Set(candidates)]
+        .filter(candidate => candidate.split(' ').every(part => ranks.has(part)) && !foreign[this.locale].has(candidate))
+        .sort((a, b) => rankOf(a) - rankOf(b));
+      const common = found.filter(candidate => rankOf(candidate) < COMMON_WORDS);
+      return common.length > 0 ? common : found.slice(0, 1);
+    };
+
+    const oneEdit = edits(lower);
+    // Splits go first so "a lot" wins a tie with "lot"
+    let suggestions = known([...splits(lower), ...oneEdit]);
+    if (suggestions.length === 0 && lower.length <= MAX_TWO_EDIT_LENGTH) {
+      suggestions = known(oneEdit.flatMap(edits));
+    }
+    return suggestions.slice(0, this.maxSuggestions).map(suggestion => matchCase(word, suggestion));
+  }
+
+  /**
+   * Misspelled words and other-locale spellings, in text order
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {Array<string>} [options.vocabulary] - Assignment words to accept (see parseVocabulary)
+   * @returns {Array<Object>} Annotations with type ("spelling" or "spelling-variant") and suggestions
+   */
+  check(text, { vocabulary = [] } = {}) {
+    if (!this.enabled) return [];
+    const { foreign } = loadDictionary();
+    const accepted = new Set(SpellChecker.parseVocabulary(vocabulary));
+
+    const terms = compromise(text).json({ offset: true }).flatMap(sentence => sentence.terms
+      .filter(term => term.text)
+      .map((term, index) => ({
+        text: term.text,
+        start: term.offset.start,
+        end: term.offset.start + term.offset.length,
+        tags: term.tags,
+        sentenceStart: index === 0
+      })));
+
+    // Words the student capitalises mid-sentence are names, even at the start of a sentence
+    const names = new Set(terms
+      .filter(term => !term.sentenceStart && /^[A-Z]/.test(term.text))
+      .map(term => normalize(term.text)));
+
+    const words = terms.filter(word => WORD_PATTERN.test(normalize(word.text)) && word.text.length > 1
+      && !SKIPPED_TAGS.some(tag => word.tags.includes(tag))
+      // All capitals is an acronym or a heading
+      && word.text !== word.text.toUpperCase());
+
+    // Students tend to repeat a misspelling
+    const suggestions = new Map();
+    const suggestionsFor = (word) => {
+      if (!suggestions.has(word)) suggestions.set(word, this.suggest(word));
+      return suggestions.get(word);
+    };
+
+    return words.flatMap(word => {
+      const lower = normalize(word.text);
+      if (accepted.has(lower) || (/^[A-Z]/.test(word.text) && names.has(lower))) return [];
+
+      const localSpelling = foreign[this.locale].get(lower);
+      if (localSpelling) {
+        const localName = LOCALE_NAMES[this.locale];
+        return [this.issue(word, {
+          type: 'spelling-variant',
+          severity: 'suggestion',
+          message: `${LOCALE_NAMES[LOCALES.find(locale => locale !== this.locale)]} spelling`,
+          suggestion: `This class uses ${localName} spelling: "${matchCase(word.text, localSpelling)}"`,
+          suggestions: [matchCase(word.text, localSpelling)]
+        })];
+      }
+      if (this.isKnown(word.text, accepted)) return [];
+
+      const corrections = suggestionsFor(word.text);
+      return [this.issue(word, {
+        type: 'spelling',
+        severity: 'warning',
+        message: 'Possible spelling mistake',
+        suggestion: corrections.length > 0
+          ? `Did you mean ${corrections.map(correction => `"${correction}"`).join(' or ')}?`
+          : 'Check the spelling of this word',
+        suggestions: corrections
+      })];
+    });
+  }
+
+  issue(word, { type, severity, message, suggestion, suggestions }) {
+    return {
+      ...new Annotation({
+        start: word.start,
+        end: word.end,
+        category: 'spelling',
+        severity,
+        message,
+        suggestion,
+        source: 'spelling',
+        text: word.text
+      }).toJSON(),
+      type,
+      issue: message,
+      suggestions
+    };
+  }
+}
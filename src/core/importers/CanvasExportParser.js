@@ -0,0 +1,34 @@
+import path from 'path';
+
+// e.g. "smithjane_late_123456_7891011_essay-1.docx": name, late tag, user ID, submission ID, original file
+const CANVAS_FILE_PATTERN = /^([a-z][a-z0-9-]*?)_(late_)?(\d{3,})_(\d{3,})_(.+)$/i;
+
+/**
+ * Canvas "Download Submissions" archives: one flat folder, identity encoded in each file name
+ */
+export class CanvasExportParser {
+  constructor() {
+    this.name = 'canvas';
+  }
+
+  /**
+   * @param {string} filePath - Entry path within the upload
+   * @returns {Object|null} Partial identity, or null when the name is not a Canvas export name
+   */
+  parse(filePath) {
+    const match = path.posix.basename(filePath.replace(/\\/g, '/')).match(CANVAS_FILE_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, name, lateTag, userId, submissionId, originalName] = match;
+    return {
+      studentId: `canvas:${userId}`,
+      // Canvas joins "lastnamefirstname" without separators, so it cannot be split reliably
+      displayName: name,
+      late: Boolean(lateTag),
+      submissionId,
+      originalName
+    };
+  }
+}
@@ -0,0 +1,33 @@
+import path from 'path';
+
+// Classroom copies are named "Student Name - Original title"
+const CLASSROOM_FILE_PATTERN = /^(\p{Lu}[\p{L}'.]*(?:[ -]\p{Lu}[\p{L}'.]*){1,3}) - (.+)$/u;
+
+/**
+ * Google Classroom Drive folder downloads, where each student's copy is prefixed with their name
+ */
+export class GoogleClassroomExportParser {
+  constructor() {
+    this.name = 'google-classroom';
+  }
+
+  /**
+   * @param {string} filePath - Entry path within the upload
+   * @returns {Object|null} Partial identity; Classroom exports carry no student ID
+   */
+  parse(filePath) {
+    const fileName = path.posix.basename(filePath.replace(/\\/g, '/'));
+    const match = path.posix.parse(fileName).name.match(CLASSROOM_FILE_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, name, originalName] = match;
+    return {
+      studentId: null,
+      displayName: name,
+      late: null,
+      originalName
+    };
+  }
+}
@@ -0,0 +1,91 @@
+import path from 'path';
+import CSVParser from '../../utils/csvParser.js';
+
+const FILE_COLUMNS = ['file', 'filename', 'file_name', 'path'];
+const ID_COLUMNS = ['student_id', 'studentid', 'id', 'sis_id', 'user_id'];
+const NAME_COLUMNS = ['student_name', 'name', 'display_name', 'student'];
+const SUBMITTED_COLUMNS = ['submitted_at', 'submitted', 'timestamp', 'submission_date'];
+const LATE_COLUMNS = ['late', 'is_late'];
+
+const pick = (record, columns) => {
+  const column = columns.find(key => record[key] !== undefined && record[key] !== '');
+  return column ? record[column] : undefined;
+};
+
+/**
+ * Identity from a manifest.csv / manifest.json shipped inside the archive.
+ * Explicit teacher-supplied data, so it takes precedence over file name conventions.
+ */
+export class ManifestExportParser {
+  /**
+   * @param {Array<Object>} records - Manifest rows keyed by normalised column name
+   */
+  constructor(records = []) {
+    this.name = 'manifest';
+    this.byPath = new Map();
+    this.byBaseName = new Map();
+
+    records.forEach(record => {
+      const file = pick(record, FILE_COLUMNS);
+      if (!file) return;
+      const normalized = file.replace(/\\/g, '/').replace(/^\.\//, '');
+      this.byPath.set(normalized.toLowerCase(), record);
+      this.byBaseName.set(path.posix.basename(normalized).toLowerCase(), record);
+    });
+  }
+
+  /**
+   * Build a parser from a manifest file's contents
+   * @param {string} fileName - manifest.csv or manifest.json
+   * @param {Buffer|string} contents
+   */
+  static fromFile(fileName, contents) {
+    const text = Buffer.isBuffer(contents) ? contents.toString('utf8') : String(contents);
+
+    if (path.extname(fileName).toLowerCase() === '.json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid manifest ${fileName}: ${error.message}`);
+      }
+      const rows = Array.isArray(data) ? data : data.submissions || [];
+      return new ManifestExportParser(rows.map(row => Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [CSVParser.normalizeHeader(key), value === null ? '' : String(value)])
+      )));
+    }
+
+    return new ManifestExportParser(CSVParser.parseRecords(text));
+  }
+
+  /**
+   * Check whether an archive entry is a submissions manifest
+   */
+  static isManifestName(fileName) {
+    return /^(manifest|submissions)\.(csv|json)$/i.test(path.posix.basename(fileName.replace(/\\/g, '/')));
+  }
+
+  /**
+   * @param {string} filePath - Entry path within the upload
+   * @returns {Object|null} Partial identity for files listed in the manifest
+   */
+  parse(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    const record = this.byPath.get(normalized.toLowerCase()) ||
+      this.byBaseName.get(path.posix.basename(normalized).toLowerCase());
+    if (!record) {
+      return null;
+    }
+
+    const name = pick(record, NAME_COLUMNS);
+    const id = pick(record, ID_COLUMNS);
+    const late = pick(record, LATE_COLUMNS);
+
+    return {
+      studentId: id || null,
+      displayName: name || null,
+      submittedAt: pick(record, SUBMITTED_COLUMNS) || null,
+      late: late === undefined ? null : /^(true|yes|y|1|late)$/i.test(late)
+    };
+  }
+}
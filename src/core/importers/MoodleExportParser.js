@@ -0,0 +1,33 @@
+// e.g. "Jane Smith_4567_assignsubmission_file_" folders, or the same prefix on each file
+const MOODLE_SEGMENT_PATTERN = /^(.+?)_(\d+)_assign(?:submission|feedback)_[a-z]+_(.*)$/i;
+
+/**
+ * Moodle assignment "Download all submissions" archives, with or without per-student folders
+ */
+export class MoodleExportParser {
+  constructor() {
+    this.name = 'moodle';
+  }
+
+  /**
+   * @param {string} filePath - Entry path within the upload
+   * @returns {Object|null} Partial identity; Moodle names carry no lateness information
+   */
+  parse(filePath) {
+    const segments = filePath.split(/[\\/]/).filter(Boolean).reverse();
+
+    for (const segment of segments) {
+      const match = segment.match(MOODLE_SEGMENT_PATTERN);
+      if (match) {
+        const [, name, participantId] = match;
+        return {
+          studentId: `moodle:${participantId}`,
+          displayName: name.trim(),
+          late: null
+        };
+      }
+    }
+
+    return null;
+  }
+}
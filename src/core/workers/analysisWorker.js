@@ -0,0 +1,43 @@
+import { parentPort, workerData } from 'worker_threads';
+import { FeedbackProcessor } from '../FeedbackProcessor.js';
+import { Calibration } from '../Calibration.js';
+
+/**
+ * Worker thread for WorkerPool: runs FeedbackProcessor's extraction and analysis
+ * off the main event loop. Payloads are { action: 'extract', file } or
+ * { action: 'analyze', text, options }; the main thread checks the analysis
+ * cache between the two. { action: 'calibrate', samples, options } fits a
+ * teacher calibration and returns its JSON.
+ * workerData.quiet silences per-file logging (used by the benchmark);
+ * workerData.config carries the main thread's loaded settings.
+ */
+if (workerData?.quiet) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const processor = new FeedbackProcessor({ config: workerData?.config });
+
+parentPort.on('message', async ({ id, payload }) => {
+  try {
+    let result;
+    if (payload.action === 'extract') {
+      const file = { ...payload.file };
+      // Buffers arrive as plain Uint8Arrays after structured cloning
+      if (file.buffer) {
+        file.buffer = Buffer.from(file.buffer.buffer, file.buffer.byteOffset, file.buffer.byteLength);
+      }
+      result = await processor.extractSubmission(file);
+    } else if (payload.action === 'analyze') {
+      result = await processor.analyzeSubmission(payload.text, payload.options);
+    } else if (payload.action === 'calibrate') {
+      result = Calibration.fit(payload.samples, payload.options).toJSON();
+    } else {
+      throw new Error(`Unknown worker action: ${payload.action}`);
+    }
+
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stage: error.stage } });
+  }
+});
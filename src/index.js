@@ -4,15 +4,40 @@ import helmet from 'helmet';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
 import { FeedbackProcessor } from './core/FeedbackProcessor.js';
 import { FileUploadHandler } from './core/FileUploadHandler.js';
 import { ReportGenerator } from './core/ReportGenerator.js';
+import { RosterStore } from './core/RosterStore.js';
+import { JobManager } from './core/JobManager.js';
+import { WorkerPool } from './core/WorkerPool.js';
+import { FeedbackStore } from './core/FeedbackStore.js';
+import { AnalysisCache } from './core/AnalysisCache.js';
+import { Rubric } from './core/Rubric.js';
+import { AnswerKey } from './core/AnswerKey.js';
+import { GradeScale } from './core/GradeScale.js';
+import { Calibration } from './core/Calibration.js';
+import { Config } from './core/Config.js';
+import { Annotation } from './core/Annotation.js';
+import { EvaluationDimensions } from './core/analyzers/EvaluationDimensions.js';
+import { GrammarChecker } from './core/analyzers/GrammarChecker.js';
+import { SpellChecker } from './core/analyzers/SpellChecker.js';
+import { PromptRelevance } from './core/analyzers/PromptRelevance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Settings from config.json and its overrides; a bad setting stops startup with every problem listed
+let config;
+try {
+  config = Config.load();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 // Middleware
 app.use(helmet({
@@ -46,9 +71,21 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Initialize core components
-const feedbackProcessor = new FeedbackProcessor();
-const fileUploadHandler = new FileUploadHandler();
-const reportGenerator = new ReportGenerator();
+const fileUploadHandler = new FileUploadHandler({ config });
+// Analysis runs in worker threads so large batches don't block other requests
+const analysisPool = new WorkerPool(new URL('./core/workers/analysisWorker.js', import.meta.url), {
+  size: config.analysis.concurrency || undefined,
+  taskTimeoutMs: config.analysis.taskTimeoutMs,
+  workerData: { config }
+});
+// Classes, batches and reports survive restarts in a local SQLite file
+const feedbackStore = await FeedbackStore.open(Config.resolvePath(config.database.path));
+// Unchanged submissions in a re-uploaded batch reuse their earlier analysis
+const analysisCache = new AnalysisCache({ feedbackStore });
+const feedbackProcessor = new FeedbackProcessor({ fileUploadHandler, workerPool: analysisPool, analysisCache, config });
+const reportGenerator = new ReportGenerator({ config });
+const rosterStore = new RosterStore({ feedbackStore });
+const jobManager = new JobManager();
 
 // Routes
 app.get('/', (req, res) => {
@@ -64,29 +101,285 @@ app.get('/api/health', (req, res) => {
 const upload = multer({ 
   dest: 'uploads/',
   limits: { 
-    fileSize: 50 * 1024 * 1024, // 50MB limit per file
-    files: 10 // Maximum number of files
+    fileSize: config.fileUpload.maxFileSize,
+    files: config.fileUpload.maxFiles
   },
   fileFilter: (req, file, cb) => {
-    // Accept PDF, DOCX, DOC, and TXT files
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Accept anything the extraction pipeline understands, by MIME type or extension, plus ZIPs of them
+    if (fileUploadHandler.isSupportedFile(file) || fileUploadHandler.isArchive(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'));
+      cb(new Error(`Invalid file type. Only ${[...config.fileUpload.allowedExtensions, '.zip'].join(', ')} files are allowed.`));
     }
   }
 }).array('files');
 
-// Upload and process files
+/**
+ * Grade scale for a batch or report: the one requested ({ type, outOf } or a
+ * type name), else the class's scale, else the default percent scale.
+ * Throws when the requested scale is invalid.
+ */
+function resolveGradeScale(requested, classId) {
+  if (requested) {
+    return GradeScale.from(requested, config.feedback.scoreThresholds);
+  }
+  const stored = classId ? feedbackStore.getClass(classId) : null;
+  return GradeScale.from(stored?.gradeScale, config.feedback.scoreThresholds);
+}
+
+/**
+ * A grade level from a request: K or 0 to 12, or the fallback when none is given
+ */
+function parseGradeLevel(value, fallback = null) {
+  if (value === undefined || value === '') return fallback;
+  const gradeLevel = String(value).toUpperCase() === 'K' ? 0 : Number(value);
+  const [minGrade, maxGrade] = GrammarChecker.GRADE_LEVELS;
+  if (!Number.isInteger(gradeLevel) || gradeLevel < minGrade || gradeLevel > maxGrade) {
+    throw new Error(`gradeLevel should be K or a grade from 1 to ${maxGrade} (got ${value})`);
+  }
+  return gradeLevel;
+}
+
+/**
+ * Prompt or template text from a request; undefined when none is given and null when it is blank
+ */
+function parseTemplateText(value) {
+  if (value === undefined) return undefined;
+  if (value !== null && typeof value !== 'string') {
+    throw new Error('templateText should be the text students were given');
+  }
+  return value?.trim() || null;
+}
+
+/**
+ * Turn an upload request into a batch and its processing options.
+ * Returns { error: { status, body } } when the request cannot be processed.
+ */
+async function prepareBatch(req, files) {
+  const { assignmentType, evaluationCriteria, dueDate, classId, assignmentId, assignmentTitle, rubricId, gradeScale, gradeScaleOutOf, gradeLevel, vocabulary, templateText, requiredConcepts } = req.body;
+
+  if (files.length === 0) {
+    return { error: { status: 400, body: { error: 'No files provided' } } };
+  }
+
+  const selectedType = assignmentType || config.analysis.defaultAssignmentType;
+  if (!config.analysis.supportedAssignmentTypes.includes(selectedType)) {
+    return { error: { status: 400, body: { error: `Unsupported assignment type: ${selectedType}` } } };
+  }
+
+  const roster = classId ? rosterStore.get(classId) : null;
+  if (classId && !roster) {
+    return { error: { status: 400, body: { error: `No roster uploaded for class ${classId}` } } };
+  }
+
+  // Re-uploads can be filed under an existing assignment; otherwise one is created when the batch is saved
+  const assignment = assignmentId ? feedbackStore.getAssignment(assignmentId) : null;
+  if (assignmentId && !assignment) {
+    return { error: { status: 400, body: { error: `Assignment ${assignmentId} not found` } } };
+  }
+
+  // A rubric chosen for this upload wins over the one attached to the assignment
+  const selectedRubricId = rubricId || assignment?.rubricId || null;
+  const rubric = selectedRubricId ? feedbackStore.getRubric(selectedRubricId) : null;
+  if (selectedRubricId && !rubric) {
+    return { error: { status: 400, body: { error: `Rubric ${selectedRubricId} not found` } } };
+  }
+
+  let scale;
+  try {
+    scale = resolveGradeScale(gradeScale && { type: gradeScale, outOf: gradeScaleOutOf }, classId || assignment?.classId);
+  } catch (error) {
+    return { error: { status: 400, body: { error: error.message } } };
+  }
+
+  // Grade level chooses the grammar rules
+  let selectedGradeLevel;
+  try {
+    selectedGradeLevel = parseGradeLevel(gradeLevel, config.grammar.defaultGradeLevel);
+  } catch (error) {
+    return { error: { status: 400, body: { error: error.message } } };
+  }
+
+  // Words sent with the upload are added to the assignment's spelling vocabulary
+  let uploadVocabulary;
+  try {
+    uploadVocabulary = SpellChecker.parseVocabulary(vocabulary);
+  } catch (error) {
+    return { error: { status: 400, body: { error: error.message } } };
+  }
+  const selectedVocabulary = SpellChecker.parseVocabulary([...(assignment?.vocabulary || []), ...uploadVocabulary]);
+
+  // Template text sent with the upload replaces the assignment's; similarity checks ignore passages from it
+  let selectedTemplateText;
+  try {
+    selectedTemplateText = parseTemplateText(templateText || undefined) ?? assignment?.templateText ?? null;
+  } catch (error) {
+    return { error: { status: 400, body: { error: error.message } } };
+  }
+
+  // Required concepts sent with the upload replace the assignment's
+  let selectedConcepts;
+  try {
+    selectedConcepts = requiredConcepts ? PromptRelevance.parseConcepts(requiredConcepts) : assignment?.requiredConcepts || [];
+  } catch (error) {
+    return { error: { status: 400, body: { error: error.message } } };
+  }
+
+  // Criteria arrive as a JSON array from the UI or as a comma-separated list
+  let criteria = config.analysis.defaultEvaluationCriteria;
+  if (evaluationCriteria) {
+    try {
+      criteria = JSON.parse(evaluationCriteria);
+    } catch (e) {
+      criteria = String(evaluationCriteria).split(',');
+    }
+  }
+  if (!Array.isArray(criteria)) {
+    return { error: { status: 400, body: { error: 'evaluationCriteria should be a list of dimensions' } } };
+  }
+
+  // includeSuggestions used to be sent with the criteria; it is not an evaluation dimension
+  const requested = criteria.map(c => String(c).trim()).filter(c => c && c !== 'includeSuggestions');
+  const unknown = requested.filter(c => !config.analysis.supportedDimensions.includes(EvaluationDimensions.toDimension(c)));
+  if (unknown.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: `Unknown evaluation criteria: ${unknown.join(', ')}`,
+          dimensions: config.analysis.supportedDimensions
+        }
+      }
+    };
+  }
+  const filteredCriteria = [...new Set(requested.map(EvaluationDimensions.toDimension))];
+
+  // ZIP uploads are expanded so the whole class is processed as one batch
+  const { files: batch, archiveEntries } = await fileUploadHandler.expandUploads(files);
+
+  if (batch.length === 0) {
+    return { error: { status: 400, body: { error: 'No processable files found in upload', archiveEntries } } };
+  }
+
+  return {
+    batch,
+    archiveEntries,
+    roster,
+    assignment,
+    gradeScale: scale,
+    templateText: selectedTemplateText,
+    assignmentDetails: {
+      classId: classId || null,
+      title: assignmentTitle,
+      assignmentType: selectedType,
+      evaluationCriteria: filteredCriteria,
+      dueDate: dueDate || null,
+      rubricId: selectedRubricId,
+      vocabulary: selectedVocabulary,
+      templateText: selectedTemplateText,
+      requiredConcepts: selectedConcepts
+    },
+    options: {
+      assignmentType: selectedType,
+      evaluationCriteria: filteredCriteria,
+      includeSuggestions: criteria.includes('includeSuggestions'),
+      dueDate: dueDate || null,
+      gradeLevel: selectedGradeLevel,
+      vocabulary: selectedVocabulary,
+      // The template text is the prompt relevance is measured against
+      prompt: selectedTemplateText,
+      requiredConcepts: selectedConcepts,
+      // Submissions are checked for passages copied from the assignment's source texts
+      sources: assignment ? feedbackStore.listSources(assignment.id, { withText: true }) : [],
+      // Worksheets are graded against the assignment's answer key
+      answerKey: assignment?.answerKey || null,
+      rubric,
+      // A rubric sets its own weights, so a calibration only applies without one
+      calibration: rubric ? null : assignment?.calibration || null,
+      roster
+    }
+  };
+}
+
+/**
+ * Response body for a processed batch
+ */
+function summarizeBatch(results, { batch, archiveEntries, roster, gradeScale, templateText }) {
+  // Results follow batch order, so accepted archive entries line up with archive results
+  const archiveResults = results.filter((result, index) => batch[index].archive);
+  archiveEntries
+    .filter(entry => entry.status === 'accepted')
+    .forEach((entry, index) => {
+      const result = archiveResults[index];
+      // Entries after a cancellation have no result
+      if (!result) return;
+      entry.status = result.status === 'success' ? 'processed' : 'failed';
+      if (result.error) entry.reason = result.error;
+    });
+
+  return {
+    success: true,
+    processedCount: results.length,
+    extractionFailures: results.filter(r => r.errorStage === 'extraction').length,
+    analysisFailures: results.filter(r => r.errorStage === 'analysis').length,
+    cachedCount: results.filter(r => r.analysis?.metadata?.cached).length,
+    rejectedCount: archiveEntries.filter(entry => entry.status === 'rejected').length,
+    archiveEntries,
+    roster: roster ? feedbackProcessor.rosterMatcher.summarize(results, roster) : null,
+    similarity: feedbackProcessor.similarityDetector.compare(results, { templateText }),
+    // Which answer-key questions the class missed most
+    itemAnalysis: AnswerKey.itemAnalysis(results),
+    gradeScale: gradeScale.describe(),
+    results: results.map(result => ({ ...result, grade: gradeScale.grade(result.analysis?.overallQuality) }))
+  };
+}
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Save a processed batch so it can be re-opened later. Storage problems are
+ * logged rather than failing the request; the teacher still gets the results.
+ * Original DOCX files are kept so feedback can be returned as comments in them.
+ */
+async function recordBatch(response, prepared, status = 'completed') {
+  // IDs are given up front so each result can link to its score explanations
+  response = { ...response, results: response.results.map(result => ({ submissionId: uuidv4(), ...result })) };
+  try {
+    const documents = {};
+    // Results follow batch order
+    for (const [index, result] of response.results.entries()) {
+      const file = prepared.batch[index];
+      if (result.status === 'success' && fileUploadHandler.resolveMimeType(file.originalname, file.mimetype) === DOCX_MIME_TYPE) {
+        documents[result.submissionId] = await fileUploadHandler.readSource(file.path || file.buffer);
+      }
+    }
+
+    const assignment = prepared.assignment || feedbackStore.createAssignment(prepared.assignmentDetails);
+    if (prepared.assignment && prepared.options.vocabulary.length > assignment.vocabulary.length) {
+      feedbackStore.setAssignmentVocabulary(assignment.id, prepared.options.vocabulary);
+    }
+    if (prepared.assignment && prepared.templateText !== assignment.templateText) {
+      feedbackStore.setAssignmentTemplateText(assignment.id, prepared.templateText);
+    }
+    if (prepared.assignment && JSON.stringify(prepared.options.requiredConcepts) !== JSON.stringify(assignment.requiredConcepts)) {
+      feedbackStore.setAssignmentRequiredConcepts(assignment.id, prepared.options.requiredConcepts);
+    }
+    const batchId = feedbackStore.saveBatch(assignment.id, response, { status, documents });
+    response.results.forEach(result => {
+      result.hasDocument = Boolean(documents[result.submissionId]);
+    });
+    return { ...response, batchId, assignmentId: assignment.id };
+  } catch (error) {
+    console.error('❌ Failed to save batch:', error);
+    return { ...response, batchId: null, assignmentId: null };
+  }
+}
+
+// Upload and process files, holding the request open until the batch is done
 app.post('/api/upload', (req, res) => {
   upload(req, res, async (err) => {
+    const files = req.files || [];
+
     try {
       if (err) {
         console.error('File upload error:', err);
@@ -96,79 +389,849 @@ app.post('/api/upload', (req, res) => {
         });
       }
 
-      const files = req.files;
-      const { assignmentType, evaluationCriteria } = req.body;
-      
-      if (!files || files.length === 0) {
-        return res.status(400).json({ error: 'No files provided' });
+      const prepared = await prepareBatch(req, files);
+      if (prepared.error) {
+        return res.status(prepared.error.status).json(prepared.error.body);
       }
 
-      // Parse evaluation criteria if it's a JSON string
-      let criteria = ['structure', 'creativity', 'accuracy', 'presentation'];
-      try {
-        if (evaluationCriteria) {
-          criteria = JSON.parse(evaluationCriteria);
-        }
-      } catch (e) {
-        console.warn('Error parsing evaluation criteria, using default', e);
-      }
-
-      // Filter out includeSuggestions from criteria as it's not an evaluation dimension
-      const filteredCriteria = Array.isArray(criteria) 
-        ? criteria.filter(c => c !== 'includeSuggestions')
-        : ['structure', 'creativity', 'accuracy', 'presentation'];
-
-      // Read file contents and prepare for processing
-      const filesWithContent = await Promise.all(files.map(async (file) => {
-        const fs = await import('fs/promises');
-        const buffer = await fs.readFile(file.path);
-        return {
-          path: file.path,
-          originalname: file.originalname,
-          mimetype: file.mimetype,
-          size: file.size,
-          buffer: buffer,
-          content: buffer.toString('utf8')
-        };
-      }));
+      // Text is extracted per file by the FileUploadHandler pipeline
+      const results = await feedbackProcessor.processBulkAssignments(prepared.batch, prepared.options);
+
+      res.json(await recordBatch(summarizeBatch(results, prepared), prepared));
+    } catch (error) {
+      console.error('Error processing files:', error);
+      res.status(500).json({ 
+        error: 'Failed to process files', 
+        details: error.message 
+      });
+    } finally {
+      await fileUploadHandler.removeUploadedFiles(files);
+    }
+  });
+});
+
+// Submit a batch as a background job; progress is available from /api/jobs/:id and its event stream
+app.post('/api/jobs', (req, res) => {
+  upload(req, res, async (err) => {
+    const files = req.files || [];
+    let submitted = false;
+
+    try {
+      if (err) {
+        console.error('File upload error:', err);
+        return res.status(400).json({ 
+          error: 'File upload failed',
+          details: err.message 
+        });
+      }
+
+      const prepared = await prepareBatch(req, files);
+      if (prepared.error) {
+        return res.status(prepared.error.status).json(prepared.error.body);
+      }
 
-      const results = await feedbackProcessor.processBulkAssignments(
-        filesWithContent,
-        {
-          assignmentType: assignmentType || 'general',
-          evaluationCriteria: filteredCriteria,
-          includeSuggestions: criteria.includes('includeSuggestions')
+      const job = jobManager.submit(
+        prepared.batch.map(file => file.originalname),
+        async ({ signal, onProgress }) => {
+          const results = await feedbackProcessor.processBulkAssignments(
+            prepared.batch,
+            { ...prepared.options, signal, onProgress }
+          );
+          return recordBatch(summarizeBatch(results, prepared), prepared, signal.aborted ? 'cancelled' : 'completed');
         }
       );
+      submitted = true;
 
-      res.json({
+      // Uploaded files are needed until the job stops, however it stops
+      const unsubscribe = jobManager.subscribe(job.id, () => {
+        if (jobManager.isFinished(job.id)) {
+          unsubscribe();
+          fileUploadHandler.removeUploadedFiles(files);
+        }
+      });
+
+      res.status(202).json({
         success: true,
-        processedCount: results.length,
-        results: results
+        jobId: job.id,
+        job,
+        archiveEntries: prepared.archiveEntries
       });
     } catch (error) {
-      console.error('Error processing files:', error);
+      console.error('Error submitting job:', error);
       res.status(500).json({ 
-        error: 'Failed to process files', 
+        error: 'Failed to submit job', 
         details: error.message 
       });
+    } finally {
+      if (!submitted) {
+        await fileUploadHandler.removeUploadedFiles(files);
+      }
+    }
+  });
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobManager.list() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json(job);
+});
+
+// Server-Sent Events stream of a job's progress, ending once the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // The first event is the current state, so late subscribers catch up
+  const { result, ...snapshot } = job;
+  send('snapshot', { type: 'snapshot', job: snapshot });
+  if (jobManager.isFinished(job.id)) {
+    send(job.status, { type: job.status, job: snapshot });
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream during long files
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = jobManager.subscribe(job.id, (event) => {
+    send(event.type, event);
+    if (jobManager.isFinished(job.id)) {
+      close();
+      res.end();
+    }
+  });
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', close);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobManager.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json({ success: true, job });
+});
+
+// Configure multer for roster CSV uploads (kept in memory; rosters are small)
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+}).single('roster');
+
+// Upload or replace a class roster (CSV with id, name, email and section columns)
+app.post('/api/rosters', (req, res) => {
+  rosterUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'Roster upload failed', details: err.message });
+    }
+
+    const { classId, csv } = req.body;
+    const source = req.file ? req.file.buffer : csv;
+
+    if (!classId) {
+      return res.status(400).json({ error: 'classId is required' });
+    }
+    if (!source) {
+      return res.status(400).json({ error: 'No roster CSV provided' });
+    }
+
+    try {
+      const roster = rosterStore.importCSV(classId, source);
+      res.json({ success: true, roster: roster.describe() });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid roster', details: error.message });
+    }
+  });
+});
+
+app.get('/api/rosters', (req, res) => {
+  res.json({ rosters: rosterStore.list() });
+});
+
+app.get('/api/rosters/:classId', (req, res) => {
+  const roster = rosterStore.get(req.params.classId);
+  if (!roster) {
+    return res.status(404).json({ error: `No roster uploaded for class ${req.params.classId}` });
+  }
+  res.json(roster.toJSON());
+});
+
+// Manually assign an unmatched or ambiguous submission to a roster student
+app.post('/api/rosters/:classId/assignments', (req, res) => {
+  const roster = rosterStore.get(req.params.classId);
+  if (!roster) {
+    return res.status(404).json({ error: `No roster uploaded for class ${req.params.classId}` });
+  }
+
+  try {
+    const { fileName, studentId } = req.body;
+    const student = roster.assign(fileName, studentId);
+    rosterStore.save(roster);
+    res.json({ success: true, fileName, student });
+  } catch (error) {
+    res.status(400).json({ error: 'Assignment failed', details: error.message });
+  }
+});
+
+app.get('/api/classes', (req, res) => {
+  res.json({
+    classes: feedbackStore.listClasses().map(({ roster, ...stored }) => ({
+      ...stored,
+      studentCount: roster ? roster.students.length : 0
+    }))
+  });
+});
+
+// Set the grade scale used for a class's reports: { type, outOf }; { type: null } restores the default
+app.put('/api/classes/:classId/grade-scale', (req, res) => {
+  try {
+    const gradeScale = req.body.type ? GradeScale.from(req.body, config.feedback.scoreThresholds) : null;
+    const stored = feedbackStore.setClassGradeScale(req.params.classId, gradeScale ? gradeScale.toJSON() : null);
+    res.json({ success: true, classId: stored.classId, gradeScale: resolveGradeScale(null, stored.classId).describe() });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid grade scale', details: error.message });
+  }
+});
+
+app.get('/api/grade-scales', (req, res) => {
+  res.json({ gradeScales: GradeScale.list(), scoreThresholds: config.feedback.scoreThresholds });
+});
+
+// Grammar rules with the grade levels they apply to; ?gradeLevel= marks which run for that grade
+app.get('/api/grammar-rules', (req, res) => {
+  let gradeLevel;
+  try {
+    gradeLevel = parseGradeLevel(req.query.gradeLevel);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const active = feedbackProcessor.grammarChecker.rulesFor(gradeLevel);
+  res.json({
+    gradeLevel,
+    rules: Object.keys(GrammarChecker.RULES).map(id => ({
+      ...feedbackProcessor.grammarChecker.ruleSettings(id),
+      active: active.includes(id)
+    }))
+  });
+});
+
+app.get('/api/assignments', (req, res) => {
+  res.json({ assignments: feedbackStore.listAssignments({ classId: req.query.classId }) });
+});
+
+// Create an assignment ahead of its first batch, e.g. to calibrate it:
+// { title, classId, assignmentType, evaluationCriteria, vocabulary, templateText, requiredConcepts }
+app.post('/api/assignments', (req, res) => {
+  const { title, classId, assignmentType = config.analysis.defaultAssignmentType, evaluationCriteria = config.analysis.defaultEvaluationCriteria } = req.body;
+  if (!config.analysis.supportedAssignmentTypes.includes(assignmentType)) {
+    return res.status(400).json({ error: `Unsupported assignment type: ${assignmentType}` });
+  }
+  const criteria = Array.isArray(evaluationCriteria) ? evaluationCriteria.map(EvaluationDimensions.toDimension) : [];
+  if (criteria.some(dimension => !config.analysis.supportedDimensions.includes(dimension))) {
+    return res.status(400).json({ error: 'Unknown evaluation criteria', dimensions: config.analysis.supportedDimensions });
+  }
+
+  let vocabulary;
+  let templateText;
+  let requiredConcepts;
+  try {
+    vocabulary = SpellChecker.parseVocabulary(req.body.vocabulary);
+    templateText = parseTemplateText(req.body.templateText);
+    requiredConcepts = PromptRelevance.parseConcepts(req.body.requiredConcepts);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.status(201).json({
+    success: true,
+    assignment: feedbackStore.createAssignment({ title, classId, assignmentType, evaluationCriteria: criteria, vocabulary, templateText, requiredConcepts })
+  });
+});
+
+// Replace the words the spell checker accepts for an assignment, such as
+// character names and technical terms: { vocabulary: [...] } or a comma-separated string
+app.put('/api/assignments/:id/vocabulary', (req, res) => {
+  let vocabulary;
+  try {
+    vocabulary = SpellChecker.parseVocabulary(req.body.vocabulary);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const assignment = feedbackStore.setAssignmentVocabulary(req.params.id, vocabulary);
+  if (!assignment) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ success: true, assignment });
+});
+
+// Replace the prompt or template text students were given ({ templateText }; null removes it).
+// Passages from it are not counted when submissions are compared with each other.
+app.put('/api/assignments/:id/template', (req, res) => {
+  let templateText;
+  try {
+    templateText = parseTemplateText(req.body.templateText ?? null);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const assignment = feedbackStore.setAssignmentTemplateText(req.params.id, templateText);
+  if (!assignment) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ success: true, assignment });
+});
+
+// Replace the concepts students are expected to address: { requiredConcepts: [...] }
+// or a comma-separated string, with alternatives separated by "|" ("evaporation | vapour")
+app.put('/api/assignments/:id/concepts', (req, res) => {
+  let requiredConcepts;
+  try {
+    requiredConcepts = PromptRelevance.parseConcepts(req.body.requiredConcepts);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const assignment = feedbackStore.setAssignmentRequiredConcepts(req.params.id, requiredConcepts);
+  if (!assignment) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ success: true, assignment });
+});
+
+// Add source texts students read for an assignment: multipart `files` (one
+// source each) and/or pasted `text`, with an optional `title` and `author` for
+// a single source. Later uploads filed under the assignment are checked for
+// passages copied from them.
+app.post('/api/assignments/:id/sources', (req, res) => {
+  upload(req, res, async (err) => {
+    const files = req.files || [];
+
+    try {
+      if (err) {
+        return res.status(400).json({ error: 'File upload failed', details: err.message });
+      }
+
+      const assignment = feedbackStore.getAssignment(req.params.id);
+      if (!assignment) {
+        return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+      }
+
+      const { text, title, author } = req.body;
+      let extracted;
+      try {
+        const { files: documents } = await fileUploadHandler.expandUploads(files);
+        extracted = await Promise.all(documents.map(async (file) => ({
+          title: path.parse(file.originalname).name,
+          fileName: file.originalname,
+          text: (await feedbackProcessor.extractSubmission(file)).text
+        })));
+      } catch (error) {
+        return res.status(400).json({ error: 'Could not read source text', details: error.message });
+      }
+      if (text?.trim()) {
+        extracted.push({ title: 'Pasted text', fileName: null, text: text.trim() });
+      }
+      if (extracted.length === 0) {
+        return res.status(400).json({ error: 'No source files or text provided' });
+      }
+
+      // A title or author given with a single source names it
+      const single = extracted.length === 1;
+      const sources = extracted.map(source => feedbackStore.addSource(assignment.id, {
+        ...source,
+        title: (single && title?.trim()) || source.title,
+        author: (single && author?.trim()) || null
+      }));
+      res.status(201).json({ success: true, sources });
+    } catch (error) {
+      console.error('Error adding source texts:', error);
+      res.status(500).json({ error: 'Failed to add source texts', details: error.message });
+    } finally {
+      await fileUploadHandler.removeUploadedFiles(files);
+    }
+  });
+});
+
+app.get('/api/assignments/:id/sources', (req, res) => {
+  if (!feedbackStore.getAssignment(req.params.id)) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ sources: feedbackStore.listSources(req.params.id) });
+});
+
+app.delete('/api/assignments/:id/sources/:sourceId', (req, res) => {
+  if (!feedbackStore.deleteSource(req.params.id, req.params.sourceId)) {
+    return res.status(404).json({ error: `Source ${req.params.sourceId} not found for assignment ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
+
+// Attach a rubric to an assignment ({ rubricId }); later uploads filed under it are scored with it
+app.put('/api/assignments/:id/rubric', (req, res) => {
+  try {
+    const assignment = feedbackStore.setAssignmentRubric(req.params.id, req.body.rubricId || null);
+    if (!assignment) {
+      return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+    }
+    res.json({ success: true, assignment });
+  } catch (error) {
+    res.status(400).json({ error: 'Could not attach rubric', details: error.message });
+  }
+});
+
+// Fit dimension weights and level cut points to hand-graded samples: multipart
+// `files`, `grades` (CSV with file and grade columns, or JSON of file name to
+// grade) and optional `levels` (lowest first). Pass save=false to preview.
+app.post('/api/assignments/:id/calibration', (req, res) => {
+  upload(req, res, async (err) => {
+    const files = req.files || [];
+
+    try {
+      if (err) {
+        return res.status(400).json({ error: 'File upload failed', details: err.message });
+      }
+
+      const assignment = feedbackStore.getAssignment(req.params.id);
+      if (!assignment) {
+        return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+      }
+      if (assignment.rubricId) {
+        return res.status(400).json({ error: 'This assignment is scored with a rubric; detach it before calibrating' });
+      }
+      if (!req.body.grades) {
+        return res.status(400).json({ error: 'No grades provided' });
+      }
+
+      let calibration;
+      try {
+        const { files: samples } = await fileUploadHandler.expandUploads(files);
+        const { levels } = req.body;
+        calibration = await feedbackProcessor.calibrate(samples, {
+          grades: Calibration.parseGrades(req.body.grades),
+          levels: levels ? (levels.trim().startsWith('[') ? JSON.parse(levels) : levels.split(',')) : null,
+          assignmentType: assignment.assignmentType,
+          evaluationCriteria: assignment.evaluationCriteria.length > 0 ? assignment.evaluationCriteria : config.analysis.supportedDimensions,
+          prompt: assignment.templateText,
+          requiredConcepts: assignment.requiredConcepts
+        });
+      } catch (error) {
+        return res.status(400).json({ error: 'Calibration failed', details: error.message });
+      }
+
+      const saved = req.body.save !== 'false';
+      if (saved) {
+        feedbackStore.setAssignmentCalibration(assignment.id, calibration.toJSON());
+      }
+      res.json({ success: true, saved, calibration });
+    } catch (error) {
+      console.error('Error calibrating assignment:', error);
+      res.status(500).json({ error: 'Failed to calibrate assignment', details: error.message });
+    } finally {
+      await fileUploadHandler.removeUploadedFiles(files);
+    }
+  });
+});
+
+app.get('/api/assignments/:id/calibration', (req, res) => {
+  const assignment = feedbackStore.getAssignment(req.params.id);
+  if (!assignment?.calibration) {
+    return res.status(404).json({ error: `No calibration for assignment ${req.params.id}` });
+  }
+  res.json(assignment.calibration);
+});
+
+// Return an assignment to the default weights
+app.delete('/api/assignments/:id/calibration', (req, res) => {
+  const assignment = feedbackStore.setAssignmentCalibration(req.params.id, null);
+  if (!assignment) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ success: true, assignment });
+});
+
+const answerKeyUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+}).single('answerKey');
+
+// Set the answer key worksheets filed under an assignment are graded against:
+// JSON { title, questions: [{ question, answers, type, tolerance, keywords, minKeywords, points }] },
+// or a CSV with a row per question as multipart `answerKey` or a `csv` field
+app.put('/api/assignments/:id/answer-key', (req, res) => {
+  answerKeyUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'Answer key upload failed', details: err.message });
+    }
+    if (!feedbackStore.getAssignment(req.params.id)) {
+      return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+    }
+
+    const { csv, title } = req.body;
+    const source = req.file ? req.file.buffer : csv;
+    let answerKey;
+    try {
+      answerKey = source
+        ? AnswerKey.fromCSV(source, { title: title || (req.file ? path.parse(req.file.originalname).name : '') })
+        : new AnswerKey(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid answer key', details: error.message });
     }
+
+    const assignment = feedbackStore.setAssignmentAnswerKey(req.params.id, answerKey.toJSON());
+    res.json({ success: true, answerKey: { ...answerKey.toJSON(), ...answerKey.describe() }, assignment });
   });
 });
 
-// Generate feedback report
+app.get('/api/assignments/:id/answer-key', (req, res) => {
+  const assignment = feedbackStore.getAssignment(req.params.id);
+  if (!assignment?.answerKey) {
+    return res.status(404).json({ error: `No answer key for assignment ${req.params.id}` });
+  }
+  const answerKey = new AnswerKey(assignment.answerKey);
+  res.json({ ...answerKey.toJSON(), ...answerKey.describe() });
+});
+
+// Stop grading an assignment's worksheets for accuracy
+app.delete('/api/assignments/:id/answer-key', (req, res) => {
+  const assignment = feedbackStore.setAssignmentAnswerKey(req.params.id, null);
+  if (!assignment) {
+    return res.status(404).json({ error: `Assignment ${req.params.id} not found` });
+  }
+  res.json({ success: true, assignment });
+});
+
+// Create a rubric: { title, description, criteria: [{ name, dimension, weight, levels: [{ label, descriptor, points, minScore }] }] }
+app.post('/api/rubrics', (req, res) => {
+  try {
+    const { id, ...definition } = req.body;
+    const rubric = feedbackStore.saveRubric(new Rubric(definition).toJSON());
+    res.status(201).json({ success: true, rubric });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid rubric', details: error.message });
+  }
+});
+
+const rubricUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+}).single('rubric');
+
+// Import a rubric spreadsheet (CSV with a row per criterion and a column per level)
+app.post('/api/rubrics/import', (req, res) => {
+  rubricUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'Rubric upload failed', details: err.message });
+    }
+
+    const { csv, description } = req.body;
+    const source = req.file ? req.file.buffer : csv;
+    const title = req.body.title || (req.file ? path.parse(req.file.originalname).name : '');
+
+    if (!source) {
+      return res.status(400).json({ error: 'No rubric CSV provided' });
+    }
+
+    try {
+      const rubric = feedbackStore.saveRubric(Rubric.fromCSV(source, { title, description }).toJSON());
+      res.status(201).json({ success: true, rubric });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid rubric', details: error.message });
+    }
+  });
+});
+
+app.get('/api/rubrics', (req, res) => {
+  res.json({
+    rubrics: feedbackStore.listRubrics().map(stored => new Rubric(stored).describe()),
+    dimensions: Rubric.DIMENSIONS,
+    subAnalyses: Rubric.SUB_ANALYSES
+  });
+});
+
+app.get('/api/rubrics/:id', (req, res) => {
+  const rubric = feedbackStore.getRubric(req.params.id);
+  if (!rubric) {
+    return res.status(404).json({ error: `Rubric ${req.params.id} not found` });
+  }
+  res.json(rubric);
+});
+
+// Download a rubric in the spreadsheet layout /api/rubrics/import reads
+app.get('/api/rubrics/:id/export', (req, res) => {
+  const rubric = feedbackStore.getRubric(req.params.id);
+  if (!rubric) {
+    return res.status(404).json({ error: `Rubric ${req.params.id} not found` });
+  }
+
+  res.type('text/csv');
+  res.attachment(`${rubric.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'rubric'}.csv`);
+  res.send(new Rubric(rubric).toCSV());
+});
+
+// Replace a rubric; submissions are re-scored with it on their next upload
+app.put('/api/rubrics/:id', (req, res) => {
+  if (!feedbackStore.getRubric(req.params.id)) {
+    return res.status(404).json({ error: `Rubric ${req.params.id} not found` });
+  }
+
+  try {
+    const rubric = feedbackStore.saveRubric(new Rubric({ ...req.body, id: req.params.id }).toJSON());
+    res.json({ success: true, rubric });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid rubric', details: error.message });
+  }
+});
+
+app.delete('/api/rubrics/:id', (req, res) => {
+  if (!feedbackStore.deleteRubric(req.params.id)) {
+    return res.status(404).json({ error: `Rubric ${req.params.id} not found` });
+  }
+  res.json({ success: true });
+});
+
+// Past batches, newest first; filter with ?classId= or ?assignmentId=
+app.get('/api/batches', (req, res) => {
+  res.json({
+    batches: feedbackStore.listBatches({ classId: req.query.classId, assignmentId: req.query.assignmentId })
+  });
+});
+
+// Re-open a stored batch, in the same shape as the upload response
+app.get('/api/batches/:id', (req, res) => {
+  const batch = feedbackStore.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+  }
+  res.json({ success: true, ...batch, reports: feedbackStore.listReports(batch.batchId) });
+});
+
+app.delete('/api/batches/:id', (req, res) => {
+  if (!feedbackStore.deleteBatch(req.params.id)) {
+    return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+  }
+  res.json({ success: true });
+});
+
+// One submission including its extracted text
+app.get('/api/batches/:id/submissions/:submissionId', (req, res) => {
+  const submission = feedbackStore.getSubmission(req.params.id, req.params.submissionId);
+  if (!submission) {
+    return res.status(404).json({ error: `Submission ${req.params.submissionId} not found` });
+  }
+  res.json(submission);
+});
+
+// The rules behind one dimension's score, with the text each rule matched
+app.get('/api/submissions/:id/explain/:dimension', async (req, res) => {
+  const submission = feedbackStore.getSubmissionById(req.params.id);
+  if (!submission) {
+    return res.status(404).json({ error: `Submission ${req.params.id} not found` });
+  }
+  const dimension = EvaluationDimensions.toDimension(req.params.dimension);
+  if (!dimension) {
+    return res.status(400).json({
+      error: `Unknown evaluation dimension: ${req.params.dimension}`,
+      dimensions: Object.keys(EvaluationDimensions.DEFAULT_WEIGHTS)
+    });
+  }
+  const result = submission.analysis?.dimensionScores?.[dimension];
+  if (!result || !submission.extractedText) {
+    return res.status(404).json({ error: `${EvaluationDimensions.label(dimension)} was not evaluated for ${submission.fileName}` });
+  }
+
+  try {
+    const assignmentType = submission.analysis.metadata?.assignmentType || submission.assignment?.assignmentType;
+    const explanation = await new EvaluationDimensions().explain(submission.extractedText, dimension, assignmentType, result, {
+      prompt: submission.assignment?.templateText,
+      requiredConcepts: submission.assignment?.requiredConcepts
+    });
+    res.json({ success: true, submissionId: submission.submissionId, fileName: submission.fileName, ...explanation });
+  } catch (error) {
+    console.error('Explanation error:', error);
+    res.status(500).json({ error: 'Failed to explain score', details: error.message });
+  }
+});
+
+/**
+ * Student data for annotated DOCX feedback, graded on the batch's scale
+ */
+function annotatedDocxEntry(submission, batch) {
+  const gradeScale = reportGenerator.gradeScaleFor({
+    gradeScale: batch.gradeScale || resolveGradeScale(null, batch.assignment?.classId)
+  });
+  return {
+    studentData: reportGenerator.prepareStudentData(submission, gradeScale),
+    document: feedbackStore.getSubmissionDocument(submission.submissionId),
+    text: submission.extractedText
+  };
+}
+
+/**
+ * 400 body for an unknown ?minSeverity=, or null
+ */
+function minSeverityError(minSeverity) {
+  if (minSeverity === undefined || Annotation.SEVERITIES.includes(minSeverity)) return null;
+  return { error: `Unknown annotation severity: ${minSeverity}`, severities: Annotation.SEVERITIES };
+}
+
+// A student's own DOCX with the feedback added as Word comments; ?minSeverity= leaves out milder annotations
+app.get('/api/submissions/:id/annotated-docx', async (req, res) => {
+  const submission = feedbackStore.getSubmissionById(req.params.id);
+  if (!submission) {
+    return res.status(404).json({ error: `Submission ${req.params.id} not found` });
+  }
+  const severityError = minSeverityError(req.query.minSeverity);
+  if (severityError) {
+    return res.status(400).json(severityError);
+  }
+  const entry = annotatedDocxEntry(submission, feedbackStore.getBatch(submission.batchId));
+  if (!entry.document) {
+    return res.status(404).json({ error: `No DOCX was kept for ${submission.fileName}; only Word uploads can be annotated` });
+  }
+
+  try {
+    const report = await reportGenerator.generateIndividualReport(entry.studentData, {
+      format: 'docx',
+      document: entry.document,
+      text: entry.text,
+      minSeverity: req.query.minSeverity
+    });
+    res.type(DOCX_MIME_TYPE);
+    res.attachment(`${path.parse(submission.fileName).name} - feedback.docx`);
+    res.send(report.content);
+  } catch (error) {
+    console.error('Annotated DOCX error:', error);
+    res.status(500).json({ error: 'Failed to annotate document', details: error.message });
+  }
+});
+
+// Every kept DOCX in a batch, annotated, as one zip for the class
+app.get('/api/batches/:id/annotated-docx', async (req, res) => {
+  const batch = feedbackStore.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+  }
+  const severityError = minSeverityError(req.query.minSeverity);
+  if (severityError) {
+    return res.status(400).json(severityError);
+  }
+  const entries = batch.results
+    .filter(result => result.hasDocument && result.status === 'success')
+    .map(result => annotatedDocxEntry(feedbackStore.getSubmission(batch.batchId, result.submissionId), batch));
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No DOCX submissions in this batch; only Word uploads can be annotated' });
+  }
+
+  try {
+    const archive = await reportGenerator.generateAnnotatedArchive(entries, { minSeverity: req.query.minSeverity });
+    res.type('application/zip');
+    res.attachment(archive.fileName);
+    res.send(archive.content);
+  } catch (error) {
+    console.error('Annotated DOCX error:', error);
+    res.status(500).json({ error: 'Failed to annotate documents', details: error.message });
+  }
+});
+
+// Regenerate a report from a stored batch without re-uploading its files
+app.post('/api/batches/:id/reports', async (req, res) => {
+  const batch = feedbackStore.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+  }
+
+  try {
+    const { reportFormat, includeSuggestions, gradeScale } = req.body;
+    const report = await reportGenerator.generateReport(batch.results, {
+      format: reportFormat || config.reports.defaultFormat,
+      includeSuggestions: includeSuggestions !== false,
+      // Reports keep the scale the batch was graded on unless another is asked for
+      gradeScale: gradeScale || batch.gradeScale || resolveGradeScale(null, batch.assignment?.classId),
+      // Stored results have no extracted text, so the comparison made when the batch ran is reused
+      similarity: batch.similarity || null
+    });
+    const stored = feedbackStore.saveReport(batch.batchId, report);
+
+    res.json({ success: true, report: { ...report, ...stored } });
+  } catch (error) {
+    console.error('Error generating report:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate report', 
+      details: error.message 
+    });
+  }
+});
+
+app.get('/api/batches/:id/reports', (req, res) => {
+  if (!feedbackStore.getBatch(req.params.id)) {
+    return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+  }
+  res.json({ reports: feedbackStore.listReports(req.params.id) });
+});
+
+const REPORT_CONTENT_TYPES = {
+  html: 'text/html',
+  pdf: 'text/html',
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+// Download a stored report
+app.get('/api/reports/:id', (req, res) => {
+  const report = feedbackStore.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: `Report ${req.params.id} not found` });
+  }
+
+  res.type(REPORT_CONTENT_TYPES[report.format] || 'text/plain');
+  if (req.query.download) {
+    res.attachment(report.fileName);
+  }
+  res.send(report.content);
+});
+
+// Generate feedback report; pass batchId to keep the report with a stored batch
 app.post('/api/generate-report', async (req, res) => {
   try {
-    const { analysisResults, reportFormat, includeSuggestions } = req.body;
+    const { analysisResults, reportFormat, includeSuggestions, batchId, classId, gradeScale } = req.body;
+    
+    const batch = batchId ? feedbackStore.getBatch(batchId) : null;
     
     const report = await reportGenerator.generateReport(analysisResults, {
-      format: reportFormat || 'html',
-      includeSuggestions: includeSuggestions !== false
+      format: reportFormat || config.reports.defaultFormat,
+      includeSuggestions: includeSuggestions !== false,
+      gradeScale: resolveGradeScale(gradeScale, classId),
+      similarity: batch?.similarity,
+      templateText: batch?.assignment?.templateText
     });
+    const stored = batch ? feedbackStore.saveReport(batchId, report) : null;
 
     res.json({
       success: true,
-      report: report
+      report: stored ? { ...report, ...stored } : report
     });
   } catch (error) {
     console.error('Error generating report:', error);
@@ -181,24 +1244,25 @@ app.post('/api/generate-report', async (req, res) => {
 
 // Get supported file types
 app.get('/api/supported-types', (req, res) => {
+  const extensions = [...config.fileUpload.allowedExtensions, '.zip'];
+  const descriptions = {
+    essay: 'Written essays and compositions',
+    worksheet: 'Worksheet responses and answers',
+    report: 'Research reports and projects',
+    creative: 'Creative writing and stories',
+    analysis: 'Analysis and critical thinking responses',
+    general: 'Any other written work'
+  };
+
   res.json({
-    supportedTypes: [
-      { type: 'essay', extensions: ['.txt', '.docx', '.pdf'], description: 'Written essays and compositions' },
-      { type: 'worksheet', extensions: ['.txt', '.docx', '.pdf'], description: 'Worksheet responses and answers' },
-      { type: 'report', extensions: ['.txt', '.docx', '.pdf'], description: 'Research reports and projects' },
-      { type: 'creative', extensions: ['.txt', '.docx', '.pdf'], description: 'Creative writing and stories' },
-      { type: 'analysis', extensions: ['.txt', '.docx', '.pdf'], description: 'Analysis and critical thinking responses' }
-    ],
-    evaluationDimensions: [
-      'structure',
-      'creativity', 
-      'accuracy',
-      'presentation',
-      'critical_thinking',
-      'originality',
-      'clarity',
-      'depth'
-    ]
+    supportedTypes: config.analysis.supportedAssignmentTypes.map(type => ({ type, extensions, description: descriptions[type] })),
+    evaluationDimensions: config.analysis.supportedDimensions,
+    limits: {
+      maxFileSize: config.fileUpload.maxFileSize,
+      maxFileSizeLabel: Config.formatSize(config.fileUpload.maxFileSize),
+      maxFiles: config.fileUpload.maxFiles
+    },
+    reportFormats: config.reports.supportedFormats
   });
 });
 
@@ -216,9 +1280,9 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-app.listen(PORT, () => {
+app.listen(PORT, config.server.host, () => {
   console.log(`🚀 Bulk Feedback Generator running on port ${PORT}`);
-  console.log(`📝 Visit http://localhost:${PORT} to start using the tool`);
+  console.log(`📝 Visit http://${config.server.host}:${PORT} to start using the tool`);
 });
 
 export default app;
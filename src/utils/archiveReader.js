@@ -0,0 +1,134 @@
+import path from 'path';
+import JSZip from 'jszip';
+
+const DEFAULT_LIMITS = {
+  maxEntries: 500,
+  maxEntrySize: 10 * 1024 * 1024,
+  maxTotalSize: 200 * 1024 * 1024,
+  maxCompressionRatio: 200
+};
+
+// Operating system metadata that archivers add alongside the real files
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX|\.[^/]*|Thumbs\.db|desktop\.ini)(\/|$)/i;
+
+/**
+ * In-memory ZIP expansion with zip-slip and zip-bomb protection.
+ * Entries are never written to disk; each one is inflated into a buffer
+ * under a byte budget so a forged size header cannot exhaust memory.
+ */
+export class ArchiveReader {
+  /**
+   * Read every entry of a ZIP archive
+   * @param {Buffer} buffer - Archive contents
+   * @param {Object} limits - Overrides for DEFAULT_LIMITS
+   * @returns {Array} Entries as { name, status: 'ok'|'rejected'|'skipped', buffer?, reason? }
+   */
+  static async read(buffer, limits = {}) {
+    const { maxEntries, maxEntrySize, maxTotalSize, maxCompressionRatio } = { ...DEFAULT_LIMITS, ...limits };
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error(`Not a valid ZIP archive: ${error.message}`);
+    }
+
+    const files = Object.values(zip.files).filter(entry => !entry.dir);
+    if (files.length > maxEntries) {
+      throw new Error(`Archive contains ${files.length} files; the limit is ${maxEntries}`);
+    }
+
+    // Check the ratio against the whole archive size, which the uploader cannot forge
+    const totalBudget = Math.min(maxTotalSize, buffer.length * maxCompressionRatio);
+    let totalSize = 0;
+    const entries = [];
+
+    for (const entry of files) {
+      // JSZip resolves ".." itself, so check the name exactly as stored in the archive
+      const originalName = entry.unsafeOriginalName || entry.name;
+      const name = ArchiveReader.normalizeEntryName(originalName);
+
+      if (!name) {
+        entries.push({ name: originalName, status: 'rejected', reason: 'Unsafe path outside the archive' });
+        continue;
+      }
+      if (IGNORED_ENTRY_PATTERN.test(name)) {
+        entries.push({ name, status: 'skipped', reason: 'System file' });
+        continue;
+      }
+      if (ArchiveReader.isArchiveName(name)) {
+        entries.push({ name, status: 'rejected', reason: 'Nested archives are not supported' });
+        continue;
+      }
+
+      const budget = Math.min(maxEntrySize, totalBudget - totalSize);
+      const contents = await ArchiveReader.inflate(entry, budget);
+
+      if (!contents) {
+        if (budget < maxEntrySize) {
+          throw new Error('Archive expands beyond the allowed size; it may be a zip bomb');
+        }
+        entries.push({ name, status: 'rejected', reason: `File exceeds the ${Math.round(maxEntrySize / 1024 / 1024)}MB limit` });
+        continue;
+      }
+
+      totalSize += contents.length;
+      entries.push({ name, status: 'ok', buffer: contents, date: entry.date });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Inflate one entry, giving up as soon as it grows past the byte budget
+   * @returns {Buffer|null} Entry contents, or null when the budget was exceeded
+   */
+  static inflate(entry, budget) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = entry.nodeStream('nodebuffer');
+
+      stream.on('data', chunk => {
+        size += chunk.length;
+        if (size > budget) {
+          stream.pause();
+          stream.removeAllListeners('data');
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', error => reject(new Error(`Failed to read ${entry.name}: ${error.message}`)));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  /**
+   * Normalise an entry path, returning null for names that would escape the
+   * extraction root (zip-slip): absolute paths, drive letters or ".." segments
+   */
+  static normalizeEntryName(name) {
+    const unixName = String(name).replace(/\\/g, '/');
+    if (unixName.startsWith('/') || /^[a-z]:/i.test(unixName) || unixName.includes('\0')) {
+      return null;
+    }
+
+    const normalized = path.posix.normalize(unixName);
+    if (normalized === '..' || normalized.startsWith('../') || normalized === '.') {
+      return null;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check whether a file name or MIME type denotes a ZIP archive
+   */
+  static isArchiveName(name, mimeType) {
+    return path.extname(name || '').toLowerCase() === '.zip' ||
+      ['application/zip', 'application/x-zip-compressed'].includes(mimeType);
+  }
+}
+
+export default ArchiveReader;
@@ -0,0 +1,86 @@
+/**
+ * Minimal RFC 4180 CSV reader and writer for teacher-supplied spreadsheets (manifests, rosters, rubrics)
+ */
+export class CSVParser {
+  /**
+   * Parse CSV text into rows of cells
+   * @param {string|Buffer} source - CSV contents
+   * @returns {Array<Array<string>>} Rows, with fully blank lines dropped
+   */
+  static parse(source) {
+    const text = (Buffer.isBuffer(source) ? source.toString('utf8') : String(source)).replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim().length > 0));
+  }
+
+  /**
+   * Parse CSV text into objects keyed by normalised header
+   * ("Student ID" becomes "student_id")
+   */
+  static parseRecords(source) {
+    const [headers = [], ...rows] = CSVParser.parse(source);
+    const keys = headers.map(CSVParser.normalizeHeader);
+
+    return rows.map(cells => Object.fromEntries(
+      keys.map((key, index) => [key, (cells[index] || '').trim()])
+    ));
+  }
+
+  /**
+   * Write rows of cells as CSV, quoting cells that need it
+   * @param {Array<Array>} rows
+   * @returns {string}
+   */
+  static stringify(rows) {
+    return rows.map(cells => cells.map(value => {
+      const cell = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',')).join('\n');
+  }
+
+  /**
+   * Lowercase a header and join its words with underscores
+   */
+  static normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+}
+
+export default CSVParser;
@@ -0,0 +1,88 @@
+import JSZip from 'jszip';
+
+// Elements whose text is not part of the student's writing
+const SKIPPED_ELEMENTS = new Set([
+  'office:annotation', 'text:note-citation', 'text:tracked-changes', 'text:sequence-decls'
+]);
+
+const TAG_PATTERN = /<(\/?)([\w.-]+:[\w.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Plain-text extraction for OpenDocument text files (LibreOffice, OpenOffice)
+ */
+export class ODTParser {
+  /**
+   * Parse an ODT document
+   * @param {Buffer} buffer - ODT file contents
+   * @returns {string} Document text with paragraphs and headings separated by newlines
+   */
+  static async parse(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error(`Not a valid OpenDocument file: ${error.message}`);
+    }
+
+    const content = zip.file('content.xml');
+    if (!content) {
+      throw new Error('OpenDocument file has no content.xml');
+    }
+
+    return ODTParser.extractText(await content.async('string'));
+  }
+
+  /**
+   * Walk content.xml, keeping text runs and turning block elements into line breaks
+   */
+  static extractText(xml) {
+    const body = xml.replace(/<\?xml[^>]*\?>/, '').replace(/<!--[\s\S]*?-->/g, '');
+    let skipDepth = 0;
+    let text = '';
+
+    for (const [, closing, name, attributes, selfClosing, characters] of body.matchAll(TAG_PATTERN)) {
+      if (characters !== undefined) {
+        if (skipDepth === 0) text += ODTParser.decodeEntities(characters);
+        continue;
+      }
+
+      if (SKIPPED_ELEMENTS.has(name)) {
+        if (!selfClosing) skipDepth += closing ? -1 : 1;
+        continue;
+      }
+      if (skipDepth > 0) continue;
+
+      if (closing && (name === 'text:p' || name === 'text:h')) {
+        text += '\n';
+      } else if (name === 'text:tab') {
+        text += '\t';
+      } else if (name === 'text:line-break') {
+        text += '\n';
+      } else if (name === 'text:s') {
+        const count = attributes.match(/text:c="(\d+)"/);
+        text += ' '.repeat(count ? Number(count[1]) : 1);
+      } else if (selfClosing && (name === 'text:p' || name === 'text:h')) {
+        text += '\n';
+      }
+    }
+
+    return text.replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Decode the predefined XML entities and numeric character references
+   */
+  static decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+        return String.fromCodePoint(point);
+      }
+      return XML_ENTITIES[code] ?? entity;
+    });
+  }
+}
+
+export default ODTParser;
@@ -0,0 +1,153 @@
+// Groups whose contents are formatting tables or metadata rather than document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+// Control words that stand for a character
+const CONTROL_CHARACTERS = {
+  par: '\n',
+  sect: '\n',
+  page: '\n',
+  line: '\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  emspace: ' ',
+  enspace: ' ',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const CONTROL_PATTERN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-fA-F]{2})|\\([^a-z])|([{}])|\r?\n|([^\\{}\r\n]+)/gi;
+
+/**
+ * Plain-text extraction for Rich Text Format documents (WordPad, TextEdit, older Word)
+ */
+export class RTFParser {
+  /**
+   * Parse an RTF document
+   * @param {Buffer|string} source - RTF file contents
+   * @returns {string} Document text with paragraphs separated by newlines
+   */
+  static parse(source) {
+    const rtf = Buffer.isBuffer(source) ? source.toString('latin1') : String(source);
+
+    if (!rtf.trimStart().startsWith('{\\rtf')) {
+      throw new Error('Not a valid RTF document');
+    }
+
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1, codePage: 'windows-1252' };
+    let pendingSkip = 0;
+    let bytes = [];
+    let text = '';
+
+    // Hex escapes are code page bytes and multi-byte characters span several escapes
+    const flushBytes = () => {
+      if (bytes.length === 0) return;
+      if (!state.skip) text += RTFParser.decodeBytes(bytes, state.codePage);
+      bytes = [];
+    };
+    const emit = (value) => {
+      flushBytes();
+      if (!state.skip) text += value;
+    };
+
+    for (const match of rtf.matchAll(CONTROL_PATTERN)) {
+      const [token, word, param, hex, symbol, brace, plain] = match;
+
+      // Characters following \uN are fallbacks for readers without Unicode support
+      if (pendingSkip > 0 && (hex || plain)) {
+        if (hex) {
+          pendingSkip--;
+          continue;
+        }
+        const skipped = Math.min(pendingSkip, plain.length);
+        pendingSkip -= skipped;
+        if (skipped === plain.length) continue;
+        emit(plain.slice(skipped));
+        continue;
+      }
+      pendingSkip = 0;
+
+      if (hex) {
+        bytes.push(parseInt(hex, 16));
+        continue;
+      }
+
+      flushBytes();
+
+      if (brace === '{') {
+        stack.push(state);
+        state = { ...state };
+      } else if (brace === '}') {
+        state = stack.pop() || state;
+      } else if (symbol !== undefined) {
+        if (symbol === '*') {
+          state.skip = true;
+        } else if (symbol === '~') {
+          emit(' ');
+        } else if (symbol === '_') {
+          emit('‑');
+        } else if ('\\{}'.includes(symbol)) {
+          emit(symbol);
+        } else if (symbol === '\n' || symbol === '\r') {
+          emit('\n');
+        }
+      } else if (word) {
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'u' && param !== undefined) {
+          const code = Number(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = state.unicodeSkip;
+        } else if (word === 'uc' && param !== undefined) {
+          state.unicodeSkip = Number(param);
+        } else if (word === 'ansicpg' && param !== undefined) {
+          state.codePage = `windows-${param}`;
+        } else if (CONTROL_CHARACTERS[word]) {
+          emit(CONTROL_CHARACTERS[word]);
+        }
+      } else if (plain) {
+        emit(plain);
+      }
+      // Bare line breaks in RTF source are not part of the document text
+    }
+
+    flushBytes();
+    return RTFParser.normalizeWhitespace(text);
+  }
+
+  /**
+   * Decode code page bytes, falling back to Latin-1 for code pages the runtime lacks
+   */
+  static decodeBytes(bytes, codePage) {
+    try {
+      return new TextDecoder(codePage).decode(Uint8Array.from(bytes));
+    } catch {
+      return Buffer.from(bytes).toString('latin1');
+    }
+  }
+
+  /**
+   * Trim trailing spaces on each line and collapse runs of blank lines
+   */
+  static normalizeWhitespace(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[  ]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+export default RTFParser;
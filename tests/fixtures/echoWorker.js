@@ -0,0 +1,12 @@
+import { parentPort } from 'worker_threads';
+
+// Test worker for WorkerPool: replies with the payload after payload.delayMs, or fails on request
+parentPort.on('message', ({ id, payload }) => {
+  setTimeout(() => {
+    if (payload.fail) {
+      parentPort.postMessage({ id, error: { message: payload.fail, stage: 'extraction' } });
+    } else {
+      parentPort.postMessage({ id, result: payload.value });
+    }
+  }, payload.delayMs || 0);
+});
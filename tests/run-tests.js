@@ -44,6 +44,96 @@ if (runUnit) {
     const { default: qualityFeedbackProcessorTest } = await import('./unit/FeedbackProcessor.quality.test.js');
     const qualityTestsPassed = await qualityFeedbackProcessorTest();
     allPassed = allPassed && qualityTestsPassed;
+    
+    // Run student identity tests
+    const { default: identityResolverTest } = await import('./unit/StudentIdentityResolver.test.js');
+    const identityTestsPassed = await identityResolverTest.run();
+    allPassed = allPassed && identityTestsPassed;
+    
+    // Run roster matching tests
+    const { default: rosterMatcherTest } = await import('./unit/RosterMatcher.test.js');
+    const rosterTestsPassed = await rosterMatcherTest.run();
+    allPassed = allPassed && rosterTestsPassed;
+    
+    // Run background job tests
+    const { default: jobManagerTest } = await import('./unit/JobManager.test.js');
+    const jobTestsPassed = await jobManagerTest.run();
+    allPassed = allPassed && jobTestsPassed;
+    
+    // Run worker pool tests
+    const { default: workerPoolTest } = await import('./unit/WorkerPool.test.js');
+    const workerPoolTestsPassed = await workerPoolTest.run();
+    allPassed = allPassed && workerPoolTestsPassed;
+    
+    // Run storage tests
+    const { default: feedbackStoreTest } = await import('./unit/FeedbackStore.test.js');
+    const storeTestsPassed = await feedbackStoreTest.run();
+    allPassed = allPassed && storeTestsPassed;
+    
+    // Run analysis cache tests
+    const { default: analysisCacheTest } = await import('./unit/AnalysisCache.test.js');
+    const cacheTestsPassed = await analysisCacheTest.run();
+    allPassed = allPassed && cacheTestsPassed;
+    
+    // Run rubric tests
+    const { default: rubricTest } = await import('./unit/Rubric.test.js');
+    const rubricTestsPassed = await rubricTest.run();
+    allPassed = allPassed && rubricTestsPassed;
+    
+    // Run grade scale tests
+    const { default: gradeScaleTest } = await import('./unit/GradeScale.test.js');
+    const gradeScaleTestsPassed = await gradeScaleTest.run();
+    allPassed = allPassed && gradeScaleTestsPassed;
+
+    // Run configuration tests
+    const { default: configTest } = await import('./unit/Config.test.js');
+    const configTestsPassed = await configTest.run();
+    allPassed = allPassed && configTestsPassed;
+
+    // Run teacher calibration tests
+    const { default: calibrationTest } = await import('./unit/Calibration.test.js');
+    const calibrationTestsPassed = await calibrationTest.run();
+    allPassed = allPassed && calibrationTestsPassed;
+
+    // Run annotation tests
+    const { default: annotationTest } = await import('./unit/Annotation.test.js');
+    const annotationTestsPassed = await annotationTest.run();
+    allPassed = allPassed && annotationTestsPassed;
+
+    // Run annotated DOCX tests
+    const { default: docxAnnotatorTest } = await import('./unit/DocxAnnotator.test.js');
+    const docxAnnotatorTestsPassed = await docxAnnotatorTest.run();
+    allPassed = allPassed && docxAnnotatorTestsPassed;
+
+    // Run grammar checker tests
+    const { default: grammarCheckerTest } = await import('./unit/GrammarChecker.test.js');
+    const grammarCheckerTestsPassed = await grammarCheckerTest.run();
+    allPassed = allPassed && grammarCheckerTestsPassed;
+
+    // Run spell checker tests
+    const { default: spellCheckerTest } = await import('./unit/SpellChecker.test.js');
+    const spellCheckerTestsPassed = await spellCheckerTest.run();
+    allPassed = allPassed && spellCheckerTestsPassed;
+
+    // Run similarity detector tests
+    const { default: similarityDetectorTest } = await import('./unit/SimilarityDetector.test.js');
+    const similarityDetectorTestsPassed = await similarityDetectorTest.run();
+    allPassed = allPassed && similarityDetectorTestsPassed;
+
+    // Run source matcher tests
+    const { default: sourceMatcherTest } = await import('./unit/SourceMatcher.test.js');
+    const sourceMatcherTestsPassed = await sourceMatcherTest.run();
+    allPassed = allPassed && sourceMatcherTestsPassed;
+
+    // Run prompt relevance tests
+    const { default: promptRelevanceTest } = await import('./unit/PromptRelevance.test.js');
+    const promptRelevanceTestsPassed = await promptRelevanceTest.run();
+    allPassed = allPassed && promptRelevanceTestsPassed;
+
+    // Run answer key tests
+    const { default: answerKeyTest } = await import('./unit/AnswerKey.test.js');
+    const answerKeyTestsPassed = await answerKeyTest.run();
+    allPassed = allPassed && answerKeyTestsPassed;
   } catch (error) {
     console.log(`❌ FeedbackProcessor tests failed to load: ${error.message}`);
     console.error(error);
@@ -60,6 +150,26 @@ if (runUnit) {
       console.log('❌ FileUploadHandler simple tests failed:', error.message);
       allPassed = false;
     }
+
+    // Run FileUploadHandler extraction pipeline tests
+    const { default: fileUploadTest } = await import('./unit/FileUploadHandler.test.js');
+    const fileUploadPassed = await fileUploadTest.run();
+    allPassed = allPassed && fileUploadPassed;
+
+    // Run PDF parser tests
+    const { default: pdfParserTest } = await import('./unit/PDFParser.test.js');
+    const pdfParserPassed = await pdfParserTest.run();
+    allPassed = allPassed && pdfParserPassed;
+
+    // Run RTF parser tests
+    const { default: rtfParserTest } = await import('./unit/RTFParser.test.js');
+    const rtfParserPassed = await rtfParserTest.run();
+    allPassed = allPassed && rtfParserPassed;
+
+    // Run ZIP archive tests
+    const { default: archiveReaderTest } = await import('./unit/ArchiveReader.test.js');
+    const archiveReaderPassed = await archiveReaderTest.run();
+    allPassed = allPassed && archiveReaderPassed;
   } catch (error) {
     console.log(`❌ FileUploadHandler tests failed to load: ${error.message}`);
     allPassed = false;
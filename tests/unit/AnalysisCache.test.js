@@ -0,0 +1,97 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { WorkerPool } from '../../src/core/WorkerPool.js';
+import { EvaluationDimensions } from '../../src/core/analyzers/EvaluationDimensions.js';
+
+const test = new TestFramework();
+
+const ESSAY = 'Rivers shape the land. They carry sediment to the sea.\n\nFloods renew the soil.';
+const essayFile = (name, text = ESSAY) => ({ originalname: name, mimetype: 'text/plain', buffer: Buffer.from(text) });
+
+test.test('processSingleAssignment should reuse the analysis of identical text', async () => {
+  const cache = new AnalysisCache();
+  const processor = new FeedbackProcessor({ analysisCache: cache });
+  const options = { assignmentType: 'essay', evaluationCriteria: ['structure', 'clarity'] };
+
+  const first = await processor.processSingleAssignment(essayFile('first.txt'), options);
+  const second = await processor.processSingleAssignment(essayFile('renamed.txt'), {
+    ...options,
+    evaluationCriteria: ['clarity', 'structure']
+  });
+
+  assert.false(first.metadata.cached, 'First analysis should be computed');
+  assert.true(second.metadata.cached, 'Same text, type and criteria should hit the cache');
+  assert.equal(second.overallQuality, first.overallQuality);
+  assert.equal(second.extractedText, ESSAY);
+  assert.deepEqual(cache.stats, { hits: 1, misses: 1 });
+});
+
+test.test('cache keys should change with text, assignment type, criteria and analyzer version', () => {
+  const cache = new AnalysisCache();
+  const base = cache.keyFor(ESSAY, { assignmentType: 'essay', evaluationCriteria: ['structure'] });
+
+  assert.true(base !== cache.keyFor(`${ESSAY} Edited.`, { assignmentType: 'essay', evaluationCriteria: ['structure'] }));
+  assert.true(base !== cache.keyFor(ESSAY, { assignmentType: 'report', evaluationCriteria: ['structure'] }));
+  assert.true(base !== cache.keyFor(ESSAY, { assignmentType: 'essay', evaluationCriteria: ['creativity'] }));
+
+  const original = EvaluationDimensions.VERSION;
+  try {
+    EvaluationDimensions.VERSION = original + 1;
+    assert.true(base !== new AnalysisCache().keyFor(ESSAY, { assignmentType: 'essay', evaluationCriteria: ['structure'] }));
+  } finally {
+    EvaluationDimensions.VERSION = original;
+  }
+});
+
+test.test('a persisted cache should drop entries from older analyzer versions', async () => {
+  const store = await FeedbackStore.open();
+  const processor = new FeedbackProcessor({ analysisCache: new AnalysisCache({ feedbackStore: store }) });
+  await processor.processSingleAssignment(essayFile('essay.txt'), { assignmentType: 'essay' });
+
+  // A restart with the same analyzers finds the stored entry
+  const restarted = new FeedbackProcessor({ analysisCache: new AnalysisCache({ feedbackStore: store }) });
+  const reused = await restarted.processSingleAssignment(essayFile('essay.txt'), { assignmentType: 'essay' });
+  assert.true(reused.metadata.cached, 'Stored analysis should survive a new cache instance');
+
+  const original = EvaluationDimensions.VERSION;
+  try {
+    EvaluationDimensions.VERSION = original + 1;
+    new AnalysisCache({ feedbackStore: store });
+    assert.equal(store.all('SELECT COUNT(*) AS count FROM analysis_cache')[0].count, 0);
+  } finally {
+    EvaluationDimensions.VERSION = original;
+  }
+});
+
+test.test('the in-memory cache should evict the least recently used entry', () => {
+  const cache = new AnalysisCache({ maxEntries: 2 });
+  cache.set('a', { overallQuality: 1 });
+  cache.set('b', { overallQuality: 2 });
+  cache.get('a');
+  cache.set('c', { overallQuality: 3 });
+
+  assert.true(cache.get('a') !== null, 'Recently used entry should be kept');
+  assert.equal(cache.get('b'), null);
+});
+
+test.test('a re-uploaded batch should only analyse changed files in workers', async () => {
+  const pool = new WorkerPool(new URL('../../src/core/workers/analysisWorker.js', import.meta.url), { size: 1 });
+  const processor = new FeedbackProcessor({ workerPool: pool, analysisCache: new AnalysisCache() });
+
+  try {
+    await processor.processBulkAssignments([essayFile('a.txt'), essayFile('b.txt', 'A different essay. It is short.')], { assignmentType: 'essay' });
+    const results = await processor.processBulkAssignments([
+      essayFile('a.txt'),
+      essayFile('b.txt', 'A different essay. It is short, but now fixed.')
+    ], { assignmentType: 'essay' });
+
+    assert.true(results[0].analysis.metadata.cached, 'Unchanged file should come from the cache');
+    assert.false(results[1].analysis.metadata.cached, 'Edited file should be re-analysed');
+  } finally {
+    await pool.destroy();
+  }
+});
+
+export default test;
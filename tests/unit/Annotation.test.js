@@ -0,0 +1,85 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { Annotation } from '../../src/core/Annotation.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { AssignmentAnalyzer } from '../../src/core/analyzers/AssignmentAnalyzer.js';
+import { sampleEssay } from '../setup.js';
+
+const test = new TestFramework();
+
+const constructionError = (data) => {
+  try {
+    new Annotation(data);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+test.test('annotations should check their offsets and severity', () => {
+  const annotation = new Annotation({ start: 4, end: 9, category: 'clarity', message: 'Possible passive voice' });
+  assert.equal(annotation.severity, 'suggestion');
+  assert.deepEqual(Object.keys(annotation.toJSON()), ['start', 'end', 'category', 'severity', 'message', 'suggestion', 'source', 'text']);
+
+  assert.include(constructionError({ start: 9, end: 4, category: 'clarity', message: 'x' }), '0 <= start <= end (got 9–4)');
+  assert.equal(constructionError({ start: 0, end: 1, category: 'clarity' }), 'An annotation needs a category and a message');
+  assert.include(constructionError({ start: 0, end: 1, category: 'clarity', message: 'x', severity: 'fatal' }), 'Unknown annotation severity "fatal"');
+});
+
+test.test('sentence spans should be trimmed and numbered like a split on . ! ?', () => {
+  const text = '  First one. second one!\n\nThird?';
+  const spans = Annotation.sentenceSpans(text);
+
+  assert.deepEqual(spans.map(span => span.text), ['First one', 'second one', 'Third']);
+  spans.forEach(span => assert.equal(text.slice(span.start, span.end), span.text));
+  assert.deepEqual(spans.map(span => span.index), [0, 1, 2]);
+  assert.deepEqual(Annotation.sentenceSpans('..Hi').map(span => span.index), [1]);
+});
+
+test.test('collect should merge lists in text order with longer spans first', () => {
+  const fields = { category: 'grammar', message: 'x' };
+  const merged = Annotation.collect(
+    [{ ...fields, start: 10, end: 12 }],
+    [{ ...fields, start: 0, end: 3 }, { ...fields, start: 0, end: 8 }]
+  );
+  assert.deepEqual(merged.map(annotation => [annotation.start, annotation.end]), [[0, 8], [0, 3], [10, 12]]);
+});
+
+test.test('grammar issues should point at the words they are about', () => {
+  const text = 'Rivers flood. they shape the land.';
+  const [issue] = new FeedbackProcessor().identifyGrammarIssues(text);
+
+  assert.equal(issue.type, 'capitalization');
+  assert.equal(issue.sentence, 2);
+  assert.equal(text.slice(issue.start, issue.end), 'they');
+  assert.equal(issue.category, 'grammar');
+  assert.equal(issue.message, issue.issue);
+});
+
+test.test('every analyzer should contribute annotations located in the submission text', async () => {
+  const text = `${sampleEssay}\n\nthis matters. According to the survey it was completed in 2020, although I think more is needed.`;
+  const analysis = await new FeedbackProcessor().analyzeSubmission(text, { assignmentType: 'essay' });
+
+  assert.true(analysis.annotations.length > 0, 'The essay should be annotated');
+  analysis.annotations.forEach(annotation => {
+    assert.equal(text.slice(annotation.start, annotation.end), annotation.text, `${annotation.category} offsets should match its text`);
+  });
+  assert.deepEqual([...new Set(analysis.annotations.map(annotation => annotation.source))].sort(), ['assignment', 'evaluation', 'grammar']);
+  assert.true(analysis.annotations.every((annotation, index, all) => index === 0 || all[index - 1].start <= annotation.start));
+
+  const evidence = analysis.annotations.filter(annotation => annotation.category === 'essay.evidence');
+  assert.true(evidence.some(annotation => annotation.text === 'According to'), 'Evidence phrases should be praised');
+  assert.true(evidence.every(annotation => annotation.severity === 'praise'));
+  assert.true(analysis.dimensionScores.clarity.annotations.some(annotation => annotation.text === 'was completed'));
+});
+
+test.test('worksheet answers that are too short should be flagged', async () => {
+  const text = '1. Rivers carry sediment to the sea.\n2. Yes\n3. Floods spread silt over the plain.';
+  const analysis = await new AssignmentAnalyzer().analyzeByType(text, 'worksheet');
+
+  const incomplete = analysis.annotations.filter(annotation => annotation.category === 'worksheet.completeness');
+  assert.equal(incomplete.length, 1);
+  assert.equal(text.slice(incomplete[0].start, incomplete[0].end), 'Yes');
+  assert.equal(incomplete[0].severity, 'warning');
+});
+
+export default test;
@@ -0,0 +1,150 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { AnswerKey } from '../../src/core/AnswerKey.js';
+import { AssignmentAnalyzer } from '../../src/core/analyzers/AssignmentAnalyzer.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+
+const test = new TestFramework();
+
+const KEY_CSV = `Number,Answer,Tolerance,Keywords,Min Keywords,Points
+1,B,,,,1
+2,42,0.5,,,1
+Q3,3/4,5%,,,1
+4,mitochondria|mitochondrion,,,,1
+5,,,"sunlight | light, carbon dioxide | CO2, glucose | sugar",2,2`;
+
+const WORKSHEET = `Name: Sam Lee
+
+1) (b) oxygen
+Question 2: What is 6 x 7?
+6 x 7 = 42.3
+3. 0.76
+4. The nucleus
+Q5 - How do plants make food?
+Answer: they use light to turn water into sugar.`;
+
+test.test('answer keys should be read from a spreadsheet and validated', () => {
+  const key = AnswerKey.fromCSV(KEY_CSV, { title: 'Cells' });
+
+  assert.deepEqual(key.questions.map(question => [question.question, question.type, question.points]),
+    [['1', 'text', 1], ['2', 'numeric', 1], ['3', 'numeric', 1], ['4', 'text', 1], ['5', 'keywords', 2]]);
+  assert.equal(key.questions[1].tolerance, 0.5);
+  assert.equal(key.questions[2].tolerance, '5%');
+  assert.deepEqual(key.questions[3].answers, ['mitochondria', 'mitochondrion']);
+  assert.deepEqual(key.questions[4].keywords[1], { name: 'carbon dioxide', synonyms: ['CO2'] });
+  assert.deepEqual(key.describe(), { title: 'Cells', questionCount: 5, totalPoints: 6 });
+  assert.deepEqual(AnswerKey.from(key.toJSON()).questions, key.questions);
+
+  // A question written out in the "Question" column is not mistaken for its number
+  assert.deepEqual(AnswerKey.fromCSV('question,answer\n"12 x 3?",36\n"4 sides?",square\n').questions.map(question => question.question), ['1', '2']);
+
+  assert.throws(() => new AnswerKey({ questions: [] }));
+  assert.throws(() => new AnswerKey({ questions: [{ question: '1', answers: ['a'] }, { question: 'Q1', answers: ['b'] }] }));
+  assert.throws(() => new AnswerKey({ questions: [{ question: '1', type: 'numeric', answers: ['ten'] }] }));
+  assert.throws(() => new AnswerKey({ questions: [{ question: '1', answers: ['4'], points: 0 }] }));
+  assert.throws(() => new AnswerKey({ questions: [{ question: '1', keywords: 'heat', minKeywords: 2 }] }));
+});
+
+test.test('responses should be split by question number however it is written', () => {
+  const responses = AnswerKey.responses(WORKSHEET);
+  assert.deepEqual(responses.map(response => [response.question, response.answer.text]), [
+    ['1', '(b) oxygen'],
+    ['2', '6 x 7 = 42.3'],
+    ['3', '0.76'],
+    ['4', 'The nucleus'],
+    ['5', 'they use light to turn water into sugar.']
+  ]);
+  responses.forEach(response => assert.equal(WORKSHEET.slice(response.answer.start, response.answer.end), response.answer.text));
+
+  // Decimals on their own line are answers, and unnumbered lines fall back to numbers mid-line
+  assert.deepEqual(AnswerKey.responses('1. What is half of 3?\n1.5\n2. 7').map(response => response.answer.text), ['1.5', '7']);
+  assert.deepEqual(AnswerKey.responses('1. red 2. blue 3. 3.5 cm').map(response => response.answer.text), ['red', 'blue', '3.5 cm']);
+  assert.equal(AnswerKey.responses('1. What is 2 + 2?\n2. 5').find(response => response.question === '1').answer, null);
+  assert.deepEqual(AnswerKey.responses('1. What is x? Answer: a\n2. Which gas? Ans - oxygen').map(response => response.answer.text), ['a', 'oxygen']);
+});
+
+test.test('worksheets should be graded question by question against the key', async () => {
+  const answerKey = AnswerKey.fromCSV(KEY_CSV).toJSON();
+  const analysis = await new AssignmentAnalyzer().analyzeByType(WORKSHEET, 'worksheet', { answerKey });
+  const { accuracy } = analysis;
+
+  assert.deepEqual(accuracy.items.map(item => [item.question, item.status, item.earned]),
+    [['1', 'correct', 1], ['2', 'correct', 1], ['3', 'correct', 1], ['4', 'incorrect', 0], ['5', 'correct', 2]]);
+  assert.deepEqual(accuracy.items[4].missing, ['carbon dioxide']);
+  assert.equal(accuracy.score, 0.83);
+  assert.equal(accuracy.feedback, '4 of 5 questions correct (5/6 points)');
+  assert.equal(analysis.completeness.score, 1);
+
+  const wrong = analysis.annotations.find(annotation => annotation.category === 'worksheet.accuracy' && annotation.severity === 'warning');
+  assert.equal(wrong.text, 'The nucleus');
+  assert.equal(wrong.suggestion, 'Expected: mitochondria or mitochondrion');
+
+  // Without a key accuracy is unscored rather than guessed
+  const ungraded = await new AssignmentAnalyzer().analyzeByType(WORKSHEET, 'worksheet');
+  assert.equal(ungraded.accuracy.score, null);
+  assert.false(ungraded.accuracy.graded);
+  assert.true(ungraded.overallScore > 0);
+
+  const cache = new AnalysisCache();
+  assert.true(cache.keyFor(WORKSHEET, { assignmentType: 'worksheet', answerKey }) !== cache.keyFor(WORKSHEET, { assignmentType: 'worksheet' }));
+});
+
+test.test('text answers should match an accepted answer as a whole', () => {
+  const key = AnswerKey.fromCSV(KEY_CSV);
+  const fourth = key.questions[3];
+  const credit = answer => key.check(fourth, answer).credit;
+
+  assert.equal(credit('Mitochondria.'), 1);
+  assert.equal(credit('The answer is the mitochondrion'), 1);
+  assert.equal(credit("It's mitochondria!"), 1);
+  assert.equal(credit('Not mitochondria, it is the nucleus'), 0);
+  assert.equal(credit('mitochondria or ribosome or nucleus'), 0);
+
+  // A choice letter stands alone or is marked off, so a sentence starting with "A" is not option a
+  const choiceKey = new AnswerKey({ questions: [{ question: '1', answers: ['a'] }] });
+  const choice = answer => choiceKey.check(choiceKey.questions[0], answer).credit;
+  assert.deepEqual(['a', 'A.', '(a)', 'a) oxygen', 'A: oxygen'].map(choice), [1, 1, 1, 1, 1]);
+  assert.equal(choice('A lot of people think b'), 0);
+  assert.equal(choiceKey.grade('1. What is x? Answer: a').correctCount, 1);
+});
+
+test.test('item analysis should show which questions the class missed', async () => {
+  const answerKey = AnswerKey.fromCSV(KEY_CSV).toJSON();
+  const analyzer = new AssignmentAnalyzer();
+  const worksheets = [
+    ['Sam', WORKSHEET],
+    ['Ana', '1. b\n2. 42\n3. 3/4\n4. Mitochondria\n5. Sunlight and CO2 make glucose.'],
+    ['Raj', '1. c\n2. 40\n3. 0.75\n4. the nucleus\n5. sugar']
+  ];
+  const results = await Promise.all(worksheets.map(async ([studentName, text]) => ({
+    studentName,
+    fileName: `${studentName}.txt`,
+    analysis: { assignmentAnalysis: await analyzer.analyzeByType(text, 'worksheet', { answerKey }) }
+  })));
+
+  const items = AnswerKey.itemAnalysis(results);
+  assert.equal(items.gradedCount, 3);
+  const fourth = items.questions.find(question => question.question === '4');
+  assert.equal(fourth.correctShare, 0.33);
+  assert.deepEqual(fourth.missedBy, ['Sam', 'Raj']);
+  assert.deepEqual(fourth.commonWrongAnswers, [{ answer: 'nucleus', count: 2 }]);
+  assert.equal(items.questions.find(question => question.question === '5').partialCount, 1);
+  assert.deepEqual(items.mostMissed, ['4']);
+  assert.equal(AnswerKey.itemAnalysis([{ analysis: { assignmentAnalysis: { accuracy: { graded: false } } } }]), null);
+
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Cells', assignmentType: 'worksheet' });
+  assert.deepEqual(store.setAssignmentAnswerKey(assignment.id, answerKey).answerKey, answerKey);
+  assert.equal(store.setAssignmentAnswerKey(assignment.id, null).answerKey, null);
+  assert.equal(store.setAssignmentAnswerKey('missing', answerKey), null);
+  store.close();
+
+  const generator = new ReportGenerator();
+  const { itemAnalysis } = generator.prepareReportData(results, { similarity: null });
+  assert.deepEqual(itemAnalysis.mostMissed, ['4']);
+  const csv = generator.prepareCSVData(results, {});
+  assert.equal(csv[3][csv[0].indexOf('Questions Missed')], '1; 2; 4; 5');
+});
+
+export default test;
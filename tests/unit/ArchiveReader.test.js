@@ -0,0 +1,84 @@
+import JSZip from 'jszip';
+import { TestFramework, assert } from '../test-framework.js';
+import ArchiveReader from '../../src/utils/archiveReader.js';
+
+const test = new TestFramework();
+
+const buildZip = async (entries) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([name, contents]) => zip.file(name, contents));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+test.test('read should expand nested student folders', async () => {
+  const buffer = await buildZip({
+    'alice_smith/essay.txt': 'Alice wrote about volcanoes.',
+    'bob_jones/essay.txt': 'Bob wrote about glaciers.'
+  });
+  const entries = await ArchiveReader.read(buffer);
+  
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].name, 'alice_smith/essay.txt');
+  assert.equal(entries[0].status, 'ok');
+  assert.equal(entries[0].buffer.toString('utf8'), 'Alice wrote about volcanoes.');
+});
+
+test.test('read should reject entries that escape the archive (zip-slip)', async () => {
+  const buffer = await buildZip({
+    '../../etc/cron.d/evil.txt': 'malicious',
+    'class/../../outside.txt': 'malicious',
+    'safe/essay.txt': 'fine'
+  });
+  const entries = await ArchiveReader.read(buffer);
+  const rejected = entries.filter(entry => entry.status === 'rejected');
+  
+  assert.equal(rejected.length, 2);
+  assert.true(rejected.every(entry => entry.reason.includes('Unsafe path')));
+  assert.equal(entries.find(entry => entry.status === 'ok').name, 'safe/essay.txt');
+});
+
+test.test('read should stop inflating highly compressed archives (zip bomb)', async () => {
+  const buffer = await buildZip({ 'bomb.txt': Buffer.alloc(5 * 1024 * 1024) });
+  let error = null;
+  
+  try {
+    await ArchiveReader.read(buffer);
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected the archive to be refused');
+  assert.include(error.message, 'zip bomb');
+});
+
+test.test('read should reject oversized entries and skip system files', async () => {
+  const buffer = await buildZip({
+    'big.txt': 'x'.repeat(2048),
+    '__MACOSX/._essay.txt': 'resource fork',
+    'nested.zip': 'PK',
+    'essay.txt': 'ok'
+  });
+  const entries = await ArchiveReader.read(buffer, { maxEntrySize: 1024, maxCompressionRatio: 1000 });
+  const byName = Object.fromEntries(entries.map(entry => [entry.name, entry]));
+  
+  assert.equal(byName['big.txt'].status, 'rejected');
+  assert.equal(byName['__MACOSX/._essay.txt'].status, 'skipped');
+  assert.equal(byName['nested.zip'].status, 'rejected');
+  assert.equal(byName['essay.txt'].status, 'ok');
+});
+
+test.test('read should enforce the entry count limit', async () => {
+  const buffer = await buildZip({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' });
+  let error = null;
+  
+  try {
+    await ArchiveReader.read(buffer, { maxEntries: 2 });
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected the archive to be refused');
+  assert.include(error.message, 'the limit is 2');
+});
+
+export default test;
@@ -79,4 +79,18 @@ test.test('analyzeClarity should analyze text clarity', () => {
   assert.true(result <= 1);
 });
 
+test.test('every listed sub-analysis should produce a score for rubrics', async () => {
+  const analyzer = new AssignmentAnalyzer();
+  const answerKey = { questions: [{ question: '1', answers: ['photosynthesis'] }] };
+  const results = await analyzer.subAnalysisResults(sampleEssay, AssignmentAnalyzer.subAnalysisKeys(), null, { answerKey });
+
+  Object.entries(results).forEach(([key, result]) => {
+    assert.true(typeof result?.score === 'number', `${key} should have a numeric score`);
+  });
+
+  // Worksheet accuracy needs an answer key; without one it is left for the teacher
+  const [accuracy] = Object.values(await analyzer.subAnalysisResults(sampleEssay, ['worksheet.accuracy']));
+  assert.equal(accuracy.score, null);
+});
+
 export default test;
@@ -0,0 +1,207 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { Calibration } from '../../src/core/Calibration.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+import { WorkerPool } from '../../src/core/WorkerPool.js';
+import { EvaluationDimensions } from '../../src/core/analyzers/EvaluationDimensions.js';
+import { sampleEssay, sampleWorksheet } from '../setup.js';
+
+const test = new TestFramework();
+
+// The teacher grades on structure alone; clarity varies without tracking the grade
+const SAMPLES = [
+  [0.15, 0.7, 1], [0.25, 0.3, 1],
+  [0.4, 0.8, 2], [0.45, 0.2, 2],
+  [0.6, 0.6, 3], [0.65, 0.4, 3],
+  [0.85, 0.5, 4], [0.9, 0.3, 4]
+].map(([structure, clarity, grade], index) => ({
+  name: `essay-${index + 1}.txt`,
+  grade,
+  scores: { structure, clarity },
+  wordCount: 400
+}));
+
+const fitError = (samples, options) => {
+  try {
+    Calibration.fit(samples, options);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+test.test('fit should weight the dimensions that track the teacher and agree better than the defaults', () => {
+  const calibration = Calibration.fit(SAMPLES, { dimensions: ['structure', 'clarity'] });
+  const { baseline, calibrated, crossValidated } = calibration.agreement;
+
+  assert.true(calibration.weights.structure > 0.7, `Structure should dominate (got ${calibration.weights.structure})`);
+  assert.closeTo(calibration.weights.structure + calibration.weights.clarity, 1, 3);
+  assert.deepEqual(calibration.levels.map(level => level.label), ['4', '3', '2', '1']);
+  assert.equal(calibration.levels[3].minScore, 0);
+
+  assert.equal(calibrated.exactAgreement, 100);
+  assert.equal(calibrated.qwk, 1);
+  assert.true(calibrated.exactAgreement > baseline.exactAgreement, 'Calibration should beat the default weights');
+  assert.true(crossValidated.adjacentAgreement >= 75, 'Held-out samples should land on or next to the teacher level');
+  assert.equal(calibration.samples[6].level, '4');
+});
+
+test.test('cross-validation should refit once per fold however many samples there are', () => {
+  const fitModel = Calibration.fitModel;
+  let fits = 0;
+  Calibration.fitModel = (...args) => {
+    fits++;
+    return fitModel(...args);
+  };
+
+  try {
+    const many = Array.from({ length: 40 }, (value, index) => ({ ...SAMPLES[index % SAMPLES.length], name: `essay-${index + 1}.txt` }));
+    const calibration = Calibration.fit(many, { dimensions: ['structure', 'clarity'] });
+    // One fit for the model itself, then one per fold
+    assert.equal(fits, 1 + Calibration.CROSS_VALIDATION_FOLDS);
+    assert.equal(calibration.agreement.sampleCount, 40);
+    assert.true(calibration.agreement.crossValidated.exactAgreement >= 75, 'Held-out samples should mostly land on the teacher level');
+
+    fits = 0;
+    Calibration.fit(SAMPLES.slice(0, Calibration.MIN_SAMPLES), { dimensions: ['structure', 'clarity'] });
+    assert.equal(fits, 1 + Calibration.MIN_SAMPLES);
+  } finally {
+    Calibration.fitModel = fitModel;
+  }
+});
+
+test.test('agreement stats should report exact, adjacent and quadratic weighted kappa', () => {
+  assert.deepEqual(Calibration.agreementStats([0, 1, 2, 3], [0, 1, 2, 3], 4), { exactAgreement: 100, adjacentAgreement: 100, qwk: 1 });
+
+  const stats = Calibration.agreementStats([0, 1, 2, 3], [0, 2, 2, 1], 4);
+  assert.equal(stats.exactAgreement, 50);
+  assert.equal(stats.adjacentAgreement, 75);
+  assert.closeTo(stats.qwk, 0.375, 3);
+
+  assert.equal(Calibration.agreementStats([1, 1], [1, 1], 3).qwk, null);
+});
+
+test.test('cut points should rise with the levels and spread over levels no sample reached', () => {
+  const cuts = Calibration.fitCuts([0.2, 0.3, 0.5, 0.6], [0, 0, 1, 1], 4);
+
+  assert.closeTo(cuts[0], 0.4, 4);
+  assert.true(cuts[1] > 0.6 && cuts[2] > cuts[1] && cuts[2] < 1, `Unused top levels should share the gap above 0.6 (got ${cuts})`);
+  assert.equal(Calibration.levelIndex(0.45, cuts), 1);
+});
+
+test.test('fit should explain what is wrong with the samples', () => {
+  assert.equal(fitError(SAMPLES.slice(0, 3)), 'Calibration needs at least 5 graded samples (got 3)');
+  assert.equal(
+    fitError(SAMPLES.map(sample => ({ ...sample, grade: 'B' }))),
+    'Grades are not all whole numbers; list the levels from lowest to highest'
+  );
+  assert.equal(
+    fitError(SAMPLES, { levels: ['1', '2', '3'] }),
+    'Sample "essay-7.txt" has grade "4", which is not one of the levels 1, 2, 3'
+  );
+  assert.equal(fitError(SAMPLES.map(sample => ({ ...sample, grade: 2 }))), 'Calibration samples need at least two different grades');
+});
+
+test.test('grades should be read from CSV or JSON and matched with or without extensions', () => {
+  const fromCSV = Calibration.parseGrades('File Name,Grade\njane.docx,3\n"Smith, John.pdf",Meeting');
+  assert.equal(Calibration.gradeFor(fromCSV, 'jane.docx'), '3');
+  assert.equal(Calibration.gradeFor(fromCSV, 'uploads/Smith, John.PDF'), 'Meeting');
+
+  const fromJSON = Calibration.parseGrades('{ "jane": 4 }');
+  assert.equal(Calibration.gradeFor(fromJSON, 'jane.txt'), '4');
+  assert.equal(Calibration.gradeFor(fromJSON, 'john.txt'), null);
+
+  try {
+    Calibration.parseGrades('jane.docx,3');
+    assert.true(false, 'A CSV without a header row has no grades');
+  } catch (error) {
+    assert.include(error.message, 'CSV with file and grade columns');
+  }
+});
+
+test.test('a stored calibration should replace the default weights and give each submission a level', async () => {
+  const calibration = new Calibration({
+    weights: { structure: 1, clarity: 0 },
+    levels: [{ label: 'Meeting', minScore: 0.5 }, { label: 'Approaching', minScore: 0 }]
+  });
+
+  const evaluation = await new EvaluationDimensions().evaluate(sampleEssay, 'essay', { criteria: ['creativity'], calibration });
+  assert.deepEqual(evaluation.criteria, ['structure', 'clarity']);
+  assert.closeTo(evaluation.overallScore, evaluation.dimensions.structure.score * EvaluationDimensions.lengthPenalty(evaluation.wordCount), 6);
+  assert.equal(evaluation.calibratedLevel, calibration.levelFor(evaluation.overallScore));
+
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Essay' });
+  const stored = store.setAssignmentCalibration(assignment.id, calibration.toJSON());
+  assert.deepEqual(stored.calibration.weights, { structure: 1, clarity: 0 });
+
+  const cache = new AnalysisCache();
+  const options = { assignmentType: 'essay' };
+  assert.true(cache.keyFor(sampleEssay, options) !== cache.keyFor(sampleEssay, { ...options, calibration: stored.calibration }));
+
+  const processor = new FeedbackProcessor();
+  const file = { originalname: 'jane_smith.txt', mimetype: 'text/plain', buffer: Buffer.from(sampleEssay) };
+  const [result] = await processor.processBulkAssignments([file], { ...options, calibration: stored.calibration });
+  assert.equal(result.analysis.calibratedLevel, evaluation.calibratedLevel);
+
+  const [headers, row] = new ReportGenerator().prepareCSVData([result]);
+  assert.equal(row[headers.indexOf('Calibrated Level')], evaluation.calibratedLevel);
+});
+
+test.test('calibrate should score each uploaded sample and pair it with its grade', async () => {
+  const texts = [sampleWorksheet, sampleEssay.slice(0, 400), sampleEssay.slice(0, 900), sampleEssay, `${sampleEssay}\n\n${sampleEssay}`];
+  const files = texts.map((text, index) => ({ originalname: `student${index + 1}.txt`, mimetype: 'text/plain', buffer: Buffer.from(text) }));
+  const processor = new FeedbackProcessor();
+
+  const calibration = await processor.calibrate(files, {
+    grades: Calibration.parseGrades('file,grade\nstudent1,1\nstudent2,1\nstudent3,2\nstudent4,3\nstudent5,3'),
+    assignmentType: 'essay',
+    evaluationCriteria: ['structure', 'clarity', 'depth']
+  });
+  assert.deepEqual(Object.keys(calibration.weights), ['structure', 'clarity', 'depth']);
+  assert.equal(calibration.agreement.sampleCount, 5);
+  assert.deepEqual(calibration.samples.map(sample => sample.grade), ['1', '1', '2', '3', '3']);
+
+  try {
+    await processor.calibrate(files, { grades: Calibration.parseGrades({ student1: 1 }) });
+    assert.true(false, 'Ungraded samples should be rejected');
+  } catch (error) {
+    assert.include(error.message, 'No grade given for student2.txt, student3.txt');
+  }
+});
+
+test.test('calibrate should analyse and fit in workers and reuse cached analyses', async () => {
+  const texts = [sampleWorksheet, sampleEssay.slice(0, 400), sampleEssay.slice(0, 900), sampleEssay, `${sampleEssay}\n\n${sampleEssay}`];
+  const files = texts.map((text, index) => ({ originalname: `student${index + 1}.txt`, mimetype: 'text/plain', buffer: Buffer.from(text) }));
+  const options = {
+    grades: Calibration.parseGrades('file,grade\nstudent1,1\nstudent2,1\nstudent3,2\nstudent4,3\nstudent5,3'),
+    assignmentType: 'essay',
+    evaluationCriteria: ['structure', 'clarity', 'depth']
+  };
+  const pool = new WorkerPool(new URL('../../src/core/workers/analysisWorker.js', import.meta.url), { size: 2 });
+  const analysisCache = new AnalysisCache();
+  const processor = new FeedbackProcessor({ workerPool: pool, analysisCache });
+
+  try {
+    const calibration = await processor.calibrate(files, options);
+    assert.true(calibration instanceof Calibration);
+    assert.deepEqual(calibration.weights, (await new FeedbackProcessor().calibrate(files, options)).weights);
+    assert.equal(analysisCache.stats.hits, 0);
+
+    await processor.calibrate(files, options);
+    assert.equal(analysisCache.stats.hits, files.length);
+
+    try {
+      await processor.calibrate(files, { ...options, levels: ['low', 'high'] });
+      assert.true(false, 'Grades outside the levels should be rejected by the worker');
+    } catch (error) {
+      assert.include(error.message, 'not one of the levels low, high');
+    }
+  } finally {
+    await pool.destroy();
+  }
+});
+
+export default test;
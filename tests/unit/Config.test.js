@@ -0,0 +1,100 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TestFramework, assert } from '../test-framework.js';
+import { Config } from '../../src/core/Config.js';
+import { FileUploadHandler } from '../../src/core/FileUploadHandler.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+
+const test = new TestFramework();
+
+const loadError = (options) => {
+  try {
+    Config.load(options);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+// A config directory holding config.json plus any per-deployment files
+const configDir = (files = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-config-'));
+  fs.copyFileSync(path.join(Config.ROOT_DIR, 'config.json'), path.join(dir, 'config.json'));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+  });
+  return dir;
+};
+
+test.test('defaults should come from config.json with sizes in bytes', () => {
+  const config = Config.defaults();
+
+  assert.equal(config.fileUpload.maxFileSize, 10 * 1024 * 1024);
+  assert.equal(config.fileUpload.maxFiles, 50);
+  assert.equal(config.analysis.concurrency, null);
+  assert.equal(config.database.path, 'data/feedback.db');
+  assert.true(Object.isFrozen(config.fileUpload), 'Loaded settings should be frozen');
+  assert.equal(Config.formatSize(config.fileUpload.maxFileSize), '10MB');
+});
+
+test.test('environment variables should override the file', () => {
+  const config = Config.load({
+    env: { PORT: '8080', MAX_FILE_SIZE: '25MB', MAX_FILES: '100', DEFAULT_EVALUATION_CRITERIA: 'structure, clarity' }
+  });
+
+  assert.equal(config.server.port, 8080);
+  assert.equal(config.fileUpload.maxFileSize, 25 * 1024 * 1024);
+  assert.equal(config.fileUpload.maxFiles, 100);
+  assert.deepEqual(config.analysis.defaultEvaluationCriteria, ['structure', 'clarity']);
+});
+
+test.test('per-deployment files should be merged in order before the environment', () => {
+  const dir = configDir({
+    'config.production.json': { fileUpload: { maxFiles: 20 }, reports: { defaultFormat: 'csv' } },
+    'config.local.json': { fileUpload: { maxFiles: 30 } }
+  });
+
+  const config = Config.load({ dir, env: { NODE_ENV: 'production' } });
+  assert.equal(config.fileUpload.maxFiles, 30);
+  assert.equal(config.reports.defaultFormat, 'csv');
+  assert.equal(config.fileUpload.maxFileSize, 10 * 1024 * 1024, 'Settings left out should keep their config.json value');
+
+  assert.equal(Config.load({ dir, env: { NODE_ENV: 'production', MAX_FILES: '5' } }).fileUpload.maxFiles, 5);
+  assert.include(loadError({ dir, env: { CONFIG_FILE: 'missing.json' } }), 'missing.json not found');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.test('invalid settings should all be listed in one startup error', () => {
+  const message = loadError({
+    env: { MAX_FILES: 'x', MAX_FILE_SIZE: 'ten', DEFAULT_EVALUATION_CRITERIA: 'structure,voice', ANALYSIS_TIMEOUT_MS: '10' }
+  });
+
+  assert.include(message, 'Invalid configuration:');
+  assert.include(message, 'fileUpload.maxFiles must be an integer of at least 1 (got "x")');
+  assert.include(message, 'fileUpload.maxFileSize must be a size such as "10MB"');
+  assert.include(message, 'analysis.defaultEvaluationCriteria has unknown value(s) "voice"');
+  assert.include(message, 'analysis.taskTimeoutMs must be an integer of at least 1000');
+
+  const dir = configDir({ 'config.local.json': { feedback: { scoreThresholds: { high: 0.5, medium: 0.6 } } } });
+  assert.include(loadError({ dir, env: {} }), 'feedback.scoreThresholds must satisfy high > medium > low');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.test('core classes should use the injected limits and formats', () => {
+  const config = Config.load({ env: { MAX_FILE_SIZE: '1KB' } });
+  const handler = new FileUploadHandler({ config });
+
+  const validation = handler.validateFile({ originalname: 'essay.txt', mimetype: 'text/plain', size: 2048 });
+  assert.false(validation.isValid);
+  assert.include(validation.errors[0], 'File size exceeds 1KB limit');
+  assert.equal(handler.archiveLimits.maxEntrySize, 1024);
+
+  const dir = configDir({ 'config.local.json': { reports: { defaultFormat: 'csv', supportedFormats: ['csv', 'json'] } } });
+  const generator = new ReportGenerator({ config: Config.load({ dir, env: {} }) });
+  assert.equal(generator.defaultFormat, 'csv');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+export default test;
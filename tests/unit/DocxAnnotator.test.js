@@ -0,0 +1,166 @@
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import { TestFramework, assert } from '../test-framework.js';
+import { DocxAnnotator } from '../../src/core/DocxAnnotator.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+
+const test = new TestFramework();
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * A minimal DOCX; each paragraph is a list of runs, so text can be split across runs
+ */
+const buildDocx = async (paragraphs) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>');
+  const body = paragraphs
+    .map(runs => `<w:p>${runs.map(run => `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${run}</w:t></w:r>`).join('')}</w:p>`)
+    .join('');
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="${W}"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const extractText = async (buffer) => (await mammoth.extractRawText({ buffer })).value;
+
+// Text inside each commentRangeStart/End pair, by comment id
+const commentedText = (documentXml) => {
+  const ranges = {};
+  [...documentXml.matchAll(/<w:commentRangeStart w:id="(\d+)"\/>/g)].forEach(([marker, id]) => {
+    const end = documentXml.indexOf(`<w:commentRangeEnd w:id="${id}"/>`);
+    ranges[id] = [...documentXml.slice(documentXml.indexOf(marker), end).matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)]
+      .map(match => match[1]).join('');
+  });
+  return ranges;
+};
+
+test.test('comments should be anchored to the annotated words, even across runs', async () => {
+  const original = await buildDocx([['Rivers ', 'shape the land.'], ['They flood &amp; ', 'carry silt.']]);
+  const text = await extractText(original);
+  const comment = (words, message) => ({ start: text.indexOf(words), end: text.indexOf(words) + words.length, paragraphs: [message] });
+
+  const annotated = await new DocxAnnotator().annotate(original, text, [
+    comment('s shape', 'Across two runs'),
+    comment('flood & carry', 'Escaped text'),
+    { start: 2, end: 2, paragraphs: ['Empty span'] }
+  ]);
+  assert.equal(annotated.placed, 2);
+  assert.deepEqual(annotated.unplaced.map(unplaced => unplaced.paragraphs[0]), ['Empty span']);
+
+  const zip = await JSZip.loadAsync(annotated.buffer);
+  const documentXml = await zip.file('word/document.xml').async('string');
+  assert.deepEqual(commentedText(documentXml), { 0: 's shape', 1: 'flood &amp; carry' });
+  assert.include(documentXml, '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">River</w:t></w:r>', 'Split runs should keep their formatting');
+
+  const comments = await zip.file('word/comments.xml').async('string');
+  assert.include(comments, '<w:comment w:id="1" w:author="Feedback Generator"');
+  assert.include(comments, 'Escaped text');
+  assert.include(await zip.file('word/_rels/document.xml.rels').async('string'), 'Target="comments.xml"');
+  assert.include(await zip.file('[Content_Types].xml').async('string'), 'PartName="/word/comments.xml"');
+
+  assert.equal(await extractText(annotated.buffer), text, 'Comments should not change the document text');
+});
+
+test.test('annotating twice should number new comments after the existing ones', async () => {
+  const original = await buildDocx([['Rivers shape the land.']]);
+  const text = await extractText(original);
+  const annotator = new DocxAnnotator();
+
+  const once = await annotator.annotate(original, text, [{ start: 0, end: 6, paragraphs: ['First'] }]);
+  const twice = await annotator.annotate(once.buffer, text, [{ start: 7, end: 12, paragraphs: ['Second'] }]);
+  const zip = await JSZip.loadAsync(twice.buffer);
+
+  assert.deepEqual(commentedText(await zip.file('word/document.xml').async('string')), { 0: 'Rivers', 1: 'shape' });
+  assert.equal((await zip.file('word/comments.xml').async('string')).match(/<w:comment /g).length, 2);
+  assert.equal((await zip.file('word/_rels/document.xml.rels').async('string')).match(/comments\.xml/g).length, 1);
+});
+
+test.test('empty self-closing text elements should be read as no text', async () => {
+  const built = await JSZip.loadAsync(await buildDocx([['Rivers ', 'shape the land.']]));
+  const xml = await built.file('word/document.xml').async('string');
+  // One inside a run with text, one in a run of its own
+  built.file('word/document.xml', xml
+    .replace('<w:t xml:space="preserve">shape', '<w:t xml:space="preserve"/><w:t xml:space="preserve">shape')
+    .replace('</w:p>', '<w:r><w:t xml:space="preserve"/></w:r></w:p>'));
+  const original = await built.generateAsync({ type: 'nodebuffer' });
+  const text = await extractText(original);
+
+  const annotated = await new DocxAnnotator().annotate(original, text, [{ start: text.indexOf('shape'), end: text.indexOf('shape') + 5, paragraphs: ['Verb'] }]);
+  assert.equal(annotated.placed, 1);
+  const zip = await JSZip.loadAsync(annotated.buffer);
+  assert.deepEqual(commentedText(await zip.file('word/document.xml').async('string')), { 0: 'shape' });
+  assert.equal(await extractText(annotated.buffer), text);
+});
+
+test.test('the individual DOCX report should comment on flagged spans and summarize the scores', async () => {
+  const original = await buildDocx([
+    ['My essay is about rivers.'],
+    ['Everyone knows rivers are ', 'obviously the most important landform.'],
+    ['Rivers flood. they shape the land.']
+  ]);
+  const text = await extractText(original);
+  const analysis = await new FeedbackProcessor().analyzeSubmission(text, { assignmentType: 'essay' });
+  const generator = new ReportGenerator();
+  const studentData = generator.prepareStudentData({ studentName: 'Jane Smith', fileName: 'jane.docx', analysis });
+
+  const report = await generator.generateIndividualReport(studentData, { format: 'docx', document: original, text });
+  await fs.remove(report.filePath);
+  assert.equal(report.format, 'docx');
+  assert.equal(report.unplacedCount, 0);
+
+  const zip = await JSZip.loadAsync(report.content);
+  const comments = await zip.file('word/comments.xml').async('string');
+  assert.include(comments, `Overall: ${studentData.grade.label}`);
+  assert.include(comments, 'Claim without support');
+  assert.include(comments, 'Sentence should start with a capital letter');
+  assert.false(comments.includes('Introduces evidence'), 'Praise is below the default severity');
+  assert.equal(report.commentCount, comments.match(/<w:comment /g).length);
+  assert.equal(commentedText(await zip.file('word/document.xml').async('string'))[0], 'My essay is about rivers.');
+
+  try {
+    await generator.generateIndividualReport(studentData, { format: 'docx', document: original, text, minSeverity: 'loud' });
+    assert.true(false, 'An unknown severity should be rejected');
+  } catch (error) {
+    assert.include(error.message, 'Unknown annotation severity "loud"');
+  }
+});
+
+test.test('the store should keep original documents and the class archive should name files per student', async () => {
+  const original = await buildDocx([['Rivers shape the land.']]);
+  const text = await extractText(original);
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Rivers essay', assignmentType: 'essay' });
+  const batchId = store.saveBatch(assignment.id, {
+    results: [
+      { submissionId: 'sub-1', fileName: 'jane.docx', studentName: 'Jane', status: 'success', analysis: { overallQuality: 0.5, extractedText: text } },
+      { submissionId: 'sub-2', fileName: 'john.txt', studentName: 'John', status: 'success', analysis: { overallQuality: 0.5, extractedText: text } }
+    ]
+  }, { documents: { 'sub-1': original } });
+
+  assert.deepEqual(store.getBatch(batchId).results.map(result => result.hasDocument), [true, false]);
+  assert.true(store.getSubmissionDocument('sub-1').equals(original));
+  assert.equal(store.getSubmissionDocument('sub-2'), null);
+
+  const generator = new ReportGenerator();
+  const studentData = generator.prepareStudentData({ studentName: 'Jane', fileName: 'jane.docx', analysis: { overallQuality: 0.5, annotations: [] } });
+  const archive = await generator.generateAnnotatedArchive([
+    { studentData, document: original, text },
+    { studentData, document: original, text }
+  ]);
+  await fs.remove(archive.filePath);
+
+  const zip = await JSZip.loadAsync(archive.content);
+  assert.deepEqual(Object.keys(zip.files).sort(), ['Jane - feedback (2).docx', 'Jane - feedback.docx']);
+  assert.equal(archive.commentCount, 2, 'Each document should get its summary comment');
+});
+
+export default test;
@@ -79,5 +79,73 @@ test.test('analyzeStructure should analyze structure for worksheet', async () =>
   assert.hasProperty(result, 'feedback');
 });
 
-export default test;
+test.test('evaluate should only run and weight the selected criteria', async () => {
+  const evaluator = new EvaluationDimensions();
+  const result = await evaluator.evaluate(sampleEssay, 'essay', { criteria: ['criticalThinking', 'clarity'] });
+
+  assert.deepEqual(result.criteria, ['critical_thinking', 'clarity']);
+  assert.deepEqual(Object.keys(result.dimensions), ['critical_thinking', 'clarity']);
+
+  const { critical_thinking: thinking, clarity } = result.dimensions;
+  const weighted = (thinking.score * 0.2 + clarity.score * 0.1) / 0.3;
+  const lengthPenalty = Math.min(1, result.wordCount / 150);
+  assert.closeTo(result.overallScore, Math.min(1, weighted * lengthPenalty), 4);
+
+  // Relevance needs a prompt or required concepts to compare with
+  const everything = await evaluator.evaluate(sampleEssay, 'essay');
+  assert.deepEqual(everything.criteria, Object.keys(EvaluationDimensions.DEFAULT_WEIGHTS).filter(dimension => dimension !== 'relevance'));
+  assert.hasProperty(everything.dimensions, 'critical_thinking');
+  const withPrompt = await evaluator.evaluate(sampleEssay, 'essay', { prompt: 'Write about your favourite season.' });
+  assert.deepEqual(withPrompt.criteria, Object.keys(EvaluationDimensions.DEFAULT_WEIGHTS));
+});
+
+test.test('toDimension should normalise criterion names and reject unknown ones', () => {
+  assert.equal(EvaluationDimensions.toDimension('criticalThinking'), 'critical_thinking');
+  assert.equal(EvaluationDimensions.toDimension('Critical Thinking'), 'critical_thinking');
+  assert.equal(EvaluationDimensions.toDimension(' depth '), 'depth');
+  assert.equal(EvaluationDimensions.toDimension('voice'), null);
+  assert.equal(EvaluationDimensions.label('critical_thinking'), 'Critical Thinking');
+});
 
+test.test('every dimension score should be the sum of the rules that fired', async () => {
+  const evaluation = await new EvaluationDimensions().evaluate(sampleEssay, 'essay');
+
+  Object.entries(evaluation.dimensions).forEach(([dimension, result]) => {
+    const total = result.rules.filter(rule => rule.fired).reduce((sum, rule) => sum + rule.points, 0);
+    assert.closeTo(total, result.score, 6, `${dimension} rules should add up to its score`);
+  });
+});
+
+test.test('explain should list the rules behind a score with the text they matched', async () => {
+  const evaluator = new EvaluationDimensions();
+  const text = `${sampleEssay}\n\nHowever, rivers matter. Furthermore, they flood. Therefore, we plan.`;
+  const result = await evaluator.evaluateDimension(text, 'structure', 'essay');
+
+  const explanation = await evaluator.explain(text, 'Structure', 'essay', result);
+  assert.false(explanation.recomputed);
+  assert.equal(explanation.score, result.score);
+  assert.equal(explanation.rules[0].id, 'base');
+
+  const transitions = explanation.rules.find(rule => rule.id === 'transitions');
+  assert.equal(transitions.points, 0.1);
+  assert.true(transitions.spans.length >= 3, 'Each transition word should be a span');
+  transitions.spans.forEach(span => {
+    assert.equal(text.slice(span.start, span.end), span.text);
+    assert.true(text.slice(0, span.start).endsWith(span.before));
+  });
+  assert.true(explanation.notApplied.every(rule => !rule.fired));
+
+  const { score, feedback, details } = result;
+  const recomputed = await evaluator.explain(text, 'structure', 'essay', { score, feedback, details });
+  assert.true(recomputed.recomputed, 'Results stored without rules should be re-analysed');
+  assert.equal(recomputed.score, result.score);
+
+  try {
+    await evaluator.explain(text, 'voice');
+    assert.true(false, 'Unknown dimensions should be rejected');
+  } catch (error) {
+    assert.equal(error.message, 'Unknown evaluation dimension: voice');
+  }
+});
+
+export default test;
@@ -92,6 +92,66 @@ test.test('processBulkAssignments should handle processing errors', async () =>
   assert.include(results[1].error.toLowerCase(), 'no text content');
 });
 
+// Test that extraction failures are reported separately from analysis failures
+test.test('processBulkAssignments should tag the failing stage', async () => {
+  const processor = new FeedbackProcessor();
+  
+  const files = [
+    { originalname: 'unsupported.exe', mimetype: 'application/x-msdownload', buffer: Buffer.from('MZ') },
+    { originalname: 'essay.txt', mimetype: 'text/plain', buffer: Buffer.from('This is a short essay. It has two sentences.') }
+  ];
+  
+  const results = await processor.processBulkAssignments(files, { assignmentType: 'essay' });
+  
+  assert.equal(results[0].status, 'error');
+  assert.equal(results[0].errorStage, 'extraction');
+  assert.include(results[0].error, 'Unsupported file type');
+  assert.equal(results[1].status, 'success');
+});
+
+// Test that LMS export identities reach the results
+test.test('processBulkAssignments should attach student identity', async () => {
+  const processor = new FeedbackProcessor();
+  
+  const files = [
+    { name: 'smithjane_late_123456_7891011_essay.txt', content: 'This is a short essay. It has two sentences.' },
+    { name: 'Jane Smith_4567_assignsubmission_file_/essay.txt', content: 'Another short essay. It also has two sentences.' }
+  ];
+  
+  const results = await processor.processBulkAssignments(files, { assignmentType: 'essay' });
+  
+  assert.equal(results[0].studentId, 'canvas:123456');
+  assert.true(results[0].late);
+  assert.equal(results[0].identitySource, 'canvas');
+  assert.equal(results[1].studentName, 'Jane Smith');
+  assert.equal(results[1].studentId, 'moodle:4567');
+});
+
+// Test progress reporting and cancellation
+test.test('processBulkAssignments should report progress and stop when aborted', async () => {
+  const processor = new FeedbackProcessor();
+  const controller = new AbortController();
+  const events = [];
+  
+  const files = [
+    { name: 'first.txt', content: 'The first essay. It has two sentences.' },
+    { name: 'second.txt', content: 'The second essay. It has two sentences.' },
+    { name: 'third.txt', content: 'The third essay. It has two sentences.' }
+  ];
+  
+  const results = await processor.processBulkAssignments(files, {
+    assignmentType: 'essay',
+    signal: controller.signal,
+    onProgress: (event) => {
+      events.push(`${event.type}:${event.index}/${event.total}`);
+      if (event.type === 'file-complete' && event.index === 1) controller.abort();
+    }
+  });
+  
+  assert.equal(results.length, 2);
+  assert.deepEqual(events, ['file-start:0/3', 'file-complete:0/3', 'file-start:1/3', 'file-complete:1/3']);
+});
+
 // Test the extractStudentName method
 test.test('extractStudentName should extract names from filenames', () => {
   const processor = new FeedbackProcessor();
@@ -44,6 +44,7 @@ test.test('extractStudentName should extract names from filenames', () => {
   assert.equal(processor.extractStudentName('John_Doe_Essay.txt'), 'John');
   assert.equal(processor.extractStudentName('Jane Smith Worksheet.pdf'), 'Jane Smith Worksheet');
   assert.equal(processor.extractStudentName('123456.txt'), 'txt');
+  assert.equal(processor.extractStudentName('period-3/alice_smith/essay.docx'), 'alice smith');
 });
 
 test.test('calculateOverallQuality should calculate average score', () => {
@@ -0,0 +1,126 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TestFramework, assert } from '../test-framework.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { Roster } from '../../src/core/Roster.js';
+import { RosterStore } from '../../src/core/RosterStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const test = new TestFramework();
+
+const sampleBatch = () => ({
+  success: true,
+  processedCount: 2,
+  archiveEntries: [],
+  roster: null,
+  results: [
+    {
+      fileName: 'jane_smith_essay.txt',
+      studentName: 'jane smith',
+      studentId: 'name:jane-smith',
+      status: 'success',
+      analysis: { overallQuality: 0.8, wordCount: 4, extractedText: 'Rivers shape the land.' }
+    },
+    {
+      fileName: 'broken.exe',
+      studentName: 'broken',
+      status: 'error',
+      error: 'Unsupported file type',
+      errorStage: 'extraction'
+    }
+  ]
+});
+
+test.test('saveBatch should store results in order and keep extracted text separate', async () => {
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ classId: 'english-9', title: 'Rivers essay', assignmentType: 'essay' });
+  const batchId = store.saveBatch(assignment.id, sampleBatch());
+
+  const batch = store.getBatch(batchId);
+  assert.equal(batch.assignment.title, 'Rivers essay');
+  assert.equal(batch.processedCount, 2);
+  assert.deepEqual(batch.results.map(result => result.fileName), ['jane_smith_essay.txt', 'broken.exe']);
+  assert.equal(batch.results[0].analysis.overallQuality, 0.8);
+  assert.false('extractedText' in batch.results[0].analysis, 'Batch results should not carry the full text');
+  assert.equal(batch.results[1].errorStage, 'extraction');
+
+  const submission = store.getSubmission(batchId, batch.results[0].submissionId);
+  assert.equal(submission.extractedText, 'Rivers shape the land.');
+
+  const [listed] = store.listBatches({ classId: 'english-9' });
+  assert.equal(listed.batchId, batchId);
+  assert.equal(listed.successCount, 1);
+  assert.equal(store.listBatches({ classId: 'other' }).length, 0);
+});
+
+test.test('submissions given an ID before saving should be found by it alone', async () => {
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Rivers essay', assignmentType: 'essay' });
+  const batch = sampleBatch();
+  batch.results[0].submissionId = 'jane-1';
+  const batchId = store.saveBatch(assignment.id, batch);
+
+  const submission = store.getSubmissionById('jane-1');
+  assert.equal(submission.batchId, batchId);
+  assert.equal(submission.extractedText, 'Rivers shape the land.');
+  assert.equal(submission.assignment.assignmentType, 'essay');
+  assert.equal(store.getBatch(batchId).results[0].submissionId, 'jane-1');
+  assert.equal(store.getSubmissionById('missing'), null);
+});
+
+test.test('saveBatch should reject unknown assignments', async () => {
+  const store = await FeedbackStore.open();
+  let error = null;
+
+  try {
+    store.saveBatch('missing', sampleBatch());
+  } catch (e) {
+    error = e;
+  }
+
+  assert.true(error !== null, 'Saving under an unknown assignment should fail');
+  assert.include(error.message, 'Assignment missing not found');
+});
+
+test.test('deleteBatch should remove its submissions and reports', async () => {
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Essay' });
+  const batchId = store.saveBatch(assignment.id, sampleBatch());
+  const report = store.saveReport(batchId, { format: 'csv', fileName: 'report.csv', content: 'a,b' });
+
+  assert.equal(store.getReport(report.reportId).content, 'a,b');
+  assert.true(store.deleteBatch(batchId));
+  assert.equal(store.getBatch(batchId), null);
+  assert.equal(store.getReport(report.reportId), null);
+  assert.equal(store.all('SELECT COUNT(*) AS count FROM submissions')[0].count, 0);
+  assert.false(store.deleteBatch(batchId));
+});
+
+test.test('a store file should survive reopening, rosters included', async () => {
+  const filePath = path.join(__dirname, '../temp/feedback-store-test.db');
+  await fs.remove(filePath);
+
+  try {
+    const store = await FeedbackStore.open(filePath);
+    const rosters = new RosterStore({ feedbackStore: store });
+    rosters.importCSV('english-9', 'id,name\nS1,Jane Smith');
+    const assignment = store.createAssignment({ classId: 'english-9', title: 'Essay' });
+    const batchId = store.saveBatch(assignment.id, sampleBatch());
+    store.saveReport(batchId, { format: 'json', fileName: 'report.json', content: { students: [] } });
+    store.close();
+
+    const reopened = await FeedbackStore.open(filePath);
+    const batch = reopened.getBatch(batchId);
+    assert.equal(batch.results.length, 2);
+    assert.equal(reopened.listReports(batchId)[0].format, 'json');
+    assert.true(new RosterStore({ feedbackStore: reopened }).get('english-9') instanceof Roster);
+    // Foreign keys must still cascade after the file has been written
+    reopened.deleteBatch(batchId);
+    assert.equal(reopened.listReports(batchId).length, 0);
+  } finally {
+    await fs.remove(filePath);
+  }
+});
+
+export default test;
@@ -1,6 +1,8 @@
 import { TestFramework, assert } from '../test-framework.js';
 import { FileUploadHandler } from '../../src/core/FileUploadHandler.js';
-import { createTestFile, cleanupTestFiles } from '../setup.js';
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import { createTestFile, cleanupTestFiles, getTestFilePath } from '../setup.js';
 
 const test = new TestFramework();
 
@@ -16,6 +18,7 @@ test.test('extractFromTextFile should read text content', async () => {
   const handler = new FileUploadHandler();
   const filePath = await createTestFile('test.txt', 'Hello, world!');
   const result = await handler.extractFromTextFile(filePath);
+  await fs.remove(filePath);
   
   assert.equal(result, 'Hello, world!');
 });
@@ -72,9 +75,22 @@ test.test('getSupportedFileTypes should return supported types', () => {
   const handler = new FileUploadHandler();
   const types = handler.getSupportedFileTypes();
   
-  assert.equal(types.length, 4);
+  assert.equal(types.length, 6);
   assert.equal(types[0].type, 'text/plain');
   assert.equal(types[0].extensions[0], '.txt');
+  assert.true(types.some(type => type.extensions.includes('.odt')));
+  assert.true(types.some(type => type.extensions.includes('.rtf')));
+});
+
+test.test('validateFile should accept ODT and RTF uploads', () => {
+  const handler = new FileUploadHandler();
+  
+  assert.true(handler.validateFile({
+    size: 1024,
+    mimetype: 'application/vnd.oasis.opendocument.text',
+    originalname: 'essay.odt'
+  }).isValid);
+  assert.true(handler.validateFile({ size: 1024, mimetype: 'text/rtf', originalname: 'essay.rtf' }).isValid);
 });
 
 test.test('extractMetadata should extract file metadata', () => {
@@ -94,4 +110,217 @@ test.test('extractMetadata should extract file metadata', () => {
   assert.equal(result.extension, '.txt');
 });
 
+test.test('resolveMimeType should prefer the file extension', () => {
+  const handler = new FileUploadHandler();
+  
+  assert.equal(
+    handler.resolveMimeType('essay.docx', 'application/octet-stream'),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  );
+  assert.equal(handler.resolveMimeType('essay.txt', 'application/pdf'), 'text/plain');
+  assert.equal(handler.resolveMimeType('essay', 'application/pdf'), 'application/pdf');
+  assert.equal(handler.resolveMimeType('essay', 'text/rtf'), 'application/rtf');
+});
+
+test.test('isSupportedFile should accept known extensions with generic MIME types', () => {
+  const handler = new FileUploadHandler();
+  
+  assert.true(handler.isSupportedFile({ originalname: 'essay.pdf', mimetype: 'application/octet-stream' }));
+  assert.false(handler.isSupportedFile({ originalname: 'essay.exe', mimetype: 'application/octet-stream' }));
+});
+
+test.test('extractText should extract text from a buffer', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractText({
+    originalname: 'essay.txt',
+    mimetype: 'text/plain',
+    buffer: Buffer.from('Buffered essay text')
+  });
+  
+  assert.equal(result, 'Buffered essay text');
+});
+
+test.test('extractText should return inline content when there is no file body', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractText({ name: 'essay.txt', content: 'Inline essay text' });
+  
+  assert.equal(result, 'Inline essay text');
+});
+
+test.test('extractText should reject unsupported file types', async () => {
+  const handler = new FileUploadHandler();
+  let error = null;
+  
+  try {
+    await handler.extractText({ originalname: 'essay.exe', mimetype: 'application/x-msdownload', buffer: Buffer.from('MZ') });
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected extraction to fail');
+  assert.include(error.message, 'Unsupported file type');
+});
+
+test.test('extractText should read legacy binary Word documents', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractText({
+    originalname: 'legacy.doc',
+    mimetype: 'application/msword',
+    path: getTestFilePath('legacy.doc')
+  });
+  
+  assert.true(result.startsWith('The Industrial Revolution\n'));
+  assert.include(result, 'Factories replaced small workshops');
+  assert.include(result, 'serious social problems.');
+});
+
+test.test('extractText should read OpenDocument text files', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractText({
+    originalname: 'libreoffice.odt',
+    mimetype: 'application/octet-stream',
+    buffer: await fs.readFile(getTestFilePath('libreoffice.odt'))
+  });
+  
+  assert.true(result.startsWith('Photosynthesis\n'));
+  assert.include(result, 'carbon dioxide\tand sunlight.\nOxygen');
+  assert.include(result, 'Light-dependent reactions\nThe Calvin cycle');
+  assert.include(result, 'photosynthesis & respiration balance each other.');
+});
+
+test.test('extractText should read RTF files', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractText({
+    originalname: 'wordpad.rtf',
+    mimetype: 'text/rtf',
+    path: getTestFilePath('wordpad.rtf')
+  });
+  
+  assert.include(result, 'visited a café in Paris');
+});
+
+test.test('extractText should report corrupt legacy Word documents', async () => {
+  const handler = new FileUploadHandler();
+  let error = null;
+  
+  try {
+    await handler.extractText({ originalname: 'broken.doc', mimetype: 'application/msword', buffer: Buffer.from('not a doc') });
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected extraction to fail');
+  assert.include(error.message, 'Failed to extract text from Word document');
+});
+
+test.test('extractDocument should return PDF text with page layout', async () => {
+  const handler = new FileUploadHandler();
+  const result = await handler.extractDocument({
+    originalname: 'water-cycle.pdf',
+    mimetype: 'application/pdf',
+    path: getTestFilePath('multipage.pdf')
+  });
+  
+  assert.include(result.text, 'Evaporation turns liquid water into vapour');
+  assert.equal(result.layout.format, 'pdf');
+  assert.equal(result.layout.pageCount, 2);
+  assert.equal(result.layout.pages[1].pageNumber, 2);
+});
+
+test.test('extractText should reject scanned PDFs instead of inventing text', async () => {
+  const handler = new FileUploadHandler();
+  let error = null;
+  
+  try {
+    await handler.extractText({
+      originalname: 'scanned.pdf',
+      mimetype: 'application/pdf',
+      path: getTestFilePath('scanned.pdf')
+    });
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected extraction to fail');
+  assert.include(error.message, 'scanned or image-only');
+});
+
+test.test('expandArchive should validate each entry of a class ZIP', async () => {
+  const handler = new FileUploadHandler();
+  const zip = new JSZip();
+  zip.file('alice_smith/essay.txt', 'Alice wrote about volcanoes.');
+  zip.file('bob_jones/essay.rtf', await fs.readFile(getTestFilePath('wordpad.rtf')));
+  zip.file('carol/setup.exe', 'MZ');
+  
+  const { files, entries } = await handler.expandArchive({
+    originalname: 'period-3.zip',
+    mimetype: 'application/zip',
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  });
+  
+  assert.equal(files.length, 2);
+  assert.equal(files[1].mimetype, 'application/rtf');
+  assert.equal(files[1].archive, 'period-3.zip');
+  assert.equal(entries.find(entry => entry.name === 'carol/setup.exe').status, 'rejected');
+  assert.include(entries.find(entry => entry.name === 'carol/setup.exe').reason, 'not supported');
+});
+
+test.test('expandArchive should attach an archive manifest instead of processing it', async () => {
+  const handler = new FileUploadHandler();
+  const zip = new JSZip();
+  zip.file('manifest.csv', 'file,student_id,name\nessay.txt,S-1001,Jane Smith\n');
+  zip.file('essay.txt', 'Jane wrote about rivers.');
+  
+  const { files, entries } = await handler.expandArchive({
+    originalname: 'class.zip',
+    buffer: await zip.generateAsync({ type: 'nodebuffer' })
+  });
+  
+  assert.equal(files.length, 1);
+  assert.equal(files[0].archiveManifest.name, 'manifest.csv');
+  assert.true(files[0].lastModified instanceof Date);
+  assert.equal(entries.find(entry => entry.name === 'manifest.csv').status, 'manifest');
+});
+
+test.test('expandUploads should pass plain files through and report corrupt archives', async () => {
+  const handler = new FileUploadHandler();
+  const plain = { originalname: 'essay.txt', mimetype: 'text/plain', buffer: Buffer.from('text') };
+  
+  const { files, archiveEntries } = await handler.expandUploads([
+    plain,
+    { originalname: 'broken.zip', mimetype: 'application/zip', buffer: Buffer.from('not a zip') }
+  ]);
+  
+  assert.equal(files.length, 1);
+  assert.equal(files[0], plain);
+  assert.equal(archiveEntries.length, 1);
+  assert.equal(archiveEntries[0].status, 'rejected');
+  assert.include(archiveEntries[0].reason, 'Not a valid ZIP archive');
+});
+
+test.test('readDocumentProperties should read the DOCX author', async () => {
+  const handler = new FileUploadHandler();
+  const zip = new JSZip();
+  zip.file('docProps/core.xml', '<cp:coreProperties xmlns:cp="cp" xmlns:dc="dc"><dc:title>Essay</dc:title><dc:creator>Omar Haddad</dc:creator><cp:lastModifiedBy>Ms. Park</cp:lastModifiedBy></cp:coreProperties>');
+  
+  const properties = await handler.readDocumentProperties(
+    await zip.generateAsync({ type: 'nodebuffer' }),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  );
+  
+  assert.equal(properties.author, 'Omar Haddad');
+  assert.equal(properties.lastModifiedBy, 'Ms. Park');
+  assert.equal(properties.title, 'Essay');
+  assert.equal(await handler.readDocumentProperties(Buffer.from('plain'), 'text/plain'), null);
+});
+
+test.test('removeUploadedFiles should delete temp files', async () => {
+  const handler = new FileUploadHandler();
+  const filePath = await createTestFile('upload-to-remove.txt', 'temp');
+  
+  await handler.removeUploadedFiles([{ path: filePath }, { name: 'inline.txt' }]);
+  
+  assert.false(await handler.fileExists(filePath));
+});
+
 export default test;
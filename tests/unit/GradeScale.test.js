@@ -0,0 +1,80 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { GradeScale } from '../../src/core/GradeScale.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+
+const test = new TestFramework();
+
+const scaleError = (data) => {
+  try {
+    GradeScale.from(data);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+test.test('each built-in scale should convert scores to its own grades', () => {
+  assert.equal(GradeScale.from('percent').grade(0.874).label, '87%');
+  assert.equal(GradeScale.from('letter').grade(0.874).label, 'B+');
+  assert.equal(GradeScale.from('letter').grade(0.5).label, 'F');
+  assert.equal(GradeScale.from('standards').grade(0.72).label, '3');
+  assert.equal(GradeScale.from('standards').grade(0.72).description, 'Meeting');
+  assert.equal(GradeScale.from('ib').grade(0.81).label, '7');
+  assert.equal(GradeScale.from({ type: 'points', outOf: 20 }).grade(0.874).label, '17.5/20');
+  assert.equal(GradeScale.from('letter').grade(undefined), null);
+});
+
+test.test('percent and points scales should band scores by the configured thresholds', () => {
+  const scale = GradeScale.from('percent', { high: 0.9, medium: 0.7, low: 0.5 });
+
+  assert.equal(scale.grade(0.85).band, 'Medium');
+  assert.deepEqual(
+    scale.distribution([0.95, 0.85, 0.6, 0.2, 0.1]).map(band => band.count),
+    [1, 1, 1, 2]
+  );
+});
+
+test.test('invalid scales should be rejected', () => {
+  assert.include(scaleError('gpa'), 'Unknown grade scale "gpa"');
+  assert.include(scaleError({ type: 'points' }), 'positive "outOf" total');
+  assert.include(
+    (() => {
+      try {
+        GradeScale.from('percent', { high: 0.5, medium: 0.6, low: 0.4 });
+      } catch (error) {
+        return error.message;
+      }
+      return '';
+    })(),
+    'high > medium > low'
+  );
+});
+
+test.test('reports should grade students and count them on the chosen scale', () => {
+  const generator = new ReportGenerator();
+  const results = [0.95, 0.82, 0.45].map((score, index) => ({
+    fileName: `student${index}.txt`,
+    studentName: `Student ${index}`,
+    analysis: { overallQuality: score, dimensionScores: {}, metadata: { evaluationCriteria: [] } }
+  }));
+
+  const { students, summary, gradeScale } = generator.prepareReportData(results, { gradeScale: 'letter' });
+  assert.equal(gradeScale.name, 'Letter grades');
+  assert.deepEqual(students.map(student => student.grade.label), ['A', 'B-', 'F']);
+  assert.equal(summary.averageGrade.label, 'C');
+  assert.equal(summary.scoreDistribution.find(band => band.label === 'F').count, 1);
+
+  const [headers, first] = generator.prepareCSVData(results, { gradeScale: { type: 'points', outOf: 10 } });
+  assert.equal(first[headers.indexOf('Grade (Points out of 10)')], '9.5/10');
+});
+
+test.test('a class should keep its grade scale in the store', async () => {
+  const store = await FeedbackStore.open();
+  store.setClassGradeScale('history-10', GradeScale.from('ib').toJSON());
+
+  assert.deepEqual(store.getClass('history-10').gradeScale, { type: 'ib' });
+  assert.equal(store.setClassGradeScale('history-10', null).gradeScale, null);
+});
+
+export default test;
@@ -0,0 +1,115 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { GrammarChecker } from '../../src/core/analyzers/GrammarChecker.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { Config } from '../../src/core/Config.js';
+import { sampleEssay } from '../setup.js';
+
+const test = new TestFramework();
+
+// Issue type, the flagged text and the suggestion for each issue found
+const findings = (text, options) => new GrammarChecker().check(text, options)
+  .map(issue => [issue.type, issue.text, issue.suggestion]);
+
+const validationError = (grammar) => {
+  try {
+    Config.validate({ ...Config.defaults(), grammar });
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+test.test('agreement should be checked for pronoun and noun subjects', () => {
+  const found = findings('She walk to school. The students is late. They goes home. He don\'t care. I is happy.');
+  assert.deepEqual(found.map(([, text, suggestion]) => [text, suggestion]), [
+    ['She walk', 'Write "She walks"'],
+    ['students is', 'Write "students are"'],
+    ['They goes', 'Write "They go"'],
+    ['He don\'t', 'Write "He doesn\'t"'],
+    ['I is', 'Write "I am"']
+  ]);
+  assert.deepEqual(findings('The list of students is long. Let it go now. Does she walk to school?'), []);
+});
+
+test.test('commonly confused words should be flagged with the right word', () => {
+  const text = 'The dog wagged it\'s own tail. Their is a cat. They\'re own house is big. I ate a apple and an banana in an hour.';
+  const found = findings(text);
+
+  assert.deepEqual(found.filter(([type]) => type !== 'fragment').map(([type, flagged, suggestion]) => [type, flagged, suggestion]), [
+    ['its-its', 'it\'s', 'Write "its" for belonging'],
+    ['their-there', 'Their', 'Write "There"'],
+    ['their-there', 'They\'re', 'Write "Their" for belonging'],
+    ['a-an', 'a apple', 'Write "an apple"'],
+    ['a-an', 'an banana', 'Write "a banana"']
+  ]);
+  assert.deepEqual(findings('A university and a one-off event took an hour.'), []);
+  assert.deepEqual(findings('It was an unimportant detail, an uninformed guess and an onerous task for a unique unit.'), []);
+
+  // Spelling alone is not enough: the sound decides
+  assert.deepEqual(findings('He went to an university with an European and an one-eyed cat. It was a honest mistake that took a hour.')
+    .map(([, flagged, suggestion]) => [flagged, suggestion]), [
+    ['an university', 'Write "a university"'],
+    ['an European', 'Write "a European"'],
+    ['an one', 'Write "a one"'],
+    ['a honest', 'Write "an honest"'],
+    ['a hour', 'Write "an hour"']
+  ]);
+});
+
+test.test('mechanics rules should point at the words involved', () => {
+  const text = 'The the river flooded the town. I went home, I ate dinner. When I got home, I ate dinner. Because I was tired.\n\nThis paragraph has quite a few words but never ends with punctuation';
+  const issues = new GrammarChecker().check(text);
+  const byType = (type) => issues.filter(issue => issue.type === type).map(issue => issue.text);
+
+  assert.deepEqual(byType('doubled-word'), ['The the']);
+  assert.deepEqual(byType('comma-splice'), [', I']);
+  assert.deepEqual(byType('fragment'), ['Because I was tired']);
+  assert.deepEqual(byType('end-punctuation'), ['punctuation']);
+  issues.forEach(issue => assert.equal(text.slice(issue.start, issue.end), issue.text));
+  assert.equal(issues.find(issue => issue.type === 'comma-splice').sentence, 2);
+});
+
+test.test('a tense shift should be flagged against the rest of the paragraph', () => {
+  const [shift, ...rest] = new GrammarChecker().check('Yesterday I walked to the park. I saw a dog. The dog ran fast. Then it jumps over the fence. I laughed.');
+  assert.equal(rest.length, 0);
+  assert.equal(shift.type, 'tense');
+  assert.equal(shift.text, 'jumps');
+  assert.equal(shift.severity, 'info');
+  assert.equal(shift.suggestion, 'The rest of the paragraph is in the past tense');
+});
+
+test.test('rules should follow the grade level and config overrides', () => {
+  const checker = new GrammarChecker({ rules: { fragment: false, 'comma-splice': { grades: [2, 4] } } });
+  assert.false(checker.rulesFor(null).includes('fragment'));
+  assert.true(checker.rulesFor(3).includes('comma-splice'));
+  assert.false(checker.rulesFor(8).includes('comma-splice'));
+  assert.deepEqual(new GrammarChecker().rulesFor(0), ['capitalization', 'doubled-word', 'end-punctuation']);
+
+  const text = 'I went home, I ate dinner. the end.';
+  assert.deepEqual(new GrammarChecker().check(text, { gradeLevel: 2 }).map(issue => issue.type), ['capitalization']);
+  assert.deepEqual(new GrammarChecker({ defaultGradeLevel: 8 }).check(text).map(issue => issue.type), ['comma-splice', 'capitalization']);
+
+  assert.include(validationError({ defaultGradeLevel: 13, rules: {} }), 'grammar.defaultGradeLevel must be an integer from 0 to 12');
+  assert.include(validationError({ defaultGradeLevel: null, rules: { spelling: false } }), 'has unknown rule "spelling"');
+  assert.include(validationError({ defaultGradeLevel: null, rules: { tense: { grades: [9, 6] } } }), 'rule "tense" grades must run from the lower grade to the higher');
+});
+
+test.test('the processor should check grammar at the submission grade level and cache per rule set', async () => {
+  const processor = new FeedbackProcessor();
+  const text = `${sampleEssay}\n\nI went home, I ate dinner.`;
+
+  const younger = await processor.analyzeSubmission(text, { assignmentType: 'essay', gradeLevel: 2 });
+  const older = await processor.analyzeSubmission(text, { assignmentType: 'essay', gradeLevel: 9 });
+  assert.false(younger.textAnalysis.grammarIssues.some(issue => issue.type === 'comma-splice'));
+  assert.true(older.textAnalysis.grammarIssues.some(issue => issue.type === 'comma-splice'));
+  assert.equal(older.metadata.gradeLevel, 9);
+  assert.deepEqual(older.metadata.grammarRules, processor.grammarChecker.rulesFor(9));
+
+  const cache = new AnalysisCache();
+  const options = { assignmentType: 'essay' };
+  assert.true(cache.keyFor(text, { ...options, grammarRules: processor.grammarChecker.rulesFor(2) })
+    !== cache.keyFor(text, { ...options, grammarRules: processor.grammarChecker.rulesFor(9) }));
+});
+
+export default test;
@@ -0,0 +1,105 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { JobManager } from '../../src/core/JobManager.js';
+
+const test = new TestFramework();
+
+// Resolves with the job's terminal event
+const waitForFinish = (manager, jobId) => new Promise(resolve => {
+  const unsubscribe = manager.subscribe(jobId, (event) => {
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+      unsubscribe();
+      resolve(event);
+    }
+  });
+});
+
+test.test('submit should return a queued job with per-file state', async () => {
+  const manager = new JobManager();
+  const job = manager.submit(['a.txt', 'b.txt'], async () => ({ results: [] }));
+
+  assert.equal(job.status, 'queued');
+  assert.equal(job.files.length, 2);
+  assert.equal(job.files[1].fileName, 'b.txt');
+  assert.equal(job.progress.percent, 0);
+
+  await waitForFinish(manager, job.id);
+});
+
+test.test('jobs should record progress events and keep their result', async () => {
+  const manager = new JobManager();
+  const percents = [];
+
+  const job = manager.submit(['a.txt', 'b.txt'], async ({ onProgress }) => {
+    onProgress({ type: 'file-start', index: 0, total: 2 });
+    onProgress({ type: 'file-complete', index: 0, total: 2, result: { status: 'success', studentName: 'A' } });
+    onProgress({ type: 'file-start', index: 1, total: 2 });
+    onProgress({ type: 'file-complete', index: 1, total: 2, result: { status: 'error', error: 'Unreadable' } });
+    return { processedCount: 2 };
+  });
+  manager.subscribe(job.id, event => percents.push(event.job.progress.percent));
+
+  const finished = await waitForFinish(manager, job.id);
+  const stored = manager.get(job.id);
+
+  assert.equal(finished.type, 'completed');
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.files[0].status, 'success');
+  assert.equal(stored.files[1].status, 'error');
+  assert.equal(stored.files[1].error, 'Unreadable');
+  assert.equal(stored.result.processedCount, 2);
+  assert.true(percents.includes(50), 'Progress should pass through 50%');
+  assert.equal(percents[percents.length - 1], 100);
+});
+
+test.test('a failing task should mark the job failed', async () => {
+  const manager = new JobManager();
+  const job = manager.submit(['a.txt'], async () => {
+    throw new Error('Disk full');
+  });
+
+  await waitForFinish(manager, job.id);
+
+  assert.equal(manager.get(job.id).status, 'failed');
+  assert.equal(manager.get(job.id).error, 'Disk full');
+});
+
+test.test('cancel should abort a running job and mark unprocessed files', async () => {
+  const manager = new JobManager();
+  let release;
+  const started = new Promise(resolve => { release = resolve; });
+
+  const job = manager.submit(['a.txt', 'b.txt'], async ({ signal, onProgress }) => {
+    onProgress({ type: 'file-start', index: 0, total: 2 });
+    release();
+    await new Promise(resolve => signal.addEventListener('abort', resolve));
+    onProgress({ type: 'file-complete', index: 0, total: 2, result: { status: 'success' } });
+    return { processedCount: 1 };
+  });
+
+  await started;
+  assert.equal(manager.cancel(job.id).status, 'cancelling');
+  await waitForFinish(manager, job.id);
+
+  const stored = manager.get(job.id);
+  assert.equal(stored.status, 'cancelled');
+  assert.equal(stored.files[0].status, 'success');
+  assert.equal(stored.files[1].status, 'cancelled');
+  assert.equal(stored.result.processedCount, 1);
+});
+
+test.test('cancel should drop a queued job without running it', async () => {
+  const manager = new JobManager({ concurrency: 1 });
+  let ran = false;
+
+  const first = manager.submit(['a.txt'], async () => ({}));
+  const second = manager.submit(['b.txt'], async () => { ran = true; });
+
+  assert.equal(manager.cancel(second.id).status, 'cancelled');
+  await waitForFinish(manager, first.id);
+
+  assert.false(ran, 'Cancelled job should never run');
+  assert.equal(manager.get(second.id).files[0].status, 'cancelled');
+  assert.equal(manager.cancel('missing'), null);
+});
+
+export default test;
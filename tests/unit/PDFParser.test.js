@@ -0,0 +1,70 @@
+import fs from 'fs-extra';
+import { TestFramework, assert } from '../test-framework.js';
+import PDFParser from '../../src/utils/pdfParser.js';
+import { getTestFilePath } from '../setup.js';
+
+const test = new TestFramework();
+
+test.test('parse should extract text from every page', async () => {
+  const buffer = await fs.readFile(getTestFilePath('multipage.pdf'));
+  const result = await PDFParser.parse(buffer);
+  
+  assert.equal(result.numpages, 2);
+  assert.equal(result.pages.length, 2);
+  assert.include(result.text, 'The Water Cycle');
+  assert.include(result.text, 'fresh water available for life');
+  assert.false(result.isImageOnly);
+});
+
+test.test('parse should keep headings and paragraph breaks', async () => {
+  const buffer = await fs.readFile(getTestFilePath('multipage.pdf'));
+  const result = await PDFParser.parse(buffer);
+  const [firstPage, secondPage] = result.pages;
+  
+  assert.equal(firstPage.paragraphs.length, 3);
+  assert.true(firstPage.paragraphs[0].isHeading);
+  assert.equal(firstPage.paragraphs[0].text, 'The Water Cycle');
+  assert.equal(
+    firstPage.paragraphs[1].text,
+    'Water moves between the oceans, the air and the land in a continuous cycle driven by energy from the sun.'
+  );
+  assert.false(firstPage.paragraphs[1].isHeading);
+  assert.equal(secondPage.paragraphs.length, 4);
+  assert.include(result.text, 'over time.\n\nPrecipitation');
+});
+
+test.test('parse should record offsets that index into the text', async () => {
+  const buffer = await fs.readFile(getTestFilePath('multipage.pdf'));
+  const result = await PDFParser.parse(buffer);
+  
+  result.pages.forEach(page => {
+    page.paragraphs.forEach(paragraph => {
+      assert.equal(result.text.slice(paragraph.startOffset, paragraph.endOffset), paragraph.text);
+    });
+  });
+});
+
+test.test('describeLocation should cite page and paragraph', async () => {
+  const buffer = await fs.readFile(getTestFilePath('multipage.pdf'));
+  const result = await PDFParser.parse(buffer);
+  const offset = result.text.indexOf('Runoff carries');
+  
+  assert.equal(PDFParser.describeLocation(result.pages, offset), 'page 2, paragraph 3');
+  assert.equal(PDFParser.describeLocation(result.pages, result.text.length + 10), null);
+});
+
+test.test('parse should flag image-only PDFs', async () => {
+  const buffer = await fs.readFile(getTestFilePath('scanned.pdf'));
+  const result = await PDFParser.parse(buffer);
+  
+  assert.true(result.isImageOnly);
+  assert.deepEqual(result.imageOnlyPages, [1, 2]);
+  assert.equal(result.text, '');
+});
+
+test.test('joinLines should rejoin hyphenated words', () => {
+  assert.equal(PDFParser.joinLines(['The evapo-', 'ration step']), 'The evaporation step');
+  assert.equal(PDFParser.joinLines(['Well-', 'Known']), 'Well- Known');
+});
+
+export default test;
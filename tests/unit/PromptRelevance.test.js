@@ -0,0 +1,82 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { PromptRelevance } from '../../src/core/analyzers/PromptRelevance.js';
+import { EvaluationDimensions } from '../../src/core/analyzers/EvaluationDimensions.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+
+const test = new TestFramework();
+
+const PROMPT = 'Explain how the water cycle moves water between the oceans, the air and the land. Describe evaporation, condensation and precipitation.';
+const CONCEPTS = 'evaporation | vapour, condensation, precipitation | rain | snow, transpiration';
+const OFF_TOPIC = 'Last summer my family went camping near a lake. We went fishing every morning and my brother caught a huge trout. At night we roasted marshmallows and told stories around the fire until very late.';
+const ESSAY = [
+  'The water cycle is how water keeps moving around our planet. It never really disappears, it just changes form and place.',
+  'First, the sun heats the oceans and lakes and water evaporates into the air as vapour. When the vapour rises it cools down and condenses into tiny droplets that form clouds.',
+  'When the droplets in the clouds get too heavy they fall back to the land as rain or snow. The rain runs into rivers, which carry it back to the sea, and the cycle starts again.',
+  OFF_TOPIC
+].join('\n\n');
+
+test.test('required concepts should be parsed with their alternatives', () => {
+  assert.deepEqual(PromptRelevance.parseConcepts('evaporation | vapour,  water  cycle \n\n'), [
+    { name: 'evaporation', synonyms: ['vapour'] },
+    { name: 'water cycle', synonyms: [] }
+  ]);
+  assert.deepEqual(PromptRelevance.parseConcepts([{ name: 'rain', synonyms: ['precipitation'] }]), [{ name: 'rain', synonyms: ['precipitation'] }]);
+  assert.deepEqual(PromptRelevance.parseConcepts(null), []);
+  assert.throws(() => PromptRelevance.parseConcepts(42));
+  assert.throws(() => PromptRelevance.parseConcepts([{ name: 'rain', synonyms: [7] }]));
+  assert.throws(() => PromptRelevance.parseConcepts(Array.from({ length: 51 }, (_, index) => `concept ${index}`)));
+});
+
+test.test('concepts should be found by stem and off-topic paragraphs flagged', () => {
+  const measured = new PromptRelevance().measure(ESSAY, { prompt: PROMPT, requiredConcepts: PromptRelevance.parseConcepts(CONCEPTS) });
+
+  assert.deepEqual(measured.concepts.map(concept => [concept.name, concept.addressed]),
+    [['evaporation', true], ['condensation', true], ['precipitation', true], ['transpiration', false]]);
+  assert.equal(measured.concepts[0].spans[0].text, 'evaporates');
+  assert.equal(measured.concepts[1].spans[0].text, 'condenses');
+  assert.deepEqual(measured.paragraphs.map(paragraph => paragraph.offTopic), [false, false, false, true]);
+  assert.equal(measured.paragraphs[3].text, OFF_TOPIC);
+  assert.false(measured.promptTerms.used.includes('explain'), 'Instruction words are not key terms');
+  assert.deepEqual(measured.promptTerms.missing, ['precipitation']);
+});
+
+test.test('relevance should only be evaluated with a prompt or required concepts', async () => {
+  const evaluator = new EvaluationDimensions();
+  const requiredConcepts = PromptRelevance.parseConcepts(CONCEPTS);
+
+  const plain = await evaluator.evaluate(ESSAY, 'essay');
+  assert.false(plain.criteria.includes('relevance'));
+  assert.equal(plain.dimensions.relevance, undefined);
+
+  const evaluation = await evaluator.evaluate(ESSAY, 'essay', { prompt: PROMPT, requiredConcepts });
+  const relevance = evaluation.dimensions.relevance;
+  assert.true(relevance.score > 0.6 && relevance.score < 1);
+  assert.deepEqual(relevance.details.missingConcepts, ['transpiration']);
+  assert.include(relevance.feedback, 'Not yet addressed: transpiration.');
+  assert.equal(relevance.details.offTopicParagraphs.length, 1);
+  assert.true(evaluation.annotations.some(annotation => annotation.category === 'relevance' && annotation.text === OFF_TOPIC));
+
+  // Concepts alone are enough, and an unrelated text scores low
+  const conceptsOnly = await evaluator.evaluate(ESSAY, 'essay', { criteria: ['relevance'], requiredConcepts });
+  assert.deepEqual(conceptsOnly.criteria, ['relevance']);
+  assert.equal(conceptsOnly.dimensions.relevance.details.promptTermsUsed.length, 0);
+  const unrelated = await evaluator.evaluate(OFF_TOPIC, 'essay', { criteria: ['relevance'], prompt: PROMPT, requiredConcepts });
+  assert.true(unrelated.dimensions.relevance.score < 0.2);
+});
+
+test.test('assignments should keep their required concepts, which change the cache key', async () => {
+  const store = await FeedbackStore.open();
+  const requiredConcepts = PromptRelevance.parseConcepts(CONCEPTS);
+  const assignment = store.createAssignment({ title: 'Water cycle', templateText: PROMPT, requiredConcepts });
+  assert.deepEqual(store.getAssignment(assignment.id).requiredConcepts, requiredConcepts);
+  assert.deepEqual(store.setAssignmentRequiredConcepts(assignment.id, []).requiredConcepts, []);
+  assert.equal(store.setAssignmentRequiredConcepts('missing', requiredConcepts), null);
+  store.close();
+
+  const cache = new AnalysisCache();
+  assert.true(cache.keyFor(ESSAY, { prompt: PROMPT }) !== cache.keyFor(ESSAY, {}));
+  assert.true(cache.keyFor(ESSAY, { prompt: PROMPT, requiredConcepts }) !== cache.keyFor(ESSAY, { prompt: PROMPT }));
+});
+
+export default test;
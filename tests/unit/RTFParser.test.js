@@ -0,0 +1,45 @@
+import fs from 'fs-extra';
+import { TestFramework, assert } from '../test-framework.js';
+import RTFParser from '../../src/utils/rtfParser.js';
+import { getTestFilePath } from '../setup.js';
+
+const test = new TestFramework();
+
+test.test('parse should extract WordPad text without formatting tables', async () => {
+  const buffer = await fs.readFile(getTestFilePath('wordpad.rtf'));
+  const result = RTFParser.parse(buffer);
+  
+  assert.true(result.startsWith('My Summer Holiday\n'));
+  assert.include(result, 'took many photos');
+  assert.false(result.includes('Calibri'), 'Font table should be skipped');
+  assert.false(result.includes('Riched20'), 'Ignorable destinations should be skipped');
+});
+
+test.test('parse should decode code page escapes and Unicode characters', async () => {
+  const buffer = await fs.readFile(getTestFilePath('wordpad.rtf'));
+  const result = RTFParser.parse(buffer);
+  
+  assert.include(result, 'visited a café in Paris—it was wonderful.');
+  assert.include(result, 'it was “the best trip ever”.');
+});
+
+test.test('parse should turn paragraph, line and tab controls into whitespace', () => {
+  const result = RTFParser.parse('{\\rtf1\\ansi First\\tab line\\line Second\\par Third\\par}');
+  
+  assert.equal(result, 'First\tline\nSecond\nThird');
+});
+
+test.test('parse should reject non-RTF input', () => {
+  let error = null;
+  
+  try {
+    RTFParser.parse('Just plain text');
+  } catch (e) {
+    error = e;
+  }
+  
+  assert.true(error !== null, 'Expected parsing to fail');
+  assert.include(error.message, 'Not a valid RTF document');
+});
+
+export default test;
@@ -33,6 +33,50 @@ test.test('prepareReportData should prepare data correctly', () => {
   assert.equal(result.students[0].name, 'John Doe');
 });
 
+test.test('prepareCSVData should include student identity columns', () => {
+  const generator = new ReportGenerator();
+  const [headers, row] = generator.prepareCSVData([
+    {
+      fileName: 'smithjane_late_123456_7891011_essay.docx',
+      studentName: 'smithjane',
+      studentId: 'canvas:123456',
+      submittedAt: '2024-03-02T12:00:00.000Z',
+      late: true,
+      error: 'Could not extract text'
+    }
+  ]);
+  
+  assert.equal(headers[1], 'Student ID');
+  assert.equal(row[headers.indexOf('Student ID')], 'canvas:123456');
+  assert.equal(row[headers.indexOf('Submitted At')], '2024-03-02T12:00:00.000Z');
+  assert.equal(row[headers.indexOf('Late')], 'Yes');
+  assert.equal(row.length, headers.length);
+});
+
+test.test('prepareCSVData should only include columns for the evaluated criteria', () => {
+  const generator = new ReportGenerator();
+  const scored = (name, criteria, scores) => ({
+    fileName: `${name}.txt`,
+    studentName: name,
+    analysis: {
+      overallQuality: 0.7,
+      dimensionScores: Object.fromEntries(Object.entries(scores).map(([dimension, score]) => [dimension, { score }])),
+      metadata: { evaluationCriteria: criteria }
+    }
+  });
+  const [headers, first, second] = generator.prepareCSVData([
+    scored('ana', ['clarity', 'critical_thinking'], { clarity: 0.6, critical_thinking: 0 }),
+    scored('ben', ['depth'], { depth: 0.9 })
+  ]);
+
+  const dimensionHeaders = headers.slice(headers.indexOf('Readability Score') + 1, headers.indexOf('Strengths'));
+  assert.deepEqual(dimensionHeaders, ['Critical Thinking Score', 'Clarity Score', 'Depth Score']);
+  assert.equal(first[headers.indexOf('Critical Thinking Score')], 0);
+  assert.equal(first[headers.indexOf('Depth Score')], '');
+  assert.equal(second[headers.indexOf('Depth Score')], 0.9);
+  assert.false(headers.includes('Structure Score'), 'Unselected dimensions should not get a column');
+});
+
 test.test('generateSummary should generate summary for valid students', () => {
   const generator = new ReportGenerator();
   const students = [
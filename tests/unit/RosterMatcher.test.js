@@ -0,0 +1,129 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { Roster } from '../../src/core/Roster.js';
+import { RosterStore } from '../../src/core/RosterStore.js';
+import { RosterMatcher } from '../../src/core/RosterMatcher.js';
+
+const test = new TestFramework();
+
+const ROSTER_CSV = [
+  'id,name,email,section',
+  'S1001,Jane Smith,jsmith@school.edu,Period 1',
+  'S1002,Omar Haddad,ohaddad@school.edu,Period 1',
+  'S1003,María Núñez,mnunez@school.edu,Period 2',
+  'S1004,Jane Doe,jdoe@school.edu,Period 2'
+].join('\n');
+
+const buildRoster = () => Roster.fromCSV('english-9', ROSTER_CSV);
+
+test.test('Roster.fromCSV should read id, name, email and section', () => {
+  const roster = buildRoster();
+  
+  assert.equal(roster.students.length, 4);
+  assert.equal(roster.findById('S1003').name, 'María Núñez');
+  assert.equal(roster.findById('S1001').section, 'Period 1');
+  assert.equal(roster.describe().sections.length, 2);
+});
+
+test.test('Roster.fromCSV should reject rows without ids or with duplicates', () => {
+  const errors = ['id,name\n,Jane Smith', 'id,name\nS1,Jane\nS1,John'].map(csv => {
+    try {
+      Roster.fromCSV('c', csv);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  });
+  
+  assert.include(errors[0], 'row 2 is missing a student id');
+  assert.include(errors[1], 'row 3 repeats student id S1');
+});
+
+test.test('match should use file names, including run-together LMS names', () => {
+  const matcher = new RosterMatcher();
+  const roster = buildRoster();
+  
+  const byName = matcher.match({ fileName: 'Omar_Haddad_essay.docx' }, roster);
+  const canvas = matcher.match({ fileName: 'nunezmaria_123456_7891011_essay.docx' }, roster);
+  
+  assert.equal(byName.status, 'matched');
+  assert.equal(byName.studentId, 'S1002');
+  assert.true(byName.confidence >= 0.9);
+  assert.equal(canvas.status, 'matched');
+  assert.equal(canvas.studentId, 'S1003');
+});
+
+test.test('match should use the document header and author metadata', () => {
+  const matcher = new RosterMatcher();
+  const roster = buildRoster();
+  
+  const header = matcher.match({
+    fileName: 'essay1.txt',
+    header: 'Name: Jane Smyth\nPeriod 1\nThe Industrial Revolution'
+  }, roster);
+  const author = matcher.match({ fileName: 'essay2.docx', author: 'Omar Haddad' }, roster);
+  
+  assert.equal(header.status, 'matched');
+  assert.equal(header.studentId, 'S1001');
+  assert.true(header.signals.includes('header'));
+  assert.equal(author.studentId, 'S1002');
+  assert.true(author.signals.includes('author'));
+});
+
+test.test('match should report ambiguous and unmatched submissions', () => {
+  const matcher = new RosterMatcher();
+  const roster = buildRoster();
+  
+  const ambiguous = matcher.match({ fileName: 'jane_essay.txt' }, roster);
+  const unmatched = matcher.match({ fileName: 'essay1.txt' }, roster);
+  
+  assert.equal(ambiguous.status, 'ambiguous');
+  assert.equal(ambiguous.studentId, null);
+  assert.equal(ambiguous.candidates.length, 2);
+  assert.equal(unmatched.status, 'unmatched');
+  assert.equal(unmatched.candidates.length, 0);
+});
+
+test.test('match should prefer exact IDs and manual assignments', () => {
+  const matcher = new RosterMatcher();
+  const roster = buildRoster();
+  
+  assert.equal(matcher.match({ fileName: 'S1004-homework.pdf' }, roster).studentId, 'S1004');
+  
+  roster.assign('essay1.txt', 'S1002');
+  const manual = matcher.match({ fileName: 'essay1.txt' }, roster);
+  assert.equal(manual.status, 'matched');
+  assert.equal(manual.studentId, 'S1002');
+  assert.equal(manual.signals[0], 'manual');
+});
+
+test.test('summarize should list files needing review and missing students', () => {
+  const matcher = new RosterMatcher();
+  const roster = buildRoster();
+  const results = [
+    { fileName: 'Omar_Haddad_essay.docx', studentName: 'Omar', status: 'success', analysis: {} },
+    { fileName: 'jane_essay.txt', studentName: 'jane', status: 'success', analysis: {} },
+    { fileName: 'essay1.txt', studentName: 'essay', status: 'error', error: 'Could not extract text' }
+  ];
+  
+  matcher.matchResults(results, roster);
+  const summary = matcher.summarize(results, roster);
+  
+  assert.equal(results[0].studentName, 'Omar Haddad');
+  assert.equal(results[0].studentId, 'S1002');
+  assert.equal(summary.matchedCount, 1);
+  assert.equal(summary.ambiguous[0].fileName, 'jane_essay.txt');
+  assert.equal(summary.unmatched[0].fileName, 'essay1.txt');
+  assert.equal(summary.missing.length, 3);
+});
+
+test.test('RosterStore.importCSV should keep manual assignments for enrolled students', () => {
+  const store = new RosterStore();
+  store.importCSV('english-9', ROSTER_CSV).assign('essay1.txt', 'S1002');
+  
+  const updated = store.importCSV('english-9', 'id,name\nS1002,Omar Haddad\nS1005,Lee Chen');
+  
+  assert.equal(updated.manualAssignments['essay1.txt'], 'S1002');
+  assert.equal(store.list().length, 1);
+});
+
+export default test;
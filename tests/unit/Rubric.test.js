@@ -0,0 +1,245 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { Rubric } from '../../src/core/Rubric.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+import { EvaluationDimensions } from '../../src/core/analyzers/EvaluationDimensions.js';
+import { sampleEssay } from '../setup.js';
+
+const test = new TestFramework();
+
+const FOUR_LEVELS = [
+  { label: 'Exceeds', descriptor: 'Clear and well organised', points: 4 },
+  { label: 'Meets', points: 3 },
+  { label: 'Approaching', points: 2 },
+  { label: 'Beginning', points: 1 }
+];
+
+const essayRubric = () => ({
+  title: 'Persuasive essay',
+  criteria: [
+    { name: 'Organisation', dimension: 'structure', weight: 0.6, levels: FOUR_LEVELS },
+    {
+      name: 'Clarity',
+      dimension: 'clarity',
+      weight: 0.4,
+      levels: [
+        { label: 'Strong', points: 2, minScore: 0.6 },
+        { label: 'Weak', points: 0, minScore: 0 }
+      ]
+    }
+  ]
+});
+
+const rubricError = (data) => {
+  try {
+    new Rubric(data);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+test.test('levels without thresholds should split the score range evenly', () => {
+  const rubric = new Rubric(essayRubric());
+  const [organisation, clarity] = rubric.criteria;
+
+  assert.equal(organisation.id, 'organisation');
+  assert.deepEqual(organisation.levels.map(level => level.minScore), [0.75, 0.5, 0.25, 0]);
+  assert.equal(rubric.levelFor(organisation, 0.8).label, 'Exceeds');
+  assert.equal(rubric.levelFor(organisation, 0.5).label, 'Meets');
+  assert.equal(rubric.levelFor(organisation, 0.1).label, 'Beginning');
+  assert.equal(rubric.levelFor(clarity, 0.59).label, 'Weak');
+});
+
+test.test('score should total level points and leave failed dimensions unscored', () => {
+  const rubric = new Rubric({ id: 'r1', ...essayRubric() });
+  const result = rubric.score({ structure: { score: 0.9 } });
+
+  assert.equal(result.rubricId, 'r1');
+  assert.equal(result.criteria[0].level, 'Exceeds');
+  assert.equal(result.criteria[0].descriptor, 'Clear and well organised');
+  assert.equal(result.criteria[1].points, null);
+  assert.equal(result.totalPoints, 4);
+  assert.equal(result.maxPoints, 6);
+  assert.equal(result.percentage, 67);
+});
+
+test.test('invalid rubrics should be rejected with the offending criterion', () => {
+  assert.include(rubricError({ title: 'Empty', criteria: [] }), 'at least one criterion');
+  assert.include(
+    rubricError({ title: 'Bad', criteria: [{ name: 'Voice', dimension: 'voice', levels: FOUR_LEVELS }] }),
+    'Rubric criterion 1 (Voice) uses unknown dimension "voice"'
+  );
+  assert.include(
+    rubricError({ title: 'Bad', criteria: [{ name: 'Depth', dimension: 'depth', weight: 0, levels: FOUR_LEVELS }] }),
+    'needs a positive weight'
+  );
+  assert.include(
+    rubricError({
+      title: 'Bad',
+      criteria: [{ name: 'Depth', dimension: 'depth', levels: [{ label: 'Good', points: 2, minScore: 0.5 }, { label: 'Poor', points: 0 }] }]
+    }),
+    'must give a minScore for every level or for none'
+  );
+  assert.include(
+    rubricError({
+      title: 'Bad',
+      criteria: [{ name: 'Depth', dimension: 'depth', levels: [{ label: 'Good', points: 2, minScore: 0.5 }] }]
+    }),
+    'needs a level with minScore 0'
+  );
+});
+
+test.test('evaluate should only run the dimensions a rubric uses', async () => {
+  const evaluator = new EvaluationDimensions();
+  const result = await evaluator.evaluate(sampleEssay, 'essay', { rubric: new Rubric(essayRubric()) });
+
+  assert.deepEqual(Object.keys(result.dimensions).sort(), ['clarity', 'structure']);
+  assert.equal(result.rubricScore.criteria.length, 2);
+  assert.equal(result.rubricScore.maxPoints, 6);
+
+  const withoutRubric = await evaluator.evaluate(sampleEssay, 'essay');
+  assert.false('rubricScore' in withoutRubric, 'Default weights should not produce a rubric score');
+  assert.true(Object.keys(withoutRubric.dimensions).length > 2);
+});
+
+test.test('a stored rubric attached to an assignment should score uploads and appear in CSV reports', async () => {
+  const store = await FeedbackStore.open();
+  const stored = store.saveRubric(new Rubric(essayRubric()).toJSON());
+  const assignment = store.createAssignment({ title: 'Essay' });
+  assert.equal(store.setAssignmentRubric(assignment.id, stored.id).rubricId, stored.id);
+
+  const processor = new FeedbackProcessor({ analysisCache: new AnalysisCache() });
+  const file = { originalname: 'jane_smith.txt', mimetype: 'text/plain', buffer: Buffer.from(sampleEssay) };
+  const [result] = await processor.processBulkAssignments([file], { assignmentType: 'essay', rubric: store.getRubric(stored.id) });
+
+  assert.equal(result.analysis.rubricScore.rubricId, stored.id);
+  assert.equal(result.analysis.rubricScore.title, 'Persuasive essay');
+
+  const [headers, row] = new ReportGenerator().prepareCSVData([result]);
+  assert.equal(row[headers.indexOf('Rubric Points')], result.analysis.rubricScore.totalPoints);
+  assert.equal(row[headers.indexOf('Rubric Max Points')], 6);
+  assert.include(row[headers.indexOf('Rubric Levels')], 'Organisation: ');
+
+  // Deleting the rubric detaches it rather than removing the assignment
+  assert.true(store.deleteRubric(stored.id));
+  assert.equal(store.getAssignment(assignment.id).rubricId, null);
+});
+
+const DEPARTMENT_CSV = [
+  'Criterion,Weight,Exceeds (4),Meets (3),Approaching (2),Beginning (1)',
+  'Thesis,40%,"Clear, arguable thesis",Thesis present,Vague thesis,No thesis',
+  'Organization,40%,Logical throughout,Mostly logical,Some order,Disorganised',
+  'Participation,20%,Always,Usually,Sometimes,Rarely'
+].join('\n');
+
+test.test('fromCSV should read levels from headers and map criteria to analyzers', () => {
+  const rubric = Rubric.fromCSV(DEPARTMENT_CSV, { title: 'Department essay' });
+  const [thesis, organization, participation] = rubric.criteria;
+
+  assert.equal(thesis.dimension, 'essay.thesis');
+  assert.equal(organization.dimension, 'structure');
+  assert.true(participation.teacherScored, 'Criteria no analyzer covers should be teacher-scored');
+  assert.deepEqual(thesis.levels.map(level => level.label), ['Exceeds', 'Meets', 'Approaching', 'Beginning']);
+  assert.deepEqual(thesis.levels.map(level => level.points), [4, 3, 2, 1]);
+  assert.equal(thesis.levels[0].descriptor, 'Clear, arguable thesis');
+  assert.deepEqual(rubric.criteria.map(criterion => criterion.weight), [0.4, 0.4, 0.2]);
+});
+
+test.test('fromCSV should take points from a Points row and cell overrides, and weight by points', () => {
+  const rubric = Rubric.fromCSV([
+    'Category,Dimension,Exceeds,Meets,Beginning',
+    'Points,,4,2,0',
+    'Evidence,accuracy,Accurate (8 pts),Mostly accurate (4 pts),Inaccurate',
+    'Voice,teacher,Distinct,Present,Absent'
+  ].join('\n'), { title: 'Points rubric' });
+  const [evidence, voice] = rubric.criteria;
+
+  assert.equal(evidence.dimension, 'accuracy');
+  assert.deepEqual(evidence.levels.map(level => level.points), [8, 4, 0]);
+  assert.equal(evidence.levels[0].descriptor, 'Accurate');
+  assert.true(voice.teacherScored, 'A "teacher" mapping should override the name match');
+  assert.deepEqual(voice.levels.map(level => level.points), [4, 2, 0]);
+  assert.deepEqual(rubric.criteria.map(criterion => criterion.weight), [0.6667, 0.3333]);
+});
+
+test.test('fromCSV should read whole-number weights without a % as relative', () => {
+  const weights = (column) => Rubric.fromCSV(`Criterion,Weight,Good,Poor\nThesis,${column[0]},Yes,No\nClarity,${column[1]},Yes,No`, { title: 'Weights' })
+    .criteria.map(criterion => criterion.weight);
+
+  assert.deepEqual(weights(['2', '1']), [0.6667, 0.3333]);
+  assert.deepEqual(weights(['75', '25']), [0.75, 0.25]);
+  assert.deepEqual(weights(['75%', '25%']), [0.75, 0.25]);
+  assert.deepEqual(weights(['0.6', '0.4']), [0.6, 0.4]);
+});
+
+test.test('fromCSV should reject weights that do not add up and unknown mappings', () => {
+  const importError = (csv) => {
+    try {
+      Rubric.fromCSV(csv, { title: 'Bad' });
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+
+  assert.equal(
+    importError('Criterion,Weight,Good,Poor\nThesis,50%,Yes,No\nClarity,40%,Yes,No'),
+    'Rubric weights add up to 90%; they should add up to 100%'
+  );
+  assert.equal(
+    importError('Criterion,Weight,Good,Poor\nThesis,0.5,Yes,No\nClarity,0.4,Yes,No'),
+    'Rubric weights add up to 0.9; use percentages totalling 100%, fractions totalling 1 or whole numbers'
+  );
+  assert.equal(
+    importError('Criterion,Weight,Good,Poor\nThesis,50%,Yes,No\nClarity,,Yes,No'),
+    'Rubric row 3 (Clarity) has no weight; give a weight for every criterion or none'
+  );
+  assert.equal(
+    importError('Criterion,Dimension,Good,Poor\nThesis,essay.voice,Yes,No'),
+    'Rubric row 2 (Thesis) maps to unknown dimension "essay.voice"'
+  );
+  assert.include(importError('Criterion,Weight\nThesis,100%'), 'a column for each performance level');
+});
+
+test.test('toCSV should write a layout that imports back to the same rubric', () => {
+  const original = Rubric.fromCSV([
+    'Criterion,Dimension,Weight,Exceeds (4),Meets (3),Beginning (1)',
+    'Evidence,essay.evidence,50%,Strong (6 pts),Some,None',
+    'Critical thinking,critical_thinking,30%,Insightful,Sound,Missing',
+    'Effort,teacher,20%,High,Steady,Low'
+  ].join('\n'), { title: 'Round trip' });
+
+  const reimported = Rubric.fromCSV(original.toCSV(), { title: 'Round trip' });
+  assert.deepEqual(reimported.criteria, original.criteria);
+  assert.include(original.toCSV(), 'Strong (6 pts)');
+});
+
+test.test('analysis should score sub-analysis criteria and leave teacher-scored ones for the teacher', async () => {
+  const processor = new FeedbackProcessor();
+  const rubric = Rubric.fromCSV(DEPARTMENT_CSV, { title: 'Department essay' });
+
+  // A worksheet upload still gets the essay thesis analysis the rubric asks for
+  const analysis = await processor.analyzeSubmission(sampleEssay, { assignmentType: 'worksheet', rubric: rubric.toJSON() });
+  const [thesis, organization, participation] = analysis.rubricScore.criteria;
+
+  assert.true(typeof thesis.score === 'number', 'Thesis should be scored by the essay analyzer');
+  assert.true(organization.level !== null, 'Organization should be placed on a level');
+  assert.equal(participation.points, null);
+  assert.equal(analysis.rubricScore.maxPoints, 12);
+  assert.false('critical_thinking' in analysis.dimensionScores, 'Only the rubric\'s dimensions should run');
+});
+
+test.test('changing a rubric should change the cache key', () => {
+  const cache = new AnalysisCache();
+  const rubric = new Rubric(essayRubric()).toJSON();
+  const edited = { ...rubric, criteria: [rubric.criteria[0]] };
+
+  const plain = cache.keyFor(sampleEssay, { assignmentType: 'essay' });
+  assert.true(plain !== cache.keyFor(sampleEssay, { assignmentType: 'essay', rubric }));
+  assert.true(cache.keyFor(sampleEssay, { assignmentType: 'essay', rubric }) !== cache.keyFor(sampleEssay, { assignmentType: 'essay', rubric: edited }));
+});
+
+export default test;
@@ -0,0 +1,99 @@
+import fs from 'fs-extra';
+import { TestFramework, assert } from '../test-framework.js';
+import { SimilarityDetector } from '../../src/core/SimilarityDetector.js';
+import { ReportGenerator } from '../../src/core/ReportGenerator.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+
+const test = new TestFramework();
+
+const PROMPT = 'Explain how the water cycle moves water between the oceans, the air and the land.';
+const ORIGINAL = `${PROMPT} Heat from the sun evaporates water from lakes and seas, and the vapour rises until it cools and condenses into clouds. When droplets grow heavy they fall as rain or snow, which runs into rivers and back to the sea.`;
+// The same answer with a few words changed
+const EDITED = `${PROMPT} In my view heat from the sun evaporates water from lakes and oceans, and the vapour rises until it cools and condenses into clouds. That is why it rains so often in spring.`;
+const UNRELATED = `${PROMPT} Water on the surface warms during the day. Some of it turns into an invisible gas and drifts upward, where colder temperatures make it gather as tiny drops. Eventually gravity pulls those drops down again.`;
+
+const result = (fileName, text) => ({
+  fileName,
+  studentName: fileName.split('.')[0],
+  status: 'success',
+  analysis: { overallQuality: 0.7, extractedText: text }
+});
+
+test.test('similar submissions should be paired with their shared passages aligned', () => {
+  const results = [result('ana.txt', ORIGINAL), result('ben.txt', UNRELATED), result('cal.txt', EDITED), { fileName: 'dee.pdf', status: 'error', error: 'Unreadable' }];
+  const similarity = new SimilarityDetector().compare(results, { templateText: PROMPT });
+
+  assert.equal(similarity.comparedCount, 3);
+  assert.true(similarity.templateUsed);
+  assert.equal(similarity.pairs.length, 1, 'Only the edited copy should match');
+
+  const [pair] = similarity.pairs;
+  assert.deepEqual([pair.a.index, pair.a.fileName, pair.b.index, pair.b.studentName], [0, 'ana.txt', 2, 'cal']);
+  assert.true(pair.similarity >= 0.3 && pair.similarity <= 1);
+
+  // "lakes and seas" against "lakes and oceans" is bridged into one passage
+  assert.equal(pair.passages.length, 1);
+  const [passage] = pair.passages;
+  assert.equal(passage.a.text, 'Heat from the sun evaporates water from lakes and seas, and the vapour rises until it cools and condenses into clouds');
+  assert.equal(passage.b.text, 'heat from the sun evaporates water from lakes and oceans, and the vapour rises until it cools and condenses into clouds');
+  assert.equal(ORIGINAL.slice(passage.a.start, passage.a.end), passage.a.text);
+  assert.equal(EDITED.slice(passage.b.start, passage.b.end), passage.b.text);
+  assert.false(passage.a.text.includes('water cycle'), 'The prompt is not a shared passage');
+});
+
+test.test('text from the template alone should not make submissions similar', () => {
+  const template = 'Name: ____ 1. What is evaporation? 2. What is condensation? 3. Where does rain go after it falls?';
+  const results = [
+    result('ana.txt', `${template} Water turning into gas. Gas cooling into drops. Into rivers and the sea.`),
+    result('ben.txt', `${template} When the sun heats a puddle. When clouds form in cold air. It soaks into the ground.`)
+  ];
+
+  assert.equal(new SimilarityDetector().compare(results).pairs.length, 1, 'Without the template the shared questions match');
+  assert.equal(new SimilarityDetector().compare(results, { templateText: template }).pairs.length, 0);
+  assert.equal(new SimilarityDetector({ enabled: false }).compare(results), null);
+  assert.equal(new SimilarityDetector().compare([result('ana.txt', 'Too short.')]).comparedCount, 0);
+});
+
+test.test('the class report should include a similarity section', async () => {
+  const results = [result('ana.txt', ORIGINAL), result('cal.txt', EDITED)];
+  const generator = new ReportGenerator();
+
+  const html = await generator.generateReport(results, { format: 'html', templateText: PROMPT });
+  await fs.remove(html.filePath);
+  assert.include(html.content, 'Similar Submissions');
+  assert.include(html.content, 'ana and cal');
+  assert.include(html.content, 'evaporates water from lakes and oceans');
+
+  const json = await generator.generateReport(results, { format: 'json' });
+  await fs.remove(json.filePath);
+  assert.equal(json.content.similarity.pairs.length, 1);
+
+  const csv = await generator.generateReport(results, { format: 'csv' });
+  await fs.remove(csv.filePath);
+  assert.include(csv.content, 'Similar Submissions');
+  assert.include(csv.content, 'cal.txt (');
+
+  // A stored batch keeps its comparison, since its results have no extracted text
+  const saved = new SimilarityDetector().compare(results);
+  const stored = results.map(({ analysis: { extractedText, ...analysis }, ...rest }) => ({ ...rest, analysis }));
+  const regenerated = await generator.generateReport(stored, { format: 'json', similarity: saved });
+  await fs.remove(regenerated.filePath);
+  assert.deepEqual(regenerated.content.similarity, saved);
+});
+
+test.test('assignments should keep their template text', async () => {
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Water cycle', templateText: PROMPT });
+  assert.equal(store.getAssignment(assignment.id).templateText, PROMPT);
+  assert.equal(store.setAssignmentTemplateText(assignment.id, null).templateText, null);
+  assert.equal(store.setAssignmentTemplateText('missing', PROMPT), null);
+
+  const batchId = store.saveBatch(assignment.id, {
+    similarity: { threshold: 0.3, comparedCount: 0, templateUsed: false, pairs: [] },
+    results: []
+  });
+  assert.deepEqual(store.getBatch(batchId).similarity.pairs, []);
+  store.close();
+});
+
+export default test;
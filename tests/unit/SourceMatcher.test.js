@@ -0,0 +1,93 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { SourceMatcher } from '../../src/core/analyzers/SourceMatcher.js';
+import { AssignmentAnalyzer } from '../../src/core/analyzers/AssignmentAnalyzer.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+
+const test = new TestFramework();
+
+const SOURCE = {
+  id: 'thirsty-planet',
+  title: 'The Thirsty Planet',
+  author: 'Maria Lopez',
+  text: "Freshwater makes up only three percent of the water on Earth, and most of it is locked away in glaciers and ice caps. Rivers and lakes hold less than one percent of the planet's freshwater. As populations grow, farms and cities compete for the same shrinking supply, and many aquifers are being drained faster than rain can refill them."
+};
+
+const QUOTED_AND_CITED = 'According to Lopez, "freshwater makes up only three percent of the water on Earth, and most of it is locked away in glaciers and ice caps."';
+const UNATTRIBUTED = "Rivers and lakes hold less than one percent of the planet's freshwater.";
+const CITED_PARAPHRASE = 'As the population grows, farms and cities are competing for the same shrinking supply, and lots of aquifers are drained faster than rain can refill them (Lopez 2021).';
+const ESSAY = `Water is important. ${QUOTED_AND_CITED} This surprised me.\n${UNATTRIBUTED}\n${CITED_PARAPHRASE}`;
+
+test.test('passages from a source should be told apart by how they are attributed', () => {
+  const { passages, attributedCount, unattributedCount, copiedShare } = new SourceMatcher().match(ESSAY, [SOURCE]);
+
+  assert.deepEqual(
+    passages.map(passage => [passage.match, passage.attribution, passage.attributed]),
+    [['verbatim', 'quoted-and-cited', true], ['verbatim', 'unattributed', false], ['paraphrase', 'cited', true]]
+  );
+  assert.equal(attributedCount, 2);
+  assert.equal(unattributedCount, 1);
+  assert.true(copiedShare > 0 && copiedShare < 0.5);
+
+  const [quoted, copied] = passages;
+  assert.equal(ESSAY.slice(copied.start, copied.end), copied.text);
+  assert.include(UNATTRIBUTED, copied.text);
+  assert.equal(quoted.sourceTitle, 'The Thirsty Planet');
+  assert.include(SOURCE.text, quoted.source.text);
+});
+
+test.test('quoted passages need a citation and cited ones need quotation marks', () => {
+  const matcher = new SourceMatcher();
+  const [quotedOnly] = matcher.match(`My favourite line is "${UNATTRIBUTED.slice(0, -1)}" and I agree.`, [SOURCE]).passages;
+  assert.equal(quotedOnly.attribution, 'quoted');
+  assert.false(quotedOnly.attributed);
+
+  const [citedCopy] = matcher.match(`The Thirsty Planet says that ${UNATTRIBUTED}`, [SOURCE]).passages;
+  assert.deepEqual([citedCopy.match, citedCopy.attribution, citedCopy.attributed], ['verbatim', 'cited', false]);
+
+  // Shared common phrasing is too short to count
+  assert.equal(matcher.match('Farms and cities need water.', [SOURCE]).passages.length, 0);
+  assert.equal(matcher.match(ESSAY, []).passages.length, 0);
+});
+
+test.test('citation analysis should count passages copied from the sources', async () => {
+  const analyzer = new AssignmentAnalyzer();
+  const report = await analyzer.analyzeByType(ESSAY, 'report', { sources: [SOURCE] });
+  const plain = await analyzer.analyzeByType(ESSAY, 'report');
+
+  assert.equal(report.citations.unattributedCount, 1);
+  assert.equal(plain.citations.sourcePassages, undefined);
+  assert.true(report.citations.score < plain.citations.score);
+  assert.include(report.improvements, 'Quote and cite passages taken from the sources');
+
+  const sourceAnnotations = report.annotations.filter(annotation => annotation.category === 'sources');
+  assert.deepEqual(sourceAnnotations.map(annotation => annotation.severity), ['praise', 'warning', 'praise']);
+  assert.include(sourceAnnotations[1].message, '"The Thirsty Planet"');
+
+  // Other types are annotated without changing their score
+  const essay = await analyzer.analyzeByType(ESSAY, 'essay', { sources: [SOURCE] });
+  assert.equal(essay.overallScore, (await analyzer.analyzeByType(ESSAY, 'essay')).overallScore);
+  assert.equal(essay.annotations.filter(annotation => annotation.category === 'sources').length, 3);
+});
+
+test.test('sources should be stored per assignment and change the cache key', async () => {
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Water scarcity', assignmentType: 'report' });
+  const added = store.addSource(assignment.id, { title: SOURCE.title, author: SOURCE.author, fileName: 'thirsty.pdf', text: SOURCE.text });
+
+  assert.equal(added.text, undefined);
+  assert.equal(added.wordCount, 59);
+  assert.equal(store.addSource('missing', { title: 'Nothing', text: 'Nothing here' }), null);
+  assert.equal(store.listSources(assignment.id, { withText: true })[0].text, SOURCE.text);
+
+  assert.false(store.deleteSource('missing', added.id));
+  assert.true(store.deleteSource(assignment.id, added.id));
+  assert.equal(store.listSources(assignment.id).length, 0);
+  store.close();
+
+  const cache = new AnalysisCache();
+  assert.true(cache.keyFor(ESSAY, { sources: [SOURCE] }) !== cache.keyFor(ESSAY, {}));
+  assert.true(cache.keyFor(ESSAY, { sources: [SOURCE] }) !== cache.keyFor(ESSAY, { sources: [{ ...SOURCE, author: null }] }));
+});
+
+export default test;
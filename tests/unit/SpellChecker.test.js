@@ -0,0 +1,101 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { SpellChecker } from '../../src/core/analyzers/SpellChecker.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+import { FeedbackStore } from '../../src/core/FeedbackStore.js';
+import { AnalysisCache } from '../../src/core/AnalysisCache.js';
+import { Config } from '../../src/core/Config.js';
+import { sampleEssay } from '../setup.js';
+
+const test = new TestFramework();
+
+// Issue type, the flagged text and the suggested spellings for each issue found
+const findings = (checker, text, options) => checker.check(text, options)
+  .map(issue => [issue.type, issue.text, issue.suggestions]);
+
+test.test('misspellings should be located and given ranked suggestions', () => {
+  const text = 'Students recieve alot of homework. Thier teacher was definately tired. Becuase it rained, we stayed in.';
+  const issues = new SpellChecker().check(text);
+
+  assert.deepEqual(issues.map(issue => [issue.text, issue.suggestions[0]]), [
+    ['recieve', 'receive'],
+    ['alot', 'a lot'],
+    ['Thier', 'Their'],
+    ['definately', 'definitely'],
+    ['Becuase', 'Because']
+  ]);
+  issues.forEach(issue => assert.equal(text.slice(issue.start, issue.end), issue.text));
+  assert.equal(issues[0].category, 'spelling');
+  assert.equal(issues[0].severity, 'warning');
+  assert.equal(issues[0].suggestion, 'Did you mean "receive" or "relieve"?');
+});
+
+test.test('names, acronyms, links, contractions and compounds should not be flagged', () => {
+  const text = 'NASA says the river\'s banks don’t flood. Email me@school.org or see https://example.com/maps in 2020. '
+    + 'Zorblat met us. Later we told Zorblat about the whiteboards and intergenerational smartphones.';
+  assert.deepEqual(findings(new SpellChecker(), text), []);
+  assert.deepEqual(findings(new SpellChecker(), 'We meet everytime. Zorblat smiled.').map(([type, text]) => [type, text]), [
+    ['spelling', 'everytime'],
+    ['spelling', 'Zorblat']
+  ]);
+});
+
+test.test('spellings from the other locale should be pointed out, except -ize in UK classes', () => {
+  const text = 'The colour of the theatre was grey, so we organized a trip and traveled home.';
+  assert.deepEqual(findings(new SpellChecker(), text), [
+    ['spelling-variant', 'colour', ['color']],
+    ['spelling-variant', 'theatre', ['theater']],
+    ['spelling-variant', 'grey', ['gray']]
+  ]);
+  assert.deepEqual(findings(new SpellChecker({ locale: 'en-GB' }), text), [['spelling-variant', 'traveled', ['travelled']]]);
+  assert.equal(new SpellChecker().suggest('colur')[0], 'color');
+  assert.equal(new SpellChecker({ locale: 'en-GB' }).suggest('colur')[0], 'colour');
+  assert.false(new SpellChecker({ locale: 'en-GB' }).suggest('colur').includes('color'));
+
+  assert.equal(new SpellChecker({ enabled: false }).check(text).length, 0);
+  try {
+    Config.validate({ ...Config.defaults(), spelling: { enabled: true, locale: 'en-AU' } });
+    assert.true(false, 'An unsupported locale should be rejected');
+  } catch (error) {
+    assert.include(error.message, 'spelling.locale must be one of en-US, en-GB');
+  }
+});
+
+test.test('assignment vocabulary should be accepted and kept with the assignment', async () => {
+  assert.deepEqual(SpellChecker.parseVocabulary('Atticus Finch, Maycomb\nthylakoid, atticus'), ['atticus', 'finch', 'maycomb', 'thylakoid']);
+  assert.deepEqual(SpellChecker.parseVocabulary(null), []);
+
+  const text = 'Scoutella ran home. Chlorophyll in the thylakoids and grana absorbs light.';
+  const checker = new SpellChecker();
+  assert.deepEqual(findings(checker, text).map(([, word]) => word), ['Scoutella', 'thylakoids', 'grana']);
+  assert.deepEqual(findings(checker, text, { vocabulary: SpellChecker.parseVocabulary('Scoutella, thylakoid, grana') }), []);
+
+  const store = await FeedbackStore.open();
+  const assignment = store.createAssignment({ title: 'Mockingbird essay', vocabulary: ['atticus'] });
+  assert.deepEqual(store.getAssignment(assignment.id).vocabulary, ['atticus']);
+  assert.deepEqual(store.setAssignmentVocabulary(assignment.id, ['maycomb']).vocabulary, ['maycomb']);
+  assert.equal(store.setAssignmentVocabulary('missing', []), null);
+  store.close();
+});
+
+test.test('the processor should report spelling issues as annotations and cache per vocabulary', async () => {
+  const processor = new FeedbackProcessor();
+  const text = `${sampleEssay}\n\nScoutella beleived the enviroment mattered.`;
+
+  const analysis = await processor.analyzeSubmission(text, { assignmentType: 'essay' });
+  const misspelled = analysis.textAnalysis.spellingIssues.filter(issue => issue.type === 'spelling').map(issue => issue.text);
+  assert.true(misspelled.includes('beleived') && misspelled.includes('enviroment'));
+  assert.true(analysis.annotations.some(annotation => annotation.source === 'spelling' && annotation.text === 'enviroment'));
+  assert.true(analysis.feedbackSuggestions.some(suggestion => suggestion.category === 'Spelling'));
+  assert.equal(analysis.metadata.spellingLocale, 'en-US');
+
+  assert.true(misspelled.includes('Scoutella'));
+  const withVocabulary = await processor.analyzeSubmission(text, { assignmentType: 'essay', vocabulary: ['scoutella'] });
+  assert.false(withVocabulary.textAnalysis.spellingIssues.some(issue => issue.text === 'Scoutella'));
+
+  const cache = new AnalysisCache();
+  const options = { assignmentType: 'essay', spellingLocale: 'en-US' };
+  assert.true(cache.keyFor(text, options) !== cache.keyFor(text, { ...options, vocabulary: ['scoutella'] }));
+  assert.true(cache.keyFor(text, options) !== cache.keyFor(text, { ...options, spellingLocale: 'en-GB' }));
+});
+
+export default test;
@@ -0,0 +1,84 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { StudentIdentityResolver } from '../../src/core/StudentIdentityResolver.js';
+
+const test = new TestFramework();
+
+test.test('resolve should read Canvas submission names', () => {
+  const resolver = new StudentIdentityResolver();
+  const identity = resolver.resolve({ originalname: 'smithjane_late_123456_7891011_Essay-1.docx' });
+  
+  assert.equal(identity.source, 'canvas');
+  assert.equal(identity.studentId, 'canvas:123456');
+  assert.equal(identity.displayName, 'smithjane');
+  assert.true(identity.late);
+  assert.false(resolver.resolve({ originalname: 'doejohn_223344_5566778_essay.pdf' }).late);
+});
+
+test.test('resolve should read Moodle folders and file prefixes', () => {
+  const resolver = new StudentIdentityResolver();
+  const inFolder = resolver.resolve({ originalname: 'Jane Smith_4567_assignsubmission_file_/essay.docx' });
+  const flat = resolver.resolve({ originalname: 'Omar Haddad_4568_assignsubmission_file_essay.docx' });
+  
+  assert.equal(inFolder.source, 'moodle');
+  assert.equal(inFolder.studentId, 'moodle:4567');
+  assert.equal(inFolder.displayName, 'Jane Smith');
+  assert.equal(flat.studentId, 'moodle:4568');
+  assert.equal(flat.displayName, 'Omar Haddad');
+  assert.equal(flat.late, null);
+});
+
+test.test('resolve should read Google Classroom copies', () => {
+  const resolver = new StudentIdentityResolver();
+  const identity = resolver.resolve({ originalname: 'Classroom/María José Núñez - Persuasive Essay.docx' });
+  
+  assert.equal(identity.source, 'google-classroom');
+  assert.equal(identity.displayName, 'María José Núñez');
+  assert.equal(identity.studentId, 'name:maria-jose-nunez');
+});
+
+test.test('resolve should prefer the archive manifest', () => {
+  const resolver = new StudentIdentityResolver();
+  const archiveManifest = {
+    name: 'manifest.csv',
+    contents: Buffer.from('File,Student ID,Name,Submitted At,Late\n"smithjane_123456_7891011_essay.docx",S-1001,"Smith, Jane",2024-03-01T09:30:00Z,no\n')
+  };
+  const identity = resolver.resolve({ originalname: 'smithjane_123456_7891011_essay.docx', archiveManifest });
+  
+  assert.equal(identity.source, 'manifest');
+  assert.equal(identity.studentId, 'S-1001');
+  assert.equal(identity.displayName, 'Smith, Jane');
+  assert.equal(identity.submittedAt, '2024-03-01T09:30:00.000Z');
+  assert.false(identity.late);
+});
+
+test.test('resolve should fall back to the file name and flag late work from the due date', () => {
+  const resolver = new StudentIdentityResolver();
+  const identity = resolver.resolve(
+    { originalname: 'alice_smith/essay.txt', lastModified: new Date('2024-03-02T12:00:00Z') },
+    { dueDate: '2024-03-01T23:59:00Z' }
+  );
+  
+  assert.equal(identity.source, 'filename');
+  assert.equal(identity.displayName, 'alice smith');
+  assert.equal(identity.studentId, 'name:alice-smith');
+  assert.equal(identity.submittedAt, '2024-03-02T12:00:00.000Z');
+  assert.true(identity.late);
+});
+
+test.test('registerParser should run custom parsers first', () => {
+  const resolver = new StudentIdentityResolver();
+  resolver.registerParser({
+    name: 'school-sis',
+    parse: (filePath) => {
+      const match = filePath.match(/^(\d{6})-/);
+      return match ? { studentId: `sis:${match[1]}`, displayName: null } : null;
+    }
+  });
+  
+  const identity = resolver.resolve({ originalname: '204518-essay.docx' });
+  assert.equal(identity.source, 'school-sis');
+  assert.equal(identity.studentId, 'sis:204518');
+  assert.equal(identity.displayName, 'essay');
+});
+
+export default test;
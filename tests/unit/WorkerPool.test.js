@@ -0,0 +1,79 @@
+import { TestFramework, assert } from '../test-framework.js';
+import { WorkerPool } from '../../src/core/WorkerPool.js';
+import { FeedbackProcessor } from '../../src/core/FeedbackProcessor.js';
+
+const test = new TestFramework();
+
+const ECHO_WORKER = new URL('../fixtures/echoWorker.js', import.meta.url);
+const ANALYSIS_WORKER = new URL('../../src/core/workers/analysisWorker.js', import.meta.url);
+
+test.test('WorkerPool should run tasks in parallel up to its size', async () => {
+  const pool = new WorkerPool(ECHO_WORKER, { size: 2 });
+
+  try {
+    const results = await Promise.all([30, 10, 20].map((delayMs, index) => pool.run({ value: index, delayMs })));
+
+    assert.deepEqual(results, [0, 1, 2]);
+    assert.equal(pool.workers.length, 2);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test.test('WorkerPool should pass worker errors through with their stage', async () => {
+  const pool = new WorkerPool(ECHO_WORKER, { size: 1 });
+  let error = null;
+
+  try {
+    await pool.run({ fail: 'Unreadable file' });
+  } catch (e) {
+    error = e;
+  } finally {
+    await pool.destroy();
+  }
+
+  assert.true(error !== null, 'Task should fail');
+  assert.equal(error.message, 'Unreadable file');
+  assert.equal(error.stage, 'extraction');
+});
+
+test.test('WorkerPool should time out slow tasks and keep serving the queue', async () => {
+  // Generous enough to cover starting the replacement worker on a busy machine
+  const pool = new WorkerPool(ECHO_WORKER, { size: 1, taskTimeoutMs: 1000 });
+
+  try {
+    const [slow, next] = await Promise.allSettled([
+      pool.run({ value: 'slow', delayMs: 30000 }),
+      pool.run({ value: 'next' })
+    ]);
+
+    assert.equal(slow.status, 'rejected');
+    assert.equal(slow.reason.message, 'Timed out after 1s');
+    assert.equal(next.value, 'next');
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test.test('processBulkAssignments with a worker pool should keep result order', async () => {
+  const pool = new WorkerPool(ANALYSIS_WORKER, { size: 2 });
+  const processor = new FeedbackProcessor({ workerPool: pool });
+  const files = [
+    { originalname: 'long.txt', mimetype: 'text/plain', buffer: Buffer.from('A longer essay. '.repeat(200)) },
+    { originalname: 'short.txt', mimetype: 'text/plain', buffer: Buffer.from('A short essay. It has two sentences.') },
+    { originalname: 'broken.exe', mimetype: 'application/x-msdownload', buffer: Buffer.from('MZ') }
+  ];
+
+  try {
+    const results = await processor.processBulkAssignments(files, { assignmentType: 'essay' });
+
+    assert.deepEqual(results.map(result => result.fileName), ['long.txt', 'short.txt', 'broken.exe']);
+    assert.equal(results[1].status, 'success');
+    assert.equal(results[1].analysis.wordCount, 7);
+    assert.equal(results[2].errorStage, 'extraction');
+  } finally {
+    await pool.destroy();
+  }
+});
+
+export default test;